@@ -0,0 +1,4 @@
+// Only used by Jest so unit tests can import the ES modules in src/
+module.exports = {
+  plugins: ["@babel/plugin-transform-modules-commonjs"],
+};
@@ -48,6 +48,29 @@ export default [
       "tests/RouteModel.test.js",
       "tests/basic-functionality.test.js",
       "tests/route-image.test.js",
+      "tests/GradeSystems.test.js",
+      "tests/SendStyles.test.js",
+      "tests/route-analytics.test.js",
+      "tests/route-references.test.js",
+      "tests/Database.test.js",
+      "tests/session-persistence.test.js",
+      "tests/Backup.test.js",
+      "tests/BackupMerge.test.js",
+      "tests/BackupValidator.test.js",
+      "tests/CsvExport.test.js",
+      "tests/CsvImport.test.js",
+      "tests/CommandHistory.test.js",
+      "tests/Trash.test.js",
+      "tests/route-archiving.test.js",
+      "tests/walls.test.js",
+      "tests/gyms.test.js",
+      "tests/route-library.test.js",
+      "tests/route-tags.test.js",
+      "tests/route-annotations.test.js",
+      "tests/image-compression.test.js",
+      "tests/image-urls.test.js",
+      "tests/route-photos.test.js",
+      "tests/fakeDatabase.js",
     ],
     languageOptions: {
       ecmaVersion: 2022,
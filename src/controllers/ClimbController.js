@@ -1,4 +1,6 @@
-import { dialogUtils } from "../utils/DialogUtils.js";
+import { commandHistory } from "../utils/CommandHistory.js";
+import { getActiveRoutes } from "../models/RouteLifecycle.js";
+import { ImageUrlCache } from "../utils/ImageUrlCache.js";
 
 export class ClimbController {
   constructor(model, view) {
@@ -7,12 +9,15 @@ export class ClimbController {
     this.selectedRoute = null;
     this.selectedResult = null;
     this.routeController = null; // Will be set by main.js
+    // Thumbnails shown in the route selector
+    this.thumbnailUrls = new ImageUrlCache();
 
     this.initializeApp();
   }
 
   async initializeApp() {
     this.view.setCurrentDateTime();
+    this.view.populateSendStyleOptions(document.getElementById("send-style"));
     this.setupEventListeners();
     await this.refreshViews();
     await this.checkForDraft();
@@ -45,6 +50,23 @@ export class ClimbController {
         this.handleDeleteAttempt(attemptId);
       }
 
+      // Handle edit session button clicks (for completed sessions)
+      if (e.target.classList.contains("edit-session-btn")) {
+        const sessionId = parseInt(e.target.dataset.sessionId);
+        this.handleEditSession(sessionId);
+      }
+
+      if (e.target.classList.contains("delete-session-btn")) {
+        const sessionId = parseInt(e.target.dataset.sessionId);
+        this.deleteSession(sessionId);
+      }
+
+      if (e.target.classList.contains("merge-session-btn")) {
+        const sessionId = parseInt(e.target.dataset.sessionId);
+        const targetId = parseInt(e.target.dataset.targetId);
+        this.mergeSessions(targetId, sessionId);
+      }
+
       // Handle timeline attempt clicks (for completed sessions)
       if (e.target.classList.contains("timeline-attempt")) {
         const sessionId = parseInt(e.target.dataset.sessionId);
@@ -59,6 +81,22 @@ export class ClimbController {
       gymSelect.addEventListener("change", () => this.handleGymChange());
     }
 
+    // Grade filter and sort event listeners
+    const gradeFilter = document.getElementById("grade-filter");
+    if (gradeFilter) {
+      gradeFilter.addEventListener("change", () => this.loadRouteSelector());
+    }
+
+    const tagFilter = document.getElementById("tag-filter");
+    if (tagFilter) {
+      tagFilter.addEventListener("change", () => this.loadRouteSelector());
+    }
+
+    const routeSort = document.getElementById("route-sort");
+    if (routeSort) {
+      routeSort.addEventListener("change", () => this.loadRouteSelector());
+    }
+
     document
       .getElementById("success-btn")
       .addEventListener("click", () => this.handleResultSelection(true));
@@ -144,6 +182,7 @@ export class ClimbController {
     }
 
     try {
+      const before = this.model.snapshotSession(this.model.getCurrentSession());
       if (!this.model.getCurrentSession()) {
         await this.startNewSession();
       }
@@ -151,14 +190,16 @@ export class ClimbController {
       const formData = this.view.getFormData();
       const attemptData = {
         routeId: this.selectedRoute.id,
-        route: this.selectedRoute, // Store the full route object
+        route: this.selectedRoute, // Model keeps only a small snapshot
         success: this.selectedResult,
+        sendStyle: formData.sendStyle || null,
         notes: formData.notes,
       };
 
       await this.model.addAttemptToCurrentSession(attemptData);
       this.refreshCurrentSessionView();
       this.clearAttemptForm();
+      this.recordCurrentSessionChange("Attempt logged", before);
     } catch (error) {
       this.view.showAlert(error.message);
     }
@@ -203,47 +244,103 @@ export class ClimbController {
   refreshCurrentSessionView() {
     const currentSession = this.model.getCurrentSession();
     if (currentSession) {
-      this.view.renderCurrentSessionAttempts(currentSession.attempts);
+      this.view.renderCurrentSessionAttempts(
+        this.model.resolveAttempts(currentSession.attempts)
+      );
     }
   }
 
   refreshSessionsView() {
-    const sessions = this.model.getSessions();
+    const sessions = this.model
+      .getSessions()
+      .map((session) => this.model.resolveSession(session));
     this.view.renderSessions(sessions);
   }
 
   refreshStatsView() {
     const stats = this.model.getOverallStats();
     const colorStats = this.model.getColorStats();
-    this.view.renderStats(stats, colorStats);
+    const gradeStats = this.model.getGradeStats();
+    this.view.renderStats(
+      stats,
+      colorStats,
+      gradeStats,
+      this.model.getWallStats(),
+      this.model.getAngleStats(),
+      this.model.getTagStats()
+    );
 
-    const sessions = this.model.getSessions();
+    const sessions = this.model
+      .getSessions()
+      .map((session) => this.model.resolveSession(session));
     this.view.renderProgressChart(sessions);
   }
 
   async refreshViews() {
+    // Loads the route catalog that attempts are resolved against
+    await this.loadRouteSelector();
+    this.refreshCurrentSessionView();
     this.refreshSessionsView();
     this.refreshStatsView();
-    await this.loadRouteSelector();
   }
 
   async loadRouteSelector() {
     if (this.routeController) {
       try {
         const routes = await this.routeController.model.getAllRoutes();
-        const routesWithUrls = routes.map((route) => ({
+        const walls = await this.routeController.wallModel.getAllWalls();
+        this.model.setRouteCatalog(routes);
+        this.model.setWallCatalog(walls);
+        const wallsById = new Map(walls.map((wall) => [wall.id, wall]));
+
+        // Archived routes stay in the catalog for history and stats but
+        // can't be picked for new attempts
+        const routeModel = this.routeController.model;
+        const activeRoutes = getActiveRoutes(routes);
+        const routesWithUrls = activeRoutes.map((route) => ({
           ...route,
-          imageUrl: this.routeController.model.createImageURL(route),
+          wall: wallsById.get(route.wallId) || null,
+          imageUrl: this.thumbnailUrls.get(
+            route.id,
+            routeModel.getImageVersion(route),
+            () => routeModel.getThumbnailBlob(route)
+          ),
         }));
+        this.thumbnailUrls.retain(activeRoutes.map((route) => route.id));
 
-        // Populate gym dropdown
+        // Populate gym and grade dropdowns
         this.view.populateGymDropdown(routesWithUrls);
+        this.view.populateGradeFilter(routesWithUrls);
+        this.view.populateTagFilter(routesWithUrls);
 
-        // Get selected gym from dropdown
+        // Get selected filters from dropdowns
         const selectedGym = document.getElementById("gym-select").value;
+        const selectedGrade =
+          document.getElementById("grade-filter")?.value || "";
+        const sortOrder =
+          document.getElementById("route-sort")?.value || "newest";
+        const selectedTag = document.getElementById("tag-filter")?.value || "";
+
+        // Tagged routes come from the tags index
+        let selectableRoutes = routesWithUrls;
+        if (selectedTag) {
+          const taggedIds = new Set(
+            (await this.routeController.model.getRoutesByTag(selectedTag)).map(
+              (route) => route.id
+            )
+          );
+          selectableRoutes = routesWithUrls.filter((route) =>
+            taggedIds.has(route.id)
+          );
+        }
 
         // Render route selector with filtered routes
-        this.view.renderRouteSelector(routesWithUrls, selectedGym);
+        this.view.renderRouteSelector(
+          selectableRoutes,
+          selectedGym,
+          selectedGrade,
+          sortOrder
+        );
       } catch (error) {
         console.error("Error loading route selector:", error);
       }
@@ -263,21 +360,15 @@ export class ClimbController {
   }
 
   async clearSession() {
-    // Ask for confirmation before clearing
-    if (
-      !(await dialogUtils.showConfirm(
-        "Are you sure you want to clear the current session? All unsaved attempts will be lost.",
-        "Clear Session"
-      ))
-    ) {
-      return;
-    }
+    // main.js asks for confirmation before calling this
+    const before = this.model.snapshotSession(this.model.getCurrentSession());
 
     try {
       await this.model.deleteDraft();
       this.model.currentSession = null;
       this.view.hideCurrentSession();
       this.clearAttemptForm();
+      this.recordCurrentSessionChange("Session cleared", before);
     } catch (error) {
       this.view.showAlert("Error clearing session: " + error.message);
     }
@@ -321,6 +412,147 @@ export class ClimbController {
     await this.showEditAttemptModal(attempt, sessionId);
   }
 
+  /**
+   * Show the edit dialog for a completed session
+   */
+  handleEditSession(sessionId) {
+    const sessions = this.model.getSessions();
+    const session = sessions.find((s) => s.id === sessionId);
+    if (!session) {
+      this.view.showAlert("Session not found");
+      return;
+    }
+
+    this.view.showEditSessionModal(
+      session,
+      sessions.filter((s) => s !== session),
+      {
+        onSave: async (updatedData) => {
+          const before = this.model.snapshotSession(session);
+          try {
+            await this.model.updateSession(sessionId, {
+              ...updatedData,
+              gym: await this.routeController.gymModel.resolveGymName(
+                updatedData.gym
+              ),
+            });
+            this.refreshAfterSessionChange();
+            this.recordFinishedSessionChange("Session updated", before);
+          } catch (error) {
+            this.view.showAlert("Error updating session: " + error.message);
+          }
+        },
+        onDelete: () => this.deleteSession(sessionId),
+        onMerge: (targetId) => this.mergeSessions(targetId, sessionId),
+      }
+    );
+  }
+
+  /**
+   * Move a completed session to the trash, offering to undo it
+   */
+  async deleteSession(sessionId) {
+    try {
+      const session = this.model.snapshotSession(
+        await this.model.deleteSession(sessionId)
+      );
+      this.refreshAfterSessionChange();
+
+      commandHistory.record({
+        label: `Session at ${session.gym} moved to trash`,
+        undo: async () => {
+          await this.model.restoreSessions([session]);
+          this.refreshAfterSessionChange();
+        },
+        redo: async () => {
+          await this.model.deleteSession(sessionId);
+          this.refreshAfterSessionChange();
+        },
+      });
+    } catch (error) {
+      this.view.showAlert("Error deleting session: " + error.message);
+    }
+  }
+
+  /**
+   * Move a session's attempts into another session, offering to undo it
+   */
+  async mergeSessions(targetId, sourceId) {
+    const originals = this.model
+      .getSessions()
+      .filter((s) => s.id === targetId || s.id === sourceId)
+      .map((s) => this.model.snapshotSession(s));
+
+    try {
+      await this.model.mergeSessions(targetId, sourceId);
+      this.refreshAfterSessionChange();
+
+      commandHistory.record({
+        label: "Sessions merged",
+        undo: async () => {
+          await this.model.restoreSessions(originals);
+          this.refreshAfterSessionChange();
+        },
+        redo: async () => {
+          await this.model.mergeSessions(targetId, sourceId);
+          this.refreshAfterSessionChange();
+        },
+      });
+    } catch (error) {
+      this.view.showAlert("Error merging sessions: " + error.message);
+    }
+  }
+
+  /**
+   * Record a change to the session in progress for undo/redo, given a
+   * snapshot from before it (null if the change started the session)
+   */
+  recordCurrentSessionChange(label, before) {
+    const after = this.model.snapshotSession(this.model.getCurrentSession());
+
+    const restore = async (snapshot, replaced) => {
+      await this.model.restoreCurrentSession(snapshot, replaced?.id ?? null);
+      if (snapshot) {
+        this.view.showCurrentSession();
+        this.refreshCurrentSessionView();
+      } else {
+        this.view.hideCurrentSession();
+      }
+    };
+
+    commandHistory.record({
+      label,
+      undo: () => restore(before, after),
+      redo: () => restore(after, before),
+    });
+  }
+
+  /**
+   * Record a change to a completed session for undo/redo, given a snapshot
+   * from before it
+   */
+  recordFinishedSessionChange(label, before) {
+    const after = this.model.snapshotSession(
+      this.model.getSessions().find((s) => s.id === before.id)
+    );
+
+    const restore = async (snapshot) => {
+      await this.model.restoreSessions([snapshot]);
+      this.refreshAfterSessionChange();
+    };
+
+    commandHistory.record({
+      label,
+      undo: () => restore(before),
+      redo: () => restore(after),
+    });
+  }
+
+  refreshAfterSessionChange() {
+    this.refreshSessionsView();
+    this.refreshStatsView();
+  }
+
   /**
    * Handle deleting an attempt from the current session
    */
@@ -331,14 +563,12 @@ export class ClimbController {
       return;
     }
 
-    if (
-      confirm(
-        "Are you sure you want to delete this attempt? This action cannot be undone."
-      )
-    ) {
+    if (confirm("Are you sure you want to delete this attempt?")) {
+      const before = this.model.snapshotSession(currentSession);
       try {
         await this.model.deleteAttemptFromCurrentSession(attemptId);
         this.refreshCurrentSessionView();
+        this.recordCurrentSessionChange("Attempt deleted", before);
       } catch (error) {
         this.view.showAlert("Error deleting attempt: " + error.message);
       }
@@ -354,6 +584,19 @@ export class ClimbController {
       return;
     }
 
+    const currentSession = this.model.getCurrentSession();
+    const isCurrent = currentSession?.id === sessionId;
+    const snapshot = () =>
+      this.model.snapshotSession(
+        isCurrent
+          ? currentSession
+          : this.model.getSessions().find((s) => s.id === sessionId)
+      );
+    const record = (label, before) =>
+      isCurrent
+        ? this.recordCurrentSessionChange(label, before)
+        : this.recordFinishedSessionChange(label, before);
+
     try {
       const routes = await this.routeController.model.getAllRoutes();
 
@@ -361,21 +604,25 @@ export class ClimbController {
         attempt,
         routes,
         async (updatedData) => {
+          const before = snapshot();
           try {
             await this.model.updateAttempt(sessionId, attempt.id, updatedData);
             this.refreshCurrentSessionView();
             this.refreshSessionsView();
             this.refreshStatsView();
+            record("Attempt updated", before);
           } catch (error) {
             this.view.showAlert("Error updating attempt: " + error.message);
           }
         },
         async () => {
+          const before = snapshot();
           try {
             await this.model.deleteAttempt(sessionId, attempt.id);
             this.refreshCurrentSessionView();
             this.refreshSessionsView();
             this.refreshStatsView();
+            record("Attempt deleted", before);
           } catch (error) {
             this.view.showAlert("Error deleting attempt: " + error.message);
           }
@@ -1,12 +1,39 @@
+import { commandHistory } from "../utils/CommandHistory.js";
+import {
+  getActiveRoutes,
+  selectRoutesToArchive,
+} from "../models/RouteLifecycle.js";
+import { WallModel } from "../models/WallModel.js";
+import { GymModel } from "../models/GymModel.js";
+import { scaleAnnotations } from "../models/RouteAnnotations.js";
+import { getRoutePhotos, nextPhotoId } from "../models/RoutePhotos.js";
+import { ImageUrlCache } from "../utils/ImageUrlCache.js";
+
+// Photo URLs are cached per photo of the open route
+const photoKey = (routeId, photoId) => `${routeId}/${photoId}`;
+
 /**
  * Controller for managing route operations
  */
 export class RouteController {
-  constructor(model, view) {
+  constructor(
+    model,
+    view,
+    wallModel = new WallModel(),
+    gymModel = new GymModel()
+  ) {
     this.model = model;
     this.view = view;
+    this.wallModel = wallModel;
+    this.gymModel = gymModel;
     this.selectedColor = null;
     this.climbController = null; // Will be set by main.js
+    this.routeCount = 0;
+    // Thumbnails shown in the library, and the full photos of the route
+    // open in the detail view or edit dialog
+    this.thumbnailUrls = new ImageUrlCache();
+    this.photoUrls = new ImageUrlCache();
+    this.searchTimer = null;
 
     this.initializeController();
   }
@@ -15,7 +42,10 @@ export class RouteController {
    * Initialize the route controller
    */
   initializeController() {
+    this.view.populateRouteSortOptions();
+    this.view.setRouteTags();
     this.setupEventListeners();
+    this.view.setRouteGradeSystem(this.model.getDefaultGradeSystem(""));
     this.loadRoutes();
   }
 
@@ -43,6 +73,77 @@ export class RouteController {
       });
     });
 
+    // Grading system selection
+    const gradeSystemSelect = document.getElementById("route-grade-system");
+    if (gradeSystemSelect) {
+      gradeSystemSelect.addEventListener("change", () => {
+        this.view.setRouteGradeSystem(gradeSystemSelect.value);
+      });
+    }
+
+    // Switch to the gym's default grading system when the gym changes
+    const gymInput = document.getElementById("route-gym");
+    if (gymInput) {
+      gymInput.addEventListener("change", () => {
+        this.handleRouteGymChange(gymInput.value.trim());
+      });
+    }
+
+    const wallSelect = document.getElementById("route-wall");
+    if (wallSelect && gymInput) {
+      this.view.bindWallSelect(
+        wallSelect,
+        () => gymInput.value.trim(),
+        this.wallHandlers()
+      );
+    }
+
+    const manageWallsBtn = document.getElementById("manage-walls-btn");
+    if (manageWallsBtn) {
+      manageWallsBtn.addEventListener("click", () => this.manageWalls());
+    }
+
+    // Route card actions
+    const routesContainer = document.getElementById("routes-container");
+    if (routesContainer) {
+      routesContainer.addEventListener("click", (e) => {
+        const button = e.target.closest("[data-action]");
+        const routeCard = e.target.closest(".route-card");
+        if (!button || !routeCard) return;
+
+        this.handleRouteCardAction(
+          button.dataset.action,
+          parseInt(routeCard.dataset.routeId, 10)
+        );
+      });
+    }
+
+    // Search as the user types, once they pause
+    const searchInput = document.getElementById("route-search");
+    if (searchInput) {
+      searchInput.addEventListener("input", () => {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => this.renderRouteLibrary(), 200);
+      });
+    }
+
+    [
+      "route-filter-color",
+      "route-filter-gym",
+      "route-filter-sent",
+      "route-filter-archived",
+      "route-library-sort",
+    ].forEach((id) => {
+      document
+        .getElementById(id)
+        ?.addEventListener("change", () => this.renderRouteLibrary());
+    });
+
+    const archiveRoutesBtn = document.getElementById("archive-routes-btn");
+    if (archiveRoutesBtn) {
+      archiveRoutesBtn.addEventListener("click", () => this.archiveOldRoutes());
+    }
+
     // Save route button
     const saveRouteBtn = document.getElementById("save-route-btn");
     if (saveRouteBtn) {
@@ -60,6 +161,134 @@ export class RouteController {
     this.view.selectRouteColor(color);
   }
 
+  /**
+   * Handle a button click on a route card
+   */
+  handleRouteCardAction(action, routeId) {
+    if (action === "history") {
+      this.showRouteHistory(routeId);
+    } else if (action === "edit") {
+      this.editRoute(routeId);
+    } else if (action === "delete") {
+      this.deleteRoute(routeId);
+    } else if (action === "archive" || action === "unarchive") {
+      this.setRoutesArchived([routeId], action === "archive");
+    }
+  }
+
+  /**
+   * Show every attempt logged on a route with its send analytics
+   */
+  async showRouteHistory(routeId) {
+    try {
+      const route = await this.getRoute(routeId);
+      if (!route) {
+        this.view.showAlert("Route not found");
+        return;
+      }
+
+      if (!this.climbController) {
+        this.view.showAlert("Session data is not available");
+        return;
+      }
+
+      const analytics = this.climbController.model.getRouteAnalytics(route.id);
+      // The detail view is the one place lists open the full photo
+      this.view.showRouteDetail(
+        { ...route, gallery: this.getGalleryURLs(route) },
+        analytics
+      );
+    } catch (error) {
+      console.error("Error loading route history:", error);
+      this.view.showAlert("Error loading route history: " + error.message);
+    }
+  }
+
+  /**
+   * Handle gym change in the add route form
+   */
+  async handleRouteGymChange(typedGym) {
+    const gym = await this.gymModel.findGymName(typedGym);
+    this.view.setRouteGradeSystem(this.model.getDefaultGradeSystem(gym));
+    this.view.setRouteWalls(
+      gym ? await this.wallModel.getWallsForGym(gym) : []
+    );
+  }
+
+  /**
+   * Wall lookups for the route form and edit dialog
+   */
+  wallHandlers() {
+    return {
+      getWalls: async (gym) =>
+        this.wallModel.getWallsForGym(await this.gymModel.findGymName(gym)),
+      createWall: (gym) => this.createWall(gym),
+    };
+  }
+
+  /**
+   * Ask for a new wall at a gym and save it
+   * @returns {Promise<Object|null>} The saved wall, or null if cancelled
+   */
+  async createWall(gym) {
+    const wallData = await this.view.showWallDialog(gym);
+    if (!wallData) return null;
+
+    try {
+      return await this.wallModel.saveWall({
+        ...wallData,
+        gym: await this.gymModel.resolveGymName(gym),
+      });
+    } catch (error) {
+      console.error("Error saving wall:", error);
+      this.view.showAlert("Error saving wall: " + error.message);
+      return null;
+    }
+  }
+
+  /**
+   * List walls to rename, re-angle or delete them
+   */
+  async manageWalls() {
+    try {
+      const walls = await this.wallModel.getAllWalls();
+
+      this.view.showManageWallsDialog(walls, {
+        onSave: async (wallId, wallData) => {
+          try {
+            await this.wallModel.updateWall(wallId, wallData);
+            this.view.showSuccess("Wall saved");
+            await this.loadRoutes();
+            return true;
+          } catch (error) {
+            this.view.showAlert("Error saving wall: " + error.message);
+            return false;
+          }
+        },
+        onDelete: async (wallId) => {
+          if (
+            !(await this.view.showConfirm(
+              "Delete this wall? Its routes will no longer have a wall."
+            ))
+          ) {
+            return false;
+          }
+          try {
+            await this.wallModel.deleteWall(wallId);
+            await this.loadRoutes();
+            return true;
+          } catch (error) {
+            this.view.showAlert("Error deleting wall: " + error.message);
+            return false;
+          }
+        },
+      });
+    } catch (error) {
+      console.error("Error loading walls:", error);
+      this.view.showAlert("Error loading walls: " + error.message);
+    }
+  }
+
   /**
    * Save a new route
    */
@@ -73,8 +302,8 @@ export class RouteController {
 
       const formData = this.view.getRouteFormData();
 
-      if (!formData.image) {
-        this.view.showAlert("Please select an image for the route");
+      if (formData.images.length === 0) {
+        this.view.showAlert("Please select at least one photo of the route");
         return;
       }
 
@@ -82,22 +311,29 @@ export class RouteController {
         this.view.showAlert("Please enter a gym/location for the route");
         return;
       }
+      formData.gym = await this.gymModel.resolveGymName(formData.gym);
 
-      // Convert image to ArrayBuffer for IndexedDB storage
-      const imageArrayBuffer = await this.model.fileToArrayBuffer(
-        formData.image
+      const photos = await this.preparePhotos(
+        null,
+        formData.images.map((file) => ({ file, annotations: null }))
       );
 
       const routeData = {
         name: formData.name,
         color: this.selectedColor,
+        gradeSystem: formData.gradeSystem,
+        grade: formData.grade,
         gym: formData.gym,
         notes: formData.notes,
-        image: imageArrayBuffer,
+        photos,
+        setAt: formData.setAt,
+        wallId: formData.wallId,
+        tags: formData.tags,
       };
 
       // Save to IndexedDB
       await this.model.saveRoute(routeData);
+      this.model.setDefaultGradeSystem(formData.gym, formData.gradeSystem);
 
       this.view.showSuccess("Route saved successfully!");
       this.view.clearRouteForm();
@@ -117,21 +353,51 @@ export class RouteController {
   async loadRoutes() {
     try {
       const routes = await this.model.getAllRoutes();
+      this.routeCount = routes.length;
+      this.view.setRouteFilterOptions(routes);
+      this.view.setGymOptions(await this.gymModel.getAllGyms());
+
+      await this.renderRouteLibrary();
+
+      // The route selector and logged attempts resolve against the
+      // library, so they are refreshed along with it
+      if (this.climbController) {
+        await this.climbController.refreshViews();
+      }
+    } catch (error) {
+      console.error("Error loading routes:", error);
+    }
+  }
+
+  /**
+   * Show the routes matching the library's search, filters and sort
+   */
+  async renderRouteLibrary() {
+    try {
+      const summary =
+        this.climbController?.model.getRouteAttemptSummary() ?? new Map();
+      const routes = await this.model.queryRoutes(
+        this.view.getRouteQuery(),
+        summary
+      );
+      const walls = await this.wallModel.getAllWalls();
+      const wallsById = new Map(walls.map((wall) => [wall.id, wall]));
 
       // Create image URLs for display
       const routesWithUrls = routes.map((route) => ({
         ...route,
-        imageUrl: this.model.createImageURL(route),
+        imageUrl: this.thumbnailUrls.get(
+          route.id,
+          this.model.getImageVersion(route),
+          () => this.model.getThumbnailBlob(route)
+        ),
+        wall: wallsById.get(route.wallId) || null,
       }));
 
-      this.view.renderRoutes(routesWithUrls);
-
-      // Notify the main controller to refresh route selector
-      if (this.climbController) {
-        await this.climbController.loadRouteSelector();
-      }
+      this.view.renderRoutes(routesWithUrls, this.routeCount);
+      this.thumbnailUrls.retain(routes.map((route) => route.id));
     } catch (error) {
-      console.error("Error loading routes:", error);
+      console.error("Error searching routes:", error);
     }
   }
 
@@ -142,19 +408,33 @@ export class RouteController {
     try {
       if (
         !(await this.view.showConfirm(
-          "Are you sure you want to delete this route?"
+          "Move this route to the trash? You can restore it from Settings."
         ))
       ) {
         return;
       }
 
+      const before = await this.getRoute(routeId);
       await this.model.deleteRoute(routeId);
       this.view.removeRouteCard(routeId);
-      this.view.showSuccess("Route deleted successfully!");
+      this.forgetImageUrls(routeId);
+
+      commandHistory.record({
+        label: "Route moved to trash",
+        undo: async () => {
+          await this.model.restoreRoute(before);
+          await this.loadRoutes();
+        },
+        redo: async () => {
+          await this.model.deleteRoute(before.id);
+          await this.loadRoutes();
+        },
+      });
 
-      // Notify the main controller to refresh route selector
+      // Notify the main controller to refresh the route selector and
+      // re-resolve logged attempts against the changed routes
       if (this.climbController) {
-        await this.climbController.loadRouteSelector();
+        await this.climbController.refreshViews();
       }
     } catch (error) {
       console.error("Error deleting route:", error);
@@ -162,6 +442,99 @@ export class RouteController {
     }
   }
 
+  /**
+   * Archive or unarchive routes, offering to undo it
+   * @param {number[]} routeIds - Routes to change
+   * @param {boolean} archived - Whether to archive or unarchive them
+   */
+  async setRoutesArchived(routeIds, archived) {
+    try {
+      const before = (await this.model.getAllRoutes()).filter((route) =>
+        routeIds.includes(route.id)
+      );
+      const after = archived
+        ? await this.model.archiveRoutes(routeIds)
+        : await this.model.unarchiveRoutes(routeIds);
+      await this.loadRoutes();
+
+      const count = routeIds.length;
+      const noun = count === 1 ? "Route" : `${count} routes`;
+      commandHistory.record({
+        label: `${noun} ${archived ? "archived" : "unarchived"}`,
+        undo: async () => {
+          await this.model.restoreRoutes(before);
+          await this.loadRoutes();
+        },
+        redo: async () => {
+          await this.model.restoreRoutes(after);
+          await this.loadRoutes();
+        },
+      });
+    } catch (error) {
+      console.error("Error archiving routes:", error);
+      this.view.showAlert("Error archiving routes: " + error.message);
+    }
+  }
+
+  /**
+   * Archive every route at a gym set before a date, e.g. after a reset
+   */
+  async archiveOldRoutes() {
+    try {
+      const routes = await this.model.getAllRoutes();
+      const gyms = [
+        ...new Set(
+          getActiveRoutes(routes)
+            .map((route) => route.gym)
+            .filter(Boolean)
+        ),
+      ].sort((a, b) => a.localeCompare(b));
+
+      if (gyms.length === 0) {
+        this.view.showAlert("There are no routes to archive");
+        return;
+      }
+
+      const criteria = await this.view.showArchiveDialog(gyms, (gym) =>
+        this.wallModel.getWallsForGym(gym)
+      );
+      if (!criteria) return;
+      if (!criteria.setBefore) {
+        this.view.showAlert("Please pick a date");
+        return;
+      }
+
+      const wall =
+        criteria.wallId === null
+          ? null
+          : (await this.wallModel.getWallsForGym(criteria.gym)).find(
+              ({ id }) => id === criteria.wallId
+            );
+      const place = wall ? `${criteria.gym} (${wall.name})` : criteria.gym;
+
+      const matching = selectRoutesToArchive(routes, criteria);
+      if (matching.length === 0) {
+        this.view.showAlert(
+          `No routes at ${place} were set before ${criteria.setBefore.toLocaleDateString()}`
+        );
+        return;
+      }
+
+      const confirmed = await this.view.showConfirm(
+        `Archive ${matching.length} route${matching.length === 1 ? "" : "s"} at ${place} set before ${criteria.setBefore.toLocaleDateString()}?`
+      );
+      if (!confirmed) return;
+
+      await this.setRoutesArchived(
+        matching.map((route) => route.id),
+        true
+      );
+    } catch (error) {
+      console.error("Error archiving routes:", error);
+      this.view.showAlert("Error archiving routes: " + error.message);
+    }
+  }
+
   /**
    * Edit a route
    */
@@ -173,12 +546,16 @@ export class RouteController {
         this.view.showAlert("Route not found");
         return;
       }
+      const before = { ...route };
 
-      // Add image URL for display
-      route.imageUrl = this.model.createImageURL(route);
+      // Add photo URLs for display
+      route.gallery = this.getGalleryURLs(route);
 
       // Show edit dialog
-      const editData = await this.view.showEditDialog(route);
+      const editData = await this.view.showEditDialog(
+        route,
+        this.wallHandlers()
+      );
       if (!editData) {
         return; // User cancelled
       }
@@ -193,38 +570,124 @@ export class RouteController {
         this.view.showAlert("Please enter a gym/location for the route");
         return;
       }
+      editData.gym = await this.gymModel.resolveGymName(editData.gym);
 
       // Prepare update data
       const updateData = {
         name: editData.name,
         color: editData.color,
+        gradeSystem: editData.gradeSystem,
+        grade: editData.grade,
         gym: editData.gym,
         notes: editData.notes,
+        setAt: editData.setAt,
+        removedAt: editData.removedAt,
+        wallId: editData.wallId,
+        tags: editData.tags,
+        photos: await this.preparePhotos(route, editData.photos),
       };
 
-      // Handle image update if provided
-      if (editData.image) {
-        updateData.image = await this.model.fileToArrayBuffer(editData.image);
-      }
-
       // Update the route
-      await this.model.updateRoute(routeId, updateData);
-
-      this.view.showSuccess("Route updated successfully!");
+      const after = await this.model.updateRoute(routeId, updateData);
+      this.model.setDefaultGradeSystem(editData.gym, editData.gradeSystem);
+
+      commandHistory.record({
+        label: "Route updated",
+        undo: async () => {
+          await this.model.restoreRoute(before);
+          await this.loadRoutes();
+        },
+        redo: async () => {
+          await this.model.restoreRoute(after);
+          await this.loadRoutes();
+        },
+      });
 
-      // Refresh the routes list
+      // Refresh the routes list, and the session views with it
       await this.loadRoutes();
-
-      // Notify the main controller to refresh route selector
-      if (this.climbController) {
-        await this.climbController.loadRouteSelector();
-      }
     } catch (error) {
       console.error("Error editing route:", error);
       this.view.showAlert("Error updating route: " + error.message);
     }
   }
 
+  /**
+   * Turn the photos of a route form into the gallery to store. Photos
+   * already on the route are kept by id; picked files are shrunk, turned
+   * upright and cleaned of metadata, and get new ids.
+   * @param {Object|null} route - Route being edited, or null for a new one
+   * @param {Array<{id: number, file: File, annotations: Object|null}>}
+   *   entries - Photos in gallery order, each with an id or a file
+   * @returns {Promise<Array>} Photos for RouteModel
+   */
+  async preparePhotos(route, entries) {
+    const stored = getRoutePhotos(route);
+    let nextId = nextPhotoId(stored);
+    const photos = [];
+
+    for (const entry of entries) {
+      if (!entry.file) {
+        const photo = stored.find(({ id }) => id === entry.id);
+        if (photo) photos.push({ ...photo, annotations: entry.annotations });
+        continue;
+      }
+
+      const photo = await this.model.preparePhoto(entry.file);
+      photos.push({
+        id: nextId++,
+        image: photo.image,
+        type: photo.type,
+        thumbnail: photo.thumbnail,
+        // Anything drawn on a new photo was drawn at its picked size
+        annotations: photo.width
+          ? scaleAnnotations(entry.annotations, photo.width, photo.height)
+          : entry.annotations,
+      });
+    }
+
+    return photos;
+  }
+
+  /**
+   * URLs of a route's full photos, in gallery order. Only the most recently
+   * opened route keeps them.
+   * @returns {Array<{id: number, url: string|null, annotations: Object|null}>}
+   */
+  getGalleryURLs(route) {
+    const version = this.model.getImageVersion(route);
+    const gallery = getRoutePhotos(route).map((photo) => ({
+      id: photo.id,
+      annotations: photo.annotations || null,
+      url: this.photoUrls.get(photoKey(route.id, photo.id), version, () =>
+        this.model.getPhotoBlob(photo)
+      ),
+    }));
+    this.photoUrls.retain(gallery.map((photo) => photoKey(route.id, photo.id)));
+    return gallery;
+  }
+
+  /**
+   * Revoke every image URL made for a route, in the library and the route
+   * selector
+   */
+  forgetImageUrls(routeId) {
+    this.thumbnailUrls.delete(routeId);
+    this.photoUrls.retain(
+      this.photoUrls.keys().filter((key) => !key.startsWith(`${routeId}/`))
+    );
+    this.climbController?.thumbnailUrls.delete(routeId);
+  }
+
+  /**
+   * Revoke all image URLs, for when a restore may have replaced photos
+   * without changing their versions
+   */
+  clearImageUrls() {
+    this.thumbnailUrls.clear();
+    this.photoUrls.clear();
+    this.climbController?.thumbnailUrls.clear();
+  }
+
   /**
    * Get route by ID
    */
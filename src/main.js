@@ -2,9 +2,20 @@ import { ClimbModel } from "./models/ClimbModel.js";
 import { ClimbView } from "./views/ClimbView.js";
 import { ClimbController } from "./controllers/ClimbController.js";
 import { RouteModel } from "./models/RouteModel.js";
+import { WallModel } from "./models/WallModel.js";
+import { countGymReferences, findGym, GymModel } from "./models/GymModel.js";
 import { RouteView } from "./views/RouteView.js";
 import { RouteController } from "./controllers/RouteController.js";
+import { SettingsView } from "./views/SettingsView.js";
+import { TrashModel } from "./models/TrashModel.js";
 import { dialogUtils } from "./utils/DialogUtils.js";
+import { commandHistory } from "./utils/CommandHistory.js";
+import {
+  buildCsvImport,
+  CSV_IMPORT_FIELDS,
+  guessColumnMapping,
+  parseCsv,
+} from "./models/CsvImport.js";
 
 let app;
 
@@ -42,7 +53,7 @@ window.finishSession = async function () {
 
 window.clearSession = async function () {
   const confirmed = await dialogUtils.showConfirm(
-    "Are you sure you want to clear this session? This will permanently delete all unsaved climb data.",
+    "Are you sure you want to clear this session? All attempts logged in it will be removed.",
     "Clear Session"
   );
 
@@ -52,19 +63,36 @@ window.clearSession = async function () {
 };
 
 // Settings functions
+/**
+ * Save text content as a file through a temporary download link
+ */
+function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+const todayStamp = () => new Date().toISOString().split("T")[0];
+
 window.exportBackup = async function () {
   try {
-    const data = await app.model.exportData();
-    const blob = new Blob([data], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `climb-count-backup-${new Date().toISOString().split("T")[0]}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    const routes = await app.routeModel.getAllRoutes();
+    const data = await app.model.exportData(routes, {
+      walls: await app.wallModel.getAllWalls(),
+      gyms: await app.gymModel.getAllGyms(),
+    });
+    downloadFile(
+      data,
+      `climb-count-backup-${todayStamp()}.json`,
+      "application/json"
+    );
 
     dialogUtils.showSuccess("Backup exported successfully!");
   } catch (error) {
@@ -73,20 +101,60 @@ window.exportBackup = async function () {
   }
 };
 
+window.exportCsv = function (kind) {
+  try {
+    if (app.model.getSessions().length === 0) {
+      dialogUtils.showWarning("No finished sessions to export yet");
+      return;
+    }
+
+    const csv =
+      kind === "sessions"
+        ? app.model.exportSessionsCsv()
+        : app.model.exportAttemptsCsv();
+    downloadFile(
+      csv,
+      `climb-count-${kind}-${todayStamp()}.csv`,
+      "text/csv;charset=utf-8"
+    );
+
+    dialogUtils.showSuccess("CSV exported successfully!");
+  } catch (error) {
+    console.error("CSV export failed:", error);
+    dialogUtils.showError("Failed to export CSV: " + error.message);
+  }
+};
+
 window.importBackup = function () {
-  document.getElementById("restore-file-input").click();
+  const input = document.getElementById("restore-file-input");
+  input.dataset.mode = "replace";
+  input.click();
+};
+
+window.mergeBackup = function () {
+  const input = document.getElementById("restore-file-input");
+  input.dataset.mode = "merge";
+  input.click();
 };
 
 window.handleFileImport = async function (event) {
   const file = event.target.files[0];
   if (!file) return;
 
+  if (event.target.dataset.mode === "merge") {
+    await handleMergeImport(event, file);
+    return;
+  }
+
   try {
     const text = await file.text();
     await app.model.importData(text);
+    await syncGyms();
+    // Restored photos can reuse the ids and versions of the ones they replace
+    app.routeController.clearImageUrls();
 
-    // Refresh all views
-    await app.controller.refreshViews();
+    // Reloads the route library, which refreshes the session views too
+    await app.routeController.loadRoutes();
 
     dialogUtils.showSuccess("Backup imported successfully!");
     event.target.value = ""; // Clear file input
@@ -97,6 +165,260 @@ window.handleFileImport = async function (event) {
   }
 };
 
+async function handleMergeImport(event, file) {
+  try {
+    const text = await file.text();
+    const routes = await app.routeModel.getAllRoutes();
+    const walls = await app.wallModel.getAllWalls();
+    const { plan } = app.model.previewMerge(text, routes, walls);
+
+    const resolutions = await app.settingsView.showMergePreview(plan);
+    if (!resolutions) return;
+
+    await app.model.applyMerge(plan, resolutions);
+    await syncGyms();
+    app.routeController.clearImageUrls();
+    await app.routeController.loadRoutes();
+
+    dialogUtils.showSuccess("Backup merged successfully!");
+  } catch (error) {
+    console.error("Merge failed:", error);
+    dialogUtils.showError("Failed to merge backup: " + error.message);
+  } finally {
+    event.target.value = ""; // Clear file input
+  }
+}
+
+window.importCsv = function () {
+  document.getElementById("csv-file-input").click();
+};
+
+window.handleCsvImport = async function (event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  try {
+    const [headers, ...rows] = parseCsv(await file.text());
+    if (!headers || rows.length === 0) {
+      dialogUtils.showError("The CSV file has no rows to import");
+      return;
+    }
+
+    const columns = await app.settingsView.showCsvMapping(
+      headers,
+      guessColumnMapping(headers),
+      rows
+    );
+    if (!columns) return;
+
+    const missing = CSV_IMPORT_FIELDS.filter(
+      (field) => field.required && columns.mapping[field.id] === undefined
+    );
+    if (missing.length > 0) {
+      dialogUtils.showError(
+        `Choose a column for ${missing.map((field) => field.label).join(" and ")}`
+      );
+      return;
+    }
+
+    const plan = buildCsvImport(rows, columns.mapping, {
+      routes: await app.routeModel.getAllRoutes(),
+      defaultGym: columns.defaultGym,
+      getDefaultGradeSystem: (gym) => app.routeModel.getDefaultGradeSystem(gym),
+    });
+    if (plan.sessions.length === 0) {
+      dialogUtils.showError(
+        `No rows could be imported: ${plan.problems[0].message}`
+      );
+      return;
+    }
+
+    if (!(await app.settingsView.showCsvImportPreview(plan))) return;
+
+    // New routes are written with the sessions, so a failed import adds
+    // neither
+    const sessions = await app.model.importCsvSessions(
+      plan.sessions,
+      plan.routes.map((entry) =>
+        entry.isNew
+          ? { ...entry, route: app.routeModel.createRouteRecord(entry.route) }
+          : entry
+      )
+    );
+
+    await syncGyms();
+
+    // Reloads the route library, which refreshes the session views too
+    await app.routeController.loadRoutes();
+
+    dialogUtils.showSuccess(`Imported ${sessions.length} sessions from CSV`);
+  } catch (error) {
+    console.error("CSV import failed:", error);
+    dialogUtils.showError("Failed to import CSV: " + error.message);
+  } finally {
+    event.target.value = ""; // Clear file input
+  }
+};
+
+/**
+ * Add gyms for names not in the gyms store yet and fold spellings that
+ * differ only in case or spacing into one, reloading sessions it rewrote
+ */
+async function syncGyms() {
+  try {
+    const changes = await app.gymModel.syncGyms();
+    if (changes.sessions > 0 || changes.drafts > 0) {
+      await app.model.loadSessions();
+      await app.model.loadDraft();
+    }
+  } catch (error) {
+    console.error("Gym sync failed:", error);
+  }
+}
+
+window.refreshGyms = async function () {
+  try {
+    const gyms = await app.gymModel.getAllGyms();
+    const routes = await app.routeModel.getAllRoutes();
+    app.settingsView.renderGyms(
+      gyms,
+      countGymReferences(gyms, routes, app.model.getSessions())
+    );
+  } catch (error) {
+    console.error("Failed to load gyms:", error);
+  }
+};
+
+window.renameGym = async function (id) {
+  const gyms = await app.gymModel.getAllGyms();
+  const gym = gyms.find((other) => other.id === id);
+  if (!gym) return;
+
+  const newName = await app.settingsView.showRenameGymDialog(gym);
+  if (!newName || newName.trim() === gym.name) return;
+
+  const target = findGym(
+    gyms.filter((other) => other.id !== id),
+    newName
+  );
+  if (
+    target &&
+    !(await dialogUtils.showConfirm(
+      `Merge ${gym.name} into ${target.name}? Its routes, sessions and walls will move to ${target.name}, and ${gym.name} will be kept as another name for it.`,
+      "Merge Gyms"
+    ))
+  ) {
+    return;
+  }
+
+  try {
+    const result = await app.gymModel.renameGym(id, newName);
+    app.routeModel.renameGymGradeSystem(
+      [gym.name, ...(gym.aliases || [])],
+      result.gym.name
+    );
+
+    await app.model.loadSessions();
+    await app.model.loadDraft();
+    // Reloads the route library, which refreshes the session views too
+    await app.routeController.loadRoutes();
+
+    const updated = `${result.routes} route${result.routes === 1 ? "" : "s"} and ${result.sessions} session${result.sessions === 1 ? "" : "s"} updated`;
+    dialogUtils.showSuccess(
+      result.merged
+        ? `Merged ${gym.name} into ${result.gym.name}: ${updated}`
+        : `Renamed ${gym.name} to ${result.gym.name}: ${updated}`
+    );
+  } catch (error) {
+    console.error("Renaming gym failed:", error);
+    dialogUtils.showError("Failed to rename gym: " + error.message);
+  } finally {
+    await window.refreshGyms();
+  }
+};
+
+window.refreshTrash = async function () {
+  try {
+    const records = await app.trashModel.list();
+    app.settingsView.renderTrash(records, app.trashModel.getRetentionDays());
+  } catch (error) {
+    console.error("Failed to load trash:", error);
+  }
+};
+
+window.restoreFromTrash = async function (id) {
+  try {
+    const record = await app.trashModel.restore(id);
+
+    if (record.type === "session") {
+      await app.model.loadSessions();
+      app.controller.refreshAfterSessionChange();
+    } else {
+      await app.routeController.loadRoutes();
+    }
+
+    dialogUtils.showSuccess(
+      record.type === "session" ? "Session restored" : "Route restored"
+    );
+  } catch (error) {
+    console.error("Restore from trash failed:", error);
+    dialogUtils.showError("Failed to restore: " + error.message);
+  } finally {
+    await window.refreshTrash();
+  }
+};
+
+window.emptyTrash = async function () {
+  const count = (await app.trashModel.list()).length;
+  if (count === 0) return;
+
+  const confirmed = await dialogUtils.showConfirm(
+    `Permanently delete ${count} item${count === 1 ? "" : "s"} in the trash? This cannot be undone.`,
+    "Empty Trash"
+  );
+  if (!confirmed) return;
+
+  try {
+    await app.trashModel.empty();
+    dialogUtils.showSuccess("Trash emptied");
+  } catch (error) {
+    console.error("Emptying trash failed:", error);
+    dialogUtils.showError("Failed to empty trash: " + error.message);
+  } finally {
+    await window.refreshTrash();
+  }
+};
+
+/**
+ * Shrink photos stored before they were compressed on save, then reload the
+ * library so it picks up their thumbnails
+ */
+async function shrinkStoredPhotos() {
+  try {
+    const shrunk = await app.routeModel.shrinkStoredPhotos();
+    if (shrunk > 0) {
+      console.log(`Shrunk ${shrunk} stored route photo(s)`);
+      await app.routeController.loadRoutes();
+    }
+  } catch (error) {
+    console.error("Shrinking stored photos failed:", error);
+  }
+}
+
+/**
+ * Permanently delete trashed items older than the retention period
+ */
+async function purgeExpiredTrash() {
+  try {
+    const purged = await app.trashModel.purgeExpired();
+    if (purged > 0) {
+      console.log(`Purged ${purged} expired item(s) from the trash`);
+    }
+  } catch (error) {
+    console.error("Trash purge failed:", error);
+  }
+}
+
 window.checkStorageStatus = async function () {
   const statusElement = document.getElementById("storage-status");
   if (!statusElement) return;
@@ -135,8 +457,18 @@ document.addEventListener("DOMContentLoaded", async function () {
   const controller = new ClimbController(model, view);
 
   const routeModel = new RouteModel();
+  const wallModel = new WallModel();
   const routeView = new RouteView();
-  const routeController = new RouteController(routeModel, routeView);
+  const gymModel = new GymModel();
+  const routeController = new RouteController(
+    routeModel,
+    routeView,
+    wallModel,
+    gymModel
+  );
+
+  const settingsView = new SettingsView();
+  const trashModel = new TrashModel();
 
   // Set up dependencies
   controller.routeController = routeController;
@@ -147,12 +479,20 @@ document.addEventListener("DOMContentLoaded", async function () {
     view,
     controller,
     routeModel,
+    wallModel,
+    gymModel,
     routeView,
     routeController,
+    settingsView,
+    trashModel,
   };
 
   // Initialize app
+  await syncGyms();
   await controller.initializeApp();
+  await purgeExpiredTrash();
+  // Runs in the background so a large library doesn't hold up startup
+  shrinkStoredPhotos();
 
   // Load routes if we're starting on the log tab (page refresh)
   const activeTab = document.querySelector(".tab.active");
@@ -162,11 +502,13 @@ document.addEventListener("DOMContentLoaded", async function () {
 
   // Setup settings event listeners
   setupSettingsListeners();
+  setupUndoShortcuts();
 
   // Register Service Worker for PWA functionality
   if ("serviceWorker" in navigator) {
     window.addEventListener("load", function () {
-      navigator.serviceWorker.register("/sw.js").then(
+      // Module worker so it can share the database layer with the app
+      navigator.serviceWorker.register("/sw.js", { type: "module" }).then(
         function (registration) {
           console.log(
             "ServiceWorker registration successful with scope: ",
@@ -214,11 +556,45 @@ async function showUpdateNotification() {
   }
 }
 
+// Ctrl/Cmd+Z undoes the last action, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes it.
+// Text fields keep their own undo.
+function setupUndoShortcuts() {
+  document.addEventListener("keydown", (e) => {
+    if (
+      !(e.ctrlKey || e.metaKey) ||
+      e.target.closest?.("input, textarea, select")
+    ) {
+      return;
+    }
+
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) {
+      e.preventDefault();
+      commandHistory.undo();
+    } else if ((key === "z" && e.shiftKey) || key === "y") {
+      e.preventDefault();
+      commandHistory.redo();
+    }
+  });
+}
+
 // Setup settings event listeners
 function setupSettingsListeners() {
   const backupBtn = document.getElementById("backup-btn");
   const restoreBtn = document.getElementById("restore-btn");
+  const mergeBtn = document.getElementById("merge-btn");
   const restoreFileInput = document.getElementById("restore-file-input");
+  const attemptsCsvBtn = document.getElementById("export-attempts-csv-btn");
+  const sessionsCsvBtn = document.getElementById("export-sessions-csv-btn");
+  const importCsvBtn = document.getElementById("import-csv-btn");
+  const csvFileInput = document.getElementById("csv-file-input");
+  const gymList = document.getElementById("gym-list");
+  const trashList = document.getElementById("trash-list");
+  const emptyTrashBtn = document.getElementById("empty-trash-btn");
+  const retentionInput = document.getElementById("trash-retention-days");
+  const photoInputs = ["photo-max-width", "photo-max-height", "photo-quality"]
+    .map((id) => document.getElementById(id))
+    .filter(Boolean);
 
   if (backupBtn) {
     backupBtn.addEventListener("click", window.exportBackup);
@@ -228,10 +604,80 @@ function setupSettingsListeners() {
     restoreBtn.addEventListener("click", window.importBackup);
   }
 
+  if (mergeBtn) {
+    mergeBtn.addEventListener("click", window.mergeBackup);
+  }
+
   if (restoreFileInput) {
     restoreFileInput.addEventListener("change", window.handleFileImport);
   }
 
+  if (importCsvBtn) {
+    importCsvBtn.addEventListener("click", window.importCsv);
+  }
+
+  if (csvFileInput) {
+    csvFileInput.addEventListener("change", window.handleCsvImport);
+  }
+
+  if (attemptsCsvBtn) {
+    attemptsCsvBtn.addEventListener("click", () =>
+      window.exportCsv("attempts")
+    );
+  }
+
+  if (sessionsCsvBtn) {
+    sessionsCsvBtn.addEventListener("click", () =>
+      window.exportCsv("sessions")
+    );
+  }
+
+  if (gymList) {
+    gymList.addEventListener("click", (e) => {
+      const button = e.target.closest(".rename-gym-btn");
+      if (button) {
+        window.renameGym(Number(button.dataset.gymId));
+      }
+    });
+  }
+
+  if (trashList) {
+    trashList.addEventListener("click", (e) => {
+      const button = e.target.closest(".restore-trash-btn");
+      if (button) {
+        window.restoreFromTrash(button.dataset.trashId);
+      }
+    });
+  }
+
+  if (emptyTrashBtn) {
+    emptyTrashBtn.addEventListener("click", window.emptyTrash);
+  }
+
+  if (retentionInput) {
+    retentionInput.addEventListener("change", async () => {
+      try {
+        app.trashModel.setRetentionDays(retentionInput.value);
+        await purgeExpiredTrash();
+      } catch (error) {
+        dialogUtils.showError(error.message);
+      }
+      await window.refreshTrash();
+    });
+  }
+
+  app.settingsView.renderPhotoSettings(app.routeModel.getPhotoSettings());
+  photoInputs.forEach((input) => {
+    input.addEventListener("change", () => {
+      try {
+        app.routeModel.setPhotoSettings(app.settingsView.getPhotoSettings());
+      } catch (error) {
+        dialogUtils.showError(error.message);
+      }
+      app.settingsView.renderPhotoSettings(app.routeModel.getPhotoSettings());
+    });
+  });
+
   // Check storage status when settings tab is opened
   const tabs = document.querySelectorAll(".tab");
   tabs.forEach((tab) => {
@@ -0,0 +1,226 @@
+/**
+ * Backup file format
+ *
+ * A backup holds every store: finished sessions, the in-progress draft, the
+ * route library, the walls routes are assigned to and the gym list. Route
+ * photos are base64-encoded, so a backup survives being written as JSON or
+ * packed into a zip container.
+ *
+ * Backups written before this format carry no `format` field and only have
+ * `sessions` and `currentSession`; parseBackup reads both shapes.
+ */
+
+import { validateBackup } from "./BackupValidator.js";
+import { getSearchTerms } from "./RouteQuery.js";
+import { normalizeTags } from "./RouteTags.js";
+import {
+  getRoutePhotos,
+  normalizePhotos,
+  toPhotoGallery,
+} from "./RoutePhotos.js";
+import { detectImageType } from "../utils/ImageMetadata.js";
+
+export const BACKUP_FORMAT = "climb-count-backup";
+export const BACKUP_VERSION = 3;
+
+// Version assigned to backups that predate the `format` field
+const LEGACY_BACKUP_VERSION = 1;
+
+// Problems listed in the error message before summarizing the rest
+const MAX_REPORTED_ERRORS = 5;
+
+// Bytes per String.fromCharCode call, to stay under the argument limit
+const ENCODE_CHUNK_SIZE = 0x8000;
+
+/**
+ * Encode a stored route image as base64 text
+ * @param {ArrayBuffer|Blob} image - Image as stored on the route
+ * @param {string} [type] - Its MIME type, if known
+ * @returns {Promise<{encoding: string, type: string, data: string}|null>}
+ */
+export async function encodeImage(image, type = null) {
+  if (!image) return null;
+
+  const isBlob = typeof Blob !== "undefined" && image instanceof Blob;
+  const buffer = isBlob ? await image.arrayBuffer() : image;
+  if (!(buffer instanceof ArrayBuffer) && !ArrayBuffer.isView(buffer)) {
+    return null;
+  }
+
+  const bytes = ArrayBuffer.isView(buffer)
+    ? new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+    : new Uint8Array(buffer);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += ENCODE_CHUNK_SIZE) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + ENCODE_CHUNK_SIZE));
+  }
+
+  return {
+    encoding: "base64",
+    type:
+      type || (isBlob && image.type) || detectImageType(bytes) || "image/jpeg",
+    data: btoa(binary),
+  };
+}
+
+/**
+ * Decode an image written by encodeImage back into an ArrayBuffer
+ */
+export function decodeImage(encoded) {
+  if (!encoded || encoded.encoding !== "base64" || !encoded.data) {
+    return null;
+  }
+
+  const binary = atob(encoded.data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+async function encodePhoto({ thumbnail, ...photo }) {
+  return {
+    ...photo,
+    image: await encodeImage(photo.image, photo.type),
+    ...(thumbnail ? { thumbnail: await encodeImage(thumbnail) } : {}),
+  };
+}
+
+/**
+ * Build a backup from the contents of each store
+ * @param {Object} data
+ * @param {Array} data.sessions - Finished sessions
+ * @param {Array} data.drafts - Draft records, keyed by id
+ * @param {Array} data.routes - Routes with their stored images
+ * @param {Array} data.walls - Walls within gyms
+ * @param {Array} data.gyms - Gyms with their aliases
+ * @param {number} data.schemaVersion - Database version the data came from
+ */
+export async function createBackup({
+  sessions = [],
+  drafts = [],
+  routes = [],
+  walls = [],
+  gyms = [],
+  schemaVersion = null,
+}) {
+  const encodedRoutes = await Promise.all(
+    routes.map(async (route) => ({
+      ...route,
+      photos: await Promise.all(getRoutePhotos(route).map(encodePhoto)),
+    }))
+  );
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schemaVersion,
+    timestamp: new Date().toISOString(),
+    sessions,
+    drafts,
+    routes: encodedRoutes,
+    walls,
+    gyms,
+  };
+}
+
+/**
+ * Read a backup in any supported format. The backup is validated first and
+ * rejected as a whole if anything is wrong. `routes` is null when the backup
+ * has no route library, so callers leave the stored routes alone; the same
+ * goes for `walls` and `gyms`.
+ * @param {string|Object} input - Backup JSON or its parsed object
+ * @returns {{version: number, sessions: Array|null, drafts: Array|null,
+ *   routes: Array|null, walls: Array|null, gyms: Array|null}}
+ */
+export function parseBackup(input) {
+  let data = input;
+  if (typeof input === "string") {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      throw new Error("Backup file is not valid JSON");
+    }
+  }
+
+  const errors = validateBackup(data, {
+    name: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+  });
+  if (errors.length > 0) {
+    const reported = errors.slice(0, MAX_REPORTED_ERRORS).join("; ");
+    const remaining = errors.length - MAX_REPORTED_ERRORS;
+    throw new Error(
+      remaining > 0 ? `${reported}; and ${remaining} more problems` : reported
+    );
+  }
+
+  if (data.format !== BACKUP_FORMAT) {
+    return parseLegacyBackup(data);
+  }
+
+  return {
+    version: data.version,
+    sessions: data.sessions || [],
+    drafts: data.drafts || [],
+    routes: (data.routes || []).map(decodeRoute),
+    walls: data.walls || null,
+    gyms: data.gyms || null,
+  };
+}
+
+function parseLegacyBackup(data) {
+  // App exports used `currentSession`; service worker exports used `drafts`
+  let drafts = data.drafts || null;
+  if (data.currentSession) {
+    drafts = [
+      {
+        ...data.currentSession,
+        id: "current",
+        sessionId: data.currentSession.id,
+      },
+    ];
+  }
+
+  return {
+    version: LEGACY_BACKUP_VERSION,
+    sessions: data.sessions || null,
+    drafts,
+    routes: data.routes ? data.routes.map(decodeRoute) : null,
+    walls: null,
+    gyms: null,
+  };
+}
+
+function decodePhoto({ thumbnail, ...photo }) {
+  // Images in legacy service worker exports were serialized as "{}"
+  const image = decodeImage(photo.image);
+
+  return {
+    ...photo,
+    image,
+    // Older backups labelled every image as JPEG, so the type is read from
+    // the image when the photo didn't store one
+    type: photo.type || detectImageType(image),
+    // Photos restored without a thumbnail get one when they are shrunk
+    ...(thumbnail ? { thumbnail: decodeImage(thumbnail) } : {}),
+  };
+}
+
+function decodeRoute(backedUp) {
+  // Backups written before galleries have a single photo on the route
+  const route = toPhotoGallery(backedUp);
+
+  return {
+    ...route,
+    photos: normalizePhotos(route.photos.map(decodePhoto)),
+    createdAt: route.createdAt ? new Date(route.createdAt) : new Date(),
+    // Routes backed up before set and removed dates existed have neither
+    ...(route.setAt ? { setAt: new Date(route.setAt) } : {}),
+    ...(route.removedAt ? { removedAt: new Date(route.removedAt) } : {}),
+    // Older backups predate the search index
+    searchTerms: getSearchTerms(route),
+    tags: normalizeTags(route.tags),
+  };
+}
@@ -0,0 +1,369 @@
+/**
+ * Merging a backup into local data
+ *
+ * Sessions, attempts and routes are matched by id. Records only in the
+ * backup are added, identical records are skipped as duplicates, and
+ * sessions whose attempts don't overlap are combined. Anything edited on
+ * both sides is a conflict the user resolves as keep-local, keep-imported
+ * or keep-both.
+ *
+ * Wall ids are assigned by each device, so walls are matched by gym and
+ * name instead. Walls only in the backup are added, and the backup's routes
+ * and route snapshots are pointed at the local wall ids before comparing.
+ */
+
+export const MERGE_RESOLUTIONS = Object.freeze({
+  local: "local",
+  imported: "imported",
+  both: "both",
+});
+
+// Fields that are derived or binary and don't count as edits
+const IGNORED_ATTEMPT_FIELDS = ["routeSnapshot"];
+const IGNORED_ROUTE_FIELDS = [
+  "photos",
+  "imageVersion",
+  "imageUrl",
+  "updatedAt",
+];
+
+/**
+ * Serialize a record for comparison, with dates as ISO strings and keys in
+ * a stable order
+ */
+function toComparable(record, ignoredFields = []) {
+  const plain = JSON.parse(JSON.stringify(record));
+  ignoredFields.forEach((field) => delete plain[field]);
+
+  return JSON.stringify(plain, (key, value) =>
+    value && typeof value === "object" && !Array.isArray(value)
+      ? Object.fromEntries(
+          Object.keys(value)
+            .sort()
+            .map((k) => [k, value[k]])
+        )
+      : value
+  );
+}
+
+function sameAttempt(a, b) {
+  return (
+    toComparable(a, IGNORED_ATTEMPT_FIELDS) ===
+    toComparable(b, IGNORED_ATTEMPT_FIELDS)
+  );
+}
+
+function sameSessionDetails(a, b) {
+  return (
+    toComparable({ ...a, attempts: null }) ===
+    toComparable({ ...b, attempts: null })
+  );
+}
+
+const nextId = (records) =>
+  records.reduce(
+    (max, record) =>
+      typeof record.id === "number" ? Math.max(max, record.id) : max,
+    0
+  ) + 1;
+
+// Walls are the same if their gym and name match, in any case
+const wallKey = (wall) =>
+  [wall.gym, wall.name]
+    .map((value) =>
+      String(value ?? "")
+        .trim()
+        .toLowerCase()
+    )
+    .join("|");
+
+/**
+ * Match the backup's walls to local ones, giving walls only in the backup
+ * ids after the local walls
+ * @returns {{added: Array, ids: Map}} Walls to add, and the local wall id
+ *   for each wall id in the backup
+ */
+function planWalls(localWalls, importedWalls) {
+  const byKey = new Map(localWalls.map((wall) => [wallKey(wall), wall]));
+  const added = [];
+  const ids = new Map();
+  let wallId = nextId(localWalls);
+
+  importedWalls.forEach((wall) => {
+    let match = byKey.get(wallKey(wall));
+    if (!match) {
+      match = { ...wall, id: wallId++ };
+      added.push(match);
+      byKey.set(wallKey(wall), match);
+    }
+    ids.set(wall.id, match.id);
+  });
+
+  return { added, ids };
+}
+
+/**
+ * Key identifying a conflict in the resolutions map
+ */
+export function conflictKey(conflict) {
+  return `${conflict.type}:${conflict.id}`;
+}
+
+/**
+ * Compare one imported session with the local session of the same id
+ */
+function classifySession(local, imported) {
+  if (!sameSessionDetails(local, imported)) {
+    return "conflict";
+  }
+
+  const localAttempts = new Map(local.attempts.map((a) => [a.id, a]));
+  let hasNewAttempts = false;
+
+  for (const attempt of imported.attempts) {
+    const match = localAttempts.get(attempt.id);
+    if (!match) {
+      hasNewAttempts = true;
+    } else if (!sameAttempt(match, attempt)) {
+      return "conflict";
+    }
+  }
+
+  return hasNewAttempts ? "updated" : "duplicate";
+}
+
+/**
+ * Work out what merging a backup would change, without changing anything
+ * @param {Object} local - `{ sessions, routes, walls, currentSession }` on
+ *   this device
+ * @param {Object} imported - `{ sessions, routes, walls, draft }` from the
+ *   backup
+ */
+export function planMerge(local, imported) {
+  const walls = planWalls(local.walls || [], imported.walls || []);
+
+  // Wall ids the backup has no wall for can't be mapped and are cleared
+  const remapWallId = (wallId) => walls.ids.get(wallId) ?? null;
+  const remapRoute = (route) =>
+    route.wallId == null
+      ? route
+      : { ...route, wallId: remapWallId(route.wallId) };
+  const remapSnapshot = (attempt) => {
+    if (!attempt.routeSnapshot?.wallId) return attempt;
+
+    const { wallId, ...snapshot } = attempt.routeSnapshot;
+    const localId = remapWallId(wallId);
+    return {
+      ...attempt,
+      routeSnapshot: localId ? { ...snapshot, wallId: localId } : snapshot,
+    };
+  };
+  const remapSession = (session) => {
+    const attempts = session.attempts.map(remapSnapshot);
+    return attempts.every((attempt, i) => attempt === session.attempts[i])
+      ? session
+      : { ...session, attempts };
+  };
+
+  const plan = {
+    sessions: { added: [], updated: [], duplicates: 0, conflicts: [] },
+    routes: { added: [], duplicates: 0, conflicts: [] },
+    walls: { added: walls.added },
+    draft: null,
+    // Ids already taken, for records kept alongside a local copy
+    localSessions: local.currentSession
+      ? [...local.sessions, local.currentSession]
+      : local.sessions,
+    localRoutes: local.routes,
+  };
+
+  const localSessions = new Map(local.sessions.map((s) => [s.id, s]));
+  imported.sessions.map(remapSession).forEach((session) => {
+    const match = localSessions.get(session.id);
+    if (!match) {
+      plan.sessions.added.push(session);
+      return;
+    }
+
+    const status = classifySession(match, session);
+    if (status === "duplicate") {
+      plan.sessions.duplicates++;
+    } else if (status === "updated") {
+      plan.sessions.updated.push({ local: match, imported: session });
+    } else {
+      plan.sessions.conflicts.push({
+        type: "session",
+        id: session.id,
+        local: match,
+        imported: session,
+      });
+    }
+  });
+
+  const localRoutes = new Map(local.routes.map((r) => [r.id, r]));
+  imported.routes.map(remapRoute).forEach((route) => {
+    const match = localRoutes.get(route.id);
+    if (!match) {
+      plan.routes.added.push(route);
+    } else if (
+      toComparable(match, IGNORED_ROUTE_FIELDS) ===
+      toComparable(route, IGNORED_ROUTE_FIELDS)
+    ) {
+      plan.routes.duplicates++;
+    } else {
+      plan.routes.conflicts.push({
+        type: "route",
+        id: route.id,
+        local: match,
+        imported: route,
+      });
+    }
+  });
+
+  // Never overwrite a session that is in progress on this device
+  if (imported.draft && !local.currentSession) {
+    plan.draft = remapSession(imported.draft);
+  }
+
+  return plan;
+}
+
+/**
+ * All conflicts in a plan, routes first since sessions refer to them
+ */
+export function getConflicts(plan) {
+  return [...plan.routes.conflicts, ...plan.sessions.conflicts];
+}
+
+/**
+ * Summarize a plan for the preview, e.g. "12 new sessions, 3 conflicts"
+ */
+export function summarizeMerge(plan) {
+  const plural = (count, noun) => `${count} ${noun}${count === 1 ? "" : "s"}`;
+  const parts = [];
+
+  if (plan.sessions.added.length) {
+    parts.push(plural(plan.sessions.added.length, "new session"));
+  }
+  if (plan.sessions.updated.length) {
+    parts.push(plural(plan.sessions.updated.length, "updated session"));
+  }
+  if (plan.routes.added.length) {
+    parts.push(plural(plan.routes.added.length, "new route"));
+  }
+  if (plan.walls.added.length) {
+    parts.push(plural(plan.walls.added.length, "new wall"));
+  }
+
+  const duplicates = plan.sessions.duplicates + plan.routes.duplicates;
+  if (duplicates) {
+    parts.push(`${plural(duplicates, "duplicate")} skipped`);
+  }
+
+  const conflicts = getConflicts(plan).length;
+  if (conflicts) {
+    parts.push(plural(conflicts, "conflict"));
+  }
+
+  return parts.length ? parts.join(", ") : "Nothing new to import";
+}
+
+/**
+ * Apply the user's choices to a plan and return the records to write
+ * @param {Object} plan - Result of planMerge
+ * @param {Object} resolutions - Resolution per conflictKey; keep-local by default
+ * @returns {{sessions: Array, routes: Array, walls: Array,
+ *   draft: Object|null}}
+ */
+export function resolveMerge(plan, resolutions = {}) {
+  const resolutionFor = (conflict) =>
+    resolutions[conflictKey(conflict)] || MERGE_RESOLUTIONS.local;
+
+  const routes = [...plan.routes.added];
+  const routeIds = new Map();
+  let routeId = nextId([
+    ...plan.localRoutes,
+    ...plan.routes.added,
+    ...plan.routes.conflicts.map((conflict) => conflict.imported),
+  ]);
+
+  plan.routes.conflicts.forEach((conflict) => {
+    const resolution = resolutionFor(conflict);
+    if (resolution === MERGE_RESOLUTIONS.imported) {
+      routes.push(conflict.imported);
+    } else if (resolution === MERGE_RESOLUTIONS.both) {
+      // Keep the imported route as a new route and point its attempts there
+      routes.push({ ...conflict.imported, id: routeId });
+      routeIds.set(conflict.id, routeId);
+      routeId++;
+    }
+  });
+
+  const remapAttempt = (attempt) =>
+    routeIds.has(attempt.routeId)
+      ? { ...attempt, routeId: routeIds.get(attempt.routeId) }
+      : attempt;
+  const remapSession = (session) => ({
+    ...session,
+    attempts: session.attempts.map(remapAttempt),
+  });
+
+  const sessions = plan.sessions.added.map(remapSession);
+
+  plan.sessions.updated.forEach(({ local, imported }) => {
+    const localIds = new Set(local.attempts.map((attempt) => attempt.id));
+    const newAttempts = imported.attempts
+      .filter((attempt) => !localIds.has(attempt.id))
+      .map(remapAttempt);
+
+    sessions.push({
+      ...local,
+      attempts: [...local.attempts, ...newAttempts].sort(
+        (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
+      ),
+    });
+  });
+
+  let sessionId = nextId([
+    ...plan.localSessions,
+    ...plan.sessions.added,
+    ...plan.sessions.conflicts.map((conflict) => conflict.imported),
+  ]);
+
+  // The local session keeps the attempt ids of one kept as both, so the
+  // copy's attempts are renumbered like its id
+  let attemptId = nextId(
+    [
+      ...plan.localSessions,
+      ...plan.sessions.added,
+      ...plan.sessions.updated.map(({ imported }) => imported),
+      ...plan.sessions.conflicts.map((conflict) => conflict.imported),
+      ...(plan.draft ? [plan.draft] : []),
+    ].flatMap((session) => session.attempts || [])
+  );
+
+  plan.sessions.conflicts.forEach((conflict) => {
+    const resolution = resolutionFor(conflict);
+    if (resolution === MERGE_RESOLUTIONS.imported) {
+      sessions.push(remapSession(conflict.imported));
+    } else if (resolution === MERGE_RESOLUTIONS.both) {
+      const copy = remapSession(conflict.imported);
+      sessions.push({
+        ...copy,
+        id: sessionId,
+        attempts: copy.attempts.map((attempt) => ({
+          ...attempt,
+          id: attemptId++,
+        })),
+      });
+      sessionId++;
+    }
+  });
+
+  return {
+    sessions,
+    routes,
+    walls: plan.walls.added,
+    draft: plan.draft ? remapSession(plan.draft) : null,
+  };
+}
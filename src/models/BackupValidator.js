@@ -0,0 +1,285 @@
+import { getGradeSystem } from "./GradeSystems.js";
+import { getSendStyle } from "./SendStyles.js";
+
+/**
+ * Schema checks for backup files
+ *
+ * Runs on the parsed JSON before anything is written, so a malformed file or
+ * one from another app is rejected as a whole with a list of what is wrong.
+ */
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isValidDate = (value) =>
+  (typeof value === "string" ||
+    typeof value === "number" ||
+    value instanceof Date) &&
+  !Number.isNaN(new Date(value).getTime());
+
+const isId = (value) =>
+  (typeof value === "number" && Number.isFinite(value)) ||
+  (typeof value === "string" && value !== "");
+
+function validateAttempt(attempt, path, errors) {
+  if (!isObject(attempt)) {
+    errors.push(`${path} is not an object`);
+    return;
+  }
+
+  if (!isId(attempt.id)) {
+    errors.push(`${path} is missing an id`);
+  }
+  if (!isValidDate(attempt.timestamp)) {
+    errors.push(`${path}.timestamp is not a valid date`);
+  }
+  if (typeof attempt.success !== "boolean") {
+    errors.push(`${path}.success must be true or false`);
+  }
+
+  // Legacy attempts embed the route; current ones reference it by id
+  const hasRoute =
+    isObject(attempt.route) ||
+    isId(attempt.routeId) ||
+    isObject(attempt.routeSnapshot);
+  if (!hasRoute) {
+    errors.push(`${path} does not reference a route`);
+  }
+
+  if (
+    attempt.sendStyle !== undefined &&
+    attempt.sendStyle !== null &&
+    !getSendStyle(attempt.sendStyle)
+  ) {
+    errors.push(`${path}.sendStyle "${attempt.sendStyle}" is not recognized`);
+  }
+}
+
+function validateSession(session, path, errors, { requireId = true } = {}) {
+  if (!isObject(session)) {
+    errors.push(`${path} is not an object`);
+    return;
+  }
+
+  if (requireId && !isId(session.id)) {
+    errors.push(`${path} is missing an id`);
+  }
+  if (!isValidDate(session.date)) {
+    errors.push(`${path}.date is not a valid date`);
+  }
+  if (typeof session.gym !== "string" || !session.gym.trim()) {
+    errors.push(`${path}.gym is missing`);
+  }
+  if (!Array.isArray(session.attempts)) {
+    errors.push(`${path}.attempts is not a list`);
+    return;
+  }
+
+  session.attempts.forEach((attempt, index) =>
+    validateAttempt(attempt, `${path}.attempts[${index}]`, errors)
+  );
+}
+
+function validateRoute(route, path, errors, { legacy }) {
+  if (!isObject(route)) {
+    errors.push(`${path} is not an object`);
+    return;
+  }
+
+  if (!isId(route.id)) {
+    errors.push(`${path} is missing an id`);
+  }
+  if (typeof route.color !== "string" || !route.color) {
+    errors.push(`${path}.color is missing`);
+  }
+  ["createdAt", "setAt", "removedAt"].forEach((field) => {
+    const value = route[field];
+    const optional =
+      value === undefined || (field !== "createdAt" && value === null);
+    if (!optional && !isValidDate(value)) {
+      errors.push(`${path}.${field} is not a valid date`);
+    }
+  });
+  if (route.gradeSystem && !getGradeSystem(route.gradeSystem)) {
+    errors.push(`${path}.gradeSystem "${route.gradeSystem}" is not recognized`);
+  }
+  if (
+    route.tags !== undefined &&
+    (!Array.isArray(route.tags) ||
+      route.tags.some((tag) => typeof tag !== "string"))
+  ) {
+    errors.push(`${path}.tags is not a list of tags`);
+  }
+  // Backups written before galleries keep one photo on the route itself
+  validatePhoto(route, path, errors, { legacy, typeField: "imageType" });
+  if (route.photos !== undefined) {
+    if (!Array.isArray(route.photos)) {
+      errors.push(`${path}.photos is not a list of photos`);
+    } else {
+      route.photos.forEach((photo, index) =>
+        validatePhoto(photo, `${path}.photos[${index}]`, errors, {
+          legacy: false,
+          typeField: "type",
+        })
+      );
+    }
+  }
+}
+
+function validatePhoto(photo, path, errors, { legacy, typeField }) {
+  if (!isObject(photo)) {
+    errors.push(`${path} is not an object`);
+    return;
+  }
+
+  const annotations = photo.annotations;
+  if (
+    annotations !== undefined &&
+    annotations !== null &&
+    (!isObject(annotations) ||
+      !Number.isFinite(annotations.width) ||
+      !Number.isFinite(annotations.height) ||
+      !Array.isArray(annotations.shapes))
+  ) {
+    errors.push(`${path}.annotations is not valid annotation data`);
+  }
+
+  // Legacy service worker exports wrote images as "{}", which restore as none
+  if (!isEncodedImage(photo.image) && !(legacy && isObject(photo.image))) {
+    errors.push(`${path}.image is not an encoded image`);
+  }
+  const type = photo[typeField];
+  if (
+    type !== undefined &&
+    type !== null &&
+    (typeof type !== "string" || !/^image\/[\w.+-]+$/.test(type))
+  ) {
+    errors.push(`${path}.${typeField} is not an image MIME type`);
+  }
+  if (!isEncodedImage(photo.thumbnail)) {
+    errors.push(`${path}.thumbnail is not an encoded image`);
+  }
+}
+
+function isEncodedImage(image) {
+  return (
+    image === null ||
+    image === undefined ||
+    (isObject(image) &&
+      image.encoding === "base64" &&
+      typeof image.data === "string")
+  );
+}
+
+function validateWall(wall, path, errors) {
+  if (!isObject(wall)) {
+    errors.push(`${path} is not an object`);
+    return;
+  }
+
+  if (!isId(wall.id)) {
+    errors.push(`${path} is missing an id`);
+  }
+  if (typeof wall.gym !== "string" || !wall.gym.trim()) {
+    errors.push(`${path}.gym is missing`);
+  }
+  if (typeof wall.name !== "string" || !wall.name.trim()) {
+    errors.push(`${path}.name is missing`);
+  }
+}
+
+function validateGym(gym, path, errors) {
+  if (!isObject(gym)) {
+    errors.push(`${path} is not an object`);
+    return;
+  }
+
+  if (!isId(gym.id)) {
+    errors.push(`${path} is missing an id`);
+  }
+  if (typeof gym.name !== "string" || !gym.name.trim()) {
+    errors.push(`${path}.name is missing`);
+  }
+  if (
+    gym.aliases !== undefined &&
+    (!Array.isArray(gym.aliases) ||
+      gym.aliases.some((alias) => typeof alias !== "string"))
+  ) {
+    errors.push(`${path}.aliases is not a list of names`);
+  }
+}
+
+function validateList(data, key, errors, validateItem) {
+  if (data[key] === undefined || data[key] === null) return;
+
+  if (!Array.isArray(data[key])) {
+    errors.push(`${key} is not a list`);
+    return;
+  }
+
+  data[key].forEach((item, index) => validateItem(item, `${key}[${index}]`));
+}
+
+/**
+ * Check a parsed backup against the schema of its format version
+ * @param {Object} data - Parsed backup JSON
+ * @param {Object} format - `{ name, version }` of the current backup format
+ * @returns {string[]} Problems found; empty when the backup is valid
+ */
+export function validateBackup(data, format) {
+  const errors = [];
+
+  if (!isObject(data)) {
+    return ["Backup is empty or not an object"];
+  }
+
+  const legacy = data.format === undefined;
+  if (!legacy && data.format !== format.name) {
+    return ["File is not a Climb Count backup"];
+  }
+  if (legacy && !Array.isArray(data.sessions) && !data.currentSession) {
+    return ["File is not a Climb Count backup"];
+  }
+
+  if (!legacy) {
+    if (!Number.isInteger(data.version) || data.version < 1) {
+      errors.push("Backup version is missing");
+    } else if (data.version > format.version) {
+      errors.push(
+        `Backup version ${data.version} is newer than this app supports`
+      );
+    }
+  }
+
+  validateList(data, "sessions", errors, (session, path) =>
+    validateSession(session, path, errors)
+  );
+
+  validateList(data, "drafts", errors, (draft, path) => {
+    if (!isObject(draft) || !isId(draft.id)) {
+      errors.push(`${path} is missing an id`);
+      return;
+    }
+    validateSession(draft, path, errors, { requireId: false });
+  });
+
+  if (data.currentSession !== undefined && data.currentSession !== null) {
+    validateSession(data.currentSession, "currentSession", errors, {
+      requireId: false,
+    });
+  }
+
+  validateList(data, "routes", errors, (route, path) =>
+    validateRoute(route, path, errors, { legacy })
+  );
+
+  validateList(data, "walls", errors, (wall, path) =>
+    validateWall(wall, path, errors)
+  );
+
+  validateList(data, "gyms", errors, (gym, path) =>
+    validateGym(gym, path, errors)
+  );
+
+  return errors;
+}
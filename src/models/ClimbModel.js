@@ -1,146 +1,97 @@
+import { convertGrade, findGrade, getReportingSystem } from "./GradeSystems.js";
+import {
+  countSendStyles,
+  detectSendStyle,
+  getSendStyle,
+} from "./SendStyles.js";
+import { createRouteSnapshot, normalizeAttempt } from "./RouteSnapshot.js";
+import { database, DB_VERSION, STORES } from "./Database.js";
+import { createBackup, parseBackup } from "./Backup.js";
+import { planMerge, resolveMerge } from "./BackupMerge.js";
+import { buildAttemptsCsv, buildSessionsCsv } from "./CsvExport.js";
+import { createTrashRecord, trashKey } from "./TrashModel.js";
+import { normalizeTags } from "./RouteTags.js";
+
 export class ClimbModel {
-  #dbName = "climbCountDB";
-  #version = 2; // Increased for migration
-  #sessionsStore = "sessions";
-  #draftsStore = "drafts";
+  #sessionsStore = STORES.sessions;
+  #draftsStore = STORES.drafts;
+  #routesStore = STORES.routes;
+  #trashStore = STORES.trash;
+  #wallsStore = STORES.walls;
+  #gymsStore = STORES.gyms;
   #db = null;
 
-  constructor() {
+  constructor(db = database) {
+    this.database = db;
     this.sessions = [];
     this.currentSession = null;
+    this.routeCatalog = new Map(); // Live route data keyed by route id
+    this.wallCatalog = new Map(); // Walls keyed by wall id
     this.initializeDB();
   }
 
   /**
-   * Initialize IndexedDB database with proper versioning
+   * Open the shared database and load sessions and the draft
    */
   async initializeDB() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.#dbName, this.#version);
-
-      request.onerror = () => {
-        console.error("ClimbModel Database error:", request.error);
-        reject(request.error);
-      };
-
-      request.onsuccess = async () => {
-        this.#db = request.result;
-
-        // Request persistent storage
-        if ("storage" in navigator && "persist" in navigator.storage) {
-          try {
-            const persistent = await navigator.storage.persist();
-            console.log("Storage persistence granted:", persistent);
-          } catch (error) {
-            console.warn("Could not request storage persistence:", error);
-          }
-        }
-
-        await this.loadSessions();
-        await this.loadDraft();
-        resolve(this.#db);
-      };
-
-      request.onupgradeneeded = async (event) => {
-        const db = event.target.result;
-        const oldVersion = event.oldVersion;
-
-        console.log(
-          `Upgrading database from version ${oldVersion} to ${this.#version}`
-        );
-
-        // Create sessions store if it doesn't exist
-        if (!db.objectStoreNames.contains(this.#sessionsStore)) {
-          const sessionsStore = db.createObjectStore(this.#sessionsStore, {
-            keyPath: "id",
-            autoIncrement: true,
-          });
-          sessionsStore.createIndex("date", "date", { unique: false });
-          sessionsStore.createIndex("gym", "gym", { unique: false });
-        }
-
-        // Create drafts store if it doesn't exist
-        if (!db.objectStoreNames.contains(this.#draftsStore)) {
-          db.createObjectStore(this.#draftsStore, {
-            keyPath: "id",
-          });
-        }
+    try {
+      await this.ensureDBReady();
+      await this.loadSessions();
+      await this.loadDraft();
+      return this.#db;
+    } catch (error) {
+      console.error("ClimbModel Database error:", error);
+      throw error;
+    }
+  }
 
-        // Create routes store if it doesn't exist (shared with RouteModel)
-        if (!db.objectStoreNames.contains("routes")) {
-          const routesStore = db.createObjectStore("routes", {
-            keyPath: "id",
-            autoIncrement: true,
-          });
-          routesStore.createIndex("color", "color", { unique: false });
-          routesStore.createIndex("name", "name", { unique: false });
-          routesStore.createIndex("gym", "gym", { unique: false });
-          routesStore.createIndex("createdAt", "createdAt", { unique: false });
-        }
+  /**
+   * Replace the live route data used to resolve attempts at render time.
+   * Images are dropped since attempts never display them.
+   */
+  setRouteCatalog(routes) {
+    this.routeCatalog = new Map(
+      routes.map(({ photos, imageUrl, ...route }) => [route.id, route])
+    );
+  }
 
-        // Migration from localStorage (version 1 -> 2)
-        if (oldVersion < 2) {
-          await this.migrateFromLocalStorage(db);
-        }
-      };
-    });
+  /**
+   * Replace the walls used to group attempts in wall stats
+   */
+  setWallCatalog(walls) {
+    this.wallCatalog = new Map(walls.map((wall) => [wall.id, wall]));
   }
 
   /**
-   * Migrate data from localStorage to IndexedDB
+   * Resolve the route an attempt was logged on: current data from the route
+   * library when it still exists, otherwise the stored snapshot
    */
-  async migrateFromLocalStorage(db) {
-    try {
-      // Migrate sessions
-      const savedSessions = localStorage.getItem("climbingSessions");
-      if (savedSessions) {
-        const sessions = JSON.parse(savedSessions, (key, value) => {
-          if (key === "date" || key === "timestamp") {
-            return new Date(value);
-          }
-          return value;
-        });
-
-        const transaction = db.transaction([this.#sessionsStore], "readwrite");
-        const store = transaction.objectStore(this.#sessionsStore);
+  resolveRoute(attempt) {
+    const routeId = this.getAttemptRouteId(attempt);
+    const liveRoute = this.routeCatalog.get(routeId);
+    if (liveRoute) {
+      return liveRoute;
+    }
 
-        for (const session of sessions) {
-          await new Promise((resolve, reject) => {
-            const request = store.add(session);
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
-          });
-        }
+    const snapshot = attempt.routeSnapshot || attempt.route;
+    return snapshot ? { ...snapshot, id: routeId, deleted: true } : null;
+  }
 
-        console.log(`Migrated ${sessions.length} sessions from localStorage`);
-        localStorage.removeItem("climbingSessions");
-      }
+  /**
+   * Copy attempts with their resolved route attached for rendering
+   */
+  resolveAttempts(attempts) {
+    return attempts.map((attempt) => ({
+      ...attempt,
+      route: this.resolveRoute(attempt),
+    }));
+  }
 
-      // Migrate draft
-      const savedDraft = localStorage.getItem("climbingSessionDraft");
-      if (savedDraft) {
-        const draft = JSON.parse(savedDraft, (key, value) => {
-          if (key === "date" || key === "timestamp") {
-            return new Date(value);
-          }
-          return value;
-        });
-
-        const transaction = db.transaction([this.#draftsStore], "readwrite");
-        const store = transaction.objectStore(this.#draftsStore);
-
-        await new Promise((resolve, reject) => {
-          const request = store.put({ id: "current", ...draft });
-          request.onsuccess = () => resolve();
-          request.onerror = () => reject(request.error);
-        });
-
-        console.log("Migrated draft session from localStorage");
-        localStorage.removeItem("climbingSessionDraft");
-      }
-    } catch (error) {
-      console.error("Migration from localStorage failed:", error);
-    }
+  /**
+   * Copy a session with its attempts resolved for rendering
+   */
+  resolveSession(session) {
+    return { ...session, attempts: this.resolveAttempts(session.attempts) };
   }
 
   /**
@@ -162,10 +113,11 @@ export class ClimbModel {
           ...session,
           date: new Date(session.date),
           attempts: session.attempts.map((attempt) => ({
-            ...attempt,
+            ...normalizeAttempt(attempt),
             timestamp: new Date(attempt.timestamp),
           })),
         }));
+        this.assignMissingSendStyles();
         resolve(this.sessions);
       };
 
@@ -177,40 +129,81 @@ export class ClimbModel {
   }
 
   /**
-   * Save sessions to IndexedDB
+   * Write one session to IndexedDB, leaving every other session untouched
    */
-  async saveSessions() {
-    await this.ensureDBReady();
+  async saveSession(session) {
+    return this.writeSessionChanges({ saved: [session] });
+  }
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.#db.transaction(
-        [this.#sessionsStore],
-        "readwrite"
-      );
+  /**
+   * Apply session writes and deletes in a single transaction, so either all
+   * of them land or none do. Pass `clearDraft` to drop the draft in the same
+   * transaction, e.g. when the draft becomes a finished session. Sessions in
+   * `trashed` are deleted and moved to the trash; saved sessions are taken
+   * out of the trash when `untrash` is set.
+   */
+  async writeSessionChanges({
+    saved = [],
+    deletedIds = [],
+    trashed = [],
+    untrash = false,
+    clearDraft = false,
+  }) {
+    const usesTrash = trashed.length > 0 || untrash;
+    const storeNames = [
+      this.#sessionsStore,
+      ...(clearDraft ? [this.#draftsStore] : []),
+      ...(usesTrash ? [this.#trashStore] : []),
+    ];
+
+    return this.runWriteTransaction(storeNames, (transaction) => {
       const store = transaction.objectStore(this.#sessionsStore);
+      deletedIds.forEach((sessionId) => store.delete(sessionId));
+      trashed.forEach((session) => store.delete(session.id));
+      saved.forEach((session) => store.put(session));
+
+      if (usesTrash) {
+        const trash = transaction.objectStore(this.#trashStore);
+        trashed.forEach((session) =>
+          trash.put(createTrashRecord("session", session))
+        );
+        if (untrash) {
+          saved.forEach((session) =>
+            trash.delete(trashKey("session", session.id))
+          );
+        }
+      }
 
-      // Clear existing sessions and add all current ones
-      const clearRequest = store.clear();
-      clearRequest.onsuccess = () => {
-        let completed = 0;
-        const total = this.sessions.length;
+      if (clearDraft) {
+        transaction.objectStore(this.#draftsStore).delete("current");
+      }
+    });
+  }
 
-        if (total === 0) {
-          resolve();
-          return;
-        }
+  /**
+   * Queue writes on one readwrite transaction and resolve once it commits.
+   * If any write fails the whole transaction is rolled back.
+   * @param {string[]} storeNames - Stores the writes touch
+   * @param {function(IDBTransaction): void} queueWrites - Issues the writes
+   */
+  async runWriteTransaction(storeNames, queueWrites) {
+    await this.ensureDBReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.#db.transaction(storeNames, "readwrite");
 
-        this.sessions.forEach((session) => {
-          const addRequest = store.add(session);
-          addRequest.onsuccess = () => {
-            completed++;
-            if (completed === total) resolve();
-          };
-          addRequest.onerror = () => reject(addRequest.error);
-        });
+      transaction.oncomplete = () => resolve();
+      transaction.onabort = () => {
+        console.error("Failed to save changes:", transaction.error);
+        reject(transaction.error);
       };
 
-      clearRequest.onerror = () => reject(clearRequest.error);
+      try {
+        queueWrites(transaction);
+      } catch (error) {
+        transaction.abort();
+        reject(error);
+      }
     });
   }
 
@@ -242,12 +235,18 @@ export class ClimbModel {
       throw new Error("Route and result are required");
     }
 
+    const routeId = attemptData.routeId ?? attemptData.route.id;
     const attempt = {
       id: Date.now(),
       timestamp: new Date(),
-      routeId: attemptData.routeId,
-      route: attemptData.route, // Store full route object
+      routeId,
+      routeSnapshot: createRouteSnapshot(attemptData.route),
       success: attemptData.success,
+      sendStyle: this.resolveSendStyle(
+        attemptData,
+        this.getRouteHistory(routeId),
+        this.currentSession.id
+      ),
       notes: attemptData.notes || null,
     };
 
@@ -291,15 +290,20 @@ export class ClimbModel {
     const originalAttempt = session.attempts[attemptIndex];
     const updatedAttempt = {
       ...originalAttempt,
-      ...updatedData,
+      ...normalizeAttempt(updatedData),
       id: attemptId, // Keep original ID
       timestamp: originalAttempt.timestamp, // Keep original timestamp
     };
+    updatedAttempt.sendStyle = this.resolveUpdatedSendStyle(
+      originalAttempt,
+      updatedAttempt,
+      updatedData,
+      session.id
+    );
 
     session.attempts[attemptIndex] = updatedAttempt;
 
-    // Save sessions to persistent storage
-    await this.saveSessions();
+    await this.saveSession(session);
 
     return updatedAttempt;
   }
@@ -331,10 +335,16 @@ export class ClimbModel {
     const originalAttempt = this.currentSession.attempts[attemptIndex];
     const updatedAttempt = {
       ...originalAttempt,
-      ...updatedData,
+      ...normalizeAttempt(updatedData),
       id: attemptId, // Keep original ID
       timestamp: originalAttempt.timestamp, // Keep original timestamp
     };
+    updatedAttempt.sendStyle = this.resolveUpdatedSendStyle(
+      originalAttempt,
+      updatedAttempt,
+      updatedData,
+      this.currentSession.id
+    );
 
     this.currentSession.attempts[attemptIndex] = updatedAttempt;
 
@@ -366,12 +376,169 @@ export class ClimbModel {
 
     const deletedAttempt = session.attempts.splice(attemptIndex, 1)[0];
 
-    // Save sessions to persistent storage
-    await this.saveSessions();
+    await this.saveSession(session);
 
     return deletedAttempt;
   }
 
+  /**
+   * Find a finished session by id, or throw
+   */
+  getFinishedSession(sessionId) {
+    const session = this.sessions.find((s) => s.id === sessionId);
+    if (!session) {
+      throw new Error("Session not found");
+    }
+    return session;
+  }
+
+  /**
+   * Change the date, gym or notes of a finished session. Attempts keep the
+   * timestamps they were logged with.
+   */
+  async updateSession(sessionId, updatedData) {
+    const session = this.getFinishedSession(sessionId);
+
+    const date =
+      updatedData.date !== undefined
+        ? new Date(updatedData.date)
+        : session.date;
+    const gym =
+      updatedData.gym !== undefined ? updatedData.gym.trim() : session.gym;
+    if (Number.isNaN(date.getTime()) || !gym) {
+      throw new Error("Session date and gym/location are required");
+    }
+
+    const updatedSession = {
+      ...session,
+      date,
+      gym,
+      notes:
+        updatedData.notes !== undefined
+          ? updatedData.notes || null
+          : session.notes || null,
+    };
+
+    await this.saveSession(updatedSession);
+
+    this.sessions[this.sessions.indexOf(session)] = updatedSession;
+    this.sortSessions();
+    return updatedSession;
+  }
+
+  /**
+   * Move a finished session with all its attempts to the trash
+   */
+  async deleteSession(sessionId) {
+    const session = this.getFinishedSession(sessionId);
+
+    await this.writeSessionChanges({ trashed: [session] });
+
+    this.sessions = this.sessions.filter((s) => s !== session);
+    return session;
+  }
+
+  /**
+   * Move every attempt of one finished session into another, interleaved by
+   * timestamp, and delete the emptied session in the same transaction. The
+   * merged session starts at the earlier of the two dates.
+   */
+  async mergeSessions(targetId, sourceId) {
+    if (targetId === sourceId) {
+      throw new Error("Cannot merge a session into itself");
+    }
+
+    const target = this.getFinishedSession(targetId);
+    const source = this.getFinishedSession(sourceId);
+
+    const merged = {
+      ...target,
+      date: source.date < target.date ? source.date : target.date,
+      notes: [target.notes, source.notes].filter(Boolean).join("\n\n") || null,
+      attempts: [...target.attempts, ...source.attempts].sort(
+        (a, b) => a.timestamp - b.timestamp
+      ),
+    };
+
+    await this.writeSessionChanges({
+      saved: [merged],
+      deletedIds: [sourceId],
+    });
+
+    this.sessions = this.sessions
+      .filter((s) => s !== source)
+      .map((s) => (s === target ? merged : s));
+    this.sortSessions();
+    return merged;
+  }
+
+  /**
+   * Put finished sessions back exactly as they were, e.g. to undo a delete
+   * or merge. Sessions with the same id are overwritten and taken out of
+   * the trash.
+   */
+  async restoreSessions(snapshots) {
+    const sessions = snapshots.map((session) => this.snapshotSession(session));
+    const restoredIds = sessions.map((session) => session.id);
+
+    await this.writeSessionChanges({ saved: sessions, untrash: true });
+
+    this.sessions = [
+      ...this.sessions.filter((s) => !restoredIds.includes(s.id)),
+      ...sessions,
+    ];
+    this.sortSessions();
+    return sessions;
+  }
+
+  /**
+   * Copy a session so later edits don't change it, e.g. to restore it on
+   * undo. Returns null for no session.
+   */
+  snapshotSession(session) {
+    if (!session) return null;
+
+    return {
+      ...session,
+      date: new Date(session.date),
+      attempts: session.attempts.map((attempt) => ({
+        ...attempt,
+        timestamp: new Date(attempt.timestamp),
+      })),
+    };
+  }
+
+  /**
+   * Replace the session in progress with a snapshot, or clear it when the
+   * snapshot is null, and save or drop the draft to match
+   * @param {Object|null} snapshot - Session to restore
+   * @param {number|null} expectedId - Id the session in progress must have,
+   *   or null when there must be none, so a stale undo can't overwrite a
+   *   session started or finished since
+   */
+  async restoreCurrentSession(snapshot, expectedId) {
+    if ((this.currentSession?.id ?? null) !== expectedId) {
+      throw new Error("The session in progress has changed since");
+    }
+
+    if (snapshot) {
+      this.currentSession = this.snapshotSession(snapshot);
+      await this.saveDraft();
+    } else {
+      await this.deleteDraft();
+      this.currentSession = null;
+    }
+
+    return this.currentSession;
+  }
+
+  /**
+   * Keep finished sessions in date order after edits move them
+   */
+  sortSessions() {
+    this.sessions.sort((a, b) => new Date(a.date) - new Date(b.date));
+  }
+
   /**
    * Delete an attempt from the current (active) session
    */
@@ -403,12 +570,17 @@ export class ClimbModel {
       throw new Error("No session to finish or no attempts logged");
     }
 
-    this.sessions.push(this.currentSession);
     const finishedSession = this.currentSession;
-    this.currentSession = null;
 
-    await this.deleteDraft(); // Remove draft when session is finished
-    await this.saveSessions();
+    // Store the session and remove its draft together, so a crash can't
+    // leave it both finished and in progress
+    await this.writeSessionChanges({
+      saved: [finishedSession],
+      clearDraft: true,
+    });
+
+    this.sessions.push(finishedSession);
+    this.currentSession = null;
     return finishedSession;
   }
 
@@ -438,17 +610,200 @@ export class ClimbModel {
       totalAttempts,
       totalSuccess,
       overallSuccessRate,
+      sendStyles: countSendStyles(allAttempts),
     };
   }
 
+  /**
+   * Get every attempt on a route across finished sessions and the current
+   * session, oldest first. Each attempt is tagged with its `sessionId`.
+   */
+  getRouteHistory(routeId) {
+    const sessions = this.currentSession
+      ? [...this.sessions, this.currentSession]
+      : this.sessions;
+
+    return sessions
+      .flatMap((session) =>
+        session.attempts
+          .filter((attempt) => this.getAttemptRouteId(attempt) === routeId)
+          .map((attempt) => ({ ...attempt, sessionId: session.id }))
+      )
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Summarize a route's history: when it was first tried and first sent,
+   * how many attempts and sessions the send took, and how reliably it has
+   * been climbed since
+   */
+  getRouteAnalytics(routeId) {
+    const attempts = this.getRouteHistory(routeId);
+    const sendIndex = attempts.findIndex((attempt) => attempt.success);
+    const firstSend = sendIndex === -1 ? null : attempts[sendIndex];
+
+    const attemptsUntilSend = firstSend ? attempts.slice(0, sendIndex + 1) : [];
+    const attemptsAfterSend = firstSend ? attempts.slice(sendIndex + 1) : [];
+    const successesAfterSend = attemptsAfterSend.filter(
+      (attempt) => attempt.success
+    ).length;
+
+    return {
+      routeId,
+      attempts,
+      totalAttempts: attempts.length,
+      totalSuccess: attempts.filter((attempt) => attempt.success).length,
+      totalSessions: new Set(attempts.map((attempt) => attempt.sessionId)).size,
+      firstAttemptDate: attempts.length > 0 ? attempts[0].timestamp : null,
+      firstSendDate: firstSend ? firstSend.timestamp : null,
+      attemptsToSend: firstSend ? attemptsUntilSend.length : null,
+      sessionsToSend: firstSend
+        ? new Set(attemptsUntilSend.map((attempt) => attempt.sessionId)).size
+        : null,
+      attemptsAfterSend: attemptsAfterSend.length,
+      successRateAfterSend:
+        attemptsAfterSend.length > 0
+          ? ((successesAfterSend / attemptsAfterSend.length) * 100).toFixed(1)
+          : null,
+    };
+  }
+
+  /**
+   * Count attempts and sends per route across finished sessions and the
+   * current session, with when each route was last tried, for filtering and
+   * sorting the route library
+   * @returns {Map<number, {attempts: number, sends: number, lastAttemptAt: Date}>}
+   */
+  getRouteAttemptSummary() {
+    const sessions = this.currentSession
+      ? [...this.sessions, this.currentSession]
+      : this.sessions;
+    const summary = new Map();
+
+    sessions
+      .flatMap((session) => session.attempts)
+      .forEach((attempt) => {
+        const routeId = this.getAttemptRouteId(attempt);
+        if (routeId === null) return;
+
+        const stats = summary.get(routeId) || {
+          attempts: 0,
+          sends: 0,
+          lastAttemptAt: null,
+        };
+        const timestamp = new Date(attempt.timestamp);
+        stats.attempts++;
+        if (attempt.success) stats.sends++;
+        if (!stats.lastAttemptAt || timestamp > stats.lastAttemptAt) {
+          stats.lastAttemptAt = timestamp;
+        }
+        summary.set(routeId, stats);
+      });
+
+    return summary;
+  }
+
+  /**
+   * Get the route id an attempt was logged against
+   */
+  getAttemptRouteId(attempt) {
+    return attempt.routeId ?? attempt.route?.id ?? null;
+  }
+
+  /**
+   * Pick the send style for an attempt: none for failures, the explicitly
+   * chosen style if there is one, otherwise detected from route history
+   */
+  resolveSendStyle(attemptData, previousAttempts, sessionId) {
+    if (!attemptData.success) {
+      return null;
+    }
+
+    if (attemptData.sendStyle) {
+      if (!getSendStyle(attemptData.sendStyle)) {
+        throw new Error(`Unknown send style: ${attemptData.sendStyle}`);
+      }
+      return attemptData.sendStyle;
+    }
+
+    return detectSendStyle(previousAttempts, sessionId);
+  }
+
+  /**
+   * Re-detect the send style of an edited attempt when its route or result
+   * changed, using only the attempts logged before it
+   */
+  resolveUpdatedSendStyle(
+    originalAttempt,
+    updatedAttempt,
+    updatedData,
+    sessionId
+  ) {
+    const routeChanged =
+      this.getAttemptRouteId(originalAttempt) !==
+      this.getAttemptRouteId(updatedAttempt);
+    const resultChanged = originalAttempt.success !== updatedAttempt.success;
+
+    if (
+      updatedData.sendStyle === undefined &&
+      !routeChanged &&
+      !resultChanged
+    ) {
+      return originalAttempt.sendStyle ?? null;
+    }
+
+    const previousAttempts = this.getRouteHistory(
+      this.getAttemptRouteId(updatedAttempt)
+    ).filter(
+      (attempt) =>
+        attempt.id !== originalAttempt.id &&
+        attempt.timestamp < originalAttempt.timestamp
+    );
+
+    return this.resolveSendStyle(
+      { ...updatedAttempt, sendStyle: updatedData.sendStyle },
+      previousAttempts,
+      sessionId
+    );
+  }
+
+  /**
+   * Classify attempts logged before send styles existed, walking each
+   * route's history in order
+   */
+  assignMissingSendStyles() {
+    const sessions = this.currentSession
+      ? [...this.sessions, this.currentSession]
+      : this.sessions;
+    const historyByRoute = new Map();
+
+    sessions
+      .flatMap((session) =>
+        session.attempts.map((attempt) => ({ attempt, sessionId: session.id }))
+      )
+      .sort((a, b) => a.attempt.timestamp - b.attempt.timestamp)
+      .forEach(({ attempt, sessionId }) => {
+        const routeId = this.getAttemptRouteId(attempt);
+        const history = historyByRoute.get(routeId) || [];
+
+        if (attempt.sendStyle === undefined) {
+          attempt.sendStyle = attempt.success
+            ? detectSendStyle(history, sessionId)
+            : null;
+        }
+
+        history.push({ ...attempt, sessionId });
+        historyByRoute.set(routeId, history);
+      });
+  }
+
   getColorStats(attempts = null) {
     const attemptsToAnalyze = attempts || this.getAllAttempts();
     const colorStats = {};
 
     attemptsToAnalyze.forEach((attempt) => {
-      const color = attempt.route
-        ? attempt.route.color
-        : attempt.color || "unknown";
+      const route = this.resolveRoute(attempt);
+      const color = route ? route.color : attempt.color || "unknown";
       if (!colorStats[color]) {
         colorStats[color] = { success: 0, total: 0 };
       }
@@ -461,6 +816,117 @@ export class ClimbModel {
     return colorStats;
   }
 
+  /**
+   * Success stats grouped by grade. Grades are converted into the requested
+   * system, or into the canonical system for each route's discipline, so a
+   * Font 6B and a V4 land in the same bucket. Ungraded attempts are skipped.
+   */
+  getGradeStats(attempts = null, systemId = null) {
+    const attemptsToAnalyze = attempts || this.getAllAttempts();
+    const gradeStats = {};
+
+    attemptsToAnalyze.forEach((attempt) => {
+      const route = this.resolveRoute(attempt);
+      const reportingSystem = getReportingSystem(route, systemId);
+      if (!reportingSystem) return;
+
+      const label = convertGrade(
+        route.grade,
+        route.gradeSystem,
+        reportingSystem
+      );
+      if (!label) return;
+
+      if (!gradeStats[label]) {
+        gradeStats[label] = {
+          success: 0,
+          total: 0,
+          gradeSystem: reportingSystem,
+          score: findGrade(label, reportingSystem).score,
+        };
+      }
+      gradeStats[label].total++;
+      if (attempt.success) {
+        gradeStats[label].success++;
+      }
+    });
+
+    return gradeStats;
+  }
+
+  /**
+   * Success stats grouped by the wall each attempt's route is on, keyed by
+   * wall id. Attempts on routes without a wall are skipped.
+   */
+  getWallStats(attempts = null) {
+    const attemptsToAnalyze = attempts || this.getAllAttempts();
+    const wallStats = {};
+
+    attemptsToAnalyze.forEach((attempt) => {
+      const wall = this.wallCatalog.get(this.resolveRoute(attempt)?.wallId);
+      if (!wall) return;
+
+      if (!wallStats[wall.id]) {
+        wallStats[wall.id] = {
+          name: wall.name,
+          gym: wall.gym,
+          angle: wall.angle,
+          success: 0,
+          total: 0,
+        };
+      }
+      wallStats[wall.id].total++;
+      if (attempt.success) {
+        wallStats[wall.id].success++;
+      }
+    });
+
+    return wallStats;
+  }
+
+  /**
+   * Success stats grouped by wall angle, keyed by angle id, across gyms
+   */
+  getAngleStats(attempts = null) {
+    const wallStats = this.getWallStats(attempts);
+    const angleStats = {};
+
+    Object.values(wallStats)
+      .filter((stats) => stats.angle)
+      .forEach(({ angle, success, total }) => {
+        if (!angleStats[angle]) {
+          angleStats[angle] = { success: 0, total: 0 };
+        }
+        angleStats[angle].success += success;
+        angleStats[angle].total += total;
+      });
+
+    return angleStats;
+  }
+
+  /**
+   * Success stats grouped by style tag. An attempt counts toward every tag
+   * on its route; attempts on untagged routes are skipped.
+   */
+  getTagStats(attempts = null) {
+    const attemptsToAnalyze = attempts || this.getAllAttempts();
+    const tagStats = {};
+
+    attemptsToAnalyze.forEach((attempt) => {
+      normalizeTags(this.resolveRoute(attempt)?.tags).forEach((tag) => {
+        if (!tagStats[tag]) {
+          tagStats[tag] = { success: 0, total: 0 };
+        }
+        tagStats[tag].total++;
+        if (attempt.success) {
+          tagStats[tag].success++;
+        }
+      });
+    });
+
+    return tagStats;
+  }
+
   /**
    * Draft management methods using IndexedDB
    */
@@ -477,7 +943,7 @@ export class ClimbModel {
         "readwrite"
       );
       const store = transaction.objectStore(this.#draftsStore);
-      const request = store.put({ id: "current", ...this.currentSession });
+      const request = store.put(this.toDraftRecord(this.currentSession));
 
       request.onsuccess = () => resolve(true);
       request.onerror = () => {
@@ -487,6 +953,31 @@ export class ClimbModel {
     });
   }
 
+  /**
+   * Build the stored draft record for a session. The draft is always keyed
+   * "current", so the session's own id is kept as `sessionId`.
+   */
+  toDraftRecord(session) {
+    return { ...session, id: "current", sessionId: session.id };
+  }
+
+  /**
+   * Rebuild the current session from a stored draft record
+   */
+  fromDraftRecord(record) {
+    const { id: app, sessionId, ...sessionData } = record;
+    return {
+      ...sessionData,
+      id: sessionId ?? Date.now(),
+      date: new Date(sessionData.date),
+      attempts:
+        sessionData.attempts?.map((attempt) => ({
+          ...normalizeAttempt(attempt),
+          timestamp: new Date(attempt.timestamp),
+        })) || [],
+    };
+  }
+
   async loadDraft() {
     await this.ensureDBReady();
 
@@ -497,16 +988,8 @@ export class ClimbModel {
 
       request.onsuccess = () => {
         if (request.result) {
-          const { id: app, ...sessionData } = request.result;
-          this.currentSession = {
-            ...sessionData,
-            date: new Date(sessionData.date),
-            attempts:
-              sessionData.attempts?.map((attempt) => ({
-                ...attempt,
-                timestamp: new Date(attempt.timestamp),
-              })) || [],
-          };
+          this.currentSession = this.fromDraftRecord(request.result);
+          this.assignMissingSendStyles();
           resolve(true);
         } else {
           resolve(false);
@@ -563,63 +1046,359 @@ export class ClimbModel {
    * Ensure database is ready before operations
    */
   async ensureDBReady() {
-    if (!this.#db) {
-      await this.initializeDB();
-    }
+    // The shared database reuses its connection and reconnects after a
+    // version change, so always take the current one
+    this.#db = await this.database.open();
   }
 
   /**
-   * Export all data for backup
+   * Export sessions, the draft and the given routes, walls and gyms as a
+   * backup
+   * @param {Array} routes - Route library, including images
+   * @param {Object} [stores]
+   * @param {Array} [stores.walls] - Walls routes are assigned to
+   * @param {Array} [stores.gyms] - Gyms with their aliases
+   * @returns {Promise<string>} Backup JSON
    */
-  async exportData() {
+  async exportData(routes = [], { walls = [], gyms = [] } = {}) {
     await this.ensureDBReady();
 
-    const data = {
-      version: this.#version,
-      timestamp: new Date().toISOString(),
+    const backup = await createBackup({
       sessions: this.sessions,
-      currentSession: this.currentSession,
-    };
+      drafts: this.currentSession
+        ? [this.toDraftRecord(this.currentSession)]
+        : [],
+      routes,
+      walls,
+      gyms,
+      schemaVersion: DB_VERSION,
+    });
 
-    return JSON.stringify(data, null, 2);
+    return JSON.stringify(backup, null, 2);
+  }
+
+  /**
+   * Finished sessions oldest first, the order spreadsheets expect
+   */
+  getSessionsChronological() {
+    return [...this.getSessions()].sort(
+      (a, b) => new Date(a.date) - new Date(b.date)
+    );
+  }
+
+  /**
+   * Export every attempt of the finished sessions as CSV, one row each
+   * @returns {string} CSV text
+   */
+  exportAttemptsCsv() {
+    return buildAttemptsCsv(this.getSessionsChronological(), (attempt) =>
+      this.resolveRoute(attempt)
+    );
   }
 
   /**
-   * Import data from backup
+   * Export one CSV row per finished session with per-color totals
+   * @returns {string} CSV text
+   */
+  exportSessionsCsv() {
+    return buildSessionsCsv(this.getSessionsChronological(), (attempts) =>
+      this.getColorStats(attempts)
+    );
+  }
+
+  /**
+   * Restore a backup in any supported format, replacing sessions, the draft
+   * and the route library on this device. The backup is validated before
+   * anything is written, and everything is written in one transaction, so a
+   * bad file or a failed write leaves local data untouched.
+   * @returns {Promise<Object>} The parsed backup
    */
   async importData(jsonData) {
     try {
-      const data = JSON.parse(jsonData);
+      const backup = parseBackup(jsonData);
 
-      if (data.sessions) {
-        this.sessions = data.sessions.map((session) => ({
-          ...session,
-          date: new Date(session.date),
-          attempts: session.attempts.map((attempt) => ({
-            ...attempt,
-            timestamp: new Date(attempt.timestamp),
-          })),
-        }));
-        await this.saveSessions();
+      const sessions = backup.sessions
+        ? backup.sessions.map((session) => this.reviveSession(session))
+        : null;
+      const draftRecord = backup.drafts?.find(
+        (record) => record.id === "current"
+      );
+      const draft = draftRecord ? this.fromDraftRecord(draftRecord) : null;
+
+      const storeNames = [this.#sessionsStore, this.#draftsStore];
+      if (backup.routes) {
+        storeNames.push(this.#routesStore);
+      }
+      if (backup.walls) {
+        storeNames.push(this.#wallsStore);
+      }
+      if (backup.gyms) {
+        storeNames.push(this.#gymsStore);
+      }
+      if (sessions || backup.routes) {
+        storeNames.push(this.#trashStore);
       }
 
-      if (data.currentSession) {
-        this.currentSession = {
-          ...data.currentSession,
-          date: new Date(data.currentSession.date),
-          attempts:
-            data.currentSession.attempts?.map((attempt) => ({
-              ...attempt,
-              timestamp: new Date(attempt.timestamp),
-            })) || [],
-        };
-        await this.saveDraft();
+      await this.runWriteTransaction(storeNames, (transaction) => {
+        if (sessions) {
+          const store = transaction.objectStore(this.#sessionsStore);
+          const importedIds = new Set(sessions.map((session) => session.id));
+          this.sessions
+            .filter((session) => !importedIds.has(session.id))
+            .forEach((session) => store.delete(session.id));
+          sessions.forEach((session) => store.put(session));
+        }
+
+        if (draft) {
+          transaction
+            .objectStore(this.#draftsStore)
+            .put(this.toDraftRecord(draft));
+        }
+
+        // Backups made before routes were included leave the library alone
+        if (backup.routes) {
+          this.queueRouteReplacement(transaction, backup.routes);
+        }
+
+        // Backups made before walls existed leave them alone
+        if (backup.walls) {
+          const store = transaction.objectStore(this.#wallsStore);
+          store.clear();
+          backup.walls.forEach((wall) => store.put(wall));
+        }
+
+        // Likewise for backups made before gyms existed
+        if (backup.gyms) {
+          const store = transaction.objectStore(this.#gymsStore);
+          store.clear();
+          backup.gyms.forEach((gym) => store.put(gym));
+        }
+
+        // Trashed items whose ids the backup now uses could never be
+        // restored, so they are dropped with the data they collide with
+        if (sessions || backup.routes) {
+          const trash = transaction.objectStore(this.#trashStore);
+          (sessions || []).forEach((session) =>
+            trash.delete(trashKey("session", session.id))
+          );
+          (backup.routes || []).forEach((route) =>
+            trash.delete(trashKey("route", route.id))
+          );
+        }
+      });
+
+      if (sessions) {
+        this.sessions = sessions;
+      }
+      if (draft) {
+        this.currentSession = draft;
       }
+      this.assignMissingSendStyles();
 
-      return true;
+      return backup;
     } catch (error) {
       console.error("Failed to import data:", error);
       throw error;
     }
   }
+
+  /**
+   * Queue replacing the route library on a restore transaction, keeping
+   * route ids so attempts still resolve
+   */
+  queueRouteReplacement(transaction, routes) {
+    const store = transaction.objectStore(this.#routesStore);
+    const importedIds = new Set(routes.map((route) => route.id));
+    const keysRequest = store.getAllKeys();
+
+    keysRequest.onsuccess = () => {
+      keysRequest.result
+        .filter((id) => !importedIds.has(id))
+        .forEach((id) => store.delete(id));
+      routes.forEach((route) => store.put(route));
+    };
+  }
+
+  /**
+   * Revive dates on a session read from a backup and normalize its attempts
+   */
+  reviveSession(session) {
+    return {
+      ...session,
+      date: new Date(session.date),
+      attempts: session.attempts.map((attempt) => ({
+        ...normalizeAttempt(attempt),
+        timestamp: new Date(attempt.timestamp),
+      })),
+    };
+  }
+
+  /**
+   * Work out what merging a backup into local data would change, without
+   * writing anything
+   * @param {string} jsonData - Backup JSON
+   * @param {Array} routes - Local route library
+   * @param {Array} walls - Local walls to match the backup's walls to
+   * @returns {{plan: Object, backup: Object}}
+   */
+  previewMerge(jsonData, routes = [], walls = []) {
+    const backup = parseBackup(jsonData);
+    const draft = backup.drafts?.find((record) => record.id === "current");
+
+    const plan = planMerge(
+      {
+        sessions: this.sessions,
+        routes,
+        walls,
+        currentSession: this.currentSession,
+      },
+      {
+        sessions: (backup.sessions || []).map((session) =>
+          this.reviveSession(session)
+        ),
+        routes: backup.routes || [],
+        walls: backup.walls || [],
+        draft: draft ? this.fromDraftRecord(draft) : null,
+      }
+    );
+
+    return { plan, backup };
+  }
+
+  /**
+   * Apply the user's conflict choices to a merge plan and write the
+   * resulting routes, walls, sessions and draft in one transaction
+   * @param {Object} plan - Plan from previewMerge
+   * @param {Object} resolutions - Resolution per conflict; keep-local by default
+   * @returns {Promise<{sessions: Array, routes: Array, walls: Array,
+   *   draft: Object|null}>}
+   */
+  async applyMerge(plan, resolutions = {}) {
+    const merged = resolveMerge(plan, resolutions);
+    const draft = merged.draft && !this.currentSession ? merged.draft : null;
+
+    const storeNames = [this.#sessionsStore];
+    if (draft) storeNames.push(this.#draftsStore);
+    if (merged.routes.length > 0) storeNames.push(this.#routesStore);
+    if (merged.walls.length > 0) storeNames.push(this.#wallsStore);
+
+    await this.runWriteTransaction(storeNames, (transaction) => {
+      const routeStore =
+        merged.routes.length > 0
+          ? transaction.objectStore(this.#routesStore)
+          : null;
+      merged.routes.forEach((route) => routeStore.put(route));
+
+      // Walls the merged routes were pointed at
+      if (merged.walls.length > 0) {
+        const wallStore = transaction.objectStore(this.#wallsStore);
+        merged.walls.forEach((wall) => wallStore.put(wall));
+      }
+
+      const sessionStore = transaction.objectStore(this.#sessionsStore);
+      merged.sessions.forEach((session) => sessionStore.put(session));
+
+      if (draft) {
+        transaction
+          .objectStore(this.#draftsStore)
+          .put(this.toDraftRecord(draft));
+      }
+    });
+
+    merged.sessions.forEach((session) => {
+      const index = this.sessions.findIndex((s) => s.id === session.id);
+      if (index === -1) {
+        this.sessions.push(session);
+      } else {
+        this.sessions[index] = session;
+      }
+    });
+    this.sortSessions();
+
+    if (draft) {
+      this.currentSession = draft;
+    }
+
+    this.assignMissingSendStyles();
+    return merged;
+  }
+
+  /**
+   * Save sessions built from a CSV import in one transaction, together with
+   * the routes they add to the library, so a failed import leaves nothing
+   * behind. New routes get their ids in the transaction.
+   * @param {Array} sessions - Sessions from buildCsvImport
+   * @param {Array} routes - `{ key, route, isNew }` for each attempt's
+   *   routeKey; new routes are stored records without an id
+   * @returns {Promise<Array>} The saved sessions
+   */
+  async importCsvSessions(sessions, routes) {
+    await this.ensureDBReady();
+
+    const routesByKey = new Map(routes.map(({ key, route }) => [key, route]));
+    const newRoutes = routes.filter((entry) => entry.isNew);
+
+    // Ids count up from now, past any existing session or attempt id
+    const existingIds = this.sessions.flatMap((session) => [
+      session.id,
+      ...session.attempts.map((attempt) => attempt.id),
+    ]);
+    let nextId = Math.max(Date.now(), ...existingIds.map(Number), 0) + 1;
+
+    const toSession = (session) => ({
+      id: nextId++,
+      date: new Date(session.date),
+      gym: session.gym,
+      attempts: session.attempts.map((attempt) => {
+        const route = routesByKey.get(attempt.routeKey);
+        if (!route || route.id === undefined) {
+          throw new Error(`Route for line ${attempt.line} was not saved`);
+        }
+
+        return {
+          id: nextId++,
+          timestamp: new Date(attempt.timestamp),
+          routeId: route.id,
+          routeSnapshot: createRouteSnapshot(route),
+          success: attempt.success,
+          notes: attempt.notes || null,
+        };
+      }),
+    });
+
+    const storeNames = [this.#sessionsStore];
+    if (newRoutes.length > 0) storeNames.push(this.#routesStore);
+
+    let imported = [];
+    await this.runWriteTransaction(storeNames, (transaction) => {
+      const writeSessions = () => {
+        imported = sessions.map(toSession);
+        const store = transaction.objectStore(this.#sessionsStore);
+        imported.forEach((session) => store.put(session));
+      };
+      if (newRoutes.length === 0) {
+        writeSessions();
+        return;
+      }
+
+      // Sessions are written once every new route has its id
+      const routeStore = transaction.objectStore(this.#routesStore);
+      let pending = newRoutes.length;
+      newRoutes.forEach(({ key, route }) => {
+        const request = routeStore.add(route);
+        request.onsuccess = () => {
+          routesByKey.set(key, { ...route, id: request.result });
+          pending--;
+          if (pending === 0) writeSessions();
+        };
+      });
+    });
+
+    this.sessions.push(...imported);
+    this.sortSessions();
+
+    // Send styles depend on each route's full history, including old sessions
+    this.assignMissingSendStyles();
+    return imported;
+  }
 }
@@ -0,0 +1,144 @@
+import { formatGrade } from "./GradeSystems.js";
+import { getSendStyle } from "./SendStyles.js";
+
+/**
+ * CSV exports of sessions and attempts for spreadsheets
+ */
+
+// Spreadsheets treat cells starting with these as formulas
+const FORMULA_PREFIXES = ["=", "+", "-", "@"];
+
+// Lets Excel detect UTF-8 so notes and gym names keep their accents
+const BYTE_ORDER_MARK = "\uFEFF";
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/**
+ * Format a date as local YYYY-MM-DD, which spreadsheets parse as a date
+ */
+export function formatCsvDate(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Format a timestamp as local YYYY-MM-DD HH:MM:SS
+ */
+export function formatCsvTimestamp(date) {
+  const d = new Date(date);
+  return `${formatCsvDate(d)} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+/**
+ * Quote a single CSV cell when needed
+ */
+export function escapeCsvValue(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "number") return String(value);
+
+  let text = String(value);
+  if (FORMULA_PREFIXES.some((prefix) => text.startsWith(prefix))) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * Build CSV text from a header row and data rows
+ * @param {string[]} headers - Column names
+ * @param {Array<Array>} rows - Cell values in column order
+ */
+export function toCsv(headers, rows) {
+  const lines = [headers, ...rows].map((row) =>
+    row.map(escapeCsvValue).join(",")
+  );
+  return `${BYTE_ORDER_MARK}${lines.join("\r\n")}\r\n`;
+}
+
+/**
+ * One row per attempt
+ * @param {Array} sessions - Sessions in the order to export
+ * @param {function(Object): Object|null} resolveRoute - Route for an attempt
+ */
+export function buildAttemptsCsv(sessions, resolveRoute) {
+  const headers = [
+    "Session date",
+    "Gym",
+    "Route",
+    "Color",
+    "Grade",
+    "Result",
+    "Send style",
+    "Notes",
+    "Timestamp",
+  ];
+
+  const rows = sessions.flatMap((session) =>
+    session.attempts.map((attempt) => {
+      const route = resolveRoute(attempt);
+      const style = getSendStyle(attempt.sendStyle);
+
+      return [
+        formatCsvDate(session.date),
+        session.gym,
+        route?.name || "",
+        route?.color || "",
+        formatGrade(route) || "",
+        attempt.success ? "Sent" : "Failed",
+        style ? style.label : "",
+        attempt.notes || "",
+        formatCsvTimestamp(attempt.timestamp),
+      ];
+    })
+  );
+
+  return toCsv(headers, rows);
+}
+
+/**
+ * One row per session with totals and per-color attempts and sends
+ * @param {Array} sessions - Sessions in the order to export
+ * @param {function(Array): Object} getColorStats - Color stats for attempts
+ */
+export function buildSessionsCsv(sessions, getColorStats) {
+  const statsBySession = sessions.map((session) =>
+    getColorStats(session.attempts)
+  );
+
+  // Every color seen in any session gets its own pair of columns
+  const colors = [
+    ...new Set(statsBySession.flatMap((stats) => Object.keys(stats))),
+  ].sort();
+
+  const headers = [
+    "Session date",
+    "Gym",
+    "Attempts",
+    "Sends",
+    "Success rate (%)",
+    "Notes",
+    ...colors.flatMap((color) => [`${color} attempts`, `${color} sends`]),
+  ];
+
+  const rows = sessions.map((session, index) => {
+    const stats = statsBySession[index];
+    const total = session.attempts.length;
+    const sends = session.attempts.filter((attempt) => attempt.success).length;
+
+    return [
+      formatCsvDate(session.date),
+      session.gym,
+      total,
+      sends,
+      total > 0 ? Number(((sends / total) * 100).toFixed(1)) : 0,
+      session.notes || "",
+      ...colors.flatMap((color) => [
+        stats[color]?.total || 0,
+        stats[color]?.success || 0,
+      ]),
+    ];
+  });
+
+  return toCsv(headers, rows);
+}
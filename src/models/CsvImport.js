@@ -0,0 +1,413 @@
+import {
+  COLOR_ONLY_SYSTEM,
+  findGrade,
+  getGradeSystems,
+} from "./GradeSystems.js";
+
+/**
+ * Importing climbing history from CSV files exported by spreadsheets and
+ * other logbooks
+ *
+ * The file is parsed into rows, the user maps its columns onto the fields
+ * below, and the rows are grouped into one session per day and gym. Routes
+ * are matched against the library so re-importing a file or importing rows
+ * for routes already set up doesn't create duplicates.
+ */
+
+export const CSV_IMPORT_FIELDS = Object.freeze([
+  Object.freeze({ id: "date", label: "Date", required: true }),
+  Object.freeze({ id: "time", label: "Time" }),
+  Object.freeze({ id: "gym", label: "Gym" }),
+  Object.freeze({ id: "route", label: "Route name" }),
+  Object.freeze({ id: "color", label: "Color" }),
+  Object.freeze({ id: "grade", label: "Grade" }),
+  Object.freeze({ id: "result", label: "Result", required: true }),
+  Object.freeze({ id: "notes", label: "Notes" }),
+]);
+
+// Header names each field is recognized by, lowercase
+const FIELD_ALIASES = {
+  date: ["date", "session date", "day", "climb date"],
+  time: ["time", "timestamp", "logged at"],
+  gym: ["gym", "location", "crag", "area", "venue"],
+  route: ["route", "route name", "name", "problem", "climb"],
+  color: ["color", "colour", "hold color", "tape"],
+  grade: ["grade", "difficulty", "level"],
+  result: ["result", "sent", "send", "outcome", "success", "ascent type"],
+  notes: ["notes", "note", "comment", "comments", "description"],
+};
+
+const SENT_VALUES = [
+  "sent",
+  "send",
+  "yes",
+  "y",
+  "true",
+  "1",
+  "success",
+  "top",
+  "topped",
+  "flash",
+  "onsight",
+  "redpoint",
+  "repeat",
+  "✓",
+  "x",
+];
+
+const FAILED_VALUES = [
+  "failed",
+  "fail",
+  "no",
+  "n",
+  "false",
+  "0",
+  "attempt",
+  "tried",
+  "project",
+  "fell",
+];
+
+// Unknown colors are grouped like attempts without a color in the stats
+const UNKNOWN_COLOR = "unknown";
+
+/**
+ * Split CSV text into rows of cells. Handles quoted cells with commas,
+ * escaped quotes and line breaks, CRLF line endings and a leading byte
+ * order mark. Blank lines are dropped.
+ */
+export function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === "\"" && input[i + 1] === "\"") {
+        cell += "\"";
+        i++;
+      } else if (char === "\"") {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === "\"") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows
+    .map((cells) => cells.map(unguardCell))
+    .filter((cells) => cells.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Undo the quote CSV exports put in front of cells that look like formulas
+ */
+function unguardCell(value) {
+  return /^'[=+\-@]/.test(value) ? value.slice(1) : value;
+}
+
+/**
+ * Guess which column holds each field from the header row
+ * @param {string[]} headers - Header cells
+ * @returns {Object} Column index by field id; unmatched fields are left out
+ */
+export function guessColumnMapping(headers) {
+  const normalized = headers.map((header) => header.trim().toLowerCase());
+  const mapping = {};
+
+  Object.entries(FIELD_ALIASES).forEach(([field, aliases]) => {
+    const index = normalized.findIndex(
+      (header, column) =>
+        aliases.includes(header) && !Object.values(mapping).includes(column)
+    );
+    if (index !== -1) {
+      mapping[field] = index;
+    }
+  });
+
+  return mapping;
+}
+
+/**
+ * Read a result cell as sent (true), failed (false) or unreadable (null)
+ */
+export function parseResult(value) {
+  const normalized = String(value ?? "")
+    .trim()
+    .toLowerCase();
+
+  if (SENT_VALUES.includes(normalized)) return true;
+  if (FAILED_VALUES.includes(normalized)) return false;
+  return null;
+}
+
+/**
+ * Read a date cell. ISO dates are taken as local time; anything else is
+ * left to the browser's date parser.
+ * @returns {Date|null}
+ */
+export function parseDate(value) {
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+
+  const iso = text.match(
+    /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/
+  );
+  const date = iso
+    ? new Date(
+        Number(iso[1]),
+        Number(iso[2]) - 1,
+        Number(iso[3]),
+        Number(iso[4] || 0),
+        Number(iso[5] || 0),
+        Number(iso[6] || 0)
+      )
+    : new Date(text);
+
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Work out the time an attempt was logged from the time cell, which may
+ * hold a full timestamp or just a time of day
+ */
+function parseTimestamp(value, date) {
+  const text = String(value ?? "").trim();
+  const timeOfDay = text.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+
+  if (timeOfDay) {
+    const timestamp = new Date(date);
+    timestamp.setHours(
+      Number(timeOfDay[1]),
+      Number(timeOfDay[2]),
+      Number(timeOfDay[3] || 0),
+      0
+    );
+    return timestamp;
+  }
+
+  return parseDate(text);
+}
+
+/**
+ * Find the grading system a grade label belongs to, trying the preferred
+ * system first
+ * @returns {string|null} Grade system id
+ */
+export function detectGradeSystem(label, preferredSystem) {
+  if (preferredSystem && findGrade(label, preferredSystem)) {
+    return preferredSystem;
+  }
+
+  const system = getGradeSystems().find((candidate) =>
+    findGrade(label, candidate.id)
+  );
+  return system ? system.id : null;
+}
+
+const normalizeText = (value) =>
+  String(value ?? "")
+    .trim()
+    .toLowerCase();
+
+/**
+ * Key that identifies a route within a gym: its name when it has one,
+ * otherwise its color and grade
+ */
+export function routeKey(route) {
+  const gym = normalizeText(route.gym);
+  const name = normalizeText(route.name);
+
+  return name
+    ? `${gym}|name:${name}`
+    : `${gym}|${normalizeText(route.color)}|${normalizeText(route.grade)}`;
+}
+
+const dayKey = (date) =>
+  `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+
+/**
+ * Turn CSV rows into sessions and the routes they reference
+ * @param {Array<string[]>} rows - Data rows, without the header
+ * @param {Object} mapping - Column index by field id
+ * @param {Object} options
+ * @param {Array} options.routes - Route library to match against
+ * @param {string} [options.defaultGym] - Gym for rows without one
+ * @param {function(string): string} [options.getDefaultGradeSystem] - Grade
+ *   system a gym uses, tried first when reading grades
+ * @param {number} [options.firstLine] - File line number of the first row
+ * @returns {Object} `{ sessions, routes, problems }` where each session holds
+ *   attempts with a `routeKey` into `routes`, routes are `{ key, route,
+ *   isNew }` and problems are `{ line, message }`
+ */
+export function buildCsvImport(
+  rows,
+  mapping,
+  {
+    routes = [],
+    defaultGym = "",
+    getDefaultGradeSystem = () => null,
+    firstLine = 2,
+  } = {}
+) {
+  const cell = (row, field) =>
+    mapping[field] === undefined || mapping[field] === null
+      ? ""
+      : String(row[mapping[field]] ?? "").trim();
+
+  const libraryByKey = new Map(routes.map((route) => [routeKey(route), route]));
+  const routesByKey = new Map();
+  const sessionsByKey = new Map();
+  const problems = [];
+
+  rows.forEach((row, index) => {
+    const line = firstLine + index;
+
+    const date = parseDate(cell(row, "date"));
+    if (!date) {
+      problems.push({ line, message: "Date is missing or not a date" });
+      return;
+    }
+
+    const gym = cell(row, "gym") || defaultGym.trim();
+    if (!gym) {
+      problems.push({ line, message: "Gym is missing" });
+      return;
+    }
+
+    const success = parseResult(cell(row, "result"));
+    if (success === null) {
+      problems.push({
+        line,
+        message: `Result "${cell(row, "result")}" is not recognized`,
+      });
+      return;
+    }
+
+    const name = cell(row, "route");
+    const color = cell(row, "color").toLowerCase();
+    let grade = cell(row, "grade");
+    if (!name && !color && !grade) {
+      problems.push({ line, message: "Route, color and grade are all empty" });
+      return;
+    }
+
+    let gradeSystem = COLOR_ONLY_SYSTEM;
+    if (grade) {
+      gradeSystem = detectGradeSystem(grade, getDefaultGradeSystem(gym));
+      if (gradeSystem) {
+        grade = findGrade(grade, gradeSystem).label;
+      } else {
+        problems.push({
+          line,
+          message: `Grade "${grade}" is not recognized and was left out`,
+        });
+        grade = "";
+        gradeSystem = COLOR_ONLY_SYSTEM;
+      }
+    }
+
+    const routeData = {
+      name: name || null,
+      color: color || UNKNOWN_COLOR,
+      grade: grade || null,
+      gradeSystem,
+      gym,
+      notes: null,
+    };
+    const key = routeKey(routeData);
+    if (!routesByKey.has(key)) {
+      const existing = libraryByKey.get(key);
+      routesByKey.set(key, {
+        key,
+        route: existing || routeData,
+        isNew: !existing,
+      });
+    }
+
+    const sessionKey = `${dayKey(date)}|${normalizeText(gym)}`;
+    if (!sessionsByKey.has(sessionKey)) {
+      sessionsByKey.set(sessionKey, { date, gym, attempts: [] });
+    }
+    const session = sessionsByKey.get(sessionKey);
+
+    // Without a time column, attempts keep the file's order a second apart
+    const timestamp =
+      parseTimestamp(cell(row, "time"), date) ||
+      new Date(date.getTime() + session.attempts.length * 1000);
+
+    session.attempts.push({
+      line,
+      timestamp,
+      routeKey: key,
+      success,
+      notes: cell(row, "notes") || null,
+    });
+  });
+
+  const sessions = [...sessionsByKey.values()]
+    .map((session) => {
+      const attempts = [...session.attempts].sort(
+        (a, b) => a.timestamp - b.timestamp
+      );
+      // A session starts with its first attempt when times are known
+      const date =
+        attempts[0].timestamp < session.date
+          ? session.date
+          : attempts[0].timestamp;
+      return { ...session, date, attempts };
+    })
+    .sort((a, b) => a.date - b.date);
+
+  return {
+    sessions,
+    routes: [...routesByKey.values()],
+    problems,
+  };
+}
+
+/**
+ * One-line summary of an import, e.g. "3 sessions, 42 attempts, 5 new routes"
+ */
+export function summarizeCsvImport(plan) {
+  const plural = (count, noun) => `${count} ${noun}${count === 1 ? "" : "s"}`;
+  const attempts = plan.sessions.reduce(
+    (total, session) => total + session.attempts.length,
+    0
+  );
+  const newRoutes = plan.routes.filter((route) => route.isNew).length;
+  const matchedRoutes = plan.routes.length - newRoutes;
+
+  const parts = [
+    plural(plan.sessions.length, "session"),
+    plural(attempts, "attempt"),
+    plural(newRoutes, "new route"),
+  ];
+  if (matchedRoutes > 0) {
+    parts.push(`${plural(matchedRoutes, "route")} already in the library`);
+  }
+
+  return parts.join(", ");
+}
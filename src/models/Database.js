@@ -0,0 +1,401 @@
+import { normalizeAttempt } from "./RouteSnapshot.js";
+import { getSearchTerms } from "./RouteQuery.js";
+import { toPhotoGallery } from "./RoutePhotos.js";
+
+/**
+ * Shared IndexedDB connection for ClimbModel, RouteModel and the service
+ * worker. Owns the store definitions and the ordered migration list, so every
+ * caller opens the same database at the same version.
+ */
+
+export const DB_NAME = "climbCountDB";
+
+export const STORES = Object.freeze({
+  sessions: "sessions",
+  drafts: "drafts",
+  routes: "routes",
+  trash: "trash",
+  walls: "walls",
+  gyms: "gyms",
+});
+
+/**
+ * Object store options and indexes, keyed by store name
+ */
+export const STORE_DEFINITIONS = Object.freeze({
+  [STORES.sessions]: {
+    options: { keyPath: "id", autoIncrement: true },
+    indexes: [
+      ["date", "date"],
+      ["gym", "gym"],
+    ],
+  },
+  [STORES.drafts]: {
+    options: { keyPath: "id" },
+    indexes: [],
+  },
+  [STORES.routes]: {
+    options: { keyPath: "id", autoIncrement: true },
+    indexes: [
+      ["color", "color"],
+      ["name", "name"],
+      ["gym", "gym"],
+      ["createdAt", "createdAt"],
+      ["wallId", "wallId"],
+      // Words of the name and notes, for searching the library
+      ["searchTerms", "searchTerms", { multiEntry: true }],
+      // Style tags, so routes with a tag load without a full scan
+      ["tags", "tags", { multiEntry: true }],
+    ],
+  },
+  // Deleted routes and sessions, keyed "<type>:<id>" until restored or purged
+  [STORES.trash]: {
+    options: { keyPath: "id" },
+    indexes: [
+      ["type", "type"],
+      ["deletedAt", "deletedAt"],
+    ],
+  },
+  // Walls and sectors within a gym that routes can be assigned to
+  [STORES.walls]: {
+    options: { keyPath: "id", autoIncrement: true },
+    indexes: [["gym", "gym"]],
+  },
+  // Canonical gym names and the aliases that resolve to them
+  [STORES.gyms]: {
+    options: { keyPath: "id", autoIncrement: true },
+    indexes: [["name", "name"]],
+  },
+});
+
+/**
+ * Create a store from its definition if it doesn't exist yet, and add any
+ * indexes it is missing
+ */
+function ensureStore(db, transaction, storeName) {
+  const definition = STORE_DEFINITIONS[storeName];
+  const store = db.objectStoreNames.contains(storeName)
+    ? transaction.objectStore(storeName)
+    : db.createObjectStore(storeName, definition.options);
+
+  definition.indexes.forEach(([name, keyPath, options = {}]) => {
+    if (!store.indexNames.contains(name)) {
+      store.createIndex(name, keyPath, { unique: false, ...options });
+    }
+  });
+
+  return store;
+}
+
+/**
+ * Parse a legacy localStorage session, reviving its dates
+ */
+function parseLegacySession(json) {
+  return JSON.parse(json, (key, value) => {
+    if (key === "date" || key === "timestamp") {
+      return new Date(value);
+    }
+    return value;
+  });
+}
+
+/**
+ * Move sessions and the draft out of localStorage. Writes go through the
+ * upgrade transaction, and localStorage is only cleared once it commits.
+ */
+function migrateFromLocalStorage(db, transaction) {
+  if (typeof localStorage === "undefined") return;
+
+  try {
+    const savedSessions = localStorage.getItem("climbingSessions");
+    if (savedSessions) {
+      const sessions = parseLegacySession(savedSessions);
+      const store = transaction.objectStore(STORES.sessions);
+      sessions.forEach((session) => store.add(session));
+
+      transaction.addEventListener("complete", () => {
+        console.log(`Migrated ${sessions.length} sessions from localStorage`);
+        localStorage.removeItem("climbingSessions");
+      });
+    }
+
+    const savedDraft = localStorage.getItem("climbingSessionDraft");
+    if (savedDraft) {
+      const draft = parseLegacySession(savedDraft);
+      transaction.objectStore(STORES.drafts).put({ ...draft, id: "current" });
+
+      transaction.addEventListener("complete", () => {
+        console.log("Migrated draft session from localStorage");
+        localStorage.removeItem("climbingSessionDraft");
+      });
+    }
+  } catch (error) {
+    console.error("Migration from localStorage failed:", error);
+  }
+}
+
+/**
+ * Rewrite stored sessions and the draft so attempts keep only a routeId and
+ * a small route snapshot instead of the full route with its image
+ */
+function migrateEmbeddedRoutes(db, transaction) {
+  [STORES.sessions, STORES.drafts].forEach((storeName) => {
+    const request = transaction.objectStore(storeName).openCursor();
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+
+      const session = cursor.value;
+      cursor.update({
+        ...session,
+        attempts: (session.attempts || []).map(normalizeAttempt),
+      });
+      cursor.continue();
+    };
+
+    request.onerror = () => {
+      console.error(`Failed to migrate ${storeName}:`, request.error);
+    };
+  });
+}
+
+/**
+ * Store the searchable words of every route's name and notes
+ */
+function indexRouteSearchTerms(db, transaction) {
+  ensureStore(db, transaction, STORES.routes);
+
+  const request = transaction.objectStore(STORES.routes).openCursor();
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+
+    cursor.update({
+      ...cursor.value,
+      searchTerms: getSearchTerms(cursor.value),
+    });
+    cursor.continue();
+  };
+
+  request.onerror = () => {
+    console.error("Failed to index route search terms:", request.error);
+  };
+}
+
+/**
+ * Move each route's single photo, with its thumbnail and annotations, into
+ * a gallery of photos, including routes waiting in the trash
+ */
+function migrateRoutePhotos(db, transaction) {
+  const routes = transaction.objectStore(STORES.routes).openCursor();
+  routes.onsuccess = () => {
+    const cursor = routes.result;
+    if (!cursor) return;
+
+    // Upgrades from before version 7 index search terms in this same
+    // transaction, and this cursor reads each route before that update
+    // lands, so the terms are written again here
+    cursor.update({
+      ...toPhotoGallery(cursor.value),
+      searchTerms: getSearchTerms(cursor.value),
+    });
+    cursor.continue();
+  };
+  routes.onerror = () => {
+    console.error("Failed to migrate route photos:", routes.error);
+  };
+
+  const trash = transaction.objectStore(STORES.trash).openCursor();
+  trash.onsuccess = () => {
+    const cursor = trash.result;
+    if (!cursor) return;
+
+    const record = cursor.value;
+    if (record.type === "route") {
+      cursor.update({ ...record, item: toPhotoGallery(record.item) });
+    }
+    cursor.continue();
+  };
+  trash.onerror = () => {
+    console.error("Failed to migrate trashed route photos:", trash.error);
+  };
+}
+
+/**
+ * Schema migrations in version order. Each runs inside the upgrade
+ * transaction when the stored database is older than its version.
+ * Add new entries at the end; never edit one that has shipped.
+ */
+export const MIGRATIONS = Object.freeze([
+  {
+    version: 1,
+    description: "Create sessions, drafts and routes stores",
+    migrate: (db, transaction) => {
+      ensureStore(db, transaction, STORES.sessions);
+      ensureStore(db, transaction, STORES.drafts);
+      ensureStore(db, transaction, STORES.routes);
+    },
+  },
+  {
+    version: 2,
+    description: "Move sessions and drafts out of localStorage",
+    migrate: migrateFromLocalStorage,
+  },
+  {
+    version: 3,
+    description: "Attempts reference routes by id instead of embedding them",
+    migrate: migrateEmbeddedRoutes,
+  },
+  {
+    version: 4,
+    description: "Create trash store for deleted routes and sessions",
+    migrate: (db, transaction) => ensureStore(db, transaction, STORES.trash),
+  },
+  {
+    version: 5,
+    description: "Create walls store and index routes by wall",
+    migrate: (db, transaction) => {
+      ensureStore(db, transaction, STORES.walls);
+      ensureStore(db, transaction, STORES.routes);
+    },
+  },
+  {
+    version: 6,
+    description: "Create gyms store for canonical gym names",
+    migrate: (db, transaction) => ensureStore(db, transaction, STORES.gyms),
+  },
+  {
+    version: 7,
+    description: "Index routes by the words in their name and notes",
+    migrate: indexRouteSearchTerms,
+  },
+  {
+    version: 8,
+    description: "Index routes by style tag",
+    migrate: (db, transaction) => ensureStore(db, transaction, STORES.routes),
+  },
+  {
+    version: 9,
+    description: "Move route photos into ordered galleries",
+    migrate: migrateRoutePhotos,
+  },
+]);
+
+export const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+class Database {
+  #connection = null;
+
+  constructor(name = DB_NAME, migrations = MIGRATIONS) {
+    this.name = name;
+    this.migrations = migrations;
+    this.version = migrations[migrations.length - 1].version;
+  }
+
+  /**
+   * Open the database, reusing the connection once it exists
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.#connection) {
+      this.#connection = this.#openConnection().catch((error) => {
+        this.#connection = null;
+        throw error;
+      });
+    }
+    return this.#connection;
+  }
+
+  /**
+   * Close the connection so the next open() reconnects
+   */
+  async close() {
+    if (!this.#connection) return;
+
+    const connection = this.#connection;
+    this.#connection = null;
+    (await connection).close();
+  }
+
+  /**
+   * Start a transaction on the shared connection
+   * @param {string|string[]} storeNames - Stores the transaction covers
+   * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+   * @returns {Promise<IDBTransaction>}
+   */
+  async transaction(storeNames, mode = "readonly") {
+    const db = await this.open();
+    return db.transaction(storeNames, mode);
+  }
+
+  #openConnection() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.name, this.version);
+
+      request.onerror = () => {
+        console.error("Database error:", request.error);
+        reject(request.error);
+      };
+
+      request.onblocked = () => {
+        console.warn(
+          "Database upgrade is waiting for other tabs to close their connection"
+        );
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        const transaction = request.transaction;
+
+        console.log(
+          `Upgrading database from version ${event.oldVersion} to ${this.version}`
+        );
+
+        this.migrations
+          .filter((migration) => migration.version > event.oldVersion)
+          .forEach((migration) => {
+            console.log(
+              `Running migration ${migration.version}: ${migration.description}`
+            );
+            migration.migrate(db, transaction, event.oldVersion);
+          });
+      };
+
+      request.onsuccess = async () => {
+        const db = request.result;
+
+        // Let a newer version (another tab or the service worker) upgrade
+        db.onversionchange = () => {
+          db.close();
+          this.#connection = null;
+        };
+
+        await this.#requestPersistence();
+        resolve(db);
+      };
+    });
+  }
+
+  async #requestPersistence() {
+    if (
+      typeof navigator === "undefined" ||
+      !("storage" in navigator) ||
+      !("persist" in navigator.storage)
+    ) {
+      return;
+    }
+
+    try {
+      const persistent = await navigator.storage.persist();
+      console.log("Storage persistence granted:", persistent);
+    } catch (error) {
+      console.warn("Could not request storage persistence:", error);
+    }
+  }
+}
+
+// Create and export shared instance
+const database = new Database();
+
+export { Database, database };
@@ -0,0 +1,295 @@
+/**
+ * Grading systems and conversion tables for routes
+ *
+ * Every grade carries a numeric score on a scale shared by all systems of the
+ * same discipline, so boulder grades convert between V-scale and Font and
+ * sport grades convert between YDS and French. Scores are never compared
+ * across disciplines.
+ */
+
+const BOULDER = "boulder";
+const SPORT = "sport";
+
+// Hueco V-scale, scored by V number
+const VSCALE_GRADES = [
+  ["VB", -1],
+  ["V0", 0],
+  ["V1", 1],
+  ["V2", 2],
+  ["V3", 3],
+  ["V4", 4],
+  ["V5", 5],
+  ["V6", 6],
+  ["V7", 7],
+  ["V8", 8],
+  ["V9", 9],
+  ["V10", 10],
+  ["V11", 11],
+  ["V12", 12],
+  ["V13", 13],
+  ["V14", 14],
+  ["V15", 15],
+  ["V16", 16],
+  ["V17", 17],
+];
+
+// Fontainebleau, scored against the V-scale equivalent
+const FONT_GRADES = [
+  ["3", -1],
+  ["4", 0],
+  ["4+", 0.5],
+  ["5", 1],
+  ["5+", 2],
+  ["6A", 3],
+  ["6A+", 3.5],
+  ["6B", 4],
+  ["6B+", 4.5],
+  ["6C", 5],
+  ["6C+", 5.5],
+  ["7A", 6],
+  ["7A+", 7],
+  ["7B", 8],
+  ["7B+", 8.5],
+  ["7C", 9],
+  ["7C+", 10],
+  ["8A", 11],
+  ["8A+", 12],
+  ["8B", 13],
+  ["8B+", 14],
+  ["8C", 15],
+  ["8C+", 16],
+  ["9A", 17],
+];
+
+// Yosemite Decimal System, scored by position on the sport scale
+const YDS_GRADES = [
+  ["5.5", 0],
+  ["5.6", 1],
+  ["5.7", 2],
+  ["5.8", 3],
+  ["5.9", 4],
+  ["5.10a", 5],
+  ["5.10b", 6],
+  ["5.10c", 7],
+  ["5.10d", 8],
+  ["5.11a", 9],
+  ["5.11b", 9.5],
+  ["5.11c", 10],
+  ["5.11d", 11],
+  ["5.12a", 11.5],
+  ["5.12b", 12],
+  ["5.12c", 13],
+  ["5.12d", 14],
+  ["5.13a", 15],
+  ["5.13b", 16],
+  ["5.13c", 17],
+  ["5.13d", 18],
+  ["5.14a", 19],
+  ["5.14b", 20],
+  ["5.14c", 21],
+  ["5.14d", 22],
+  ["5.15a", 23],
+  ["5.15b", 24],
+  ["5.15c", 25],
+  ["5.15d", 26],
+];
+
+// French sport grades, scored against the YDS equivalent
+const FRENCH_GRADES = [
+  ["4c", 0],
+  ["5a", 1],
+  ["5b", 2],
+  ["5c", 3],
+  ["6a", 4],
+  ["6a+", 5],
+  ["6b", 6],
+  ["6b+", 7],
+  ["6c", 8],
+  ["6c+", 9],
+  ["7a", 10],
+  ["7a+", 11],
+  ["7b", 12],
+  ["7b+", 13],
+  ["7c", 14],
+  ["7c+", 15],
+  ["8a", 16],
+  ["8a+", 17],
+  ["8b", 18],
+  ["8b+", 19],
+  ["8c", 20],
+  ["8c+", 21],
+  ["9a", 22],
+  ["9a+", 23],
+  ["9b", 24],
+  ["9b+", 25],
+  ["9c", 26],
+];
+
+const toGrades = (table) =>
+  table.map(([label, score]) => Object.freeze({ label, score }));
+
+export const COLOR_ONLY_SYSTEM = "color";
+export const DEFAULT_GRADE_SYSTEM = "vscale";
+
+/**
+ * Registered grading systems keyed by id. "color" means the gym only marks
+ * problems with tape color and routes carry no grade.
+ */
+export const GRADE_SYSTEMS = Object.freeze({
+  vscale: Object.freeze({
+    id: "vscale",
+    name: "Hueco (V-scale)",
+    discipline: BOULDER,
+    grades: toGrades(VSCALE_GRADES),
+  }),
+  font: Object.freeze({
+    id: "font",
+    name: "Fontainebleau",
+    discipline: BOULDER,
+    grades: toGrades(FONT_GRADES),
+  }),
+  yds: Object.freeze({
+    id: "yds",
+    name: "YDS",
+    discipline: SPORT,
+    grades: toGrades(YDS_GRADES),
+  }),
+  french: Object.freeze({
+    id: "french",
+    name: "French sport",
+    discipline: SPORT,
+    grades: toGrades(FRENCH_GRADES),
+  }),
+  color: Object.freeze({
+    id: COLOR_ONLY_SYSTEM,
+    name: "Gym color only",
+    discipline: null,
+    grades: [],
+  }),
+});
+
+// System each discipline is reported in when no target system is requested
+const CANONICAL_SYSTEMS = {
+  [BOULDER]: "vscale",
+  [SPORT]: "yds",
+};
+
+/**
+ * Get a grading system by id, or null if it isn't registered
+ */
+export function getGradeSystem(systemId) {
+  return GRADE_SYSTEMS[systemId] || null;
+}
+
+/**
+ * List all grading systems in display order
+ */
+export function getGradeSystems() {
+  return Object.values(GRADE_SYSTEMS);
+}
+
+/**
+ * Find a grade within a system by its label (case-insensitive)
+ */
+export function findGrade(label, systemId) {
+  const system = getGradeSystem(systemId);
+  if (!system || !label) return null;
+
+  const normalized = String(label).trim().toLowerCase();
+  return (
+    system.grades.find((grade) => grade.label.toLowerCase() === normalized) ||
+    null
+  );
+}
+
+/**
+ * Check whether a label is a valid grade in the given system
+ */
+export function isValidGrade(label, systemId) {
+  return findGrade(label, systemId) !== null;
+}
+
+/**
+ * Convert a grade label from one system to the closest grade in another.
+ * Returns null when either system is unknown, the grade is not valid, or the
+ * systems belong to different disciplines.
+ */
+export function convertGrade(label, fromSystemId, toSystemId) {
+  const from = getGradeSystem(fromSystemId);
+  const to = getGradeSystem(toSystemId);
+  const grade = findGrade(label, fromSystemId);
+
+  if (!from || !to || !grade || from.discipline !== to.discipline) {
+    return null;
+  }
+
+  if (from.id === to.id) {
+    return grade.label;
+  }
+
+  let closest = null;
+  to.grades.forEach((candidate) => {
+    if (
+      !closest ||
+      Math.abs(candidate.score - grade.score) <
+        Math.abs(closest.score - grade.score)
+    ) {
+      closest = candidate;
+    }
+  });
+
+  return closest ? closest.label : null;
+}
+
+/**
+ * Get the sortable difficulty of a route's grade, or null if ungraded
+ */
+export function getGradeScore(route) {
+  const grade = route ? findGrade(route.grade, route.gradeSystem) : null;
+  return grade ? grade.score : null;
+}
+
+/**
+ * Get the system a route's grade is reported in for stats: the requested
+ * system, or the canonical system for the route's discipline
+ */
+export function getReportingSystem(route, targetSystemId = null) {
+  const system = route ? getGradeSystem(route.gradeSystem) : null;
+  if (!system || !system.discipline) return null;
+
+  if (targetSystemId) {
+    const target = getGradeSystem(targetSystemId);
+    return target && target.discipline === system.discipline ? target.id : null;
+  }
+
+  return CANONICAL_SYSTEMS[system.discipline];
+}
+
+/**
+ * Compare two routes by grade for sorting. Boulders sort before sport routes
+ * and ungraded routes always sort last.
+ */
+export function compareRoutesByGrade(a, b) {
+  const scoreA = getGradeScore(a);
+  const scoreB = getGradeScore(b);
+
+  if (scoreA === null && scoreB === null) return 0;
+  if (scoreA === null) return 1;
+  if (scoreB === null) return -1;
+
+  const disciplineA = getGradeSystem(a.gradeSystem).discipline;
+  const disciplineB = getGradeSystem(b.gradeSystem).discipline;
+  if (disciplineA !== disciplineB) {
+    return disciplineA === BOULDER ? -1 : 1;
+  }
+
+  return scoreA - scoreB;
+}
+
+/**
+ * Format a route's grade for display, e.g. "V4" or "6a+"
+ */
+export function formatGrade(route) {
+  const grade = route ? findGrade(route.grade, route.gradeSystem) : null;
+  return grade ? grade.label : null;
+}
@@ -0,0 +1,414 @@
+import { database, STORES } from "./Database.js";
+import { TRASH_TYPES } from "./TrashModel.js";
+
+/**
+ * Gyms with a canonical name and the other spellings that mean the same gym
+ *
+ * Routes, sessions and walls keep the gym as a plain name, so the gyms store
+ * is the list those names are resolved against: anything typed that matches
+ * a gym's name or one of its aliases, in any case, is saved under the gym's
+ * canonical name. Renaming or merging a gym rewrites every stored reference
+ * to it in one transaction, including routes and sessions in the trash.
+ */
+
+// Stores read and rewritten together when gym names change
+const GYM_DATA_STORES = [
+  STORES.gyms,
+  STORES.routes,
+  STORES.sessions,
+  STORES.drafts,
+  STORES.walls,
+  STORES.trash,
+];
+
+/**
+ * Tidy a typed gym name: trimmed, with runs of spaces collapsed
+ */
+export function cleanGymName(name) {
+  return String(name ?? "")
+    .trim()
+    .replace(/\s+/g, " ");
+}
+
+/**
+ * Key gym names are matched on, ignoring case and spacing
+ */
+export function gymKey(name) {
+  return cleanGymName(name).toLowerCase();
+}
+
+/**
+ * Find the gym a name or alias refers to
+ * @returns {Object|null}
+ */
+export function findGym(gyms, name) {
+  const key = gymKey(name);
+  if (!key) return null;
+
+  return (
+    gyms.find(
+      (gym) =>
+        gymKey(gym.name) === key ||
+        (gym.aliases || []).some((alias) => gymKey(alias) === key)
+    ) || null
+  );
+}
+
+/**
+ * Add spellings to a list of aliases, skipping ones it already covers and
+ * the gym's own name
+ */
+function addAliases(gym, names) {
+  const aliases = [...(gym.aliases || [])];
+  const keys = new Set([gymKey(gym.name), ...aliases.map(gymKey)]);
+
+  names.map(cleanGymName).forEach((name) => {
+    if (name && !keys.has(gymKey(name))) {
+      keys.add(gymKey(name));
+      aliases.push(name);
+    }
+  });
+
+  return aliases;
+}
+
+/**
+ * Work out which stored records change when gym names are rewritten.
+ * Walls that end up with the same name at the same gym are merged into the
+ * one that was already there, and their routes move with them, including
+ * routes in the trash so they come back on a wall that still exists.
+ * @param {Object} data - Records by store name
+ * @param {function(string): string} renameGym - New name for a stored name
+ * @returns {Object} Records to put by store name, plus `deletedWallIds`
+ */
+export function rewriteGymReferences(data, renameGym) {
+  const rename = (gym) => (gym ? renameGym(gym) : gym);
+
+  // Walls that keep their gym claim their names first
+  const walls = [...(data.walls || [])].sort(
+    (a, b) => (rename(a.gym) !== a.gym) - (rename(b.gym) !== b.gym)
+  );
+  const keptWalls = new Map();
+  const wallIdMap = new Map();
+  const changedWalls = [];
+  const deletedWallIds = [];
+
+  walls.forEach((wall) => {
+    const gym = rename(wall.gym);
+    const key = `${gymKey(gym)}|${wall.name.toLowerCase()}`;
+    const kept = keptWalls.get(key);
+
+    if (kept) {
+      wallIdMap.set(wall.id, kept.id);
+      deletedWallIds.push(wall.id);
+      return;
+    }
+
+    keptWalls.set(key, wall);
+    if (gym !== wall.gym) {
+      changedWalls.push({ ...wall, gym });
+    }
+  });
+
+  const rewriteRoute = (route) => {
+    const gym = rename(route.gym);
+    const wallId = wallIdMap.get(route.wallId) ?? route.wallId;
+    return gym !== route.gym || wallId !== route.wallId
+      ? { ...route, gym, wallId }
+      : null;
+  };
+
+  const rewriteSession = (session) => {
+    let changed = rename(session.gym) !== session.gym;
+    const attempts = (session.attempts || []).map((attempt) => {
+      const snapshot = attempt.routeSnapshot;
+      if (!snapshot?.gym || rename(snapshot.gym) === snapshot.gym) {
+        return attempt;
+      }
+      changed = true;
+      return {
+        ...attempt,
+        routeSnapshot: { ...snapshot, gym: rename(snapshot.gym) },
+      };
+    });
+
+    return changed ? { ...session, gym: rename(session.gym), attempts } : null;
+  };
+
+  const rewriteItem = {
+    [STORES.routes]: rewriteRoute,
+    [STORES.sessions]: rewriteSession,
+  };
+  const trash = (data.trash || [])
+    .map((record) => {
+      const item = rewriteItem[TRASH_TYPES[record.type]]?.(record.item);
+      return item ? { ...record, item } : null;
+    })
+    .filter(Boolean);
+
+  return {
+    [STORES.routes]: (data.routes || []).map(rewriteRoute).filter(Boolean),
+    [STORES.sessions]: (data.sessions || [])
+      .map(rewriteSession)
+      .filter(Boolean),
+    [STORES.drafts]: (data.drafts || []).map(rewriteSession).filter(Boolean),
+    [STORES.walls]: changedWalls,
+    [STORES.trash]: trash,
+    deletedWallIds,
+  };
+}
+
+/**
+ * Count the routes and sessions at each gym, keyed by gym id
+ * @returns {Map<number, {routes: number, sessions: number}>}
+ */
+export function countGymReferences(gyms, routes, sessions) {
+  const counts = new Map(
+    gyms.map((gym) => [gym.id, { routes: 0, sessions: 0 }])
+  );
+  const count = (name, field) => {
+    const gym = findGym(gyms, name);
+    if (gym) counts.get(gym.id)[field]++;
+  };
+
+  routes.forEach((route) => count(route.gym, "routes"));
+  sessions.forEach((session) => count(session.gym, "sessions"));
+  return counts;
+}
+
+export class GymModel {
+  #storeName = STORES.gyms;
+  #db = null;
+
+  constructor(db = database) {
+    this.database = db;
+  }
+
+  /**
+   * Every gym, sorted by name
+   */
+  async getAllGyms() {
+    await this.ensureDBReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.#db.transaction([this.#storeName], "readonly");
+      const request = transaction.objectStore(this.#storeName).getAll();
+
+      request.onsuccess = () => {
+        resolve(
+          [...request.result].sort((a, b) => a.name.localeCompare(b.name))
+        );
+      };
+
+      request.onerror = () => {
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Canonical name of the gym a typed name refers to, without saving
+   * anything. Names that match no gym are returned tidied.
+   */
+  async findGymName(name) {
+    const gym = findGym(await this.getAllGyms(), name);
+    return gym ? gym.name : cleanGymName(name);
+  }
+
+  /**
+   * Canonical name for a typed gym name, adding a new gym when it matches
+   * no existing name or alias
+   * @returns {Promise<string>} The name to store, or "" when none was given
+   */
+  async resolveGymName(name) {
+    const cleaned = cleanGymName(name);
+    if (!cleaned) return "";
+
+    const gym = findGym(await this.getAllGyms(), cleaned);
+    if (gym) return gym.name;
+
+    await this.runWriteTransaction([this.#storeName], (transaction) => {
+      transaction.objectStore(this.#storeName).add({
+        name: cleaned,
+        aliases: [],
+      });
+    });
+    return cleaned;
+  }
+
+  /**
+   * Add a gym for every name in use that matches none yet, and rewrite
+   * spellings that differ only in case or spacing to one name. The spelling
+   * used most becomes the gym's name.
+   * @returns {Promise<Object>} Counts of gyms added and records rewritten
+   */
+  async syncGyms() {
+    return this.updateGymData((data, transaction) => {
+      const gyms = [...data.gyms];
+      const counts = new Map();
+
+      [
+        ...data.routes.map((route) => route.gym),
+        ...data.sessions.map((session) => session.gym),
+        ...data.walls.map((wall) => wall.gym),
+      ]
+        .map(cleanGymName)
+        .filter(Boolean)
+        .forEach((name) => counts.set(name, (counts.get(name) || 0) + 1));
+
+      const added = [];
+      [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([name]) => {
+          if (!findGym(gyms, name)) {
+            const gym = { name, aliases: [] };
+            gyms.push(gym);
+            added.push(gym);
+          }
+        });
+
+      const store = transaction.objectStore(this.#storeName);
+      added.forEach((gym) => store.add(gym));
+
+      const changes = this.queueGymRewrite(
+        transaction,
+        data,
+        (name) => findGym(gyms, name)?.name ?? name
+      );
+      return { added: added.length, ...changes };
+    });
+  }
+
+  /**
+   * Rename a gym, or merge it into another gym when the new name is already
+   * that gym's name or alias. The old name becomes an alias so it still
+   * resolves, and every route, session, draft and wall is rewritten.
+   * @param {number} id - Gym to rename
+   * @param {string} newName - New name, or the name of the gym to merge into
+   * @returns {Promise<Object>} `{ gym, merged, routes, sessions }`
+   */
+  async renameGym(id, newName) {
+    const name = cleanGymName(newName);
+    if (!name) {
+      throw new Error("Gym name is required");
+    }
+
+    return this.updateGymData((data, transaction) => {
+      const source = data.gyms.find((gym) => gym.id === id);
+      if (!source) {
+        throw new Error("Gym not found");
+      }
+
+      const others = data.gyms.filter((gym) => gym.id !== id);
+      const target = findGym(others, name);
+      const sourceNames = [source.name, ...(source.aliases || [])];
+      const gym = target
+        ? { ...target, aliases: addAliases(target, sourceNames) }
+        : {
+            ...source,
+            name,
+            aliases: addAliases({ name, aliases: [] }, sourceNames),
+          };
+
+      const store = transaction.objectStore(this.#storeName);
+      store.put(gym);
+      if (target) {
+        store.delete(source.id);
+      }
+
+      const sourceKeys = new Set(sourceNames.map(gymKey));
+      const changes = this.queueGymRewrite(transaction, data, (stored) =>
+        sourceKeys.has(gymKey(stored)) ? gym.name : stored
+      );
+      return { gym, merged: Boolean(target), ...changes };
+    });
+  }
+
+  /**
+   * Queue the puts and deletes that rewrite gym names across the data stores
+   * @returns {Object} How many routes, sessions, drafts and walls changed
+   */
+  queueGymRewrite(transaction, data, renameGym) {
+    const changes = rewriteGymReferences(data, renameGym);
+
+    [
+      STORES.routes,
+      STORES.sessions,
+      STORES.drafts,
+      STORES.walls,
+      STORES.trash,
+    ].forEach((storeName) => {
+      const store = transaction.objectStore(storeName);
+      changes[storeName].forEach((record) => store.put(record));
+    });
+    const walls = transaction.objectStore(STORES.walls);
+    changes.deletedWallIds.forEach((wallId) => walls.delete(wallId));
+
+    return {
+      routes: changes[STORES.routes].length,
+      sessions: changes[STORES.sessions].length,
+      drafts: changes[STORES.drafts].length,
+      walls: changes[STORES.walls].length + changes.deletedWallIds.length,
+    };
+  }
+
+  /**
+   * Read every store that refers to gyms, then queue changes on the same
+   * readwrite transaction so the rewrite sees and replaces a consistent copy
+   * @param {function(Object, IDBTransaction): *} queueChanges - Gets records
+   *   by store name; its return value is resolved once the writes commit
+   */
+  async updateGymData(queueChanges) {
+    await this.ensureDBReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.#db.transaction(GYM_DATA_STORES, "readwrite");
+      const data = {};
+      let result;
+      let failure = null;
+
+      GYM_DATA_STORES.forEach((storeName) => {
+        const request = transaction.objectStore(storeName).getAll();
+        request.onsuccess = () => {
+          data[storeName] = request.result;
+          if (Object.keys(data).length < GYM_DATA_STORES.length) return;
+
+          try {
+            result = queueChanges(data, transaction);
+          } catch (error) {
+            failure = error;
+            transaction.abort();
+          }
+        };
+      });
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onabort = () => reject(failure || transaction.error);
+    });
+  }
+
+  /**
+   * Queue writes on one readwrite transaction and resolve once it commits
+   */
+  async runWriteTransaction(storeNames, queueWrites) {
+    await this.ensureDBReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.#db.transaction(storeNames, "readwrite");
+
+      transaction.oncomplete = () => resolve();
+      transaction.onabort = () => reject(transaction.error);
+
+      try {
+        queueWrites(transaction);
+      } catch (error) {
+        transaction.abort();
+        reject(error);
+      }
+    });
+  }
+
+  async ensureDBReady() {
+    this.#db = await this.database.open();
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * Annotations drawn over a route photo
+ *
+ * Each route photo stores its annotations next to its image as
+ * `{ width, height, shapes }`, with shape coordinates in pixels of the photo
+ * they were drawn on, so they can be drawn at any size over that photo.
+ * Holds, start and top markers are circles; the beta line is a list of
+ * points.
+ */
+
+export const ANNOTATION_TOOLS = Object.freeze({
+  hold: Object.freeze({
+    id: "hold",
+    label: "Hold",
+    color: "#FFEB3B",
+    marker: null,
+  }),
+  start: Object.freeze({
+    id: "start",
+    label: "Start",
+    color: "#4CAF50",
+    marker: "S",
+  }),
+  top: Object.freeze({
+    id: "top",
+    label: "Top",
+    color: "#F44336",
+    marker: "T",
+  }),
+  line: Object.freeze({
+    id: "line",
+    label: "Beta line",
+    color: "#FF9800",
+    marker: null,
+  }),
+});
+
+/**
+ * Get an annotation tool by id, or null if it isn't registered
+ */
+export function getAnnotationTool(toolId) {
+  return ANNOTATION_TOOLS[toolId] || null;
+}
+
+/**
+ * List all annotation tools in toolbar order
+ */
+export function getAnnotationTools() {
+  return Object.values(ANNOTATION_TOOLS);
+}
+
+const isSize = (value) => Number.isFinite(value) && value > 0;
+
+// Keeps stored coordinates short without visibly moving anything
+const round = (value) => Math.round(value * 10) / 10;
+
+const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+
+/**
+ * Radius a hold circle starts at before it is dragged bigger
+ */
+export function getDefaultHoldRadius(width, height) {
+  return round(Math.min(width, height) * 0.04);
+}
+
+/**
+ * Tidy one shape: known type, finite coordinates kept inside the photo.
+ * Returns null for anything that can't be drawn.
+ */
+function normalizeShape(shape, width, height) {
+  if (!shape || !getAnnotationTool(shape.type)) return null;
+
+  if (shape.type === ANNOTATION_TOOLS.line.id) {
+    const points = (Array.isArray(shape.points) ? shape.points : [])
+      .filter(
+        (point) =>
+          Array.isArray(point) &&
+          Number.isFinite(point[0]) &&
+          Number.isFinite(point[1])
+      )
+      .map(([x, y]) => [round(clamp(x, width)), round(clamp(y, height))]);
+    return points.length >= 2 ? { type: shape.type, points } : null;
+  }
+
+  if (![shape.x, shape.y].every(Number.isFinite) || !isSize(shape.r)) {
+    return null;
+  }
+  return {
+    type: shape.type,
+    x: round(clamp(shape.x, width)),
+    y: round(clamp(shape.y, height)),
+    r: round(shape.r),
+  };
+}
+
+/**
+ * Validate annotations for storage, dropping shapes that can't be drawn
+ * @returns {Object|null} `{ width, height, shapes }`, or null when there is
+ *   nothing to draw
+ */
+export function normalizeAnnotations(annotations) {
+  if (
+    !annotations ||
+    !isSize(annotations.width) ||
+    !isSize(annotations.height)
+  ) {
+    return null;
+  }
+
+  const { width, height } = annotations;
+  const shapes = (Array.isArray(annotations.shapes) ? annotations.shapes : [])
+    .map((shape) => normalizeShape(shape, width, height))
+    .filter(Boolean);
+
+  return shapes.length > 0 ? { width, height, shapes } : null;
+}
+
+/**
+ * Whether a route photo has annotations to draw
+ */
+export function hasAnnotations(photo) {
+  return Boolean(photo?.annotations?.shapes?.length);
+}
+
+/**
+ * Rescale annotations to a photo of a different size, e.g. after the photo
+ * is resized
+ */
+export function scaleAnnotations(annotations, width, height) {
+  const normalized = normalizeAnnotations(annotations);
+  if (!normalized || !isSize(width) || !isSize(height)) return normalized;
+
+  const scaleX = width / normalized.width;
+  const scaleY = height / normalized.height;
+  const scaleR = Math.min(scaleX, scaleY);
+
+  return normalizeAnnotations({
+    width,
+    height,
+    shapes: normalized.shapes.map((shape) =>
+      shape.points
+        ? {
+            ...shape,
+            points: shape.points.map(([x, y]) => [x * scaleX, y * scaleY]),
+          }
+        : {
+            ...shape,
+            x: shape.x * scaleX,
+            y: shape.y * scaleY,
+            r: shape.r * scaleR,
+          }
+    ),
+  });
+}
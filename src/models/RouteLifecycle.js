@@ -0,0 +1,62 @@
+/**
+ * Route lifecycle: when a route was set on the wall, when the gym took it
+ * down and whether it is archived
+ *
+ * Archived routes are hidden when logging attempts but stay in the library,
+ * so attempts keep resolving to them in history and stats. Routes saved
+ * before set dates existed count as set when they were added.
+ */
+
+const normalizeGym = (gym) =>
+  String(gym ?? "")
+    .trim()
+    .toLowerCase();
+
+/**
+ * Whether a route has been archived
+ */
+export function isRouteArchived(route) {
+  return Boolean(route?.archived);
+}
+
+/**
+ * Date a route was set, falling back to when it was added
+ * @returns {Date|null}
+ */
+export function getRouteSetDate(route) {
+  const date = route?.setAt || route?.createdAt;
+  return date ? new Date(date) : null;
+}
+
+/**
+ * Routes still on the wall, for the log selector
+ */
+export function getActiveRoutes(routes) {
+  return routes.filter((route) => !isRouteArchived(route));
+}
+
+/**
+ * Find the routes a bulk archive would take down: active routes at a gym,
+ * or one of its walls, set before a date
+ * @param {Array} routes - Route library
+ * @param {Object} criteria
+ * @param {string} criteria.gym - Gym name, matched case-insensitively
+ * @param {number|null} [criteria.wallId] - Only routes on this wall
+ * @param {Date} criteria.setBefore - Only routes set before this date
+ */
+export function selectRoutesToArchive(
+  routes,
+  { gym, wallId = null, setBefore }
+) {
+  const gymKey = normalizeGym(gym);
+
+  return getActiveRoutes(routes).filter((route) => {
+    const setAt = getRouteSetDate(route);
+    return (
+      normalizeGym(route.gym) === gymKey &&
+      (wallId === null || route.wallId === wallId) &&
+      setAt !== null &&
+      setAt < setBefore
+    );
+  });
+}
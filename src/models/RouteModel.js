@@ -1,84 +1,132 @@
+import {
+  COLOR_ONLY_SYSTEM,
+  DEFAULT_GRADE_SYSTEM,
+  getGradeSystem,
+  findGrade,
+} from "./GradeSystems.js";
+import { database, STORES } from "./Database.js";
+import { createTrashRecord, trashKey } from "./TrashModel.js";
+import {
+  getSearchTerms,
+  matchesRouteQuery,
+  parseSearchText,
+  sortRoutes,
+} from "./RouteQuery.js";
+import { normalizeTag, normalizeTags } from "./RouteTags.js";
+import { scaleAnnotations } from "./RouteAnnotations.js";
+import {
+  getPrimaryPhoto,
+  getRoutePhotos,
+  normalizePhotos,
+} from "./RoutePhotos.js";
+import {
+  DEFAULT_PHOTO_SETTINGS,
+  processRoutePhoto,
+} from "../utils/ImageCompression.js";
+import { detectImageType, stripMetadata } from "../utils/ImageMetadata.js";
+
+// Photos stored before photos were shrunk on save have no thumbnail field
+const isUnprocessed = (photo) => photo.image && photo.thumbnail === undefined;
+
+// Bounds for the configurable photo size, in pixels
+const MIN_PHOTO_SIZE = 320;
+const MAX_PHOTO_SIZE = 8000;
+
 /**
  * Model for managing climbing routes with IndexedDB storage
  */
 export class RouteModel {
-  #dbName = "climbCountDB";
-  #version = 2; // Updated to match ClimbModel
-  #storeName = "routes";
+  #storeName = STORES.routes;
+  #gymGradeSystemsKey = "gymGradeSystems";
+  #photoSettingsKey = "photoSettings";
   #db = null;
 
-  constructor() {
+  constructor(db = database) {
+    this.database = db;
     this.initializeDB();
   }
 
   /**
-   * Initialize IndexedDB database
+   * Open the shared database
    */
   async initializeDB() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.#dbName, this.#version);
+    try {
+      await this.ensureDBReady();
+      return this.#db;
+    } catch (error) {
+      console.error("Database error:", error);
+      throw error;
+    }
+  }
 
-      request.onerror = () => {
-        console.error("Database error:", request.error);
-        reject(request.error);
-      };
+  /**
+   * Save a new route with its photos to IndexedDB
+   */
+  async saveRoute(routeData) {
+    await this.ensureDBReady();
 
-      request.onsuccess = async () => {
-        this.#db = request.result;
-
-        // Request persistent storage
-        if ("storage" in navigator && "persist" in navigator.storage) {
-          try {
-            const persistent = await navigator.storage.persist();
-            console.log("RouteModel storage persistence granted:", persistent);
-          } catch (error) {
-            console.warn(
-              "RouteModel could not request storage persistence:",
-              error
-            );
-          }
-        }
+    const route = this.createRouteRecord(routeData);
 
-        resolve(this.#db);
-      };
-
-      request.onupgradeneeded = (event) => {
-        // const db = event.target.result; // Database handled by ClimbModel
-        const oldVersion = event.oldVersion;
+    return new Promise((resolve, reject) => {
+      const transaction = this.#db.transaction([this.#storeName], "readwrite");
+      const store = transaction.objectStore(this.#storeName);
+      const request = store.add(route);
 
-        console.log(
-          `Upgrading RouteModel database from version ${oldVersion} to ${this.#version}`
-        );
+      request.onsuccess = () => {
+        route.id = request.result;
+        resolve(route);
+      };
 
-        // All stores are created by ClimbModel during upgrade
-        // This ensures consistent schema between models
+      request.onerror = () => {
+        reject(request.error);
       };
     });
   }
 
   /**
-   * Save a new route with image to IndexedDB
+   * Build the stored record for a new route, without an id yet
    */
-  async saveRoute(routeData) {
-    await this.ensureDBReady();
+  createRouteRecord(routeData) {
+    const gradeSystem = routeData.gradeSystem || COLOR_ONLY_SYSTEM;
+    const grade = this.normalizeGrade(routeData.grade, gradeSystem);
+    const photos = normalizePhotos(routeData.photos);
 
     const route = {
       name: routeData.name || null,
       color: routeData.color,
+      grade,
+      gradeSystem,
       gym: routeData.gym || null,
+      wallId: routeData.wallId || null,
+      tags: normalizeTags(routeData.tags),
       notes: routeData.notes || null,
-      image: routeData.image, // ArrayBuffer or File
+      // Ordered gallery; the first photo is shown in lists
+      photos,
+      // Bumped whenever the photos change
+      imageVersion: photos.length > 0 ? 1 : 0,
       createdAt: new Date(),
+      setAt: null,
+      removedAt: null,
+      archived: false,
     };
+    route.setAt = routeData.setAt || route.createdAt;
+    route.searchTerms = getSearchTerms(route);
+    return route;
+  }
+
+  /**
+   * Get all routes from IndexedDB
+   */
+  async getAllRoutes() {
+    await this.ensureDBReady();
 
     return new Promise((resolve, reject) => {
-      const transaction = this.#db.transaction([this.#storeName], "readwrite");
+      const transaction = this.#db.transaction([this.#storeName], "readonly");
       const store = transaction.objectStore(this.#storeName);
-      const request = store.add(route);
+      const request = store.getAll();
 
       request.onsuccess = () => {
-        route.id = request.result;
-        resolve(route);
+        resolve(request.result);
       };
 
       request.onerror = () => {
@@ -88,15 +136,40 @@ export class RouteModel {
   }
 
   /**
-   * Get all routes from IndexedDB
+   * Search, filter and sort the route library. Candidates are loaded through
+   * the most selective index the query allows: the search words, then the
+   * color, then the gym. The rest of the query is applied to them here.
+   * @param {Object} query - Query shaped like DEFAULT_ROUTE_QUERY
+   * @param {Map} [attemptSummary] - Attempts per route id, for the sent
+   *   filter and the attempt-based sorts
+   * @returns {Promise<Array>} Matching routes in sort order
    */
-  async getAllRoutes() {
+  async queryRoutes(query, attemptSummary = new Map()) {
     await this.ensureDBReady();
 
-    return new Promise((resolve, reject) => {
+    // The longest word narrows the search index the most
+    const [longestWord] = parseSearchText(query.text).sort(
+      (a, b) => b.length - a.length
+    );
+    let indexName = null;
+    let range;
+    if (longestWord) {
+      indexName = "searchTerms";
+      range = IDBKeyRange.bound(longestWord, `${longestWord}\uffff`);
+    } else if (query.color) {
+      indexName = "color";
+      range = query.color;
+    } else if (query.gym) {
+      indexName = "gym";
+      range = query.gym;
+    }
+
+    const candidates = await new Promise((resolve, reject) => {
       const transaction = this.#db.transaction([this.#storeName], "readonly");
       const store = transaction.objectStore(this.#storeName);
-      const request = store.getAll();
+      const request = indexName
+        ? store.index(indexName).getAll(range)
+        : store.getAll();
 
       request.onsuccess = () => {
         resolve(request.result);
@@ -106,6 +179,15 @@ export class RouteModel {
         reject(request.error);
       };
     });
+
+    // A route with several words matching the search is listed once per word
+    const routes = [
+      ...new Map(candidates.map((route) => [route.id, route])).values(),
+    ].filter((route) =>
+      matchesRouteQuery(route, query, attemptSummary.get(route.id))
+    );
+
+    return sortRoutes(routes, query.sort, attemptSummary);
   }
 
   /**
@@ -130,22 +212,31 @@ export class RouteModel {
   }
 
   /**
-   * Delete route by ID
+   * Move a route to the trash. Attempts keep referencing its id, so
+   * restoring it from the trash reconnects them.
    */
   async deleteRoute(id) {
-    await this.ensureDBReady();
+    const route = await this.getRouteById(id);
+    if (!route) {
+      throw new Error("Route not found");
+    }
 
     return new Promise((resolve, reject) => {
-      const transaction = this.#db.transaction([this.#storeName], "readwrite");
-      const store = transaction.objectStore(this.#storeName);
-      const request = store.delete(id);
-
-      request.onsuccess = () => {
-        resolve(true);
+      const transaction = this.#db.transaction(
+        [this.#storeName, STORES.trash],
+        "readwrite"
+      );
+      transaction.objectStore(this.#storeName).delete(id);
+      transaction
+        .objectStore(STORES.trash)
+        .put(createTrashRecord("route", route));
+
+      transaction.oncomplete = () => {
+        resolve(route);
       };
 
-      request.onerror = () => {
-        reject(request.error);
+      transaction.onabort = () => {
+        reject(transaction.error);
       };
     });
   }
@@ -161,18 +252,48 @@ export class RouteModel {
       throw new Error("Route not found");
     }
 
+    const gradeSystem =
+      routeData.gradeSystem !== undefined
+        ? routeData.gradeSystem || COLOR_ONLY_SYSTEM
+        : existingRoute.gradeSystem || COLOR_ONLY_SYSTEM;
+    const grade = this.normalizeGrade(
+      routeData.grade !== undefined ? routeData.grade : existingRoute.grade,
+      gradeSystem
+    );
+
     const updatedRoute = {
       ...existingRoute,
       name: routeData.name !== undefined ? routeData.name : existingRoute.name,
       color:
         routeData.color !== undefined ? routeData.color : existingRoute.color,
+      grade,
+      gradeSystem,
       gym: routeData.gym !== undefined ? routeData.gym : existingRoute.gym,
+      wallId:
+        routeData.wallId !== undefined
+          ? routeData.wallId
+          : existingRoute.wallId || null,
+      tags: normalizeTags(
+        routeData.tags !== undefined ? routeData.tags : existingRoute.tags
+      ),
       notes:
         routeData.notes !== undefined ? routeData.notes : existingRoute.notes,
-      image:
-        routeData.image !== undefined ? routeData.image : existingRoute.image,
+      photos:
+        routeData.photos !== undefined
+          ? normalizePhotos(routeData.photos)
+          : getRoutePhotos(existingRoute),
+      imageVersion:
+        this.getImageVersion(existingRoute) +
+        (routeData.photos !== undefined ? 1 : 0),
+      setAt:
+        routeData.setAt !== undefined ? routeData.setAt : existingRoute.setAt,
+      removedAt:
+        routeData.removedAt !== undefined
+          ? routeData.removedAt
+          : existingRoute.removedAt,
       updatedAt: new Date(),
     };
+    updatedRoute.searchTerms = getSearchTerms(updatedRoute);
 
     return new Promise((resolve, reject) => {
       const transaction = this.#db.transaction([this.#storeName], "readwrite");
@@ -189,6 +310,343 @@ export class RouteModel {
     });
   }
 
+  /**
+   * Write a route back exactly as given, keeping its id, e.g. to undo an
+   * edit or delete. Takes it out of the trash if it was there.
+   */
+  async restoreRoute(route) {
+    await this.restoreRoutes([route]);
+    return route;
+  }
+
+  /**
+   * Write several routes back exactly as given in one transaction
+   */
+  async restoreRoutes(routes) {
+    await this.ensureDBReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.#db.transaction(
+        [this.#storeName, STORES.trash],
+        "readwrite"
+      );
+      const store = transaction.objectStore(this.#storeName);
+      const trash = transaction.objectStore(STORES.trash);
+      routes.forEach((route) => {
+        store.put(route);
+        trash.delete(trashKey("route", route.id));
+      });
+
+      transaction.oncomplete = () => {
+        resolve(routes);
+      };
+
+      transaction.onabort = () => {
+        reject(transaction.error);
+      };
+    });
+  }
+
+  /**
+   * Archive routes the gym has taken down, in one transaction. Routes that
+   * already have a removed date keep it.
+   * @param {number[]} ids - Route ids
+   * @param {Date} removedAt - When the routes came down
+   * @returns {Promise<Array>} The archived routes
+   */
+  async archiveRoutes(ids, removedAt = new Date()) {
+    return this.writeArchivedState(ids, (route) => ({
+      ...route,
+      archived: true,
+      removedAt: route.removedAt || removedAt,
+    }));
+  }
+
+  /**
+   * Put archived routes back in the log selector
+   * @returns {Promise<Array>} The unarchived routes
+   */
+  async unarchiveRoutes(ids) {
+    return this.writeArchivedState(ids, (route) => ({
+      ...route,
+      archived: false,
+      removedAt: null,
+    }));
+  }
+
+  /**
+   * Read the given routes and write each back changed, in one transaction
+   */
+  async writeArchivedState(ids, change) {
+    await this.ensureDBReady();
+
+    const routes = (await this.getAllRoutes()).filter((route) =>
+      ids.includes(route.id)
+    );
+    if (routes.length !== ids.length) {
+      throw new Error("Route not found");
+    }
+
+    const updated = routes.map((route) => ({
+      ...change(route),
+      updatedAt: new Date(),
+    }));
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.#db.transaction([this.#storeName], "readwrite");
+      const store = transaction.objectStore(this.#storeName);
+      updated.forEach((route) => store.put(route));
+
+      transaction.oncomplete = () => {
+        resolve(updated);
+      };
+
+      transaction.onabort = () => {
+        reject(transaction.error);
+      };
+    });
+  }
+
+  /**
+   * Validate a grade against its system and return its canonical label
+   */
+  normalizeGrade(grade, gradeSystem) {
+    if (!getGradeSystem(gradeSystem)) {
+      throw new Error(`Unknown grading system: ${gradeSystem}`);
+    }
+
+    if (!grade || gradeSystem === COLOR_ONLY_SYSTEM) {
+      return null;
+    }
+
+    const match = findGrade(grade, gradeSystem);
+    if (!match) {
+      throw new Error(
+        `"${grade}" is not a valid ${getGradeSystem(gradeSystem).name} grade`
+      );
+    }
+
+    return match.label;
+  }
+
+  /**
+   * Get the grading system a gym uses by default
+   */
+  getDefaultGradeSystem(gym) {
+    const defaults = this.loadGymGradeSystems();
+    const key = gym ? gym.trim().toLowerCase() : "";
+    return defaults[key] || DEFAULT_GRADE_SYSTEM;
+  }
+
+  /**
+   * Remember the grading system a gym uses by default
+   */
+  setDefaultGradeSystem(gym, gradeSystem) {
+    if (!gym || !getGradeSystem(gradeSystem)) return;
+
+    const defaults = this.loadGymGradeSystems();
+    defaults[gym.trim().toLowerCase()] = gradeSystem;
+    localStorage.setItem(this.#gymGradeSystemsKey, JSON.stringify(defaults));
+  }
+
+  /**
+   * Carry a gym's default grading system over to its new name after a
+   * rename or merge, unless the new name already has one
+   * @param {string[]} oldNames - Names the gym was known by
+   * @param {string} newName - Name it is stored under now
+   */
+  renameGymGradeSystem(oldNames, newName) {
+    const defaults = this.loadGymGradeSystems();
+    const newKey = newName.trim().toLowerCase();
+
+    oldNames.forEach((name) => {
+      const oldKey = name.trim().toLowerCase();
+      if (oldKey === newKey || !(oldKey in defaults)) return;
+
+      defaults[newKey] = defaults[newKey] || defaults[oldKey];
+      delete defaults[oldKey];
+    });
+    localStorage.setItem(this.#gymGradeSystemsKey, JSON.stringify(defaults));
+  }
+
+  /**
+   * Read per-gym grading system defaults from localStorage
+   */
+  loadGymGradeSystems() {
+    try {
+      return JSON.parse(localStorage.getItem(this.#gymGradeSystemsKey)) || {};
+    } catch (error) {
+      console.warn("Could not read gym grade systems:", error);
+      return {};
+    }
+  }
+
+  /**
+   * Size and quality new photos are stored at
+   * @returns {{maxWidth: number, maxHeight: number, quality: number}}
+   */
+  getPhotoSettings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.#photoSettingsKey));
+      return { ...DEFAULT_PHOTO_SETTINGS, ...saved };
+    } catch (error) {
+      console.warn("Could not read photo settings:", error);
+      return { ...DEFAULT_PHOTO_SETTINGS };
+    }
+  }
+
+  /**
+   * Remember the size and quality to store new photos at
+   * @param {Object} settings - `{ maxWidth, maxHeight }` in pixels and
+   *   `quality` from 0.1 to 1
+   */
+  setPhotoSettings({ maxWidth, maxHeight, quality }) {
+    const sizes = [Number(maxWidth), Number(maxHeight)];
+    if (
+      !sizes.every(
+        (size) =>
+          Number.isInteger(size) &&
+          size >= MIN_PHOTO_SIZE &&
+          size <= MAX_PHOTO_SIZE
+      )
+    ) {
+      throw new Error(
+        `Photo size must be between ${MIN_PHOTO_SIZE} and ${MAX_PHOTO_SIZE} pixels`
+      );
+    }
+    const value = Number(quality);
+    if (!(value >= 0.1 && value <= 1)) {
+      throw new Error("Photo quality must be between 10% and 100%");
+    }
+
+    localStorage.setItem(
+      this.#photoSettingsKey,
+      JSON.stringify({
+        maxWidth: sizes[0],
+        maxHeight: sizes[1],
+        quality: value,
+      })
+    );
+  }
+
+  /**
+   * Shrink a picked photo with the photo settings and make its thumbnail.
+   * Photos the browser can't decode are stored as they are, without one,
+   * though still cleaned of metadata where the format allows.
+   * @returns {Promise<{image: ArrayBuffer, type: string|null,
+   *   thumbnail: ArrayBuffer|null, width: number|null,
+   *   height: number|null}>}
+   */
+  async preparePhoto(file) {
+    try {
+      return await processRoutePhoto(file, this.getPhotoSettings());
+    } catch (error) {
+      console.warn("Storing photo uncompressed:", error);
+      const image = await this.fileToArrayBuffer(file);
+      return {
+        image: stripMetadata(image) || image,
+        type: detectImageType(image) || file.type || null,
+        thumbnail: null,
+        width: null,
+        height: null,
+      };
+    }
+  }
+
+  /**
+   * Shrink photos stored before photos were compressed on save, one route
+   * at a time. Photos without a thumbnail field haven't been processed;
+   * ones that fail keep their image and get a null thumbnail, so each photo
+   * is only tried once.
+   * @param {function(ArrayBuffer): Promise<Object>} [processPhoto] -
+   *   Shrinks one photo, as processRoutePhoto
+   * @returns {Promise<number>} How many photos were shrunk
+   */
+  async shrinkStoredPhotos(
+    processPhoto = (image) => processRoutePhoto(image, this.getPhotoSettings())
+  ) {
+    const pending = (await this.getAllRoutes()).filter((route) =>
+      getRoutePhotos(route).some(isUnprocessed)
+    );
+
+    let shrunk = 0;
+    for (const route of pending) {
+      // Results by photo id; null when the photo couldn't be shrunk
+      const results = new Map();
+      for (const photo of getRoutePhotos(route).filter(isUnprocessed)) {
+        try {
+          results.set(photo.id, await processPhoto(photo.image));
+        } catch (error) {
+          console.warn(
+            `Could not shrink photo ${photo.id} of route ${route.id}:`,
+            error
+          );
+          results.set(photo.id, null);
+        }
+      }
+
+      const saved = await this.writePhotos(route.id, (current) => ({
+        ...current,
+        imageVersion: this.getImageVersion(current) + 1,
+        photos: getRoutePhotos(current).map((photo) => {
+          if (!isUnprocessed(photo) || !results.has(photo.id)) return photo;
+
+          const result = results.get(photo.id);
+          return result
+            ? {
+                ...photo,
+                image: result.image,
+                type: result.type,
+                thumbnail: result.thumbnail,
+                annotations: scaleAnnotations(
+                  photo.annotations,
+                  result.width,
+                  result.height
+                ),
+              }
+            : { ...photo, thumbnail: null };
+        }),
+      }));
+      if (saved) {
+        shrunk += [...results.values()].filter(Boolean).length;
+      }
+    }
+
+    return shrunk;
+  }
+
+  /**
+   * Replace a route's photos if some still haven't been processed, reading
+   * and writing it in one transaction so edits made meanwhile aren't lost
+   * @returns {Promise<boolean>} Whether the route was written
+   */
+  async writePhotos(id, change) {
+    await this.ensureDBReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.#db.transaction([this.#storeName], "readwrite");
+      const store = transaction.objectStore(this.#storeName);
+      let written = false;
+
+      const request = store.get(id);
+      request.onsuccess = () => {
+        const current = request.result;
+        if (current && getRoutePhotos(current).some(isUnprocessed)) {
+          store.put(change(current));
+          written = true;
+        }
+      };
+
+      transaction.oncomplete = () => {
+        resolve(written);
+      };
+
+      transaction.onabort = () => {
+        reject(transaction.error);
+      };
+    });
+  }
+
   /**
    * Convert File to ArrayBuffer for storage
    */
@@ -209,14 +667,58 @@ export class RouteModel {
   }
 
   /**
-   * Create object URL from stored image for display
+   * MIME type of a stored photo. Photos saved before the type was stored
+   * have it read from the image itself.
    */
-  createImageURL(route) {
-    if (!route.image) return null;
+  getImageType(photo) {
+    return (
+      photo.type ||
+      (photo.image instanceof Blob && photo.image.type) ||
+      detectImageType(photo.image) ||
+      "image/jpeg"
+    );
+  }
+
+  /**
+   * Version of a route's photos, for caching URLs made from them. Routes
+   * saved before images were versioned count as version 0.
+   */
+  getImageVersion(route) {
+    return route.imageVersion || 0;
+  }
+
+  /**
+   * Stored photo as a Blob of its own type, or null if there is none
+   */
+  getPhotoBlob(photo) {
+    if (!photo?.image) return null;
+    return this.arrayBufferToBlob(photo.image, this.getImageType(photo));
+  }
+
+  /**
+   * A route's primary photo as a Blob, or null if it has no photos
+   */
+  getImageBlob(route) {
+    return this.getPhotoBlob(getPrimaryPhoto(route));
+  }
 
+  /**
+   * Image for showing a route in lists: the thumbnail of its primary photo,
+   * or the full photo when it has none
+   */
+  getThumbnailBlob(route) {
+    const photo = getPrimaryPhoto(route);
+    if (!photo?.thumbnail) return this.getPhotoBlob(photo);
+    return this.arrayBufferToBlob(photo.thumbnail);
+  }
+
+  /**
+   * Create object URL from a route's primary photo for display
+   */
+  createImageURL(route) {
     try {
-      const blob = this.arrayBufferToBlob(route.image);
-      return URL.createObjectURL(blob);
+      const blob = this.getImageBlob(route);
+      return blob ? URL.createObjectURL(blob) : null;
     } catch (error) {
       console.error("Error creating image URL:", error);
       return null;
@@ -227,9 +729,9 @@ export class RouteModel {
    * Ensure database is ready before operations
    */
   async ensureDBReady() {
-    if (!this.#db) {
-      await this.initializeDB();
-    }
+    // The shared database reuses its connection and reconnects after a
+    // version change, so always take the current one
+    this.#db = await this.database.open();
   }
 
   /**
@@ -275,4 +777,26 @@ export class RouteModel {
       };
     });
   }
+
+  /**
+   * Get routes with a style tag, through the tags index
+   */
+  async getRoutesByTag(tag) {
+    await this.ensureDBReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.#db.transaction([this.#storeName], "readonly");
+      const store = transaction.objectStore(this.#storeName);
+      const index = store.index("tags");
+      const request = index.getAll(normalizeTag(tag));
+
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+
+      request.onerror = () => {
+        reject(request.error);
+      };
+    });
+  }
 }
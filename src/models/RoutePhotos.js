@@ -0,0 +1,90 @@
+/**
+ * The photo gallery of a route
+ *
+ * Routes store their photos in order as `photos`, each
+ * `{ id, image, type, thumbnail, annotations }`: the stored image and its
+ * MIME type, a small copy for lists, and the holds and beta line drawn over
+ * it. The first photo is the primary one, shown on cards and in the route
+ * selector. Ids are unique within a route and never change, so a photo
+ * keeps its annotations and cached URL when the gallery is reordered.
+ */
+
+import { normalizeAnnotations } from "./RouteAnnotations.js";
+
+/**
+ * A route's photos in gallery order
+ */
+export function getRoutePhotos(route) {
+  return Array.isArray(route?.photos) ? route.photos : [];
+}
+
+/**
+ * The photo shown for a route in lists, or null if it has none
+ */
+export function getPrimaryPhoto(route) {
+  return getRoutePhotos(route)[0] || null;
+}
+
+/**
+ * Id for a photo added to a gallery, after every id it already used
+ */
+export function nextPhotoId(photos) {
+  return photos.reduce((max, photo) => Math.max(max, photo.id || 0), 0) + 1;
+}
+
+/**
+ * Move a photo to another place in the gallery
+ * @returns {Array} A reordered copy
+ */
+export function movePhoto(photos, from, to) {
+  if (to < 0 || to >= photos.length || from === to) return [...photos];
+
+  const moved = [...photos];
+  const [photo] = moved.splice(from, 1);
+  moved.splice(to, 0, photo);
+  return moved;
+}
+
+/**
+ * Validate a gallery for storage: photos without an image are dropped and
+ * missing or repeated ids are replaced
+ */
+export function normalizePhotos(photos) {
+  const kept = (Array.isArray(photos) ? photos : []).filter(
+    (photo) => photo?.image
+  );
+  let nextId = nextPhotoId(kept.filter((photo) => Number.isInteger(photo.id)));
+  const used = new Set();
+
+  return kept.map((photo) => {
+    const id =
+      Number.isInteger(photo.id) && !used.has(photo.id) ? photo.id : nextId++;
+    used.add(id);
+    return {
+      id,
+      image: photo.image,
+      type: photo.type || null,
+      // Left undefined on photos that still have to be shrunk
+      ...(photo.thumbnail !== undefined
+        ? { thumbnail: photo.thumbnail || null }
+        : {}),
+      annotations: normalizeAnnotations(photo.annotations),
+    };
+  });
+}
+
+/**
+ * Convert a route stored with a single `image` into one with a gallery.
+ * Routes that already have one are returned as they are.
+ */
+export function toPhotoGallery(route) {
+  if (Array.isArray(route.photos)) return route;
+
+  const { image, imageType, thumbnail, annotations, ...rest } = route;
+  return {
+    ...rest,
+    photos: normalizePhotos([
+      { id: 1, image, type: imageType, thumbnail, annotations },
+    ]),
+  };
+}
@@ -0,0 +1,155 @@
+import { isRouteArchived } from "./RouteLifecycle.js";
+
+/**
+ * Searching, filtering and sorting the route library
+ *
+ * Routes store `searchTerms`, the distinct lowercased words of their name and
+ * notes, under a multiEntry index so a text search only loads routes with a
+ * word starting with the search. Filters and sorts that depend on attempts
+ * read a per-route summary from ClimbModel.getRouteAttemptSummary.
+ */
+
+const NO_ATTEMPTS = Object.freeze({
+  attempts: 0,
+  sends: 0,
+  lastAttemptAt: null,
+});
+
+const byNewest = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+
+const successRate = (stats) =>
+  stats.attempts > 0 ? stats.sends / stats.attempts : null;
+
+export const ROUTE_SORTS = Object.freeze({
+  newest: Object.freeze({
+    id: "newest",
+    label: "Newest",
+    compare: (a, b) => byNewest(a.route, b.route),
+  }),
+  mostAttempted: Object.freeze({
+    id: "mostAttempted",
+    label: "Most attempted",
+    compare: (a, b) =>
+      b.stats.attempts - a.stats.attempts || byNewest(a.route, b.route),
+  }),
+  lowestSuccess: Object.freeze({
+    id: "lowestSuccess",
+    label: "Lowest success rate",
+    // Routes never tried have no rate and go last
+    compare: (a, b) => {
+      const rateA = successRate(a.stats);
+      const rateB = successRate(b.stats);
+      if (rateA === null || rateB === null) {
+        return (
+          (rateA === null) - (rateB === null) || byNewest(a.route, b.route)
+        );
+      }
+      return rateA - rateB || b.stats.attempts - a.stats.attempts;
+    },
+  }),
+  lastAttempted: Object.freeze({
+    id: "lastAttempted",
+    label: "Last attempted",
+    compare: (a, b) =>
+      (b.stats.lastAttemptAt ?? -Infinity) -
+        (a.stats.lastAttemptAt ?? -Infinity) || byNewest(a.route, b.route),
+  }),
+});
+
+export const SENT_FILTERS = Object.freeze({
+  sent: "sent",
+  unsent: "unsent",
+});
+
+export const ARCHIVED_FILTERS = Object.freeze({
+  active: "active",
+  archived: "archived",
+  all: "all",
+});
+
+/**
+ * What the library shows before anything is searched or filtered
+ */
+export const DEFAULT_ROUTE_QUERY = Object.freeze({
+  text: "",
+  color: "",
+  gym: "",
+  sent: "",
+  archived: ARCHIVED_FILTERS.active,
+  sort: ROUTE_SORTS.newest.id,
+});
+
+/**
+ * Get a route sort by id, or null if it isn't registered
+ */
+export function getRouteSort(sortId) {
+  return ROUTE_SORTS[sortId] || null;
+}
+
+/**
+ * List all route sorts in display order
+ */
+export function getRouteSorts() {
+  return Object.values(ROUTE_SORTS);
+}
+
+/**
+ * Split text into lowercased words for searching
+ */
+export function parseSearchText(text) {
+  return String(text ?? "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Distinct words of a route's name and notes, stored for the search index
+ */
+export function getSearchTerms(route) {
+  return [
+    ...new Set(parseSearchText(`${route.name ?? ""} ${route.notes ?? ""}`)),
+  ];
+}
+
+/**
+ * Whether a route passes every part of a query. Each search word has to
+ * start one of the route's words.
+ * @param {Object} route
+ * @param {Object} query - Query shaped like DEFAULT_ROUTE_QUERY
+ * @param {Object} [stats] - The route's attempt summary
+ */
+export function matchesRouteQuery(route, query, stats = NO_ATTEMPTS) {
+  const terms = getSearchTerms(route);
+  const words = parseSearchText(query.text);
+  if (!words.every((word) => terms.some((term) => term.startsWith(word)))) {
+    return false;
+  }
+
+  if (query.color && route.color !== query.color) return false;
+  if (query.gym && route.gym !== query.gym) return false;
+
+  const archived = isRouteArchived(route);
+  if (query.archived === ARCHIVED_FILTERS.active && archived) return false;
+  if (query.archived === ARCHIVED_FILTERS.archived && !archived) return false;
+
+  if (query.sent === SENT_FILTERS.sent && stats.sends === 0) return false;
+  if (query.sent === SENT_FILTERS.unsent && stats.sends > 0) return false;
+
+  return true;
+}
+
+/**
+ * Sort routes with one of ROUTE_SORTS, falling back to newest first
+ * @param {Array} routes
+ * @param {string} sortId
+ * @param {Map} summary - Attempt summary by route id
+ */
+export function sortRoutes(routes, sortId, summary = new Map()) {
+  const sort = getRouteSort(sortId) || ROUTE_SORTS.newest;
+
+  return routes
+    .map((route) => ({ route, stats: summary.get(route.id) || NO_ATTEMPTS }))
+    .sort(sort.compare)
+    .map(({ route }) => route);
+}
@@ -0,0 +1,40 @@
+/**
+ * Route snapshots stored on attempts
+ *
+ * Attempts reference routes by `routeId` and keep a small snapshot of the
+ * route's display fields, so attempts on a deleted route can still be shown.
+ */
+
+/**
+ * Build the snapshot kept on an attempt from a full route object
+ */
+export function createRouteSnapshot(route) {
+  if (!route) return null;
+
+  return {
+    name: route.name || null,
+    color: route.color || null,
+    grade: route.grade || null,
+    gradeSystem: route.gradeSystem || null,
+    gym: route.gym || null,
+    // Keeps wall stats for attempts on routes deleted since
+    ...(route.wallId ? { wallId: route.wallId } : {}),
+    // Keeps tag stats for the same reason
+    ...(route.tags?.length ? { tags: [...route.tags] } : {}),
+  };
+}
+
+/**
+ * Convert an attempt that embeds a full route object into the stored
+ * shape: routeId plus routeSnapshot
+ */
+export function normalizeAttempt(attempt) {
+  const { route, ...rest } = attempt;
+  if (!route) return attempt;
+
+  return {
+    ...rest,
+    routeId: attempt.routeId ?? route.id ?? null,
+    routeSnapshot: createRouteSnapshot(route),
+  };
+}
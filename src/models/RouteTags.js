@@ -0,0 +1,85 @@
+/**
+ * Style tags on routes
+ *
+ * Routes store tags as a list of lowercased names under a multiEntry index,
+ * so routes with a tag can be loaded directly. The predefined tags below are
+ * offered when adding a route; anything else typed is kept as a custom tag.
+ */
+
+export const ROUTE_TAGS = Object.freeze({
+  crimp: Object.freeze({ id: "crimp", label: "Crimp" }),
+  sloper: Object.freeze({ id: "sloper", label: "Sloper" }),
+  pinch: Object.freeze({ id: "pinch", label: "Pinch" }),
+  dyno: Object.freeze({ id: "dyno", label: "Dyno" }),
+  slab: Object.freeze({ id: "slab", label: "Slab" }),
+  overhang: Object.freeze({ id: "overhang", label: "Overhang" }),
+  compression: Object.freeze({ id: "compression", label: "Compression" }),
+  mantle: Object.freeze({ id: "mantle", label: "Mantle" }),
+});
+
+/**
+ * Get a predefined tag by id, or null if it isn't registered
+ */
+export function getRouteTag(tagId) {
+  return ROUTE_TAGS[tagId] || null;
+}
+
+/**
+ * List all predefined tags in display order
+ */
+export function getRouteTags() {
+  return Object.values(ROUTE_TAGS);
+}
+
+/**
+ * Display label for a tag; custom tags show as typed, lowercased
+ */
+export function getTagLabel(tag) {
+  return getRouteTag(tag)?.label || tag;
+}
+
+/**
+ * Key a tag is stored and matched under: trimmed, lowercased, with runs of
+ * spaces collapsed
+ */
+export function normalizeTag(tag) {
+  return String(tag ?? "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+}
+
+/**
+ * Distinct normalized tags, dropping empty ones
+ */
+export function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Split comma separated custom tags typed by the climber
+ */
+export function parseTagText(text) {
+  return normalizeTags(String(text ?? "").split(","));
+}
+
+/**
+ * Order tags with the predefined ones first in registry order, then custom
+ * tags alphabetically
+ */
+export function sortTags(tags) {
+  const ids = Object.keys(ROUTE_TAGS);
+  const rank = (tag) => (ROUTE_TAGS[tag] ? ids.indexOf(tag) : ids.length);
+
+  return [...tags].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+/**
+ * Every tag used by some route, in display order
+ */
+export function collectRouteTags(routes) {
+  return sortTags(
+    new Set(routes.flatMap((route) => normalizeTags(route.tags)))
+  );
+}
@@ -0,0 +1,92 @@
+/**
+ * Send styles recorded on successful attempts
+ *
+ * Failed attempts carry no send style. Successful attempts are classified
+ * from the route's history unless the climber picks a style explicitly.
+ */
+
+export const SEND_STYLES = Object.freeze({
+  onsight: Object.freeze({
+    id: "onsight",
+    label: "Onsight",
+    icon: "👁️",
+    description: "Sent first try with no prior beta",
+  }),
+  flash: Object.freeze({
+    id: "flash",
+    label: "Flash",
+    icon: "⚡",
+    description: "Sent first try",
+  }),
+  redpoint: Object.freeze({
+    id: "redpoint",
+    label: "Redpoint",
+    icon: "🔴",
+    description: "Sent after failed attempts in the same session",
+  }),
+  project: Object.freeze({
+    id: "project",
+    label: "Project",
+    icon: "🎯",
+    description: "Sent after working it over several sessions",
+  }),
+  repeat: Object.freeze({
+    id: "repeat",
+    label: "Repeat",
+    icon: "🔁",
+    description: "Sent again after an earlier send",
+  }),
+});
+
+/**
+ * Get a send style by id, or null if it isn't registered
+ */
+export function getSendStyle(styleId) {
+  return SEND_STYLES[styleId] || null;
+}
+
+/**
+ * List all send styles in display order
+ */
+export function getSendStyles() {
+  return Object.values(SEND_STYLES);
+}
+
+/**
+ * Work out the send style of a successful attempt from the earlier attempts
+ * on the same route. `previousAttempts` must be in chronological order and
+ * carry the `sessionId` they were logged in.
+ */
+export function detectSendStyle(previousAttempts, sessionId) {
+  if (previousAttempts.length === 0) {
+    return SEND_STYLES.flash.id;
+  }
+
+  if (previousAttempts.some((attempt) => attempt.success)) {
+    return SEND_STYLES.repeat.id;
+  }
+
+  const workedInEarlierSession = previousAttempts.some(
+    (attempt) => attempt.sessionId !== sessionId
+  );
+  return workedInEarlierSession
+    ? SEND_STYLES.project.id
+    : SEND_STYLES.redpoint.id;
+}
+
+/**
+ * Count successful attempts per send style
+ */
+export function countSendStyles(attempts) {
+  const counts = Object.fromEntries(
+    getSendStyles().map((style) => [style.id, 0])
+  );
+
+  attempts.forEach((attempt) => {
+    if (attempt.success && counts[attempt.sendStyle] !== undefined) {
+      counts[attempt.sendStyle]++;
+    }
+  });
+
+  return counts;
+}
@@ -0,0 +1,201 @@
+import { database, STORES } from "./Database.js";
+
+/**
+ * Trash bin for deleted routes and sessions
+ *
+ * Deleting a route or finished session moves it into the trash store in the
+ * same transaction that removes it, so nothing is lost until the trash is
+ * emptied or the item has been there longer than the retention period.
+ * Restoring puts the item back under its original id, which keeps attempts
+ * that reference a deleted route pointing at it.
+ */
+
+export const TRASH_TYPES = Object.freeze({
+  route: STORES.routes,
+  session: STORES.sessions,
+});
+
+export const DEFAULT_RETENTION_DAYS = 30;
+
+const RETENTION_KEY = "trashRetentionDays";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Key of the trash record for an item, e.g. "route:12"
+ */
+export function trashKey(type, itemId) {
+  return `${type}:${itemId}`;
+}
+
+/**
+ * Wrap a deleted item for the trash store
+ * @param {string} type - "route" or "session"
+ * @param {Object} item - The item exactly as it was stored
+ */
+export function createTrashRecord(type, item, deletedAt = new Date()) {
+  if (!TRASH_TYPES[type]) {
+    throw new Error(`Unknown trash type: ${type}`);
+  }
+
+  return {
+    id: trashKey(type, item.id),
+    type,
+    itemId: item.id,
+    item,
+    deletedAt,
+  };
+}
+
+/**
+ * Date a trash record will be purged on
+ */
+export function purgeDate(record, retentionDays) {
+  return new Date(
+    new Date(record.deletedAt).getTime() + retentionDays * DAY_MS
+  );
+}
+
+export class TrashModel {
+  #storeName = STORES.trash;
+  #db = null;
+
+  constructor(db = database) {
+    this.database = db;
+  }
+
+  /**
+   * All trashed items, most recently deleted first
+   */
+  async list() {
+    await this.ensureDBReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.#db.transaction([this.#storeName], "readonly");
+      const request = transaction.objectStore(this.#storeName).getAll();
+
+      request.onsuccess = () => {
+        resolve(
+          [...request.result].sort(
+            (a, b) => new Date(b.deletedAt) - new Date(a.deletedAt)
+          )
+        );
+      };
+
+      request.onerror = () => {
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Put a trashed item back into its store under its original id and drop
+   * it from the trash, in one transaction
+   * @returns {Promise<Object>} The restored trash record
+   */
+  async restore(id) {
+    const record = (await this.list()).find((entry) => entry.id === id);
+    if (!record) {
+      throw new Error("Item is no longer in the trash");
+    }
+
+    const storeName = TRASH_TYPES[record.type];
+    let occupied = false;
+    try {
+      await this.runWriteTransaction(
+        [storeName, this.#storeName],
+        (transaction) => {
+          // A backup restored since the delete may have reused the id
+          const request = transaction.objectStore(storeName).get(record.itemId);
+          request.onsuccess = () => {
+            if (request.result) {
+              occupied = true;
+              transaction.abort();
+              return;
+            }
+            transaction.objectStore(storeName).put(record.item);
+            transaction.objectStore(this.#storeName).delete(id);
+          };
+        }
+      );
+    } catch (error) {
+      if (occupied) {
+        throw new Error(`Another ${record.type} already uses this id`);
+      }
+      throw error;
+    }
+
+    return record;
+  }
+
+  /**
+   * Permanently delete everything in the trash
+   */
+  async empty() {
+    await this.runWriteTransaction([this.#storeName], (transaction) => {
+      transaction.objectStore(this.#storeName).clear();
+    });
+  }
+
+  /**
+   * Permanently delete items that have been in the trash longer than the
+   * retention period
+   * @returns {Promise<number>} How many items were purged
+   */
+  async purgeExpired(
+    retentionDays = this.getRetentionDays(),
+    now = new Date()
+  ) {
+    const expired = (await this.list()).filter(
+      (record) => purgeDate(record, retentionDays) <= now
+    );
+    if (expired.length === 0) return 0;
+
+    await this.runWriteTransaction([this.#storeName], (transaction) => {
+      const store = transaction.objectStore(this.#storeName);
+      expired.forEach((record) => store.delete(record.id));
+    });
+
+    return expired.length;
+  }
+
+  /**
+   * Days items stay in the trash before they are purged
+   */
+  getRetentionDays() {
+    const days = Number(localStorage.getItem(RETENTION_KEY));
+    return Number.isInteger(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+  }
+
+  setRetentionDays(days) {
+    const value = Number(days);
+    if (!Number.isInteger(value) || value < 1) {
+      throw new Error("Keep items in the trash for at least one day");
+    }
+    localStorage.setItem(RETENTION_KEY, String(value));
+  }
+
+  /**
+   * Queue writes on one readwrite transaction and resolve once it commits
+   */
+  async runWriteTransaction(storeNames, queueWrites) {
+    await this.ensureDBReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.#db.transaction(storeNames, "readwrite");
+
+      transaction.oncomplete = () => resolve();
+      transaction.onabort = () => reject(transaction.error);
+
+      try {
+        queueWrites(transaction);
+      } catch (error) {
+        transaction.abort();
+        reject(error);
+      }
+    });
+  }
+
+  async ensureDBReady() {
+    this.#db = await this.database.open();
+  }
+}
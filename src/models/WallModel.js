@@ -0,0 +1,206 @@
+import { database, STORES } from "./Database.js";
+
+/**
+ * Walls and sectors within a gym
+ *
+ * A wall belongs to a gym by name and has an angle, so routes assigned to
+ * it can be grouped when logging and success can be broken down by wall and
+ * by steepness.
+ */
+
+export const WALL_ANGLES = Object.freeze({
+  slab: Object.freeze({ id: "slab", label: "Slab" }),
+  vertical: Object.freeze({ id: "vertical", label: "Vertical" }),
+  overhang: Object.freeze({ id: "overhang", label: "Overhang" }),
+  steep: Object.freeze({ id: "steep", label: "Steep overhang" }),
+  roof: Object.freeze({ id: "roof", label: "Roof / cave" }),
+});
+
+/**
+ * Get a wall angle by id, or null if it isn't registered
+ */
+export function getWallAngle(angleId) {
+  return WALL_ANGLES[angleId] || null;
+}
+
+/**
+ * List all wall angles from least to most steep
+ */
+export function getWallAngles() {
+  return Object.values(WALL_ANGLES);
+}
+
+/**
+ * Compare gym names the way the app matches them: trimmed, any case
+ */
+export function isSameGym(a, b) {
+  const normalize = (gym) =>
+    String(gym ?? "")
+      .trim()
+      .toLowerCase();
+  return normalize(a) === normalize(b);
+}
+
+export class WallModel {
+  #storeName = STORES.walls;
+  #db = null;
+
+  constructor(db = database) {
+    this.database = db;
+  }
+
+  /**
+   * Every wall at every gym, sorted by gym then name
+   */
+  async getAllWalls() {
+    await this.ensureDBReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.#db.transaction([this.#storeName], "readonly");
+      const request = transaction.objectStore(this.#storeName).getAll();
+
+      request.onsuccess = () => {
+        resolve(
+          [...request.result].sort(
+            (a, b) => a.gym.localeCompare(b.gym) || a.name.localeCompare(b.name)
+          )
+        );
+      };
+
+      request.onerror = () => {
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Walls at one gym
+   */
+  async getWallsForGym(gym) {
+    return (await this.getAllWalls()).filter((wall) =>
+      isSameGym(wall.gym, gym)
+    );
+  }
+
+  /**
+   * Add a wall to a gym
+   * @param {Object} wallData - `{ gym, name, angle }`
+   * @returns {Promise<Object>} The saved wall with its id
+   */
+  async saveWall(wallData) {
+    const wall = await this.validateWall(wallData);
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.#db.transaction([this.#storeName], "readwrite");
+      const request = transaction.objectStore(this.#storeName).add(wall);
+
+      request.onsuccess = () => {
+        wall.id = request.result;
+      };
+
+      transaction.oncomplete = () => {
+        resolve(wall);
+      };
+
+      transaction.onabort = () => {
+        reject(transaction.error);
+      };
+    });
+  }
+
+  /**
+   * Rename a wall or change its angle
+   * @returns {Promise<Object>} The updated wall
+   */
+  async updateWall(id, wallData) {
+    const existing = (await this.getAllWalls()).find((wall) => wall.id === id);
+    if (!existing) {
+      throw new Error("Wall not found");
+    }
+
+    const wall = {
+      ...existing,
+      ...(await this.validateWall({ ...existing, ...wallData }, id)),
+    };
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.#db.transaction([this.#storeName], "readwrite");
+      transaction.objectStore(this.#storeName).put(wall);
+
+      transaction.oncomplete = () => {
+        resolve(wall);
+      };
+
+      transaction.onabort = () => {
+        reject(transaction.error);
+      };
+    });
+  }
+
+  /**
+   * Delete a wall and unassign its routes in the same transaction
+   */
+  async deleteWall(id) {
+    await this.ensureDBReady();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.#db.transaction(
+        [this.#storeName, STORES.routes],
+        "readwrite"
+      );
+      const routes = transaction.objectStore(STORES.routes);
+      const request = routes.getAll();
+
+      request.onsuccess = () => {
+        request.result
+          .filter((route) => route.wallId === id)
+          .forEach((route) => routes.put({ ...route, wallId: null }));
+        transaction.objectStore(this.#storeName).delete(id);
+      };
+
+      transaction.oncomplete = () => {
+        resolve(true);
+      };
+
+      transaction.onabort = () => {
+        reject(transaction.error);
+      };
+    });
+  }
+
+  /**
+   * Check a wall's fields and that its name is unique within its gym
+   * @param {number} [ignoreId] - Wall being edited, which may keep its name
+   */
+  async validateWall({ gym, name, angle }, ignoreId = null) {
+    const wall = {
+      gym: String(gym ?? "").trim(),
+      name: String(name ?? "").trim(),
+      angle: angle || null,
+    };
+
+    if (!wall.gym || !wall.name) {
+      throw new Error("Wall name and gym are required");
+    }
+    if (wall.angle && !getWallAngle(wall.angle)) {
+      throw new Error(`Unknown wall angle: ${wall.angle}`);
+    }
+
+    const duplicate = (await this.getWallsForGym(wall.gym)).find(
+      (other) =>
+        other.id !== ignoreId &&
+        other.name.toLowerCase() === wall.name.toLowerCase()
+    );
+    if (duplicate) {
+      throw new Error(
+        `${wall.gym} already has a wall called ${duplicate.name}`
+      );
+    }
+
+    return wall;
+  }
+
+  async ensureDBReady() {
+    this.#db = await this.database.open();
+  }
+}
@@ -0,0 +1,123 @@
+import { dialogUtils } from "./DialogUtils.js";
+
+/**
+ * Undo/redo history for user actions
+ *
+ * Actions run through their normal code path and are then recorded as a
+ * command with `undo` and `redo` functions, usually restoring snapshots
+ * taken before and after. Recording shows a toast with an Undo button;
+ * undoing shows one with Redo. Recording a new command drops the redo stack.
+ */
+class CommandHistory {
+  constructor(limit = 50) {
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.busy = false;
+  }
+
+  /**
+   * Record an action that has just been performed
+   * @param {Object} command - `{ label, undo, redo }`; label describes the
+   *   action, e.g. "Deleted attempt"
+   */
+  record(command) {
+    this.undoStack.push(command);
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+
+    this.showUndoToast(command);
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Undo the most recent action
+   * @param {Object} expected - Only undo if this command is the most recent,
+   *   so a stale toast can't undo a later action
+   * @returns {Promise<boolean>} Whether anything was undone
+   */
+  async undo(expected = null) {
+    return this.step(
+      this.undoStack,
+      this.redoStack,
+      "undo",
+      expected,
+      (command) =>
+        dialogUtils.showToast(`Undone: ${command.label}`, "info", 6000, {
+          label: "Redo",
+          onClick: () => this.redo(command),
+        })
+    );
+  }
+
+  /**
+   * Redo the most recently undone action
+   * @param {Object} expected - Only redo if this command was undone last
+   * @returns {Promise<boolean>} Whether anything was redone
+   */
+  async redo(expected = null) {
+    return this.step(
+      this.redoStack,
+      this.undoStack,
+      "redo",
+      expected,
+      (command) => this.showUndoToast(command)
+    );
+  }
+
+  /**
+   * Move the top command from one stack to the other, running it in the
+   * given direction. A command that fails is dropped, since the data no
+   * longer matches its snapshots.
+   */
+  async step(from, to, direction, expected, notify) {
+    if (this.busy || from.length === 0) return false;
+
+    if (expected && from[from.length - 1] !== expected) {
+      dialogUtils.showWarning(
+        `Only the most recent change can be ${direction === "undo" ? "undone" : "redone"}`
+      );
+      return false;
+    }
+
+    const command = from.pop();
+    this.busy = true;
+    try {
+      await command[direction]();
+      to.push(command);
+      notify(command);
+      return true;
+    } catch (error) {
+      console.error(`Failed to ${direction}:`, error);
+      dialogUtils.showError(
+        `Could not ${direction} "${command.label}": ${error.message}`
+      );
+      return false;
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  showUndoToast(command) {
+    dialogUtils.showUndo(command.label, () => this.undo(command));
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+}
+
+// Create and export singleton instance
+const commandHistory = new CommandHistory();
+
+export { CommandHistory, commandHistory };
@@ -1,7 +1,13 @@
 /**
  * Custom dialog and toast notification utilities
+ *
+ * Titles, messages and button labels are plain text; they often name
+ * routes, gyms and walls, so they are escaped here. Only form bodies are
+ * markup.
  */
 
+import { escapeHtml } from "./HtmlUtils.js";
+
 class DialogUtils {
   constructor() {
     this.activeToasts = [];
@@ -38,10 +44,10 @@ class DialogUtils {
 
       dialog.innerHTML = `
         <div class="dialog-header">
-          <h3>${title}</h3>
+          <h3>${escapeHtml(title)}</h3>
         </div>
         <div class="dialog-body">
-          <p>${message}</p>
+          <p>${escapeHtml(message)}</p>
         </div>
         <div class="dialog-footer">
           <button class="dialog-btn dialog-btn-secondary" data-action="cancel">Cancel</button>
@@ -97,24 +103,106 @@ class DialogUtils {
     });
   }
 
+  /**
+   * Show a dialog with form fields
+   * @param {string} title - Title for the dialog
+   * @param {string} bodyHtml - Dialog content; named inputs and selects are collected
+   * @param {string} confirmLabel - Label for the confirm button
+   * @returns {Promise<Object|null>} - Field values by name, or null if cancelled
+   */
+  async showForm(title, bodyHtml, confirmLabel = "Confirm") {
+    return new Promise((resolve) => {
+      const overlay = document.createElement("div");
+      overlay.className = "dialog-overlay";
+
+      const dialog = document.createElement("div");
+      dialog.className = "dialog dialog-form";
+
+      dialog.innerHTML = `
+        <div class="dialog-header">
+          <h3>${escapeHtml(title)}</h3>
+        </div>
+        <div class="dialog-body">${bodyHtml}</div>
+        <div class="dialog-footer">
+          <button class="dialog-btn dialog-btn-secondary" data-action="cancel">Cancel</button>
+          <button class="dialog-btn dialog-btn-primary" data-action="confirm">${confirmLabel}</button>
+        </div>
+      `;
+
+      overlay.appendChild(dialog);
+      document.body.appendChild(overlay);
+
+      const close = (result) => {
+        document.removeEventListener("keydown", handleKeydown);
+        overlay.remove();
+        resolve(result);
+      };
+
+      const collectValues = () => {
+        const values = {};
+        dialog
+          .querySelectorAll("input[name], select[name]")
+          .forEach((field) => {
+            if (field.type === "checkbox") {
+              values[field.name] = field.checked;
+            } else if (field.type !== "radio" || field.checked) {
+              values[field.name] = field.value;
+            }
+          });
+        return values;
+      };
+
+      const handleKeydown = (e) => {
+        if (e.key === "Escape") {
+          close(null);
+        }
+      };
+
+      dialog.addEventListener("click", (e) => {
+        if (e.target.dataset.action === "confirm") {
+          close(collectValues());
+        } else if (e.target.dataset.action === "cancel") {
+          close(null);
+        }
+      });
+
+      overlay.addEventListener("click", (e) => {
+        if (e.target === overlay) {
+          close(null);
+        }
+      });
+
+      document.addEventListener("keydown", handleKeydown);
+    });
+  }
+
   /**
    * Show a toast notification
    * @param {string} message - The toast message
    * @param {string} type - Toast type: 'success', 'error', 'warning', 'info'
    * @param {number} duration - Duration in milliseconds (default: 4000)
+   * @param {Object} action - Optional `{ label, onClick }` button; clicking it closes the toast
    */
-  showToast(message, type = "info", duration = 4000) {
+  showToast(message, type = "info", duration = 4000, action = null) {
     const toast = document.createElement("div");
     toast.className = `toast toast-${type}`;
 
     toast.innerHTML = `
       <div class="toast-content">
         <span class="toast-icon">${this.getToastIcon(type)}</span>
-        <span class="toast-message">${message}</span>
+        <span class="toast-message">${escapeHtml(message)}</span>
+        ${action ? `<button class="toast-action">${escapeHtml(action.label)}</button>` : ""}
         <button class="toast-close" aria-label="Close">&times;</button>
       </div>
     `;
 
+    if (action) {
+      toast.querySelector(".toast-action").addEventListener("click", () => {
+        this.removeToast(toast);
+        action.onClick();
+      });
+    }
+
     // Add to container
     this.toastContainer.appendChild(toast);
     this.activeToasts.push(toast);
@@ -181,6 +269,19 @@ class DialogUtils {
     this.showToast(message, "success");
   }
 
+  /**
+   * Show a success toast with an Undo button, kept up longer than usual so
+   * there is time to react
+   * @param {string} message - What was done
+   * @param {Function} onUndo - Called when Undo is clicked
+   */
+  showUndo(message, onUndo) {
+    this.showToast(message, "success", 8000, {
+      label: "Undo",
+      onClick: onUndo,
+    });
+  }
+
   /**
    * Show error toast
    * @param {string} message - Error message
@@ -0,0 +1,14 @@
+/**
+ * Helpers for building view markup
+ */
+
+/**
+ * Escape text typed by the user or read from a file so it shows as text
+ * inside markup and attribute values
+ */
+export const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
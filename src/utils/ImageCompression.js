@@ -0,0 +1,199 @@
+/**
+ * Shrinking route photos before they are stored
+ *
+ * Phone photos are several megabytes. Each photo is scaled down to fit the
+ * configured size and re-encoded as JPEG, and a small thumbnail is made from
+ * the same decode for lists, so the full photo is only read when it is shown
+ * large. Metadata is removed before decoding and the EXIF orientation is
+ * applied while drawing, so the stored pixels are upright in every browser.
+ */
+
+import {
+  detectImageType,
+  isTransposed,
+  readOrientation,
+  stripMetadata,
+} from "./ImageMetadata.js";
+
+export const DEFAULT_PHOTO_SETTINGS = Object.freeze({
+  maxWidth: 1600,
+  maxHeight: 1600,
+  quality: 0.8,
+});
+
+export const THUMBNAIL_SETTINGS = Object.freeze({
+  maxWidth: 240,
+  maxHeight: 240,
+  quality: 0.7,
+});
+
+/**
+ * Size that fits within the limits keeping the aspect ratio. Photos are
+ * never scaled up.
+ * @returns {{width: number, height: number}}
+ */
+export function fitWithin(width, height, maxWidth, maxHeight) {
+  const scale = Math.min(1, maxWidth / width, maxHeight / height);
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+}
+
+/**
+ * Decode a photo so it can be drawn on a canvas
+ */
+async function loadBitmap(blob) {
+  if (typeof createImageBitmap === "function") {
+    const bitmap = await createImageBitmap(blob);
+    return {
+      source: bitmap,
+      width: bitmap.width,
+      height: bitmap.height,
+      close: () => bitmap.close?.(),
+    };
+  }
+
+  const url = URL.createObjectURL(blob);
+  try {
+    const image = await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error("Could not read the photo"));
+      img.src = url;
+    });
+    return {
+      source: image,
+      width: image.naturalWidth,
+      height: image.naturalHeight,
+      close: () => {},
+    };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Canvas transform that turns a photo stored with an EXIF orientation
+ * upright, for an upright size of width x height
+ */
+function orientationTransform(orientation, width, height) {
+  return {
+    2: [-1, 0, 0, 1, width, 0],
+    3: [-1, 0, 0, -1, width, height],
+    4: [1, 0, 0, -1, 0, height],
+    5: [0, 1, 1, 0, 0, 0],
+    6: [0, 1, -1, 0, width, 0],
+    7: [0, -1, -1, 0, width, height],
+    8: [0, -1, 1, 0, 0, height],
+  }[orientation];
+}
+
+/**
+ * Draw a decoded photo upright at a size and encode it as JPEG
+ * @returns {Promise<Blob>}
+ */
+function drawToJpeg(source, { width, height }, quality, orientation = 1) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+
+  const ctx = canvas.getContext("2d");
+  if (!ctx) {
+    return Promise.reject(new Error("Could not compress the photo"));
+  }
+  // JPEG has no transparency, so transparent areas would otherwise turn black
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, width, height);
+
+  const transform = orientationTransform(orientation, width, height);
+  if (transform) ctx.setTransform(...transform);
+  if (isTransposed(orientation)) {
+    ctx.drawImage(source, 0, 0, height, width);
+  } else {
+    ctx.drawImage(source, 0, 0, width, height);
+  }
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) =>
+        blob
+          ? resolve(blob)
+          : reject(new Error("Could not compress the photo")),
+      "image/jpeg",
+      quality
+    );
+  });
+}
+
+/**
+ * Scale down, turn upright and re-encode a route photo and make its
+ * thumbnail
+ * @param {Blob|ArrayBuffer} image - Photo as picked or as stored
+ * @param {Object} [settings] - `{ maxWidth, maxHeight, quality }`
+ * @returns {Promise<{image: ArrayBuffer, type: string,
+ *   thumbnail: ArrayBuffer, width: number, height: number}>} The photo to
+ *   store with its MIME type and size
+ */
+export async function processRoutePhoto(
+  image,
+  settings = DEFAULT_PHOTO_SETTINGS
+) {
+  const original = image instanceof Blob ? await image.arrayBuffer() : image;
+  const type =
+    detectImageType(original) || (image instanceof Blob && image.type) || "";
+  const orientation = readOrientation(original);
+  // Without metadata the browser can't rotate the photo on its own, so the
+  // orientation is applied exactly once, while drawing
+  const cleaned = stripMetadata(original);
+  const bitmap = await loadBitmap(new Blob([cleaned || original], { type }));
+
+  try {
+    const upright = isTransposed(orientation)
+      ? { width: bitmap.height, height: bitmap.width }
+      : { width: bitmap.width, height: bitmap.height };
+    const size = fitWithin(
+      upright.width,
+      upright.height,
+      settings.maxWidth,
+      settings.maxHeight
+    );
+    const photo = await drawToJpeg(
+      bitmap.source,
+      size,
+      settings.quality,
+      orientation
+    );
+
+    const thumbnail = await drawToJpeg(
+      bitmap.source,
+      fitWithin(
+        upright.width,
+        upright.height,
+        THUMBNAIL_SETTINGS.maxWidth,
+        THUMBNAIL_SETTINGS.maxHeight
+      ),
+      THUMBNAIL_SETTINGS.quality,
+      orientation
+    );
+
+    // An upright photo already within the limits keeps its own encoding,
+    // cleaned of metadata, unless re-encoding makes it smaller
+    const keepOriginal =
+      cleaned !== null &&
+      orientation === 1 &&
+      size.width === bitmap.width &&
+      size.height === bitmap.height &&
+      photo.size >= cleaned.byteLength;
+
+    return {
+      image: keepOriginal ? cleaned : await photo.arrayBuffer(),
+      type: keepOriginal ? type : "image/jpeg",
+      thumbnail: await thumbnail.arrayBuffer(),
+      width: size.width,
+      height: size.height,
+    };
+  } finally {
+    bitmap.close();
+  }
+}
@@ -0,0 +1,274 @@
+/**
+ * Reading and removing metadata in route photo files
+ *
+ * Phones record which way up a photo was taken as an EXIF orientation tag
+ * instead of rotating the pixels, and the same EXIF block carries GPS
+ * coordinates and camera details. Photos are stored with all of it removed,
+ * so the orientation is read first and applied when the photo is redrawn.
+ * JPEG, PNG and WebP files can be cleaned; other formats can't.
+ */
+
+// EXIF orientation values 5-8 turn the photo a quarter, swapping its sides
+const TRANSPOSED_ORIENTATIONS = [5, 6, 7, 8];
+
+const EXIF_ORIENTATION_TAG = 0x0112;
+
+// JPEG segments kept when stripping: JFIF header, ICC colour profile and the
+// Adobe segment, which decoders need to read the colours correctly
+const JPEG_APP0 = 0xe0;
+const JPEG_APP2 = 0xe2;
+const JPEG_APP14 = 0xee;
+const JPEG_COMMENT = 0xfe;
+const JPEG_START_OF_SCAN = 0xda;
+
+// PNG chunks holding EXIF data or free text
+const PNG_METADATA_CHUNKS = ["eXIf", "tEXt", "zTXt", "iTXt", "tIME"];
+
+// WebP chunks holding metadata, and their flags in the VP8X header
+const WEBP_METADATA_CHUNKS = { EXIF: 0x08, "XMP ": 0x04 };
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+function toBytes(buffer) {
+  if (buffer instanceof ArrayBuffer) return new Uint8Array(buffer);
+  if (ArrayBuffer.isView(buffer)) {
+    return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  }
+  return null;
+}
+
+const ascii = (bytes, start, length) =>
+  String.fromCharCode(...bytes.subarray(start, start + length));
+
+const startsWith = (bytes, signature) =>
+  bytes.length >= signature.length &&
+  signature.every((byte, index) => bytes[index] === byte);
+
+/**
+ * Identify an image file from its first bytes
+ * @param {ArrayBuffer|Uint8Array} buffer - File contents
+ * @returns {string|null} MIME type, or null if it isn't a known format
+ */
+export function detectImageType(buffer) {
+  const bytes = toBytes(buffer);
+  if (!bytes) return null;
+
+  if (startsWith(bytes, [0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (startsWith(bytes, PNG_SIGNATURE)) return "image/png";
+  if (bytes.length >= 6 && ascii(bytes, 0, 4) === "GIF8") return "image/gif";
+  if (
+    bytes.length >= 12 &&
+    ascii(bytes, 0, 4) === "RIFF" &&
+    ascii(bytes, 8, 4) === "WEBP"
+  ) {
+    return "image/webp";
+  }
+  return null;
+}
+
+/**
+ * Whether an orientation turns the photo on its side
+ */
+export function isTransposed(orientation) {
+  return TRANSPOSED_ORIENTATIONS.includes(orientation);
+}
+
+/**
+ * Read the orientation tag from a TIFF-structured EXIF block
+ * @returns {number} 1-8, or 1 when there is no valid tag
+ */
+function readTiffOrientation(bytes, start) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (start + 8 > bytes.length) return 1;
+
+  const order = ascii(bytes, start, 2);
+  if (order !== "II" && order !== "MM") return 1;
+  const little = order === "II";
+
+  const ifd = start + view.getUint32(start + 4, little);
+  if (ifd + 2 > bytes.length) return 1;
+
+  const entries = view.getUint16(ifd, little);
+  for (let i = 0; i < entries; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > bytes.length) break;
+    if (view.getUint16(entry, little) === EXIF_ORIENTATION_TAG) {
+      const value = view.getUint16(entry + 8, little);
+      return value >= 1 && value <= 8 ? value : 1;
+    }
+  }
+  return 1;
+}
+
+/**
+ * Walk the segments of a JPEG up to its image data
+ * @returns {Array<{marker: number, start: number, end: number}>|null} Null
+ *   if the file is malformed
+ */
+function jpegSegments(bytes) {
+  const segments = [];
+  let offset = 2;
+
+  while (offset + 4 <= bytes.length) {
+    if (bytes[offset] !== 0xff) return null;
+    const marker = bytes[offset + 1];
+    // Fill bytes before a marker
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+
+    const end = offset + 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+    if (end > bytes.length) return null;
+    segments.push({ marker, start: offset, end });
+    if (marker === JPEG_START_OF_SCAN) return segments;
+    offset = end;
+  }
+  return null;
+}
+
+/**
+ * Walk the chunks of a PNG or WebP file
+ * @returns {Array<{type: string, start: number, end: number}>|null}
+ */
+function chunks(bytes, { start, lengthFirst, little, padded }) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const found = [];
+  let offset = start;
+
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(lengthFirst ? offset : offset + 4, little);
+    const type = ascii(bytes, lengthFirst ? offset + 4 : offset, 4);
+    // PNG chunks end with a checksum; WebP chunks are padded to even sizes
+    let end = offset + 8 + length + (padded ? length % 2 : 4);
+    if (end > bytes.length) {
+      if (!padded) return null;
+      end = bytes.length;
+    }
+    found.push({ type, start: offset, end });
+    offset = end;
+  }
+  return found;
+}
+
+const pngChunks = (bytes) =>
+  chunks(bytes, { start: 8, lengthFirst: true, little: false, padded: false });
+
+const webpChunks = (bytes) =>
+  chunks(bytes, { start: 12, lengthFirst: false, little: true, padded: true });
+
+/**
+ * Read which way up a photo should be shown
+ * @param {ArrayBuffer|Uint8Array} buffer - File contents
+ * @returns {number} EXIF orientation 1-8; 1 means as stored
+ */
+export function readOrientation(buffer) {
+  const bytes = toBytes(buffer);
+  const type = detectImageType(bytes);
+
+  if (type === "image/jpeg") {
+    const exif = (jpegSegments(bytes) || []).find(
+      ({ marker, start }) =>
+        marker === 0xe1 && ascii(bytes, start + 4, 6) === "Exif\0\0"
+    );
+    return exif ? readTiffOrientation(bytes, exif.start + 10) : 1;
+  }
+  if (type === "image/png") {
+    const exif = (pngChunks(bytes) || []).find(({ type }) => type === "eXIf");
+    return exif ? readTiffOrientation(bytes, exif.start + 8) : 1;
+  }
+  if (type === "image/webp") {
+    const exif = (webpChunks(bytes) || []).find(({ type }) => type === "EXIF");
+    if (!exif) return 1;
+    // Some writers keep the JPEG "Exif" header in front of the TIFF data
+    const offset = ascii(bytes, exif.start + 8, 6) === "Exif\0\0" ? 14 : 8;
+    return readTiffOrientation(bytes, exif.start + offset);
+  }
+  return 1;
+}
+
+function concat(bytes, ranges) {
+  const size = ranges.reduce((total, [start, end]) => total + end - start, 0);
+  const result = new Uint8Array(size);
+  let offset = 0;
+  ranges.forEach(([start, end]) => {
+    result.set(bytes.subarray(start, end), offset);
+    offset += end - start;
+  });
+  return result;
+}
+
+function keepJpegSegment({ marker, start }, bytes) {
+  if (marker === JPEG_COMMENT) return false;
+  if (marker < 0xe0 || marker > 0xef) return true;
+  if (marker === JPEG_APP2) {
+    return ascii(bytes, start + 4, 12) === "ICC_PROFILE\0";
+  }
+  return marker === JPEG_APP0 || marker === JPEG_APP14;
+}
+
+function stripJpeg(bytes) {
+  const segments = jpegSegments(bytes);
+  if (!segments) return null;
+
+  const scan = segments[segments.length - 1];
+  return concat(bytes, [
+    [0, 2],
+    ...segments
+      .filter((segment) => keepJpegSegment(segment, bytes))
+      .map(({ start, end }) => [start, end]),
+    [scan.end, bytes.length],
+  ]);
+}
+
+function stripPng(bytes) {
+  const found = pngChunks(bytes);
+  if (!found) return null;
+
+  return concat(bytes, [
+    [0, 8],
+    ...found
+      .filter(({ type }) => !PNG_METADATA_CHUNKS.includes(type))
+      .map(({ start, end }) => [start, end]),
+  ]);
+}
+
+function stripWebp(bytes) {
+  const found = webpChunks(bytes);
+  if (!found) return null;
+
+  const result = concat(bytes, [
+    [0, 12],
+    ...found
+      .filter(({ type }) => !(type in WEBP_METADATA_CHUNKS))
+      .map(({ start, end }) => [start, end]),
+  ]);
+  const view = new DataView(result.buffer);
+  view.setUint32(4, result.length - 8, true);
+
+  // The extended header flags which metadata chunks follow
+  if (ascii(result, 12, 4) === "VP8X") {
+    const flags = Object.values(WEBP_METADATA_CHUNKS).reduce((a, b) => a | b);
+    result[20] &= ~flags;
+  }
+  return result;
+}
+
+/**
+ * Remove EXIF, XMP and text metadata, including GPS position and camera
+ * details, leaving the image itself untouched
+ * @param {ArrayBuffer|Uint8Array} buffer - File contents
+ * @returns {ArrayBuffer|null} Cleaned file, or null if the format isn't one
+ *   that can be cleaned
+ */
+export function stripMetadata(buffer) {
+  const bytes = toBytes(buffer);
+  const strip = {
+    "image/jpeg": stripJpeg,
+    "image/png": stripPng,
+    "image/webp": stripWebp,
+  }[detectImageType(bytes)];
+
+  const cleaned = strip ? strip(bytes) : null;
+  return cleaned ? cleaned.buffer : null;
+}
@@ -0,0 +1,96 @@
+/**
+ * Object URLs for route images, reused across renders
+ *
+ * Each blob URL holds its image in memory until it is revoked. A cache
+ * belongs to one view and keeps one URL per key, a route or one of its
+ * photos, made again only when the route's image version changes. URLs are
+ * revoked when the image is replaced, the route is forgotten, or a
+ * re-render no longer shows it.
+ */
+class ImageUrlCache {
+  #entries = new Map();
+
+  /**
+   * @param {Object} [urls] - Stand-ins for URL.createObjectURL and
+   *   URL.revokeObjectURL
+   */
+  constructor({
+    create = (blob) => URL.createObjectURL(blob),
+    revoke = (url) => URL.revokeObjectURL(url),
+  } = {}) {
+    this.create = create;
+    this.revoke = revoke;
+  }
+
+  /**
+   * URL for an image, made from `createBlob` only when none is cached for
+   * its key at this version
+   * @param {number|string} key - Route id, or another key for the image
+   * @param {number} version - Changes whenever the image is replaced
+   * @param {function(): Blob|null} createBlob - Reads the image
+   * @returns {string|null} URL, or null when there is no image
+   */
+  get(key, version, createBlob) {
+    const cached = this.#entries.get(key);
+    if (cached && cached.version === version) return cached.url;
+
+    this.delete(key);
+    let url = null;
+    try {
+      const blob = createBlob();
+      url = blob ? this.create(blob) : null;
+    } catch (error) {
+      console.error("Error creating image URL:", error);
+    }
+    if (url) {
+      this.#entries.set(key, { version, url });
+    }
+    return url;
+  }
+
+  /**
+   * Revoke the URLs a view no longer shows, after it re-renders
+   * @param {Iterable<number|string>} keys - Images still shown
+   */
+  retain(keys) {
+    const shown = new Set(keys);
+    this.keys()
+      .filter((key) => !shown.has(key))
+      .forEach((key) => this.delete(key));
+  }
+
+  /**
+   * Revoke the URL for a key, e.g. when its route is deleted
+   */
+  delete(key) {
+    const cached = this.#entries.get(key);
+    if (!cached) return;
+
+    this.revoke(cached.url);
+    this.#entries.delete(key);
+  }
+
+  /**
+   * Revoke every URL
+   */
+  clear() {
+    this.keys().forEach((key) => this.delete(key));
+  }
+
+  /**
+   * Keys with a live URL
+   * @returns {Array<number|string>}
+   */
+  keys() {
+    return [...this.#entries.keys()];
+  }
+
+  /**
+   * Number of live URLs
+   */
+  get size() {
+    return this.#entries.size;
+  }
+}
+
+export { ImageUrlCache };
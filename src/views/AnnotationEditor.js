@@ -0,0 +1,245 @@
+import {
+  ANNOTATION_TOOLS,
+  getAnnotationTool,
+  getAnnotationTools,
+  getDefaultHoldRadius,
+  scaleAnnotations,
+} from "../models/RouteAnnotations.js";
+
+// Beta line points closer together than this, in photo pixels, are skipped
+const MIN_POINT_GAP = 4;
+
+/**
+ * SVG drawing a route's annotations, laid over its photo. The view box is
+ * the photo's own size, so `fit` lines the shapes up with an image shown
+ * with the matching object-fit: "cover" or "contain".
+ * @returns {string} Markup, or "" when there is nothing to draw
+ */
+export function renderAnnotationOverlay(annotations, fit = "cover") {
+  if (!annotations?.shapes?.length) return "";
+
+  const { width, height } = annotations;
+  const aspect = fit === "cover" ? "xMidYMid slice" : "xMidYMid meet";
+  const stroke = "stroke-width=\"2\" vector-effect=\"non-scaling-stroke\"";
+
+  const shapes = annotations.shapes
+    .map((shape) => {
+      const tool = getAnnotationTool(shape.type);
+      if (!tool) return "";
+
+      if (shape.points) {
+        const points = shape.points.map(([x, y]) => `${x},${y}`).join(" ");
+        return `<polyline points="${points}" fill="none" stroke="${tool.color}" ${stroke} stroke-dasharray="6 4" stroke-linecap="round" stroke-linejoin="round" />`;
+      }
+
+      const marker = tool.marker
+        ? `<text x="${shape.x + shape.r}" y="${shape.y - shape.r}" fill="${tool.color}" font-size="${shape.r * 1.4}" font-weight="bold" font-family="Arial">${tool.marker}</text>`
+        : "";
+      return `<circle cx="${shape.x}" cy="${shape.y}" r="${shape.r}" fill="none" stroke="${tool.color}" ${stroke} />${marker}`;
+    })
+    .join("");
+
+  return `<svg class="annotation-overlay" viewBox="0 0 ${width} ${height}" preserveAspectRatio="${aspect}" aria-hidden="true">${shapes}</svg>`;
+}
+
+/**
+ * Canvas editor for circling holds, marking the start and top and drawing
+ * the beta line over a route photo
+ */
+class AnnotationEditor {
+  /**
+   * Open the editor over a photo
+   * @param {string} imageUrl - Photo to draw on
+   * @param {Object|null} annotations - Annotations to start from
+   * @returns {Promise<Object|null>} `{ width, height, shapes }` when saved,
+   *   with no shapes if everything was cleared, or null if cancelled
+   */
+  async open(imageUrl, annotations = null) {
+    const image = await this.loadImage(imageUrl);
+    const width = image.naturalWidth;
+    const height = image.naturalHeight;
+    const shapes = [
+      ...(scaleAnnotations(annotations, width, height)?.shapes || []),
+    ];
+
+    return new Promise((resolve) => {
+      const overlay = document.createElement("div");
+      overlay.className = "dialog-overlay";
+
+      const dialog = document.createElement("div");
+      dialog.className = "dialog annotation-editor-dialog";
+
+      const toolButtons = getAnnotationTools()
+        .map(
+          (tool) =>
+            `<button type="button" class="annotation-tool" data-tool="${tool.id}" style="border-color: ${tool.color};">${tool.label}</button>`
+        )
+        .join("");
+
+      dialog.innerHTML = `
+        <div class="dialog-header">
+          <h3>Annotate Photo</h3>
+        </div>
+        <div class="dialog-body">
+          <div class="annotation-toolbar">
+            ${toolButtons}
+            <button type="button" class="annotation-tool" data-action="undo">Undo</button>
+            <button type="button" class="annotation-tool" data-action="clear">Clear</button>
+          </div>
+          <p class="annotation-hint">Tap to mark a hold, drag to size it. Drag with Beta line to draw the sequence.</p>
+          <canvas class="annotation-canvas" width="${width}" height="${height}"></canvas>
+        </div>
+        <div class="dialog-footer">
+          <button class="dialog-btn dialog-btn-secondary" data-action="cancel">Cancel</button>
+          <button class="dialog-btn dialog-btn-primary" data-action="save">Save</button>
+        </div>
+      `;
+
+      overlay.appendChild(dialog);
+      document.body.appendChild(overlay);
+
+      const canvas = dialog.querySelector(".annotation-canvas");
+      let tool = ANNOTATION_TOOLS.hold.id;
+      let drawing = null;
+
+      const redraw = () => {
+        const ctx = canvas.getContext("2d");
+        if (!ctx) return;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.drawImage(image, 0, 0, width, height);
+        [...shapes, ...(drawing ? [drawing] : [])].forEach((shape) =>
+          this.drawShape(ctx, shape, Math.max(2, Math.min(width, height) / 200))
+        );
+      };
+
+      const selectTool = (toolId) => {
+        tool = toolId;
+        dialog.querySelectorAll("[data-tool]").forEach((button) => {
+          button.classList.toggle("selected", button.dataset.tool === toolId);
+        });
+      };
+
+      // Pointer position in photo pixels, whatever size the canvas is shown at
+      const toPhotoPoint = (e) => {
+        const rect = canvas.getBoundingClientRect();
+        return [
+          ((e.clientX - rect.left) * width) / rect.width,
+          ((e.clientY - rect.top) * height) / rect.height,
+        ];
+      };
+
+      canvas.addEventListener("pointerdown", (e) => {
+        const [x, y] = toPhotoPoint(e);
+        drawing =
+          tool === ANNOTATION_TOOLS.line.id
+            ? { type: tool, points: [[x, y]] }
+            : { type: tool, x, y, r: getDefaultHoldRadius(width, height) };
+        // Keep getting moves when a drag leaves the canvas
+        if (e.pointerId !== undefined) {
+          canvas.setPointerCapture?.(e.pointerId);
+        }
+        redraw();
+      });
+
+      canvas.addEventListener("pointermove", (e) => {
+        if (!drawing) return;
+
+        const [x, y] = toPhotoPoint(e);
+        if (drawing.points) {
+          const [lastX, lastY] = drawing.points[drawing.points.length - 1];
+          if (Math.hypot(x - lastX, y - lastY) < MIN_POINT_GAP) return;
+          drawing.points.push([x, y]);
+        } else {
+          drawing.r = Math.max(
+            getDefaultHoldRadius(width, height),
+            Math.hypot(x - drawing.x, y - drawing.y)
+          );
+        }
+        redraw();
+      });
+
+      const finishShape = () => {
+        if (!drawing) return;
+
+        // A tap with the line tool leaves a single point, which isn't a line
+        if (!drawing.points || drawing.points.length >= 2) {
+          shapes.push(drawing);
+        }
+        drawing = null;
+        redraw();
+      };
+      canvas.addEventListener("pointerup", finishShape);
+      canvas.addEventListener("pointercancel", finishShape);
+
+      const close = (result) => {
+        overlay.remove();
+        resolve(result);
+      };
+
+      dialog.addEventListener("click", (e) => {
+        const button = e.target.closest("button");
+        if (!button) return;
+
+        if (button.dataset.tool) {
+          selectTool(button.dataset.tool);
+        } else if (button.dataset.action === "undo") {
+          shapes.pop();
+          redraw();
+        } else if (button.dataset.action === "clear") {
+          shapes.length = 0;
+          redraw();
+        } else if (button.dataset.action === "cancel") {
+          close(null);
+        } else if (button.dataset.action === "save") {
+          close({ width, height, shapes });
+        }
+      });
+
+      selectTool(tool);
+      redraw();
+    });
+  }
+
+  /**
+   * Draw one shape on the editor canvas
+   */
+  drawShape(ctx, shape, lineWidth) {
+    const tool = getAnnotationTool(shape.type);
+    ctx.strokeStyle = tool.color;
+    ctx.fillStyle = tool.color;
+    ctx.lineWidth = lineWidth;
+    ctx.beginPath();
+
+    if (shape.points) {
+      ctx.setLineDash([lineWidth * 3, lineWidth * 2]);
+      shape.points.forEach(([x, y], index) =>
+        index === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)
+      );
+      ctx.stroke();
+      ctx.setLineDash([]);
+      return;
+    }
+
+    ctx.arc(shape.x, shape.y, shape.r, 0, Math.PI * 2);
+    ctx.stroke();
+    if (tool.marker) {
+      ctx.font = `bold ${shape.r * 1.4}px Arial`;
+      ctx.fillText(tool.marker, shape.x + shape.r, shape.y - shape.r);
+    }
+  }
+
+  /**
+   * Load the photo so its full size is known before drawing
+   */
+  loadImage(url) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error("Could not load the route photo"));
+      image.src = url;
+    });
+  }
+}
+
+export { AnnotationEditor };
@@ -1,4 +1,19 @@
 import { dialogUtils } from "../utils/DialogUtils.js";
+import { escapeHtml } from "../utils/HtmlUtils.js";
+import { compareRoutesByGrade, formatGrade } from "../models/GradeSystems.js";
+import {
+  countSendStyles,
+  getSendStyle,
+  getSendStyles,
+} from "../models/SendStyles.js";
+import { getWallAngle, getWallAngles } from "../models/WallModel.js";
+import {
+  collectRouteTags,
+  getTagLabel,
+  sortTags,
+} from "../models/RouteTags.js";
+import { getPrimaryPhoto } from "../models/RoutePhotos.js";
+import { renderAnnotationOverlay } from "./AnnotationEditor.js";
 
 class ClimbView {
   constructor() {
@@ -42,10 +57,11 @@ class ClimbView {
       let routeInfo = "Unknown Route";
       if (attempt.route) {
         const colorHex = this.getColorHex(attempt.route.color);
+        const grade = formatGrade(attempt.route);
         routeInfo = `
           <span class="attempt-color" style="background-color: ${colorHex}"></span>
-          <strong>${attempt.route.name || "Unnamed Route"}</strong>
-          <br><small>${attempt.route.color.toUpperCase()}${attempt.route.gym ? ` • ${attempt.route.gym}` : ""}</small>
+          <strong>${escapeHtml(attempt.route.name || "Unnamed Route")}</strong>${attempt.route.deleted ? " <small>(deleted route)</small>" : ""}
+          <br><small>${attempt.route.color.toUpperCase()}${grade ? ` • ${grade}` : ""}${attempt.route.gym ? ` • ${escapeHtml(attempt.route.gym)}` : ""}</small>
         `;
       }
 
@@ -54,12 +70,12 @@ class ClimbView {
                     ${routeInfo}
                     ${
                       attempt.notes
-                        ? `<br><small>Notes: ${attempt.notes}</small>`
+                        ? `<br><small>Notes: ${escapeHtml(attempt.notes)}</small>`
                         : ""
                     }
                 </div>
                 <div class="attempt-actions">
-                    ${attempt.success ? "✅ Success" : "❌ Failed"}
+                    ${this.formatResult(attempt)}
                     <button class="edit-attempt-btn" data-attempt-id="${attempt.id}" title="Edit attempt">✏️</button>
                 </div>
             `;
@@ -75,6 +91,53 @@ class ClimbView {
       .querySelectorAll(".success-btn, .failure-btn")
       .forEach((btn) => btn.classList.remove("selected"));
     document.getElementById("notes").value = "";
+    const sendStyleSelect = document.getElementById("send-style");
+    if (sendStyleSelect) {
+      sendStyleSelect.value = "";
+    }
+  }
+
+  /**
+   * Fill a select with the send styles, keeping its first "auto" option
+   */
+  populateSendStyleOptions(select, selectedStyle = null) {
+    if (!select) return;
+
+    while (select.children.length > 1) {
+      select.removeChild(select.lastChild);
+    }
+
+    getSendStyles().forEach((style) => {
+      const option = document.createElement("option");
+      option.value = style.id;
+      option.textContent = `${style.icon} ${style.label}`;
+      option.title = style.description;
+      option.selected = style.id === selectedStyle;
+      select.appendChild(option);
+    });
+  }
+
+  /**
+   * Format an attempt's result, including its send style
+   */
+  formatResult(attempt) {
+    if (!attempt.success) {
+      return "❌ Failed";
+    }
+
+    const style = getSendStyle(attempt.sendStyle);
+    return style ? `✅ ${style.icon} ${style.label}` : "✅ Success";
+  }
+
+  getSendStyleSummary(attempts) {
+    const counts = countSendStyles(attempts);
+    return getSendStyles()
+      .filter((style) => counts[style.id] > 0)
+      .map(
+        (style) =>
+          `<span title="${style.description}">${style.icon} ${style.label}: <strong>${counts[style.id]}</strong></span>`
+      )
+      .join(" | ");
   }
 
   selectRoute(routeId) {
@@ -108,9 +171,12 @@ class ClimbView {
     }
 
     sessions
-      .slice()
+      .map((session, index) => ({
+        session,
+        splitFrom: this.findSplitSession(session, sessions[index - 1]),
+      }))
       .reverse()
-      .forEach((session) => {
+      .forEach(({ session, splitFrom }) => {
         const sessionElement = document.createElement("div");
         sessionElement.className = "session-item";
 
@@ -124,16 +190,30 @@ class ClimbView {
         sessionElement.innerHTML = `
                 <div class="session-header">
                     <div>
-                        <h3>${session.gym}</h3>
+                        <h3>${escapeHtml(session.gym)}</h3>
                         <p>${session.date.toLocaleDateString()} ${session.date.toLocaleTimeString()}</p>
                     </div>
                     <div class="session-stats">
                         <span><strong>${successCount}/${totalCount}</strong> Success Rate: ${successRate}%</span>
+                        <button class="edit-session-btn" data-session-id="${session.id}" title="Edit session">✏️</button>
+                        <button class="delete-session-btn" data-session-id="${session.id}" title="Delete session">🗑️</button>
                     </div>
                 </div>
+                ${
+                  splitFrom
+                    ? `<div class="session-split-hint">
+                        Also at ${escapeHtml(splitFrom.gym)} earlier that day (${splitFrom.date.toLocaleTimeString()})
+                        <button class="merge-session-btn" data-session-id="${session.id}" data-target-id="${splitFrom.id}">Merge</button>
+                      </div>`
+                    : ""
+                }
+                ${session.notes ? `<p class="session-notes">${escapeHtml(session.notes)}</p>` : ""}
                 <div class="session-stats">
                     ${colorStats}
                 </div>
+                <div class="session-stats session-send-styles">
+                    ${this.getSendStyleSummary(session.attempts)}
+                </div>
                 <div style="margin-top: 10px;">
                     ${this.renderSessionTimeline(session)}
                 </div>
@@ -142,7 +222,14 @@ class ClimbView {
       });
   }
 
-  renderStats(stats, colorStats) {
+  renderStats(
+    stats,
+    colorStats,
+    gradeStats = {},
+    wallStats = {},
+    angleStats = {},
+    tagStats = {}
+  ) {
     const container = document.getElementById("stats-grid");
     container.innerHTML = "";
 
@@ -169,6 +256,15 @@ class ClimbView {
                 <div class="stat-number">${stats.totalSuccess}</div>
                 <div>Total Successes</div>
             </div>
+            ${getSendStyles()
+              .map(
+                (style) => `
+            <div class="stat-card send-style-card" title="${style.description}">
+                <div class="stat-number">${stats.sendStyles?.[style.id] || 0}</div>
+                <div>${style.icon} ${style.label} Sends</div>
+            </div>`
+              )
+              .join("")}
         `;
 
     container.innerHTML = statsHtml;
@@ -192,6 +288,68 @@ class ClimbView {
       .join("");
 
     container.innerHTML += colorStatsHtml;
+
+    const gradeStatsHtml = Object.entries(gradeStats)
+      .sort(
+        (a, b) =>
+          a[1].gradeSystem.localeCompare(b[1].gradeSystem) ||
+          a[1].score - b[1].score
+      )
+      .map(([grade, stats]) => {
+        const rate = ((stats.success / stats.total) * 100).toFixed(1);
+        return `
+                    <div class="stat-card grade-stat-card">
+                        <div style="font-weight: bold;">${grade}</div>
+                        <div class="stat-number">${rate}%</div>
+                        <div>${stats.success}/${stats.total} attempts</div>
+                    </div>
+                `;
+      })
+      .join("");
+
+    container.innerHTML += gradeStatsHtml;
+
+    const rateCard = (className, title, stats, subtitle = "") => {
+      const rate = ((stats.success / stats.total) * 100).toFixed(1);
+      return `
+                    <div class="stat-card ${className}">
+                        <div style="font-weight: bold;">${escapeHtml(title)}</div>
+                        ${subtitle ? `<small>${escapeHtml(subtitle)}</small>` : ""}
+                        <div class="stat-number">${rate}%</div>
+                        <div>${stats.success}/${stats.total} attempts</div>
+                    </div>
+                `;
+    };
+
+    // Steepness from slab to roof, then each wall by gym
+    container.innerHTML += getWallAngles()
+      .filter((angle) => angleStats[angle.id])
+      .map((angle) =>
+        rateCard("angle-stat-card", angle.label, angleStats[angle.id])
+      )
+      .join("");
+
+    container.innerHTML += Object.values(wallStats)
+      .sort(
+        (a, b) => a.gym.localeCompare(b.gym) || a.name.localeCompare(b.name)
+      )
+      .map((wall) =>
+        rateCard(
+          "wall-stat-card",
+          wall.name,
+          wall,
+          [wall.gym, getWallAngle(wall.angle)?.label]
+            .filter(Boolean)
+            .join(" • ")
+        )
+      )
+      .join("");
+
+    // Most climbed styles first, so weak spots with enough attempts show up
+    container.innerHTML += Object.entries(tagStats)
+      .sort((a, b) => b[1].total - a[1].total || a[0].localeCompare(b[0]))
+      .map(([tag, stats]) => rateCard("tag-stat-card", getTagLabel(tag), stats))
+      .join("");
   }
 
   renderProgressChart(sessions) {
@@ -460,14 +618,16 @@ class ClimbView {
           ? attempt.route.color
           : attempt.color || "unknown";
         const color = this.getColorHex(attemptColor);
-        const symbol = attempt.success ? "✅" : "❌";
+        const sendStyle = getSendStyle(attempt.sendStyle);
+        const symbol = attempt.success ? sendStyle?.icon || "✅" : "❌";
+        const result = attempt.success
+          ? sendStyle?.label || "Success"
+          : "Failed";
         const routeName = attempt.route
-          ? attempt.route.name || "Unnamed"
+          ? `${escapeHtml(attempt.route.name || "Unnamed")}${attempt.route.deleted ? " [deleted]" : ""}`
           : "Unknown Route";
         return `<span class="timeline-attempt" data-session-id="${session.id}" data-attempt-id="${attempt.id}" 
-                      title="${routeName} (${attemptColor}) - ${
-                        attempt.success ? "Success" : "Failed"
-                      } - Click to edit" 
+                      title="${routeName} (${attemptColor}) - ${result} - Click to edit" 
                       style="display: inline-block; margin: 2px; padding: 4px 6px; 
                              background: ${color}; color: ${
                                attemptColor === "white" ? "black" : "white"
@@ -498,6 +658,7 @@ class ClimbView {
       sessionDate: document.getElementById("session-date").value,
       selectedGym: document.getElementById("gym-select").value,
       selectedRouteId: selectedRoute ? selectedRoute.dataset.routeId : null,
+      sendStyle: document.getElementById("send-style")?.value || null,
       notes: document.getElementById("notes").value,
     };
   }
@@ -524,22 +685,123 @@ class ClimbView {
     });
   }
 
-  renderRouteSelector(routes, selectedGym = "") {
+  populateGradeFilter(routes) {
+    const gradeSelect = document.getElementById("grade-filter");
+    if (!gradeSelect) return;
+
+    const previous = gradeSelect.value;
+
+    // Get unique grades from routes, easiest first
+    const gradedRoutes = routes
+      .filter((route) => formatGrade(route))
+      .sort(compareRoutesByGrade);
+    const grades = new Map();
+    gradedRoutes.forEach((route) => {
+      grades.set(this.getGradeFilterValue(route), formatGrade(route));
+    });
+
+    // Clear existing options except the "All grades" option
+    while (gradeSelect.children.length > 1) {
+      gradeSelect.removeChild(gradeSelect.lastChild);
+    }
+
+    grades.forEach((label, value) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      gradeSelect.appendChild(option);
+    });
+
+    gradeSelect.value = grades.has(previous) ? previous : "";
+  }
+
+  /**
+   * Fill the tag filter with the tags on the given routes, keeping the
+   * current choice while it is still offered
+   */
+  populateTagFilter(routes) {
+    const tagSelect = document.getElementById("tag-filter");
+    if (!tagSelect) return;
+
+    const previous = tagSelect.value;
+    const tags = collectRouteTags(routes);
+
+    while (tagSelect.children.length > 1) {
+      tagSelect.removeChild(tagSelect.lastChild);
+    }
+
+    tags.forEach((tag) => {
+      const option = document.createElement("option");
+      option.value = tag;
+      option.textContent = getTagLabel(tag);
+      tagSelect.appendChild(option);
+    });
+
+    tagSelect.value = tags.includes(previous) ? previous : "";
+  }
+
+  getGradeFilterValue(route) {
+    return `${route.gradeSystem}:${route.grade}`;
+  }
+
+  renderRouteSelector(
+    routes,
+    selectedGym = "",
+    selectedGrade = "",
+    sortOrder = "newest"
+  ) {
     const container = document.getElementById("route-selector");
     const addNewButton = container.querySelector(".add-route-option");
 
     // Clear existing route items but keep the "Add New Route" button
     const routeItems = container.querySelectorAll(
-      ".route-selector-item:not(.add-route-option)"
+      ".route-selector-item:not(.add-route-option), .route-selector-group"
     );
     routeItems.forEach((item) => item.remove());
 
-    // Filter routes based on selected gym
-    const filteredRoutes = selectedGym
-      ? routes.filter((route) => route.gym === selectedGym)
-      : routes;
+    // Filter routes based on selected gym and grade
+    const filteredRoutes = routes.filter(
+      (route) =>
+        (!selectedGym || route.gym === selectedGym) &&
+        (!selectedGrade || this.getGradeFilterValue(route) === selectedGrade)
+    );
+
+    if (sortOrder === "grade-asc") {
+      filteredRoutes.sort(compareRoutesByGrade);
+    } else if (sortOrder === "grade-desc") {
+      // Keep ungraded routes last when reversing
+      filteredRoutes.sort((a, b) => {
+        if (!formatGrade(a) || !formatGrade(b)) {
+          return compareRoutesByGrade(a, b);
+        }
+        return compareRoutesByGrade(b, a);
+      });
+    } else {
+      filteredRoutes.sort(
+        (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
+      );
+    }
+
+    // Group routes by wall when any have one, keeping the sort within each
+    // wall; routes without a wall come last
+    const hasWalls = filteredRoutes.some((route) => route.wall);
+    if (hasWalls) {
+      const wallOrder = (route) =>
+        route.wall ? `0${route.wall.gym}|${route.wall.name}` : "1";
+      filteredRoutes.sort((a, b) => wallOrder(a).localeCompare(wallOrder(b)));
+    }
 
+    let currentWallId;
     filteredRoutes.forEach((route) => {
+      const wallId = route.wall ? route.wall.id : null;
+      if (hasWalls && wallId !== currentWallId) {
+        currentWallId = wallId;
+        container.insertBefore(
+          this.createRouteGroupHeading(route.wall, !selectedGym),
+          addNewButton
+        );
+      }
+
       const routeItem = document.createElement("div");
       routeItem.className = "route-selector-item";
       routeItem.dataset.routeId = route.id;
@@ -548,19 +810,29 @@ class ClimbView {
         route.imageUrl ||
         "data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='124' height='80' viewBox='0 0 124 80'%3E%3Crect width='124' height='80' fill='%23f0f0f0'/%3E%3Ctext x='62' y='40' font-family='Arial' font-size='10' fill='%23999' text-anchor='middle' dy='.3em'%3ENo Image%3C/text%3E%3C/svg%3E";
       const colorHex = this.getColorHex(route.color);
+      const grade = formatGrade(route);
 
       routeItem.innerHTML = `
         <div class="route-mini-card">
           <div class="route-mini-image">
             <img src="${imageUrl}" alt="Route image" />
+            ${route.imageUrl ? renderAnnotationOverlay(getPrimaryPhoto(route)?.annotations) : ""}
           </div>
           <div class="route-mini-info">
-            <div class="route-mini-name">${route.name || "Unnamed"}</div>
+            <div class="route-mini-name">${escapeHtml(route.name || "Unnamed")}</div>
             <div class="route-mini-details">
               <span class="route-mini-color" style="background-color: ${colorHex};"></span>
               ${route.color.toUpperCase()}
-              ${route.gym ? ` • ${route.gym}` : ""}
+              ${grade ? ` • ${grade}` : ""}
+              ${route.gym ? ` • ${escapeHtml(route.gym)}` : ""}
             </div>
+            ${
+              route.tags?.length
+                ? `<div class="route-mini-tags">${sortTags(route.tags)
+                    .map((tag) => escapeHtml(getTagLabel(tag)))
+                    .join(" • ")}</div>`
+                : ""
+            }
           </div>
         </div>
       `;
@@ -570,6 +842,26 @@ class ClimbView {
     });
   }
 
+  /**
+   * Label that starts a wall's group of routes in the route selector
+   */
+  createRouteGroupHeading(wall, showGym) {
+    const heading = document.createElement("div");
+    heading.className = "route-selector-group";
+
+    if (!wall) {
+      heading.textContent = "No wall";
+      return heading;
+    }
+
+    const details = [getWallAngle(wall.angle)?.label, showGym ? wall.gym : null]
+      .filter(Boolean)
+      .map(escapeHtml)
+      .join(" • ");
+    heading.innerHTML = `${escapeHtml(wall.name)}${details ? `<small>${details}</small>` : ""}`;
+    return heading;
+  }
+
   switchTab(tabName) {
     document
       .querySelectorAll(".tab")
@@ -589,6 +881,12 @@ class ClimbView {
         if (window.checkStorageStatus) {
           window.checkStorageStatus();
         }
+        if (window.refreshGyms) {
+          window.refreshGyms();
+        }
+        if (window.refreshTrash) {
+          window.refreshTrash();
+        }
       }, 100);
     }
   }
@@ -608,8 +906,9 @@ class ClimbView {
       .map((route) => {
         // const colorHex = this.getColorHex(route.color); // Not needed for this modal
         const selected = attempt.routeId === route.id ? "selected" : "";
-        return `<option value="${route.id}" ${selected} data-color="${route.color}" data-name="${route.name || "Unnamed"}" data-gym="${route.gym || ""}">
-          ${route.name || "Unnamed"} (${route.color.toUpperCase()}) ${route.gym ? `• ${route.gym}` : ""}
+        const grade = formatGrade(route);
+        return `<option value="${route.id}" ${selected} data-color="${route.color}" data-name="${escapeHtml(route.name || "Unnamed")}" data-gym="${escapeHtml(route.gym)}" data-grade="${route.grade || ""}" data-grade-system="${route.gradeSystem || ""}">
+          ${escapeHtml(route.name || "Unnamed")} (${route.color.toUpperCase()}${grade ? ` ${grade}` : ""}) ${route.gym ? `• ${escapeHtml(route.gym)}` : ""}
         </option>`;
       })
       .join("");
@@ -637,9 +936,15 @@ class ClimbView {
               <button type="button" class="failure-btn ${!attempt.success ? "selected" : ""}" data-result="false">❌ Failed</button>
             </div>
           </div>
+          <div class="form-group">
+            <label for="edit-send-style">Send Style:</label>
+            <select id="edit-send-style">
+              <option value="">Auto-detect from route history</option>
+            </select>
+          </div>
           <div class="form-group">
             <label for="edit-notes">Notes (optional):</label>
-            <textarea id="edit-notes" rows="3" placeholder="Any additional notes about this attempt...">${attempt.notes || ""}</textarea>
+            <textarea id="edit-notes" rows="3" placeholder="Any additional notes about this attempt...">${escapeHtml(attempt.notes)}</textarea>
           </div>
           <div class="form-group">
             <small>Logged: ${attempt.timestamp.toLocaleString()}</small>
@@ -700,7 +1005,7 @@ class ClimbView {
         } else if (action === "delete") {
           // Use custom dialog instead of browser confirm
           const confirmed = await dialogUtils.showConfirm(
-            "Are you sure you want to delete this attempt? This action cannot be undone.",
+            "Are you sure you want to delete this attempt?",
             "Delete Attempt"
           );
 
@@ -712,6 +1017,7 @@ class ClimbView {
           const routeSelect = document.getElementById("edit-route-select");
           const selectedOption = routeSelect.options[routeSelect.selectedIndex];
           const notes = document.getElementById("edit-notes").value.trim();
+          const sendStyle = document.getElementById("edit-send-style").value;
 
           if (!routeSelect.value) {
             this.showAlert("Please select a route");
@@ -725,8 +1031,11 @@ class ClimbView {
               color: selectedOption.dataset.color,
               name: selectedOption.dataset.name,
               gym: selectedOption.dataset.gym,
+              grade: selectedOption.dataset.grade || null,
+              gradeSystem: selectedOption.dataset.gradeSystem || null,
             },
             success: selectedSuccess,
+            sendStyle: sendStyle || null,
             notes: notes || null,
           };
 
@@ -744,6 +1053,10 @@ class ClimbView {
     });
 
     document.body.appendChild(modal);
+    this.populateSendStyleOptions(
+      modal.querySelector("#edit-send-style"),
+      attempt.sendStyle
+    );
 
     // Focus on route select after a brief delay
     setTimeout(() => {
@@ -771,6 +1084,153 @@ class ClimbView {
       }
     });
   }
+
+  /**
+   * The previous session when it was at the same gym on the same day, so
+   * the two were probably split by accident
+   */
+  findSplitSession(session, previous) {
+    const sameGym = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+    return previous &&
+      sameGym(previous.gym, session.gym) &&
+      previous.date.toDateString() === session.date.toDateString()
+      ? previous
+      : null;
+  }
+
+  /**
+   * Show the edit dialog for a finished session
+   * @param {Object} session - Session to edit
+   * @param {Array} otherSessions - Sessions it can be merged into
+   * @param {Object} handlers - `onSave(updatedData)`, `onDelete()` and
+   *   `onMerge(targetSessionId)`
+   */
+  showEditSessionModal(session, otherSessions, { onSave, onDelete, onMerge }) {
+    this.hideEditSessionModal();
+
+    const modal = document.createElement("div");
+    modal.className = "modal-overlay";
+    modal.id = "edit-session-modal";
+
+    const localDateTime = new Date(
+      session.date.getTime() - session.date.getTimezoneOffset() * 60000
+    )
+      .toISOString()
+      .slice(0, 16);
+
+    // Sessions closest in time first, since merges fix accidental splits
+    const mergeOptions = otherSessions
+      .slice()
+      .sort(
+        (a, b) =>
+          Math.abs(a.date - session.date) - Math.abs(b.date - session.date)
+      )
+      .map(
+        (other) => `<option value="${other.id}">
+          ${escapeHtml(other.gym)} • ${other.date.toLocaleString()} (${other.attempts.length} attempts)
+        </option>`
+      )
+      .join("");
+
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h3>Edit Session</h3>
+          <button class="modal-close" type="button">&times;</button>
+        </div>
+        <div class="modal-body">
+          <div class="form-group">
+            <label for="edit-session-date">Date & Time:</label>
+            <input type="datetime-local" id="edit-session-date" value="${localDateTime}" />
+          </div>
+          <div class="form-group">
+            <label for="edit-session-gym">Gym/Location:</label>
+            <input type="text" id="edit-session-gym" list="gym-options" autocomplete="off" value="${escapeHtml(session.gym)}" />
+          </div>
+          <div class="form-group">
+            <label for="edit-session-notes">Notes (optional):</label>
+            <textarea id="edit-session-notes" rows="3" placeholder="How did the session go?">${escapeHtml(session.notes)}</textarea>
+          </div>
+          ${
+            mergeOptions
+              ? `
+            <div class="form-group">
+              <label for="merge-session-select">Merge into another session:</label>
+              <div class="merge-session-row">
+                <select id="merge-session-select">${mergeOptions}</select>
+                <button type="button" class="btn btn-secondary" data-action="merge">Merge</button>
+              </div>
+            </div>
+          `
+              : ""
+          }
+        </div>
+        <div class="modal-footer">
+          <button type="button" class="btn btn-danger" data-action="delete">Delete Session</button>
+          <button type="button" class="btn btn-secondary" data-action="cancel">Cancel</button>
+          <button type="button" class="btn btn-primary" data-action="save">Save Changes</button>
+        </div>
+      </div>
+    `;
+
+    modal.addEventListener("click", async (e) => {
+      const target = e.target;
+
+      if (target.classList.contains("modal-close") || target === modal) {
+        this.hideEditSessionModal();
+        return;
+      }
+
+      const action = target.dataset.action;
+      if (!action) return;
+
+      if (action === "cancel") {
+        this.hideEditSessionModal();
+      } else if (action === "delete") {
+        const confirmed = await dialogUtils.showConfirm(
+          `Move this session and its ${session.attempts.length} attempts to the trash?`,
+          "Delete Session"
+        );
+        if (confirmed) {
+          this.hideEditSessionModal();
+          onDelete();
+        }
+      } else if (action === "merge") {
+        const targetId = parseInt(
+          document.getElementById("merge-session-select").value
+        );
+        const confirmed = await dialogUtils.showConfirm(
+          "Move all attempts of this session into the selected session?",
+          "Merge Sessions"
+        );
+        if (confirmed) {
+          this.hideEditSessionModal();
+          onMerge(targetId);
+        }
+      } else if (action === "save") {
+        const date = document.getElementById("edit-session-date").value;
+        const gym = document.getElementById("edit-session-gym").value.trim();
+        const notes = document
+          .getElementById("edit-session-notes")
+          .value.trim();
+
+        if (!date || !gym) {
+          this.showAlert("Please enter a date and gym/location");
+          return;
+        }
+
+        this.hideEditSessionModal();
+        onSave({ date: new Date(date), gym, notes: notes || null });
+      }
+    });
+
+    document.body.appendChild(modal);
+  }
+
+  hideEditSessionModal() {
+    document.getElementById("edit-session-modal")?.remove();
+  }
 }
 
 export { ClimbView };
@@ -1,4 +1,69 @@
 import { dialogUtils } from "../utils/DialogUtils.js";
+import { escapeHtml } from "../utils/HtmlUtils.js";
+import { getSendStyle } from "../models/SendStyles.js";
+import {
+  COLOR_ONLY_SYSTEM,
+  formatGrade,
+  getGradeSystem,
+  getGradeSystems,
+} from "../models/GradeSystems.js";
+import { getRouteSetDate, isRouteArchived } from "../models/RouteLifecycle.js";
+import { getWallAngle, getWallAngles } from "../models/WallModel.js";
+import { DEFAULT_ROUTE_QUERY, getRouteSorts } from "../models/RouteQuery.js";
+import {
+  getRouteTag,
+  getRouteTags,
+  getTagLabel,
+  normalizeTags,
+  parseTagText,
+  sortTags,
+} from "../models/RouteTags.js";
+import {
+  getPrimaryPhoto,
+  getRoutePhotos,
+  movePhoto,
+} from "../models/RoutePhotos.js";
+import {
+  AnnotationEditor,
+  renderAnnotationOverlay,
+} from "./AnnotationEditor.js";
+
+// Value of the wall option that adds a new wall instead of picking one
+const NEW_WALL_OPTION = "new";
+
+const readAsDataURL = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+
+const parseWallId = (value) => {
+  const id = parseInt(value, 10);
+  return Number.isNaN(id) ? null : id;
+};
+
+const describeWall = (wall) => {
+  const angle = getWallAngle(wall.angle);
+  return angle ? `${wall.name} (${angle.label})` : wall.name;
+};
+
+const pad = (value) => String(value).padStart(2, "0");
+
+// Date inputs use local YYYY-MM-DD
+const toDateInputValue = (date) => {
+  if (!date) return "";
+  const d = new Date(date);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+const parseDateInput = (value) => {
+  const match = String(value ?? "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return match
+    ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+    : null;
+};
 
 /**
  * View for managing route UI
@@ -14,6 +79,7 @@ class RouteView {
       black: "#212121",
       white: "#FAFAFA",
     };
+    this.annotationEditor = new AnnotationEditor();
   }
 
   /**
@@ -57,19 +123,321 @@ class RouteView {
     return selectedBtn ? selectedBtn.dataset.color : null;
   }
 
+  /**
+   * Fill a select with the available grading systems
+   */
+  populateGradeSystemOptions(select, selectedSystem) {
+    select.innerHTML = getGradeSystems()
+      .map(
+        (system) =>
+          `<option value="${system.id}" ${system.id === selectedSystem ? "selected" : ""}>${system.name}</option>`
+      )
+      .join("");
+  }
+
+  /**
+   * Fill a select with the grades of a grading system
+   */
+  populateGradeOptions(select, systemId, selectedGrade = null) {
+    const system = getGradeSystem(systemId);
+    const grades = system ? system.grades : [];
+
+    const gradeOptions = grades
+      .map(
+        (grade) =>
+          `<option value="${grade.label}" ${grade.label === selectedGrade ? "selected" : ""}>${grade.label}</option>`
+      )
+      .join("");
+
+    select.innerHTML = `<option value="">No grade</option>${gradeOptions}`;
+    select.disabled = systemId === COLOR_ONLY_SYSTEM;
+  }
+
+  /**
+   * Set the grading system in the add route form
+   */
+  setRouteGradeSystem(systemId) {
+    const systemSelect = document.getElementById("route-grade-system");
+    const gradeSelect = document.getElementById("route-grade");
+    if (!systemSelect || !gradeSelect) return;
+
+    this.populateGradeSystemOptions(systemSelect, systemId);
+    this.populateGradeOptions(gradeSelect, systemId);
+  }
+
   /**
    * Get route form data
    */
   getRouteFormData() {
     const fileInput = document.getElementById("route-image");
     return {
-      image: fileInput.files[0] || null,
+      // In gallery order; the first is the primary photo
+      images: [...fileInput.files],
       name: document.getElementById("route-name").value.trim(),
+      gradeSystem: document.getElementById("route-grade-system").value,
+      grade: document.getElementById("route-grade").value || null,
       gym: document.getElementById("route-gym").value.trim(),
       notes: document.getElementById("route-notes").value.trim(),
+      setAt: parseDateInput(document.getElementById("route-set-date")?.value),
+      wallId: parseWallId(document.getElementById("route-wall")?.value),
+      tags: this.getPickedTags(document.getElementById("route-tags")),
     };
   }
 
+  /**
+   * Fill a tag picker with a checkbox per predefined tag and a field for
+   * custom tags, comma separated
+   */
+  renderTagPicker(container, tags = []) {
+    if (!container) return;
+
+    const selected = normalizeTags(tags);
+    const custom = selected.filter((tag) => !getRouteTag(tag));
+    const options = getRouteTags()
+      .map(
+        (tag) => `
+          <label class="tag-chip">
+            <input type="checkbox" value="${tag.id}" ${selected.includes(tag.id) ? "checked" : ""} />
+            ${tag.label}
+          </label>`
+      )
+      .join("");
+
+    container.innerHTML = `
+      <div class="tag-options">${options}</div>
+      <input type="text" class="custom-tags-input" value="${escapeHtml(custom.join(", "))}" placeholder="Other tags, comma separated" />
+    `;
+  }
+
+  /**
+   * Tags ticked or typed in a tag picker
+   */
+  getPickedTags(container) {
+    if (!container) return [];
+
+    const checked = [
+      ...container.querySelectorAll(".tag-options input:checked"),
+    ].map((input) => input.value);
+    const custom = parseTagText(
+      container.querySelector(".custom-tags-input")?.value
+    );
+    return normalizeTags([...checked, ...custom]);
+  }
+
+  /**
+   * Show the tags of the add route form
+   */
+  setRouteTags(tags = []) {
+    this.renderTagPicker(document.getElementById("route-tags"), tags);
+  }
+
+  /**
+   * Tags as chips for route cards
+   */
+  formatTags(tags) {
+    return sortTags(normalizeTags(tags))
+      .map(
+        (tag) =>
+          `<span class="route-tag">${escapeHtml(getTagLabel(tag))}</span>`
+      )
+      .join("");
+  }
+
+  /**
+   * Fill a select with a gym's walls, plus options for no wall and for
+   * adding a new one
+   */
+  populateWallOptions(select, walls, selectedId = null) {
+    const wallOptions = walls
+      .map(
+        (wall) =>
+          `<option value="${wall.id}" ${wall.id === selectedId ? "selected" : ""}>${escapeHtml(describeWall(wall))}</option>`
+      )
+      .join("");
+
+    select.innerHTML = `<option value="">No wall</option>${wallOptions}<option value="${NEW_WALL_OPTION}">+ New wall…</option>`;
+  }
+
+  /**
+   * Show the walls of the gym in the add route form
+   */
+  setRouteWalls(walls, selectedId = null) {
+    const select = document.getElementById("route-wall");
+    if (select) {
+      this.populateWallOptions(select, walls, selectedId);
+    }
+  }
+
+  /**
+   * Offer the known gyms as suggestions in every gym field
+   */
+  setGymOptions(gyms) {
+    const datalist = document.getElementById("gym-options");
+    if (!datalist) return;
+
+    datalist.replaceChildren(
+      ...gyms.map((gym) => {
+        const option = document.createElement("option");
+        option.value = gym.name;
+        return option;
+      })
+    );
+  }
+
+  /**
+   * Make picking "New wall…" in a wall select ask for the wall and select
+   * it once saved
+   * @param {HTMLSelectElement} select - Wall select
+   * @param {function(): string} getGym - Gym currently entered in the form
+   * @param {Object} walls
+   * @param {function(string): Promise<Array>} walls.getWalls - Walls at a gym
+   * @param {function(string): Promise<Object|null>} walls.createWall - Ask
+   *   for and save a new wall at a gym
+   */
+  bindWallSelect(select, getGym, { getWalls, createWall }) {
+    let previous = select.value;
+
+    select.addEventListener("change", async () => {
+      if (select.value !== NEW_WALL_OPTION) {
+        previous = select.value;
+        return;
+      }
+
+      const gym = getGym();
+      if (!gym) {
+        this.showAlert("Enter the gym before adding a wall");
+        select.value = previous;
+        return;
+      }
+
+      const wall = await createWall(gym);
+      this.populateWallOptions(
+        select,
+        await getWalls(gym),
+        wall ? wall.id : parseWallId(previous)
+      );
+      previous = select.value;
+    });
+  }
+
+  /**
+   * Ask for the name and angle of a new wall
+   * @returns {Promise<Object|null>} `{ name, angle }`, or null if cancelled
+   */
+  async showWallDialog(gym) {
+    const angleOptions = getWallAngles()
+      .map((angle) => `<option value="${angle.id}">${angle.label}</option>`)
+      .join("");
+
+    return dialogUtils.showForm(
+      `New Wall at ${gym}`,
+      `
+        <div class="form-group">
+          <label for="wall-name">Name</label>
+          <input type="text" id="wall-name" name="name" placeholder="e.g., Cave, Comp wall" />
+        </div>
+        <div class="form-group">
+          <label for="wall-angle">Angle</label>
+          <select id="wall-angle" name="angle">
+            <option value="">Not set</option>
+            ${angleOptions}
+          </select>
+        </div>
+      `,
+      "Add Wall"
+    );
+  }
+
+  /**
+   * List every wall grouped by gym with controls to rename, re-angle or
+   * delete each one
+   * @param {Array} walls - All walls
+   * @param {Object} handlers
+   * @param {function(number, Object): Promise<boolean>} handlers.onSave -
+   *   Save a wall's name and angle; resolves whether it was saved
+   * @param {function(number): Promise<boolean>} handlers.onDelete - Delete a
+   *   wall; resolves whether it was deleted
+   */
+  showManageWallsDialog(walls, { onSave, onDelete }) {
+    const overlay = document.createElement("div");
+    overlay.className = "dialog-overlay";
+
+    const dialog = document.createElement("div");
+    dialog.className = "dialog manage-walls-dialog";
+
+    const angleOptions = (selected) =>
+      getWallAngles()
+        .map(
+          (angle) =>
+            `<option value="${angle.id}" ${angle.id === selected ? "selected" : ""}>${angle.label}</option>`
+        )
+        .join("");
+
+    const gyms = [...new Set(walls.map((wall) => wall.gym))];
+    const sections = gyms
+      .map(
+        (gym) => `
+          <h4>${escapeHtml(gym)}</h4>
+          ${walls
+            .filter((wall) => wall.gym === gym)
+            .map(
+              (wall) => `
+            <div class="wall-row" data-wall-id="${wall.id}">
+              <input type="text" name="name" value="${escapeHtml(wall.name)}" />
+              <select name="angle">
+                <option value="">Not set</option>
+                ${angleOptions(wall.angle)}
+              </select>
+              <button class="dialog-btn dialog-btn-secondary" data-action="save">Save</button>
+              <button class="dialog-btn dialog-btn-danger" data-action="delete">Delete</button>
+            </div>`
+            )
+            .join("")}
+        `
+      )
+      .join("");
+
+    dialog.innerHTML = `
+      <div class="dialog-header">
+        <h3>Walls</h3>
+      </div>
+      <div class="dialog-body">
+        ${
+          walls.length === 0
+            ? "<p>No walls yet. Add one from the Wall field when saving a route.</p>"
+            : `<p>Deleting a wall keeps its routes; they just no longer have a wall.</p>${sections}`
+        }
+      </div>
+      <div class="dialog-footer">
+        <button class="dialog-btn dialog-btn-primary" data-action="close">Close</button>
+      </div>
+    `;
+
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+
+    overlay.addEventListener("click", async (e) => {
+      const action = e.target.dataset?.action;
+      if (e.target === overlay || action === "close") {
+        overlay.remove();
+        return;
+      }
+
+      const row = e.target.closest(".wall-row");
+      if (!row) return;
+      const wallId = parseWallId(row.dataset.wallId);
+
+      if (action === "save") {
+        await onSave(wallId, {
+          name: row.querySelector("[name=name]").value,
+          angle: row.querySelector("[name=angle]").value || null,
+        });
+      } else if (action === "delete" && (await onDelete(wallId))) {
+        row.remove();
+      }
+    });
+  }
+
   /**
    * Clear the route form
    */
@@ -78,6 +446,10 @@ class RouteView {
     document.getElementById("route-name").value = "";
     document.getElementById("route-gym").value = "";
     document.getElementById("route-notes").value = "";
+    document.getElementById("route-grade").value = "";
+    document.getElementById("route-set-date").value = "";
+    document.getElementById("route-wall").value = "";
+    this.setRouteTags([]);
     document.getElementById("image-preview").style.display = "none";
 
     document
@@ -86,24 +458,101 @@ class RouteView {
   }
 
   /**
-   * Render all routes in the routes list
+   * Fill the library sort dropdown
    */
-  renderRoutes(routes) {
+  populateRouteSortOptions() {
+    const select = document.getElementById("route-library-sort");
+    if (!select) return;
+
+    select.innerHTML = getRouteSorts()
+      .map((sort) => `<option value="${sort.id}">${sort.label}</option>`)
+      .join("");
+    select.value = DEFAULT_ROUTE_QUERY.sort;
+  }
+
+  /**
+   * Offer the colors and gyms in the library as filters, keeping the
+   * current choice when it is still there
+   */
+  setRouteFilterOptions(routes) {
+    const option = (value, label) => {
+      const element = document.createElement("option");
+      element.value = value;
+      element.textContent = label;
+      return element;
+    };
+    const fill = (id, allLabel, values) => {
+      const select = document.getElementById(id);
+      if (!select) return;
+
+      const selected = select.value;
+      select.replaceChildren(option("", allLabel));
+      [...new Set(values.filter(Boolean))]
+        .sort((a, b) => a.localeCompare(b))
+        .forEach((value) => select.appendChild(option(value, value)));
+      select.value = values.includes(selected) ? selected : "";
+    };
+
+    fill(
+      "route-filter-color",
+      "All colors",
+      routes.map((route) => route.color)
+    );
+    fill(
+      "route-filter-gym",
+      "All gyms",
+      routes.map((route) => route.gym)
+    );
+  }
+
+  /**
+   * Read the search, filters and sort from the library filter bar
+   * @returns {Object} Query shaped like DEFAULT_ROUTE_QUERY
+   */
+  getRouteQuery() {
+    const value = (id, fallback) =>
+      document.getElementById(id)?.value ?? fallback;
+
+    return {
+      text: value("route-search", DEFAULT_ROUTE_QUERY.text).trim(),
+      color: value("route-filter-color", DEFAULT_ROUTE_QUERY.color),
+      gym: value("route-filter-gym", DEFAULT_ROUTE_QUERY.gym),
+      sent: value("route-filter-sent", DEFAULT_ROUTE_QUERY.sent),
+      archived: value("route-filter-archived", DEFAULT_ROUTE_QUERY.archived),
+      sort: value("route-library-sort", DEFAULT_ROUTE_QUERY.sort),
+    };
+  }
+
+  /**
+   * Render routes in the routes list in the order given
+   * @param {Array} routes - Routes matching the library query
+   * @param {number} total - Routes in the whole library
+   */
+  renderRoutes(routes, total = routes.length) {
     const container = document.getElementById("routes-container");
+    const count = document.getElementById("route-results-count");
     container.innerHTML = "";
+    if (count) {
+      count.textContent =
+        total > 0 && routes.length < total
+          ? `Showing ${routes.length} of ${total} routes`
+          : "";
+    }
 
-    if (routes.length === 0) {
+    if (total === 0) {
       container.innerHTML =
         "<p>No routes saved yet. Add your first route above!</p>";
       return;
     }
 
-    routes
-      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-      .forEach((route) => {
-        const routeElement = this.createRouteCard(route);
-        container.appendChild(routeElement);
-      });
+    if (routes.length === 0) {
+      container.innerHTML = "<p>No routes match your search and filters.</p>";
+      return;
+    }
+
+    routes.forEach((route) => {
+      container.appendChild(this.createRouteCard(route));
+    });
   }
 
   /**
@@ -111,32 +560,48 @@ class RouteView {
    */
   createRouteCard(route) {
     const routeCard = document.createElement("div");
-    routeCard.className = "route-card";
+    const archived = isRouteArchived(route);
+    routeCard.className = archived ? "route-card archived" : "route-card";
     routeCard.dataset.routeId = route.id;
+    const setAt = getRouteSetDate(route);
 
     const imageUrl =
       route.imageUrl ||
       "data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='100' height='100' viewBox='0 0 100 100'%3E%3Crect width='100' height='100' fill='%23f0f0f0'/%3E%3Ctext x='50' y='50' font-family='Arial' font-size='12' fill='%23999' text-anchor='middle' dy='.3em'%3ENo Image%3C/text%3E%3C/svg%3E";
     const colorHex = this.getColorHex(route.color);
+    const grade = formatGrade(route);
+    const photoCount = getRoutePhotos(route).length;
 
     routeCard.innerHTML = `
       <div class="route-image">
         <img src="${imageUrl}" alt="Route image" />
+        ${route.imageUrl ? renderAnnotationOverlay(getPrimaryPhoto(route)?.annotations) : ""}
+        ${photoCount > 1 ? `<span class="route-photo-count" title="${photoCount} photos">📷 ${photoCount}</span>` : ""}
       </div>
       <div class="route-info">
         <h4>
           <span class="route-color-indicator" style="background-color: ${colorHex};"></span>
-          ${route.name || "Unnamed Route"}
+          ${escapeHtml(route.name || "Unnamed Route")}
+          ${archived ? "<span class=\"route-archived-badge\">Archived</span>" : ""}
         </h4>
         <p><strong>Color:</strong> ${route.color.toUpperCase()}</p>
-        ${route.gym ? `<p><strong>Gym:</strong> ${route.gym}</p>` : ""}
-        ${route.notes ? `<p><strong>Notes:</strong> ${route.notes}</p>` : ""}
-        <p><small>Added: ${new Date(route.createdAt).toLocaleDateString()}</small></p>
+        ${grade ? `<p><strong>Grade:</strong> ${grade} (${getGradeSystem(route.gradeSystem).name})</p>` : ""}
+        ${route.gym ? `<p><strong>Gym:</strong> ${escapeHtml(route.gym)}</p>` : ""}
+        ${route.wall ? `<p><strong>Wall:</strong> ${escapeHtml(describeWall(route.wall))}</p>` : ""}
+        ${route.tags?.length ? `<p class="route-tags">${this.formatTags(route.tags)}</p>` : ""}
+        ${route.notes ? `<p><strong>Notes:</strong> ${escapeHtml(route.notes)}</p>` : ""}
+        <p><small>Set: ${setAt ? setAt.toLocaleDateString() : "—"}${route.removedAt ? ` • Removed: ${new Date(route.removedAt).toLocaleDateString()}` : ""}</small></p>
         <div class="route-actions">
-          <button class="edit-route-btn" onclick="app.routeController.editRoute(${route.id})">
+          <button class="route-history-btn" data-action="history">
+            View History
+          </button>
+          <button class="edit-route-btn" data-action="edit">
             Edit Route
           </button>
-          <button class="delete-route-btn" onclick="app.routeController.deleteRoute(${route.id})">
+          <button class="archive-route-btn" data-action="${archived ? "unarchive" : "archive"}">
+            ${archived ? "Unarchive" : "Archive"}
+          </button>
+          <button class="delete-route-btn" data-action="delete">
             Delete Route
           </button>
         </div>
@@ -150,7 +615,9 @@ class RouteView {
    * Update a route card with image URL
    */
   updateRouteCardImage(routeId, imageUrl) {
-    const routeCard = document.querySelector(`[data-route-id="${routeId}"]`);
+    const routeCard = document.querySelector(
+      `.route-card[data-route-id="${routeId}"]`
+    );
     if (routeCard) {
       const img = routeCard.querySelector(".route-image img");
       if (img && imageUrl) {
@@ -163,7 +630,9 @@ class RouteView {
    * Remove route card from DOM
    */
   removeRouteCard(routeId) {
-    const routeCard = document.querySelector(`[data-route-id="${routeId}"]`);
+    const routeCard = document.querySelector(
+      `.route-card[data-route-id="${routeId}"]`
+    );
     if (routeCard) {
       routeCard.remove();
     }
@@ -197,10 +666,207 @@ class RouteView {
     return await dialogUtils.showConfirm(message);
   }
 
+  /**
+   * Ask which gym's routes to archive, optionally only on one wall, and
+   * how old they must be
+   * @param {string[]} gyms - Gyms with routes that aren't archived
+   * @param {function(string): Promise<Array>} getWalls - Walls at a gym
+   * @returns {Promise<Object|null>} `{ gym, wallId, setBefore }`, or null if
+   *   cancelled
+   */
+  async showArchiveDialog(gyms, getWalls) {
+    const gymOptions = gyms
+      .map(
+        (gym) =>
+          `<option value="${escapeHtml(gym)}">${escapeHtml(gym)}</option>`
+      )
+      .join("");
+    const monthAgo = new Date();
+    monthAgo.setMonth(monthAgo.getMonth() - 1);
+
+    const form = dialogUtils.showForm(
+      "Archive Old Routes",
+      `
+        <p>Archived routes are hidden when logging attempts but stay in your history and stats.</p>
+        <div class="form-group">
+          <label for="archive-gym">Gym</label>
+          <select id="archive-gym" name="gym">${gymOptions}</select>
+        </div>
+        <div class="form-group">
+          <label for="archive-wall">Wall</label>
+          <select id="archive-wall" name="wallId"><option value="">All walls</option></select>
+        </div>
+        <div class="form-group">
+          <label for="archive-set-before">Set before</label>
+          <input type="date" id="archive-set-before" name="setBefore" value="${toDateInputValue(monthAgo)}" />
+        </div>
+      `,
+      "Archive"
+    );
+
+    // The wall list follows the picked gym
+    const gymSelect = document.getElementById("archive-gym");
+    const wallSelect = document.getElementById("archive-wall");
+    const showWalls = async () => {
+      const gym = gymSelect.value;
+      const walls = await getWalls(gym);
+      if (gymSelect.value !== gym) return;
+
+      const wallOptions = walls
+        .map(
+          (wall) =>
+            `<option value="${wall.id}">${escapeHtml(describeWall(wall))}</option>`
+        )
+        .join("");
+      wallSelect.innerHTML = `<option value="">All walls</option>${wallOptions}`;
+    };
+    // The form still works without the wall list, archiving across the gym
+    const loadWalls = () =>
+      showWalls().catch((error) =>
+        console.error("Error loading walls:", error)
+      );
+    gymSelect.addEventListener("change", loadWalls);
+    loadWalls();
+
+    const values = await form;
+    if (!values) return null;
+
+    return {
+      gym: values.gym,
+      wallId: parseWallId(values.wallId),
+      setBefore: parseDateInput(values.setBefore),
+    };
+  }
+
+  /**
+   * Show a route's attempt history and send analytics
+   */
+  showRouteDetail(route, analytics) {
+    const overlay = document.createElement("div");
+    overlay.className = "dialog-overlay";
+
+    const dialog = document.createElement("div");
+    dialog.className = "dialog route-detail-dialog";
+
+    const formatDate = (date) => (date ? date.toLocaleDateString() : "—");
+    const grade = formatGrade(route);
+    const photos = (route.gallery || []).filter((photo) => photo.url);
+
+    const attemptRows = analytics.attempts
+      .slice()
+      .reverse()
+      .map((attempt) => {
+        const style = getSendStyle(attempt.sendStyle);
+        const result = attempt.success
+          ? `✅ ${style ? `${style.icon} ${style.label}` : "Success"}`
+          : "❌ Failed";
+        return `
+          <tr>
+            <td>${attempt.timestamp.toLocaleString()}</td>
+            <td>${result}</td>
+            <td>${escapeHtml(attempt.notes)}</td>
+          </tr>
+        `;
+      })
+      .join("");
+
+    dialog.innerHTML = `
+      <div class="dialog-header">
+        <h3>
+          <span class="route-color-indicator" style="background-color: ${this.getColorHex(route.color)};"></span>
+          ${escapeHtml(route.name || "Unnamed Route")}${grade ? ` (${grade})` : ""}
+        </h3>
+      </div>
+      <div class="dialog-body">
+        ${
+          photos.length > 0
+            ? `<div class="route-photo-gallery">${photos
+                .map(
+                  (photo, index) => `
+          <div class="annotated-image route-detail-photo">
+            <img src="${photo.url}" alt="Route photo ${index + 1}" />
+            ${renderAnnotationOverlay(photo.annotations, "contain")}
+          </div>`
+                )
+                .join("")}
+        </div>`
+            : ""
+        }
+        ${
+          analytics.totalAttempts === 0
+            ? "<p>No attempts logged on this route yet.</p>"
+            : `
+        <div class="route-analytics">
+          <p><strong>First attempt:</strong> ${formatDate(analytics.firstAttemptDate)}</p>
+          <p><strong>First send:</strong> ${analytics.firstSendDate ? formatDate(analytics.firstSendDate) : "Not sent yet"}</p>
+          <p><strong>Attempts to send:</strong> ${analytics.attemptsToSend ?? "—"}</p>
+          <p><strong>Sessions to send:</strong> ${analytics.sessionsToSend ?? "—"}</p>
+          <p><strong>Success rate after send:</strong> ${analytics.successRateAfterSend !== null ? `${analytics.successRateAfterSend}% (${analytics.attemptsAfterSend} attempts)` : "—"}</p>
+          <p><strong>Total:</strong> ${analytics.totalSuccess}/${analytics.totalAttempts} attempts over ${analytics.totalSessions} sessions</p>
+        </div>
+        <table class="route-history-table">
+          <thead>
+            <tr><th>Logged</th><th>Result</th><th>Notes</th></tr>
+          </thead>
+          <tbody>${attemptRows}</tbody>
+        </table>`
+        }
+      </div>
+      <div class="dialog-footer">
+        <button class="dialog-btn dialog-btn-primary" data-action="close">Close</button>
+      </div>
+    `;
+
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+
+    overlay.addEventListener("click", (e) => {
+      if (e.target === overlay || e.target.dataset.action === "close") {
+        overlay.remove();
+      }
+    });
+  }
+
+  /**
+   * Tiles for the photos in the edit dialog, in gallery order, each with
+   * buttons to reorder, annotate or remove it
+   */
+  renderPhotoTiles(photos) {
+    if (photos.length === 0) {
+      return "<p class=\"photo-gallery-empty\">No photos yet</p>";
+    }
+
+    return photos
+      .map(
+        (photo, index) => `
+      <div class="photo-tile" data-index="${index}">
+        <div class="annotated-image">
+          <img src="${photo.url}" alt="Route photo ${index + 1}" />
+          ${renderAnnotationOverlay(photo.annotations, "contain")}
+        </div>
+        ${
+          index === 0
+            ? "<span class=\"photo-primary-badge\">Primary</span>"
+            : "<button type=\"button\" class=\"photo-primary-btn\" data-photo-action=\"primary\">Make primary</button>"
+        }
+        <div class="photo-tile-actions">
+          <button type="button" data-photo-action="earlier" title="Move earlier" aria-label="Move earlier" ${index === 0 ? "disabled" : ""}>◀</button>
+          <button type="button" data-photo-action="later" title="Move later" aria-label="Move later" ${index === photos.length - 1 ? "disabled" : ""}>▶</button>
+          <button type="button" data-photo-action="annotate">Annotate</button>
+          <button type="button" data-photo-action="remove" title="Remove photo" aria-label="Remove photo">✕</button>
+        </div>
+      </div>`
+      )
+      .join("");
+  }
+
   /**
    * Show route edit dialog
+   * @param {Object} route - Route to edit
+   * @param {Object} [walls] - `{ getWalls, createWall }` as for
+   *   bindWallSelect; without it the wall can't be changed
    */
-  async showEditDialog(route) {
+  async showEditDialog(route, walls = null) {
     return new Promise((resolve) => {
       const overlay = document.createElement("div");
       overlay.className = "dialog-overlay";
@@ -221,11 +887,9 @@ class RouteView {
         </div>
         <div class="dialog-body">
           <div class="form-group">
-            <label for="edit-route-image">Route Image</label>
-            <input type="file" id="edit-route-image" accept="image/*" />
-            <div id="edit-image-preview" class="image-preview">
-              <img id="edit-preview-img" src="${route.imageUrl || ""}" style="max-width: 300px; max-height: 200px; border-radius: 8px" />
-            </div>
+            <label for="edit-route-images">Route Photos</label>
+            <div class="photo-gallery" id="edit-photo-gallery"></div>
+            <input type="file" id="edit-route-images" accept="image/*" multiple />
           </div>
           
           <div class="form-group">
@@ -235,19 +899,53 @@ class RouteView {
             </div>
           </div>
           
+          <div class="form-group">
+            <label for="edit-route-grade-system">Grading System</label>
+            <select id="edit-route-grade-system"></select>
+          </div>
+
+          <div class="form-group">
+            <label for="edit-route-grade">Grade</label>
+            <select id="edit-route-grade"></select>
+          </div>
+          
           <div class="form-group">
             <label for="edit-route-name">Route Name</label>
-            <input type="text" id="edit-route-name" value="${route.name || ""}" placeholder="e.g., Wall A - Route 3" />
+            <input type="text" id="edit-route-name" value="${escapeHtml(route.name)}" placeholder="e.g., Wall A - Route 3" />
           </div>
           
           <div class="form-group">
             <label for="edit-route-gym">Gym/Location</label>
-            <input type="text" id="edit-route-gym" value="${route.gym || ""}" placeholder="Enter gym or climbing location" />
+            <input type="text" id="edit-route-gym" list="gym-options" autocomplete="off" value="${escapeHtml(route.gym)}" placeholder="Enter gym or climbing location" />
+          </div>
+          ${
+            walls
+              ? `
+          <div class="form-group">
+            <label for="edit-route-wall">Wall</label>
+            <select id="edit-route-wall"></select>
+          </div>`
+              : ""
+          }
+
+          <div class="form-group">
+            <label>Style Tags</label>
+            <div class="tag-picker" id="edit-route-tags"></div>
           </div>
           
           <div class="form-group">
             <label for="edit-route-notes">Notes</label>
-            <input type="text" id="edit-route-notes" value="${route.notes || ""}" placeholder="Any additional notes about this route" />
+            <input type="text" id="edit-route-notes" value="${escapeHtml(route.notes)}" placeholder="Any additional notes about this route" />
+          </div>
+
+          <div class="form-group">
+            <label for="edit-route-set-date">Set On</label>
+            <input type="date" id="edit-route-set-date" value="${toDateInputValue(getRouteSetDate(route))}" />
+          </div>
+
+          <div class="form-group">
+            <label for="edit-route-removed-date">Removed On</label>
+            <input type="date" id="edit-route-removed-date" value="${toDateInputValue(route.removedAt)}" />
           </div>
         </div>
         <div class="dialog-footer">
@@ -259,23 +957,113 @@ class RouteView {
       overlay.appendChild(dialog);
       document.body.appendChild(overlay);
 
-      // Handle image preview
-      const imageInput = dialog.querySelector("#edit-route-image");
-      const preview = dialog.querySelector("#edit-image-preview");
-      const previewImg = dialog.querySelector("#edit-preview-img");
-
-      imageInput.addEventListener("change", (e) => {
-        const file = e.target.files[0];
-        if (file) {
-          const reader = new FileReader();
-          reader.onload = (e) => {
-            previewImg.src = e.target.result;
-            preview.style.display = "block";
-          };
-          reader.readAsDataURL(file);
+      const tagPicker = dialog.querySelector("#edit-route-tags");
+      this.renderTagPicker(tagPicker, route.tags);
+
+      // Photos already on the route are kept by id and picked files are
+      // stored on save. Annotations belong to the photo they were drawn on.
+      let photos = (route.gallery || []).map(({ id, url, annotations }) => ({
+        id,
+        url,
+        annotations: annotations || null,
+      }));
+      const imageInput = dialog.querySelector("#edit-route-images");
+      const gallery = dialog.querySelector("#edit-photo-gallery");
+      const renderGallery = () => {
+        gallery.innerHTML = this.renderPhotoTiles(photos);
+      };
+      renderGallery();
+
+      imageInput.addEventListener("change", async (e) => {
+        const files = [...e.target.files];
+        try {
+          const urls = await Promise.all(files.map(readAsDataURL));
+          photos = [
+            ...photos,
+            ...files.map((file, index) => ({
+              file,
+              url: urls[index],
+              annotations: null,
+            })),
+          ];
+          renderGallery();
+        } catch (error) {
+          this.showAlert(error.message);
         }
+        // Lets the same file be picked again after it is removed
+        imageInput.value = "";
       });
 
+      gallery.addEventListener("click", async (e) => {
+        const button = e.target.closest("[data-photo-action]");
+        if (!button) return;
+        const index = Number(button.closest(".photo-tile").dataset.index);
+
+        switch (button.dataset.photoAction) {
+          case "primary":
+            photos = movePhoto(photos, index, 0);
+            break;
+          case "earlier":
+            photos = movePhoto(photos, index, index - 1);
+            break;
+          case "later":
+            photos = movePhoto(photos, index, index + 1);
+            break;
+          case "remove":
+            photos = photos.filter((_, i) => i !== index);
+            break;
+          case "annotate":
+            try {
+              const edited = await this.annotationEditor.open(
+                photos[index].url,
+                photos[index].annotations
+              );
+              if (!edited) return;
+              photos = photos.map((photo, i) =>
+                i === index ? { ...photo, annotations: edited } : photo
+              );
+            } catch (error) {
+              this.showAlert(error.message);
+              return;
+            }
+            break;
+          default:
+            return;
+        }
+        renderGallery();
+      });
+
+      // Handle grading system selection
+      const gradeSystemSelect = dialog.querySelector(
+        "#edit-route-grade-system"
+      );
+      const gradeSelect = dialog.querySelector("#edit-route-grade");
+      const initialSystem = route.gradeSystem || COLOR_ONLY_SYSTEM;
+
+      this.populateGradeSystemOptions(gradeSystemSelect, initialSystem);
+      this.populateGradeOptions(gradeSelect, initialSystem, route.grade);
+
+      gradeSystemSelect.addEventListener("change", () => {
+        this.populateGradeOptions(gradeSelect, gradeSystemSelect.value);
+      });
+
+      // Walls depend on the gym, so reload them when it changes
+      const gymInput = dialog.querySelector("#edit-route-gym");
+      const wallSelect = dialog.querySelector("#edit-route-wall");
+      if (walls && wallSelect) {
+        this.populateWallOptions(wallSelect, [], route.wallId ?? null);
+        walls.getWalls(route.gym).then((gymWalls) => {
+          this.populateWallOptions(wallSelect, gymWalls, route.wallId ?? null);
+        });
+        gymInput.addEventListener("change", async () => {
+          this.populateWallOptions(
+            wallSelect,
+            await walls.getWalls(gymInput.value.trim())
+          );
+        });
+        this.bindWallSelect(wallSelect, () => gymInput.value.trim(), walls);
+      }
+
       // Handle color selection
       const colorButtons = dialog.querySelectorAll(
         "#edit-route-colors .color-btn"
@@ -298,11 +1086,23 @@ class RouteView {
 
       dialog.querySelector("#edit-save-btn").addEventListener("click", () => {
         const formData = {
-          image: imageInput.files[0] || null,
+          photos: photos.map(({ id, file, annotations }) =>
+            file ? { file, annotations } : { id, annotations }
+          ),
           name: dialog.querySelector("#edit-route-name").value.trim(),
           color: selectedColor,
+          gradeSystem: gradeSystemSelect.value,
+          grade: gradeSelect.value || null,
           gym: dialog.querySelector("#edit-route-gym").value.trim(),
           notes: dialog.querySelector("#edit-route-notes").value.trim(),
+          tags: this.getPickedTags(tagPicker),
+          setAt: parseDateInput(
+            dialog.querySelector("#edit-route-set-date").value
+          ),
+          removedAt: parseDateInput(
+            dialog.querySelector("#edit-route-removed-date").value
+          ),
+          ...(wallSelect ? { wallId: parseWallId(wallSelect.value) } : {}),
         };
 
         document.body.removeChild(overlay);
@@ -0,0 +1,358 @@
+import { dialogUtils } from "../utils/DialogUtils.js";
+import { escapeHtml } from "../utils/HtmlUtils.js";
+import {
+  conflictKey,
+  getConflicts,
+  MERGE_RESOLUTIONS,
+  summarizeMerge,
+} from "../models/BackupMerge.js";
+import { CSV_IMPORT_FIELDS, summarizeCsvImport } from "../models/CsvImport.js";
+import { purgeDate } from "../models/TrashModel.js";
+
+// Rows of the file shown under the column mapping
+const CSV_SAMPLE_ROWS = 3;
+
+// Problems listed in the import preview before the rest are counted
+const CSV_PROBLEMS_SHOWN = 5;
+
+/**
+ * View for the Settings tab: backup, restore, merge, CSV import, gyms, photo
+ * settings and trash
+ */
+export class SettingsView {
+  /**
+   * Show what a merge would change and let the user resolve each conflict
+   * @param {Object} plan - Merge plan from ClimbModel.previewMerge
+   * @returns {Promise<Object|null>} - Resolution per conflict, or null if cancelled
+   */
+  async showMergePreview(plan) {
+    const conflicts = getConflicts(plan);
+
+    const conflictRows = conflicts
+      .map(
+        (conflict) => `
+          <div class="merge-conflict">
+            <div class="merge-conflict-details">
+              ${this.describeConflict(conflict)}
+            </div>
+            <select name="${conflictKey(conflict)}">
+              <option value="${MERGE_RESOLUTIONS.local}">Keep local</option>
+              <option value="${MERGE_RESOLUTIONS.imported}">Keep imported</option>
+              <option value="${MERGE_RESOLUTIONS.both}">Keep both</option>
+            </select>
+          </div>
+        `
+      )
+      .join("");
+
+    const body = `
+      <p class="merge-summary">${summarizeMerge(plan)}</p>
+      ${
+        conflicts.length
+          ? `<div class="merge-conflicts">${conflictRows}</div>`
+          : ""
+      }
+    `;
+
+    return dialogUtils.showForm("Merge Backup", body, "Merge");
+  }
+
+  /**
+   * Ask which CSV column holds each field, starting from a guessed mapping
+   * @param {string[]} headers - Header row of the file
+   * @param {Object} mapping - Guessed column index by field id
+   * @param {Array<string[]>} rows - Data rows, the first few are shown
+   * @returns {Promise<Object|null>} - `{ mapping, defaultGym }`, or null if cancelled
+   */
+  async showCsvMapping(headers, mapping, rows) {
+    const fieldRows = CSV_IMPORT_FIELDS.map((field) => {
+      const options = headers
+        .map(
+          (header, index) => `
+            <option value="${index}" ${mapping[field.id] === index ? "selected" : ""}>
+              ${escapeHtml(header) || `Column ${index + 1}`}
+            </option>
+          `
+        )
+        .join("");
+
+      return `
+        <label class="csv-field">
+          <span>${field.label}${field.required ? " *" : ""}</span>
+          <select name="${field.id}">
+            <option value="">Not in file</option>
+            ${options}
+          </select>
+        </label>
+      `;
+    }).join("");
+
+    const sampleRows = rows
+      .slice(0, CSV_SAMPLE_ROWS)
+      .map(
+        (row) =>
+          `<tr>${headers.map((_, index) => `<td>${escapeHtml(row[index])}</td>`).join("")}</tr>`
+      )
+      .join("");
+
+    const body = `
+      <p>Choose the column for each field. Rows are grouped into one session per day and gym.</p>
+      <div class="csv-fields">${fieldRows}</div>
+      <label class="csv-field">
+        <span>Gym for rows without one</span>
+        <input type="text" name="defaultGym" placeholder="e.g. Brooklyn Boulders" />
+      </label>
+      <div class="csv-sample">
+        <table>
+          <thead>
+            <tr>${headers.map((header) => `<th>${escapeHtml(header)}</th>`).join("")}</tr>
+          </thead>
+          <tbody>${sampleRows}</tbody>
+        </table>
+      </div>
+    `;
+
+    const values = await dialogUtils.showForm("Import CSV", body, "Next");
+    if (!values) return null;
+
+    const { defaultGym, ...columns } = values;
+    return {
+      mapping: Object.fromEntries(
+        Object.entries(columns)
+          .filter(([, column]) => column !== "")
+          .map(([field, column]) => [field, Number(column)])
+      ),
+      defaultGym,
+    };
+  }
+
+  /**
+   * Show the sessions and routes an import would create
+   * @param {Object} plan - Plan from buildCsvImport
+   * @returns {Promise<boolean>} - Whether the user confirmed the import
+   */
+  async showCsvImportPreview(plan) {
+    const sessionRows = plan.sessions
+      .map((session) => {
+        const sends = session.attempts.filter((a) => a.success).length;
+        return `
+          <li>
+            <strong>${session.date.toLocaleDateString()} • ${escapeHtml(session.gym)}</strong>
+            <small>${sends}/${session.attempts.length} sent</small>
+          </li>
+        `;
+      })
+      .join("");
+
+    const problems = plan.problems
+      .slice(0, CSV_PROBLEMS_SHOWN)
+      .map(
+        (problem) =>
+          `<li>Line ${problem.line}: ${escapeHtml(problem.message)}</li>`
+      )
+      .join("");
+    const moreProblems = plan.problems.length - CSV_PROBLEMS_SHOWN;
+
+    const body = `
+      <p class="merge-summary">${summarizeCsvImport(plan)}</p>
+      <ul class="csv-sessions">${sessionRows}</ul>
+      ${
+        plan.problems.length
+          ? `
+            <div class="csv-problems">
+              <strong>${plan.problems.length} rows need attention</strong>
+              <ul>
+                ${problems}
+                ${moreProblems > 0 ? `<li>and ${moreProblems} more</li>` : ""}
+              </ul>
+            </div>
+          `
+          : ""
+      }
+    `;
+
+    return (await dialogUtils.showForm("Import CSV", body, "Import")) !== null;
+  }
+
+  /**
+   * Describe both sides of a conflict
+   */
+  describeConflict(conflict) {
+    const { local, imported } = conflict;
+
+    if (conflict.type === "route") {
+      const describeRoute = (route) =>
+        [route.name, route.color, route.grade, route.gym]
+          .filter(Boolean)
+          .join(" • ");
+
+      return `
+        <strong>Route edited on both devices</strong>
+        <small>Local: ${describeRoute(local)}</small>
+        <small>Imported: ${describeRoute(imported)}</small>
+      `;
+    }
+
+    const describeSession = (session) =>
+      `${session.attempts.length} attempts${session.notes ? ` • ${escapeHtml(session.notes)}` : ""}`;
+
+    return `
+      <strong>${escapeHtml(imported.gym)} • ${imported.date.toLocaleDateString()}</strong>
+      <small>Local: ${escapeHtml(local.gym)} • ${describeSession(local)}</small>
+      <small>Imported: ${escapeHtml(imported.gym)} • ${describeSession(imported)}</small>
+    `;
+  }
+
+  /**
+   * List gyms with their other names and how many routes and sessions each
+   * has, with a button to rename or merge it
+   * @param {Array} gyms - Gyms sorted by name
+   * @param {Map} counts - Route and session counts by gym id
+   */
+  renderGyms(gyms, counts) {
+    const list = document.getElementById("gym-list");
+    if (!list) return;
+
+    if (gyms.length === 0) {
+      list.innerHTML =
+        "<p class=\"trash-empty\">Gyms appear here once routes are added.</p>";
+      return;
+    }
+
+    list.innerHTML = gyms
+      .map((gym) => {
+        const { routes = 0, sessions = 0 } = counts.get(gym.id) || {};
+        const aliases = gym.aliases?.length
+          ? `<small>Also: ${gym.aliases.map(escapeHtml).join(", ")}</small>`
+          : "";
+
+        return `
+          <div class="gym-item">
+            <div class="gym-item-details">
+              <strong>${escapeHtml(gym.name)}</strong>
+              ${aliases}
+              <small>
+                ${routes} route${routes === 1 ? "" : "s"} •
+                ${sessions} session${sessions === 1 ? "" : "s"}
+              </small>
+            </div>
+            <button class="btn btn-secondary rename-gym-btn" data-gym-id="${gym.id}">
+              Rename / merge
+            </button>
+          </div>
+        `;
+      })
+      .join("");
+  }
+
+  /**
+   * Ask for a gym's new name, suggesting the other gyms to merge into
+   * @returns {Promise<string|null>} The name entered, or null if cancelled
+   */
+  async showRenameGymDialog(gym) {
+    const values = await dialogUtils.showForm(
+      `Rename ${gym.name}`,
+      `
+        <div class="form-group">
+          <label for="gym-new-name">New name</label>
+          <input type="text" id="gym-new-name" name="name" list="gym-options" autocomplete="off" value="${escapeHtml(gym.name)}" />
+        </div>
+        <p>Enter another gym's name to merge ${escapeHtml(gym.name)} into it.</p>
+      `,
+      "Rename"
+    );
+
+    return values ? values.name : null;
+  }
+
+  /**
+   * Show the size and quality new photos are stored at
+   * @param {Object} settings - From RouteModel.getPhotoSettings
+   */
+  renderPhotoSettings({ maxWidth, maxHeight, quality }) {
+    const values = {
+      "photo-max-width": maxWidth,
+      "photo-max-height": maxHeight,
+      "photo-quality": Math.round(quality * 100),
+    };
+    Object.entries(values).forEach(([id, value]) => {
+      const input = document.getElementById(id);
+      if (input) input.value = value;
+    });
+  }
+
+  /**
+   * Read the photo settings fields, with quality as a fraction
+   */
+  getPhotoSettings() {
+    const value = (id) => Number(document.getElementById(id)?.value);
+    return {
+      maxWidth: value("photo-max-width"),
+      maxHeight: value("photo-max-height"),
+      quality: value("photo-quality") / 100,
+    };
+  }
+
+  /**
+   * List trashed routes and sessions with a Restore button each
+   * @param {Array} records - Trash records, most recently deleted first
+   * @param {number} retentionDays - Days items are kept before purging
+   */
+  renderTrash(records, retentionDays, now = new Date()) {
+    const list = document.getElementById("trash-list");
+    const retentionInput = document.getElementById("trash-retention-days");
+    const emptyButton = document.getElementById("empty-trash-btn");
+    if (!list) return;
+
+    if (retentionInput) retentionInput.value = retentionDays;
+    if (emptyButton) emptyButton.disabled = records.length === 0;
+
+    if (records.length === 0) {
+      list.innerHTML = "<p class=\"trash-empty\">The trash is empty.</p>";
+      return;
+    }
+
+    list.innerHTML = records
+      .map((record) => {
+        const daysLeft = Math.max(
+          0,
+          Math.ceil((purgeDate(record, retentionDays) - now) / 86400000)
+        );
+
+        return `
+          <div class="trash-item">
+            <div class="trash-item-details">
+              ${this.describeTrashItem(record)}
+              <small>
+                Deleted ${new Date(record.deletedAt).toLocaleDateString()} •
+                ${daysLeft === 0 ? "purged today" : `purged in ${daysLeft} day${daysLeft === 1 ? "" : "s"}`}
+              </small>
+            </div>
+            <button class="btn btn-secondary restore-trash-btn" data-trash-id="${escapeHtml(record.id)}">
+              Restore
+            </button>
+          </div>
+        `;
+      })
+      .join("");
+  }
+
+  /**
+   * One-line description of a trashed route or session
+   */
+  describeTrashItem(record) {
+    const { item } = record;
+
+    if (record.type === "route") {
+      const details = [item.color, item.grade, item.gym]
+        .filter(Boolean)
+        .map(escapeHtml)
+        .join(" • ");
+      return `<strong>Route: ${escapeHtml(item.name || "Unnamed")}</strong>
+        <small>${details}</small>`;
+    }
+
+    return `<strong>Session: ${escapeHtml(item.gym)} • ${new Date(item.date).toLocaleDateString()}</strong>
+      <small>${item.attempts.length} attempts</small>`;
+  }
+}
@@ -1,3 +1,6 @@
+import { database, DB_VERSION, STORES } from "./src/models/Database.js";
+import { createBackup, parseBackup } from "./src/models/Backup.js";
+
 // Cache version - increment this when you want to force cache updates
 const CACHE_VERSION = "2.0.0";
 const CACHE_NAME = `climb-count-v${CACHE_VERSION}`;
@@ -169,21 +172,18 @@ async function ensureStoragePersistence() {
 // Handle data backup requests
 async function handleDataBackup(event) {
   try {
-    // Open IndexedDB and export data
-    const db = await new Promise((resolve, reject) => {
-      const request = indexedDB.open("climbCountDB", 2);
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
+    // Open the shared database and export data
+    const db = await database.open();
+
+    const backupData = await createBackup({
+      sessions: await getAllFromStore(db, STORES.sessions),
+      drafts: await getAllFromStore(db, STORES.drafts),
+      routes: await getAllFromStore(db, STORES.routes),
+      walls: await getAllFromStore(db, STORES.walls),
+      gyms: await getAllFromStore(db, STORES.gyms),
+      schemaVersion: DB_VERSION,
     });
 
-    const backupData = {
-      version: 2,
-      timestamp: new Date().toISOString(),
-      sessions: await getAllFromStore(db, "sessions"),
-      routes: await getAllFromStore(db, "routes"),
-      drafts: await getAllFromStore(db, "drafts"),
-    };
-
     // Send backup data back to client
     event.ports[0].postMessage({
       success: true,
@@ -201,24 +201,18 @@ async function handleDataBackup(event) {
 // Handle data restore requests
 async function handleDataRestore(event) {
   try {
-    const backupData = JSON.parse(event.data.backup);
+    const backupData = parseBackup(event.data.backup);
 
-    const db = await new Promise((resolve, reject) => {
-      const request = indexedDB.open("climbCountDB", 2);
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
+    const db = await database.open();
 
-    // Restore each store
-    if (backupData.sessions) {
-      await restoreToStore(db, "sessions", backupData.sessions);
-    }
-    if (backupData.routes) {
-      await restoreToStore(db, "routes", backupData.routes);
-    }
-    if (backupData.drafts) {
-      await restoreToStore(db, "drafts", backupData.drafts);
-    }
+    // Restore every store in the backup in one transaction
+    await restoreToStores(db, {
+      [STORES.sessions]: backupData.sessions,
+      [STORES.routes]: backupData.routes,
+      [STORES.drafts]: backupData.drafts,
+      [STORES.walls]: backupData.walls,
+      [STORES.gyms]: backupData.gyms,
+    });
 
     event.ports[0].postMessage({ success: true });
   } catch (error) {
@@ -242,34 +236,26 @@ async function getAllFromStore(db, storeName) {
   });
 }
 
-// Helper function to restore data to a store
-async function restoreToStore(db, storeName, data) {
-  return new Promise((resolve, reject) => {
-    const transaction = db.transaction([storeName], "readwrite");
-    const store = transaction.objectStore(storeName);
-
-    // Clear existing data
-    const clearRequest = store.clear();
-    clearRequest.onsuccess = () => {
-      let completed = 0;
-      const total = data.length;
+// Helper function to replace the contents of several stores atomically.
+// Stores whose data is null are left untouched.
+async function restoreToStores(db, dataByStore) {
+  const entries = Object.entries(dataByStore).filter(([, data]) => data);
+  if (entries.length === 0) return;
 
-      if (total === 0) {
-        resolve();
-        return;
-      }
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(
+      entries.map(([storeName]) => storeName),
+      "readwrite"
+    );
 
-      data.forEach((item) => {
-        const addRequest = store.add(item);
-        addRequest.onsuccess = () => {
-          completed++;
-          if (completed === total) resolve();
-        };
-        addRequest.onerror = () => reject(addRequest.error);
-      });
-    };
+    transaction.oncomplete = () => resolve();
+    transaction.onabort = () => reject(transaction.error);
 
-    clearRequest.onerror = () => reject(clearRequest.error);
+    entries.forEach(([storeName, data]) => {
+      const store = transaction.objectStore(storeName);
+      store.clear();
+      data.forEach((item) => store.put(item));
+    });
   });
 }
 
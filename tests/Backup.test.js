@@ -0,0 +1,287 @@
+/**
+ * Tests for the backup format
+ */
+import {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  createBackup,
+  decodeImage,
+  encodeImage,
+  parseBackup,
+} from "../src/models/Backup.js";
+import { ClimbModel } from "../src/models/ClimbModel.js";
+import { createFakeDatabase } from "./fakeDatabase.js";
+
+const imageBytes = () => new Uint8Array([0xff, 0xd8, 0xff, 0x00, 0x7f]).buffer;
+
+const photo = { id: 1, image: imageBytes(), type: null, annotations: null };
+
+const route = {
+  id: 7,
+  name: "Crimpy",
+  color: "purple",
+  grade: "V4",
+  gradeSystem: "vscale",
+  gym: "BKB",
+  notes: null,
+  photos: [photo],
+  createdAt: new Date("2024-01-01T10:00:00Z"),
+};
+
+const session = {
+  id: 1,
+  date: new Date("2024-03-01"),
+  gym: "BKB",
+  attempts: [
+    {
+      id: 10,
+      timestamp: new Date("2024-03-01T18:00:00Z"),
+      routeId: 7,
+      routeSnapshot: { name: "Crimpy", color: "purple" },
+      success: true,
+      sendStyle: "flash",
+      notes: "",
+    },
+  ],
+};
+
+describe("Backup", () => {
+  describe("image encoding", () => {
+    test("should round-trip image bytes through base64", async () => {
+      const encoded = await encodeImage(imageBytes());
+
+      expect(encoded.encoding).toBe("base64");
+      expect(typeof encoded.data).toBe("string");
+      expect(new Uint8Array(decodeImage(encoded))).toEqual(
+        new Uint8Array(imageBytes())
+      );
+    });
+
+    test("should skip missing or unreadable images", async () => {
+      expect(await encodeImage(null)).toBeNull();
+      expect(decodeImage({})).toBeNull();
+    });
+  });
+
+  describe("createBackup", () => {
+    test("should include every store and survive JSON", async () => {
+      const backup = await createBackup({
+        sessions: [session],
+        drafts: [
+          {
+            id: "current",
+            sessionId: 2,
+            date: new Date("2024-03-08"),
+            gym: "BKB",
+            attempts: [],
+          },
+        ],
+        routes: [route],
+        schemaVersion: 3,
+      });
+
+      expect(backup.format).toBe(BACKUP_FORMAT);
+      expect(backup.version).toBe(BACKUP_VERSION);
+
+      const restored = parseBackup(JSON.stringify(backup));
+
+      expect(restored.sessions).toHaveLength(1);
+      expect(restored.drafts[0].sessionId).toBe(2);
+      expect(restored.routes[0].createdAt).toEqual(route.createdAt);
+      expect(new Uint8Array(restored.routes[0].photos[0].image)).toEqual(
+        new Uint8Array(imageBytes())
+      );
+      // Without a stored thumbnail the photo is left for the photo shrink
+      expect("thumbnail" in restored.routes[0].photos[0]).toBe(false);
+    });
+
+    test("should keep route thumbnails", async () => {
+      const backup = await createBackup({
+        routes: [{ ...route, photos: [{ ...photo, thumbnail: imageBytes() }] }],
+      });
+
+      const restored = parseBackup(JSON.stringify(backup));
+
+      expect(new Uint8Array(restored.routes[0].photos[0].thumbnail)).toEqual(
+        new Uint8Array(imageBytes())
+      );
+    });
+  });
+
+  describe("image types", () => {
+    const png = () =>
+      new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).buffer;
+
+    test("should keep the stored type of route photos", async () => {
+      const backup = await createBackup({
+        routes: [
+          { ...route, photos: [{ ...photo, image: png(), type: "image/png" }] },
+        ],
+      });
+
+      expect(backup.routes[0].photos[0].image.type).toBe("image/png");
+      expect(parseBackup(JSON.stringify(backup)).routes[0].photos[0].type).toBe(
+        "image/png"
+      );
+    });
+
+    test("should read the type of photos older backups called JPEG", async () => {
+      const single = { ...route, photos: undefined };
+      const backup = await createBackup({ routes: [] });
+      backup.version = 2;
+      backup.routes = [
+        {
+          ...single,
+          image: { ...(await encodeImage(png())), type: "image/jpeg" },
+        },
+      ];
+
+      expect(parseBackup(JSON.stringify(backup)).routes[0].photos[0].type).toBe(
+        "image/png"
+      );
+    });
+  });
+
+  describe("photo galleries", () => {
+    test("should keep every photo in order", async () => {
+      const backup = await createBackup({
+        routes: [
+          {
+            ...route,
+            photos: [
+              { ...photo, id: 3 },
+              { ...photo, id: 1, thumbnail: imageBytes() },
+            ],
+          },
+        ],
+      });
+
+      const restored = parseBackup(JSON.stringify(backup)).routes[0];
+
+      expect(restored.photos.map(({ id }) => id)).toEqual([3, 1]);
+      expect(restored.photos[1].thumbnail.byteLength).toBe(5);
+    });
+
+    test("should move the photo of backups from before galleries into one", async () => {
+      const single = { ...route, photos: undefined };
+      const annotations = {
+        width: 100,
+        height: 80,
+        shapes: [{ type: "hold", x: 10, y: 20, r: 5 }],
+      };
+      const backup = await createBackup({ routes: [] });
+      backup.version = 2;
+      backup.routes = [
+        {
+          ...single,
+          image: await encodeImage(imageBytes()),
+          imageType: "image/jpeg",
+          thumbnail: await encodeImage(imageBytes()),
+          annotations,
+        },
+        { ...single, id: 8, image: null },
+      ];
+
+      const [moved, empty] = parseBackup(JSON.stringify(backup)).routes;
+
+      expect(moved.photos).toEqual([
+        {
+          id: 1,
+          image: expect.any(ArrayBuffer),
+          type: "image/jpeg",
+          thumbnail: expect.any(ArrayBuffer),
+          annotations,
+        },
+      ]);
+      expect(moved).not.toHaveProperty("image");
+      expect(moved).not.toHaveProperty("annotations");
+      expect(empty.photos).toEqual([]);
+    });
+
+    test("should report photos that aren't valid", async () => {
+      const backup = await createBackup({ routes: [route] });
+      backup.routes[0].photos.push({ id: 2, image: "photo.jpg", type: "jpeg" });
+
+      expect(() => parseBackup(backup)).toThrow(
+        "routes[0].photos[1].image is not an encoded image"
+      );
+    });
+  });
+
+  describe("parseBackup", () => {
+    test("should read backups from before routes were included", () => {
+      const legacy = JSON.stringify({
+        version: 1,
+        timestamp: "2024-03-02T00:00:00.000Z",
+        sessions: [session],
+        currentSession: { id: 2, date: "2024-03-02", gym: "BKB", attempts: [] },
+      });
+
+      const backup = parseBackup(legacy);
+
+      expect(backup.sessions).toHaveLength(1);
+      expect(backup.drafts).toEqual([
+        expect.objectContaining({ id: "current", sessionId: 2 }),
+      ]);
+      expect(backup.routes).toBeNull();
+    });
+
+    test("should reject backups from a newer app version", () => {
+      const future = { format: BACKUP_FORMAT, version: BACKUP_VERSION + 1 };
+
+      expect(() => parseBackup(future)).toThrow("newer than this app");
+    });
+  });
+
+  describe("model export and import", () => {
+    test("should restore sessions, draft and routes on another device", async () => {
+      const source = createFakeDatabase({ sessions: [session] });
+      const sourceModel = new ClimbModel(source);
+      await sourceModel.initializeDB();
+      sourceModel.startNewSession({ date: "2024-03-08", gym: "BKB" });
+      const draftId = sourceModel.currentSession.id;
+
+      const json = await sourceModel.exportData([route]);
+
+      const target = createFakeDatabase();
+      const model = new ClimbModel(target);
+      await model.initializeDB();
+
+      await model.importData(json);
+
+      expect(model.sessions[0].attempts[0].routeId).toBe(7);
+      expect(model.currentSession.id).toBe(draftId);
+      expect(target.stores.drafts.get("current").sessionId).toBe(draftId);
+      expect(target.stores.routes.get(7).name).toBe("Crimpy");
+      expect(target.stores.routes.get(7).photos[0].image.byteLength).toBe(5);
+    });
+
+    test("should drop trashed items whose ids the restore takes", async () => {
+      const sourceModel = new ClimbModel(
+        createFakeDatabase({ sessions: [session] })
+      );
+      await sourceModel.initializeDB();
+      const json = await sourceModel.exportData([route]);
+      const trashed = (type, item) => ({
+        id: `${type}:${item.id}`,
+        type,
+        itemId: item.id,
+        item,
+        deletedAt: new Date("2024-03-05"),
+      });
+      const target = createFakeDatabase({
+        trash: [
+          trashed("route", { ...route, name: "Old crimpy" }),
+          trashed("route", { ...route, id: 8 }),
+          trashed("session", { ...session, gym: "Movement" }),
+        ],
+      });
+      const model = new ClimbModel(target);
+      await model.initializeDB();
+
+      await model.importData(json);
+
+      expect([...target.stores.trash.keys()]).toEqual(["route:8"]);
+    });
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * Tests for merging a backup into local data
+ */
+import {
+  MERGE_RESOLUTIONS,
+  planMerge,
+  resolveMerge,
+  summarizeMerge,
+} from "../src/models/BackupMerge.js";
+import { ClimbModel } from "../src/models/ClimbModel.js";
+import { createBackup } from "../src/models/Backup.js";
+import { createFakeDatabase } from "./fakeDatabase.js";
+
+const attempt = (id, routeId, success = false, notes = "") => ({
+  id,
+  timestamp: new Date(Date.UTC(2024, 2, 1, 18, 0, id)),
+  routeId,
+  routeSnapshot: { name: `Route ${routeId}`, color: "red" },
+  success,
+  sendStyle: success ? "flash" : null,
+  notes,
+});
+
+const session = (id, attempts, gym = "BKB") => ({
+  id,
+  date: new Date(Date.UTC(2024, 2, id)),
+  gym,
+  attempts,
+});
+
+const route = (id, name, color = "red") => ({
+  id,
+  name,
+  color,
+  grade: null,
+  gradeSystem: "color",
+  gym: "BKB",
+  notes: null,
+  image: null,
+  createdAt: new Date("2024-01-01T00:00:00Z"),
+});
+
+describe("BackupMerge", () => {
+  const local = {
+    sessions: [
+      session(1, [attempt(1, 1)]),
+      session(2, [attempt(2, 1)]),
+      session(3, [attempt(3, 2, false, "Sloppy")]),
+    ],
+    routes: [route(1, "Crimpy"), route(2, "Slab")],
+    currentSession: null,
+  };
+
+  const imported = {
+    sessions: [
+      session(1, [attempt(1, 1)]), // duplicate
+      session(2, [attempt(2, 1), attempt(4, 1, true)]), // new attempt
+      session(3, [attempt(3, 2, true, "Sent it")]), // edited attempt
+      session(5, [attempt(5, 2)]), // new session
+    ],
+    routes: [route(1, "Crimpy"), route(2, "Overhang", "blue"), route(7, "New")],
+    draft: null,
+  };
+
+  test("should classify new, updated, duplicate and conflicting records", () => {
+    const plan = planMerge(local, imported);
+
+    expect(plan.sessions.added.map((s) => s.id)).toEqual([5]);
+    expect(plan.sessions.updated).toHaveLength(1);
+    expect(plan.sessions.duplicates).toBe(1);
+    expect(plan.sessions.conflicts.map((c) => c.id)).toEqual([3]);
+    expect(plan.routes.added.map((r) => r.id)).toEqual([7]);
+    expect(plan.routes.conflicts.map((c) => c.id)).toEqual([2]);
+    expect(summarizeMerge(plan)).toBe(
+      "1 new session, 1 updated session, 1 new route, 2 duplicates skipped, 2 conflicts"
+    );
+  });
+
+  test("should treat dates from JSON like the local Date objects", () => {
+    const fromJson = JSON.parse(JSON.stringify(local.sessions));
+    fromJson.forEach((s) => {
+      s.date = new Date(s.date);
+    });
+
+    const plan = planMerge(local, { sessions: fromJson, routes: [] });
+
+    expect(plan.sessions.duplicates).toBe(3);
+  });
+
+  test("should add new attempts to a session without touching local ones", () => {
+    const merged = resolveMerge(planMerge(local, imported));
+    const updated = merged.sessions.find((s) => s.id === 2);
+
+    expect(updated.attempts.map((a) => a.id)).toEqual([2, 4]);
+  });
+
+  test("should keep the local side of conflicts by default", () => {
+    const merged = resolveMerge(planMerge(local, imported));
+
+    expect(merged.sessions.map((s) => s.id)).toEqual([5, 2]);
+    expect(merged.routes.map((r) => r.id)).toEqual([7]);
+  });
+
+  test("should replace local records when keeping the imported side", () => {
+    const merged = resolveMerge(planMerge(local, imported), {
+      "session:3": MERGE_RESOLUTIONS.imported,
+      "route:2": MERGE_RESOLUTIONS.imported,
+    });
+
+    const replaced = merged.sessions.find((s) => s.id === 3);
+    expect(replaced.attempts[0].notes).toBe("Sent it");
+    expect(merged.routes.find((r) => r.id === 2).name).toBe("Overhang");
+  });
+
+  test("should keep both under new ids and repoint imported attempts", () => {
+    const merged = resolveMerge(planMerge(local, imported), {
+      "session:3": MERGE_RESOLUTIONS.both,
+      "route:2": MERGE_RESOLUTIONS.both,
+    });
+
+    const copy = merged.routes.find((r) => r.name === "Overhang");
+    expect(copy.id).toBe(8);
+
+    const sessionCopy = merged.sessions.find((s) => s.id === 6);
+    expect(sessionCopy.attempts[0].routeId).toBe(8);
+    expect(merged.sessions.find((s) => s.id === 5).attempts[0].routeId).toBe(8);
+    expect(merged.sessions.some((s) => s.id === 3)).toBe(false);
+  });
+
+  test("should give the attempts of a session kept as both new ids", () => {
+    const merged = resolveMerge(planMerge(local, imported), {
+      "session:3": MERGE_RESOLUTIONS.both,
+    });
+
+    const sessionCopy = merged.sessions.find((s) => s.id === 6);
+    expect(sessionCopy.attempts.map((a) => a.id)).toEqual([6]);
+    expect(sessionCopy.attempts[0].notes).toBe("Sent it");
+
+    // Attempt ids stay unique across everything stored after the merge
+    const stored = new Map(local.sessions.map((s) => [s.id, s]));
+    merged.sessions.forEach((s) => stored.set(s.id, s));
+    const ids = [...stored.values()].flatMap((s) =>
+      s.attempts.map((a) => a.id)
+    );
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  test("should not replace a session in progress with the backup's draft", () => {
+    const draft = session(9, [attempt(9, 1)]);
+
+    expect(planMerge(local, { ...imported, draft }).draft).toBe(draft);
+    expect(
+      planMerge(
+        { ...local, currentSession: session(8, []) },
+        { ...imported, draft }
+      ).draft
+    ).toBeNull();
+  });
+
+  describe("walls", () => {
+    const wall = (id, name, gym = "BKB") => ({ id, gym, name, angle: null });
+    const onWall = (id, name, wallId) => ({ ...route(id, name), wallId });
+
+    // Both devices numbered their walls from 1
+    const localWalls = {
+      ...local,
+      routes: [...local.routes, onWall(4, "Roof", 2)],
+      walls: [wall(1, "Cave"), wall(2, "Slab")],
+    };
+    const importedWalls = {
+      sessions: [
+        session(6, [
+          {
+            ...attempt(6, 4),
+            routeSnapshot: { name: "Roof", color: "red", wallId: 1 },
+          },
+        ]),
+      ],
+      routes: [
+        onWall(4, "Roof", 1),
+        onWall(7, "Dyno", 2),
+        onWall(8, "Lost", 5),
+      ],
+      walls: [wall(1, " slab", "bkb"), wall(2, "Comp wall")],
+      draft: null,
+    };
+
+    test("should match walls by gym and name and add the rest", () => {
+      const plan = planMerge(localWalls, importedWalls);
+
+      expect(plan.walls.added).toEqual([wall(3, "Comp wall")]);
+      // Same wall under another id on each device
+      expect(plan.routes.duplicates).toBe(1);
+      expect(plan.routes.added.map((r) => [r.id, r.wallId])).toEqual([
+        [7, 3],
+        [8, null],
+      ]);
+      expect(plan.sessions.added[0].attempts[0].routeSnapshot.wallId).toBe(2);
+      expect(summarizeMerge(plan)).toBe(
+        "1 new session, 2 new routes, 1 new wall, 1 duplicate skipped"
+      );
+    });
+
+    test("should write new walls with the routes through the model", async () => {
+      const db = createFakeDatabase({
+        sessions: localWalls.sessions,
+        routes: localWalls.routes,
+        walls: localWalls.walls,
+      });
+      const model = new ClimbModel(db);
+      await model.initializeDB();
+      const transactionsBefore = db.transactions.length;
+
+      const json = JSON.stringify(await createBackup(importedWalls));
+      const { plan } = model.previewMerge(
+        json,
+        localWalls.routes,
+        localWalls.walls
+      );
+      await model.applyMerge(plan);
+
+      expect(db.transactions).toHaveLength(transactionsBefore + 1);
+      expect([...db.stores.walls.values()].map((w) => w.name)).toEqual([
+        "Cave",
+        "Slab",
+        "Comp wall",
+      ]);
+      expect(db.stores.routes.get(4).wallId).toBe(2);
+      expect(db.stores.routes.get(7).wallId).toBe(3);
+      expect(db.stores.routes.get(8).wallId).toBeNull();
+    });
+  });
+
+  test("should write only merged sessions through the model", async () => {
+    const db = createFakeDatabase({ sessions: local.sessions });
+    const model = new ClimbModel(db);
+    await model.initializeDB();
+    db.writes.length = 0;
+
+    const json = JSON.stringify(
+      await createBackup({ sessions: imported.sessions, routes: [] })
+    );
+    const { plan } = model.previewMerge(json, local.routes);
+    await model.applyMerge(plan);
+
+    expect(db.writes.map((write) => write.key)).toEqual([5, 2]);
+    expect(model.sessions.map((s) => s.id)).toEqual([1, 2, 3, 5]);
+    expect(db.stores.sessions.get(3).attempts[0].notes).toBe("Sloppy");
+  });
+});
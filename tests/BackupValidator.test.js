@@ -0,0 +1,195 @@
+/**
+ * Tests for backup validation and atomic restore
+ */
+import { BACKUP_FORMAT, BACKUP_VERSION } from "../src/models/Backup.js";
+import { validateBackup } from "../src/models/BackupValidator.js";
+import { ClimbModel } from "../src/models/ClimbModel.js";
+import { createFakeDatabase } from "./fakeDatabase.js";
+
+const FORMAT = { name: BACKUP_FORMAT, version: BACKUP_VERSION };
+
+const validBackup = () => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  sessions: [
+    {
+      id: 1,
+      date: "2024-03-01T00:00:00.000Z",
+      gym: "BKB",
+      attempts: [
+        {
+          id: 10,
+          timestamp: "2024-03-01T18:00:00.000Z",
+          routeId: 7,
+          routeSnapshot: { name: "Crimpy", color: "purple" },
+          success: true,
+          sendStyle: "flash",
+          notes: "",
+        },
+      ],
+    },
+  ],
+  drafts: [],
+  routes: [
+    {
+      id: 7,
+      name: "Crimpy",
+      color: "purple",
+      grade: "V4",
+      gradeSystem: "vscale",
+      gym: "BKB",
+      image: { encoding: "base64", type: "image/jpeg", data: "/9j/" },
+      createdAt: "2024-01-01T00:00:00.000Z",
+    },
+  ],
+});
+
+describe("BackupValidator", () => {
+  test("should accept current and legacy backups", () => {
+    expect(validateBackup(validBackup(), FORMAT)).toEqual([]);
+
+    const legacy = {
+      version: 1,
+      sessions: [
+        {
+          id: 1,
+          date: "2024-03-01",
+          gym: "BKB",
+          attempts: [
+            {
+              id: 1,
+              timestamp: "2024-03-01T18:00:00Z",
+              route: { id: 3, color: "red" },
+              success: false,
+            },
+          ],
+        },
+      ],
+      currentSession: null,
+    };
+    expect(validateBackup(legacy, FORMAT)).toEqual([]);
+  });
+
+  test("should reject files from another app", () => {
+    expect(validateBackup({ foo: "bar" }, FORMAT)).toEqual([
+      "File is not a Climb Count backup",
+    ]);
+    expect(validateBackup({ format: "other-app" }, FORMAT)).toEqual([
+      "File is not a Climb Count backup",
+    ]);
+    expect(validateBackup([], FORMAT)).toEqual([
+      "Backup is empty or not an object",
+    ]);
+  });
+
+  test("should report each invalid field with its path", () => {
+    const backup = validBackup();
+    backup.sessions[0].date = "not a date";
+    backup.sessions[0].attempts[0].success = "yes";
+    backup.sessions[0].attempts[0].sendStyle = "dyno";
+    delete backup.sessions[0].attempts[0].routeId;
+    delete backup.sessions[0].attempts[0].routeSnapshot;
+    backup.routes[0].gradeSystem = "ewbank";
+    backup.routes[0].image = "raw bytes";
+
+    expect(validateBackup(backup, FORMAT)).toEqual([
+      "sessions[0].date is not a valid date",
+      "sessions[0].attempts[0].success must be true or false",
+      "sessions[0].attempts[0] does not reference a route",
+      "sessions[0].attempts[0].sendStyle \"dyno\" is not recognized",
+      "routes[0].gradeSystem \"ewbank\" is not recognized",
+      "routes[0].image is not an encoded image",
+    ]);
+  });
+
+  test("should check route set and removed dates", () => {
+    const backup = validBackup();
+    backup.routes[0].setAt = "soon";
+    backup.routes[0].removedAt = null;
+
+    expect(validateBackup(backup, FORMAT)).toEqual([
+      "routes[0].setAt is not a valid date",
+    ]);
+  });
+
+  test("should reject backups from a newer version", () => {
+    const backup = { ...validBackup(), version: BACKUP_VERSION + 1 };
+
+    expect(validateBackup(backup, FORMAT)).toEqual([
+      `Backup version ${BACKUP_VERSION + 1} is newer than this app supports`,
+    ]);
+  });
+
+  describe("restore", () => {
+    const localSession = {
+      id: 99,
+      date: new Date("2024-02-01"),
+      gym: "Local gym",
+      attempts: [],
+    };
+
+    let db;
+    let model;
+
+    const setUp = async (options) => {
+      db = createFakeDatabase(
+        { sessions: [localSession], routes: [{ id: 1, color: "red" }] },
+        options
+      );
+      model = new ClimbModel(db);
+      await model.initializeDB();
+      db.writes.length = 0;
+    };
+
+    beforeEach(() => {
+      jest.spyOn(console, "error").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test("should not write anything when the backup is invalid", async () => {
+      await setUp();
+      const backup = validBackup();
+      backup.sessions[0].attempts[0].timestamp = "yesterday";
+
+      await expect(model.importData(JSON.stringify(backup))).rejects.toThrow(
+        "sessions[0].attempts[0].timestamp is not a valid date"
+      );
+      await expect(model.importData("{not json")).rejects.toThrow(
+        "Backup file is not valid JSON"
+      );
+
+      expect(db.writes).toEqual([]);
+      expect(model.sessions).toEqual([localSession]);
+    });
+
+    test("should restore sessions and routes in one transaction", async () => {
+      await setUp();
+
+      await model.importData(JSON.stringify(validBackup()));
+
+      expect(db.transactions.at(-1).storeNames).toEqual([
+        "sessions",
+        "drafts",
+        "routes",
+        "trash",
+      ]);
+      expect([...db.stores.sessions.keys()]).toEqual([1]);
+      expect([...db.stores.routes.keys()]).toEqual([7]);
+    });
+
+    test("should leave local data untouched when a write fails", async () => {
+      await setUp({ failWrite: (store) => store === "routes" });
+
+      await expect(
+        model.importData(JSON.stringify(validBackup()))
+      ).rejects.toThrow("QuotaExceededError");
+
+      expect([...db.stores.sessions.keys()]).toEqual([99]);
+      expect([...db.stores.routes.keys()]).toEqual([1]);
+      expect(model.sessions).toEqual([localSession]);
+    });
+  });
+});
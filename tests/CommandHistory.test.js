@@ -0,0 +1,119 @@
+/**
+ * Tests for the undo/redo command history
+ */
+import { CommandHistory } from "../src/utils/CommandHistory.js";
+
+// A command that moves a counter up on redo and down on undo
+const counterCommand = (state, label = "Step") => ({
+  label,
+  undo: jest.fn(async () => {
+    state.value--;
+  }),
+  redo: jest.fn(async () => {
+    state.value++;
+  }),
+});
+
+const lastToast = () => [...document.querySelectorAll(".toast")].pop();
+
+describe("CommandHistory", () => {
+  let history;
+  let state;
+
+  beforeEach(() => {
+    document.querySelectorAll(".toast").forEach((toast) => toast.remove());
+    history = new CommandHistory(3);
+    state = { value: 0 };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("undoes and redoes the most recent action", async () => {
+    state.value = 2;
+    history.record(counterCommand(state, "First"));
+    history.record(counterCommand(state, "Second"));
+
+    expect(await history.undo()).toBe(true);
+    expect(state.value).toBe(1);
+    expect(history.canRedo()).toBe(true);
+
+    expect(await history.redo()).toBe(true);
+    expect(state.value).toBe(2);
+    expect(history.canRedo()).toBe(false);
+  });
+
+  test("shows Undo in the toast, then Redo once undone", async () => {
+    state.value = 1;
+    const command = counterCommand(state, "Attempt deleted");
+    history.record(command);
+
+    expect(lastToast().querySelector(".toast-message").textContent).toBe(
+      "Attempt deleted"
+    );
+    lastToast().querySelector(".toast-action").click();
+    await Promise.resolve();
+    expect(command.undo).toHaveBeenCalled();
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    const redoButton = lastToast().querySelector(".toast-action");
+    expect(redoButton.textContent).toBe("Redo");
+    redoButton.click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(command.redo).toHaveBeenCalled();
+    expect(state.value).toBe(1);
+  });
+
+  test("drops the redo stack when a new action is recorded", async () => {
+    history.record(counterCommand(state));
+    await history.undo();
+
+    history.record(counterCommand(state));
+
+    expect(history.canRedo()).toBe(false);
+    expect(await history.redo()).toBe(false);
+  });
+
+  test("won't undo an older action from a stale toast", async () => {
+    const first = counterCommand(state, "First");
+    history.record(first);
+    history.record(counterCommand(state, "Second"));
+
+    expect(await history.undo(first)).toBe(false);
+    expect(first.undo).not.toHaveBeenCalled();
+    expect(lastToast().textContent).toContain(
+      "Only the most recent change can be undone"
+    );
+  });
+
+  test("drops a command whose undo fails", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    history.record({
+      label: "Broken",
+      undo: async () => {
+        throw new Error("The session in progress has changed since");
+      },
+      redo: async () => {},
+    });
+
+    expect(await history.undo()).toBe(false);
+    expect(history.canUndo()).toBe(false);
+    expect(history.canRedo()).toBe(false);
+    expect(lastToast().textContent).toContain(
+      "Could not undo \"Broken\": The session in progress has changed since"
+    );
+  });
+
+  test("keeps only the most recent actions", () => {
+    for (let i = 0; i < 5; i++) {
+      history.record(counterCommand(state, `Step ${i}`));
+    }
+
+    expect(history.undoStack.map((command) => command.label)).toEqual([
+      "Step 2",
+      "Step 3",
+      "Step 4",
+    ]);
+  });
+});
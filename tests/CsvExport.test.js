@@ -0,0 +1,136 @@
+/**
+ * Tests for CSV exports of attempts and sessions
+ */
+import {
+  escapeCsvValue,
+  formatCsvDate,
+  toCsv,
+} from "../src/models/CsvExport.js";
+import { ClimbModel } from "../src/models/ClimbModel.js";
+import { createFakeDatabase } from "./fakeDatabase.js";
+
+const parseLines = (csv) =>
+  csv
+    .replace(/^\uFEFF/, "")
+    .trim()
+    .split("\r\n");
+
+const attempt = (id, routeId, color, success = false, extra = {}) => ({
+  id,
+  timestamp: new Date(2024, 2, 1, 18, 5, id),
+  routeId,
+  routeSnapshot: { name: `Route ${routeId}`, color },
+  success,
+  sendStyle: success ? "flash" : null,
+  notes: "",
+  ...extra,
+});
+
+const session = (id, day, attempts, gym = "BKB") => ({
+  id,
+  date: new Date(2024, 2, day, 18),
+  gym,
+  attempts,
+});
+
+async function createModel(sessions) {
+  const model = new ClimbModel(createFakeDatabase({ sessions }));
+  await model.initializeDB();
+  return model;
+}
+
+describe("escapeCsvValue", () => {
+  test("quotes commas, quotes and newlines", () => {
+    expect(escapeCsvValue("plain")).toBe("plain");
+    expect(escapeCsvValue("crimpy, steep")).toBe("\"crimpy, steep\"");
+    expect(escapeCsvValue("the \"pink\" one")).toBe("\"the \"\"pink\"\" one\"");
+    expect(escapeCsvValue("line one\nline two")).toBe("\"line one\nline two\"");
+  });
+
+  test("guards text that spreadsheets would run as a formula", () => {
+    expect(escapeCsvValue("=SUM(A1:A2)")).toBe("'=SUM(A1:A2)");
+    expect(escapeCsvValue("-fell off")).toBe("'-fell off");
+    expect(escapeCsvValue(-1)).toBe("-1");
+  });
+
+  test("writes empty cells for missing values", () => {
+    expect(escapeCsvValue(null)).toBe("");
+    expect(escapeCsvValue(undefined)).toBe("");
+  });
+});
+
+describe("toCsv", () => {
+  test("starts with a byte order mark and uses CRLF line endings", () => {
+    const csv = toCsv(["a", "b"], [[1, "x"]]);
+    expect(csv).toBe("\uFEFFa,b\r\n1,x\r\n");
+  });
+
+  test("formats dates as local YYYY-MM-DD", () => {
+    expect(formatCsvDate(new Date(2024, 0, 5, 23, 30))).toBe("2024-01-05");
+  });
+});
+
+describe("ClimbModel CSV export", () => {
+  test("exports one row per attempt, oldest session first", async () => {
+    const model = await createModel([
+      session(2, 2, [
+        attempt(3, 1, "red", true, { notes: "heel hook, then reach" }),
+      ]),
+      session(1, 1, [attempt(1, 1, "red"), attempt(2, 2, "blue")]),
+    ]);
+    model.setRouteCatalog([
+      {
+        id: 1,
+        name: "The Prow",
+        color: "red",
+        grade: "V4",
+        gradeSystem: "vscale",
+      },
+    ]);
+
+    const lines = parseLines(model.exportAttemptsCsv());
+
+    expect(lines[0]).toBe(
+      "Session date,Gym,Route,Color,Grade,Result,Send style,Notes,Timestamp"
+    );
+    expect(lines).toHaveLength(4);
+    expect(lines[1]).toBe(
+      "2024-03-01,BKB,The Prow,red,V4,Failed,,,2024-03-01 18:05:01"
+    );
+    // Routes no longer in the library fall back to the logged snapshot
+    expect(lines[2]).toBe(
+      "2024-03-01,BKB,Route 2,blue,,Failed,,,2024-03-01 18:05:02"
+    );
+    expect(lines[3]).toBe(
+      "2024-03-02,BKB,The Prow,red,V4,Sent,Flash,\"heel hook, then reach\",2024-03-01 18:05:03"
+    );
+  });
+
+  test("exports one row per session with per-color totals", async () => {
+    const model = await createModel([
+      session(1, 1, [
+        attempt(1, 1, "red"),
+        attempt(2, 1, "red", true),
+        attempt(3, 2, "blue"),
+        attempt(4, 2, "blue"),
+      ]),
+      session(2, 2, [attempt(5, 3, "green", true)], "Movement"),
+    ]);
+
+    const lines = parseLines(model.exportSessionsCsv());
+
+    expect(lines).toEqual([
+      "Session date,Gym,Attempts,Sends,Success rate (%),Notes,blue attempts,blue sends,green attempts,green sends,red attempts,red sends",
+      "2024-03-01,BKB,4,1,25,,2,0,0,0,2,1",
+      "2024-03-02,Movement,1,1,100,,0,0,1,1,0,0",
+    ]);
+  });
+
+  test("leaves the session in progress out of the export", async () => {
+    const model = await createModel([session(1, 1, [attempt(1, 1, "red")])]);
+    model.currentSession = session(2, 2, [attempt(2, 1, "red")]);
+
+    expect(parseLines(model.exportAttemptsCsv())).toHaveLength(2);
+    expect(parseLines(model.exportSessionsCsv())).toHaveLength(2);
+  });
+});
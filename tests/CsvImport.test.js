@@ -0,0 +1,267 @@
+/**
+ * Tests for importing sessions from CSV files
+ */
+import {
+  buildCsvImport,
+  guessColumnMapping,
+  parseCsv,
+  parseDate,
+  parseResult,
+  summarizeCsvImport,
+} from "../src/models/CsvImport.js";
+import { ClimbModel } from "../src/models/ClimbModel.js";
+import { RouteModel } from "../src/models/RouteModel.js";
+import { createFakeDatabase } from "./fakeDatabase.js";
+
+const HEADERS = ["Date", "Gym", "Route", "Colour", "Grade", "Sent", "Notes"];
+
+const library = [
+  {
+    id: 7,
+    name: "The Prow",
+    color: "red",
+    grade: "V4",
+    gradeSystem: "vscale",
+    gym: "BKB",
+  },
+];
+
+describe("parseCsv", () => {
+  test("reads quoted cells, escaped quotes and line breaks", () => {
+    const text =
+      "\uFEFFDate,Notes\r\n2024-03-01,\"crimpy, \"\"sharp\"\"\nholds\"\r\n\r\n2024-03-02,'=fun\n";
+
+    expect(parseCsv(text)).toEqual([
+      ["Date", "Notes"],
+      ["2024-03-01", "crimpy, \"sharp\"\nholds"],
+      ["2024-03-02", "=fun"],
+    ]);
+  });
+});
+
+describe("column and value parsing", () => {
+  test("guesses columns from common header names", () => {
+    expect(guessColumnMapping(HEADERS)).toEqual({
+      date: 0,
+      gym: 1,
+      route: 2,
+      color: 3,
+      grade: 4,
+      result: 5,
+      notes: 6,
+    });
+  });
+
+  test("reads results from other logbooks", () => {
+    expect(parseResult("Sent")).toBe(true);
+    expect(parseResult("flash")).toBe(true);
+    expect(parseResult("no")).toBe(false);
+    expect(parseResult("Attempt")).toBe(false);
+    expect(parseResult("maybe")).toBeNull();
+    expect(parseResult("")).toBeNull();
+  });
+
+  test("reads ISO dates as local time", () => {
+    expect(parseDate("2024-03-01")).toEqual(new Date(2024, 2, 1));
+    expect(parseDate("2024-03-01 18:05")).toEqual(new Date(2024, 2, 1, 18, 5));
+    expect(parseDate("not a date")).toBeNull();
+  });
+});
+
+describe("buildCsvImport", () => {
+  const mapping = guessColumnMapping(HEADERS);
+
+  test("groups rows into one session per day and gym", () => {
+    const plan = buildCsvImport(
+      [
+        ["2024-03-01", "BKB", "The Prow", "red", "V4", "no", ""],
+        ["2024-03-01", "bkb ", "the prow", "red", "V4", "yes", "stuck it"],
+        ["2024-03-01", "Movement", "", "blue", "", "yes", ""],
+        ["2024-03-02", "BKB", "", "blue", "", "no", ""],
+      ],
+      mapping,
+      { routes: library }
+    );
+
+    expect(plan.problems).toEqual([]);
+    expect(
+      plan.sessions.map((session) => [session.gym, session.attempts.length])
+    ).toEqual([
+      ["BKB", 2],
+      ["Movement", 1],
+      ["BKB", 1],
+    ]);
+    // File order is kept a second apart when there is no time column
+    const [first, second] = plan.sessions[0].attempts;
+    expect(second.timestamp - first.timestamp).toBe(1000);
+    expect(second.notes).toBe("stuck it");
+  });
+
+  test("matches routes in the library and creates each new one once", () => {
+    const plan = buildCsvImport(
+      [
+        ["2024-03-01", "BKB", "The Prow", "red", "V4", "no", ""],
+        ["2024-03-01", "BKB", "", "Blue", "v2", "no", ""],
+        ["2024-03-02", "BKB", "", "blue", "V2", "yes", ""],
+      ],
+      mapping,
+      { routes: library }
+    );
+
+    expect(plan.routes).toEqual([
+      expect.objectContaining({ route: library[0], isNew: false }),
+      expect.objectContaining({
+        route: expect.objectContaining({
+          color: "blue",
+          grade: "V2",
+          gradeSystem: "vscale",
+          gym: "BKB",
+        }),
+        isNew: true,
+      }),
+    ]);
+    expect(summarizeCsvImport(plan)).toBe(
+      "2 sessions, 3 attempts, 1 new route, 1 route already in the library"
+    );
+  });
+
+  test("reads grades in the gym's grading system first", () => {
+    const plan = buildCsvImport(
+      [["2024-03-01", "Fontainebleau Gym", "", "", "6A", "yes", ""]],
+      mapping,
+      { getDefaultGradeSystem: () => "font" }
+    );
+
+    expect(plan.routes[0].route).toMatchObject({
+      grade: "6A",
+      gradeSystem: "font",
+      color: "unknown",
+    });
+  });
+
+  test("skips rows it can't read and reports their line numbers", () => {
+    const plan = buildCsvImport(
+      [
+        ["yesterday-ish", "BKB", "A", "red", "", "yes", ""],
+        ["2024-03-01", "", "A", "red", "", "yes", ""],
+        ["2024-03-01", "BKB", "A", "red", "", "maybe", ""],
+        ["2024-03-01", "BKB", "A", "red", "Z9", "yes", ""],
+      ],
+      mapping
+    );
+
+    expect(plan.problems).toEqual([
+      { line: 2, message: "Date is missing or not a date" },
+      { line: 3, message: "Gym is missing" },
+      { line: 4, message: "Result \"maybe\" is not recognized" },
+      { line: 5, message: "Grade \"Z9\" is not recognized and was left out" },
+    ]);
+    expect(plan.sessions).toHaveLength(1);
+  });
+
+  test("uses the default gym for rows without one", () => {
+    const plan = buildCsvImport(
+      [["2024-03-01 18:30", "", "", "red", "", "yes", ""]],
+      mapping,
+      { defaultGym: "Home wall" }
+    );
+
+    expect(plan.sessions[0]).toMatchObject({
+      gym: "Home wall",
+      date: new Date(2024, 2, 1, 18, 30),
+    });
+  });
+});
+
+describe("ClimbModel.importCsvSessions", () => {
+  test("saves imported sessions in one transaction with route references", async () => {
+    const fakeDb = createFakeDatabase();
+    const model = new ClimbModel(fakeDb);
+    await model.initializeDB();
+
+    const plan = buildCsvImport(
+      [
+        ["2024-03-01", "BKB", "The Prow", "red", "V4", "no", ""],
+        ["2024-03-01", "BKB", "The Prow", "red", "V4", "yes", ""],
+      ],
+      guessColumnMapping(HEADERS),
+      { routes: library }
+    );
+    const transactionsBefore = fakeDb.transactions.length;
+    const [session] = await model.importCsvSessions(plan.sessions, plan.routes);
+
+    expect(fakeDb.transactions).toHaveLength(transactionsBefore + 1);
+    expect(fakeDb.stores.sessions.get(session.id)).toBe(session);
+    expect(session.attempts.map((attempt) => attempt.routeId)).toEqual([7, 7]);
+    expect(session.attempts[0].routeSnapshot).toMatchObject({
+      name: "The Prow",
+    });
+    expect(new Set(session.attempts.map((a) => a.id)).size).toBe(2);
+    // Send styles come from the route's history, like legacy attempts
+    expect(session.attempts[1].sendStyle).toBe("redpoint");
+    expect(model.getSessions()).toContain(session);
+  });
+
+  test("adds new routes in the same transaction as the sessions", async () => {
+    const fakeDb = createFakeDatabase({ routes: library });
+    const model = new ClimbModel(fakeDb);
+    await model.initializeDB();
+    const routeModel = new RouteModel(fakeDb);
+
+    const plan = buildCsvImport(
+      [
+        ["2024-03-01", "BKB", "The Prow", "red", "V4", "no", ""],
+        ["2024-03-01", "BKB", "Slab", "blue", "V2", "yes", ""],
+      ],
+      guessColumnMapping(HEADERS),
+      { routes: library }
+    );
+    const routes = plan.routes.map((entry) =>
+      entry.isNew
+        ? { ...entry, route: routeModel.createRouteRecord(entry.route) }
+        : entry
+    );
+
+    const transactionsBefore = fakeDb.transactions.length;
+    const [session] = await model.importCsvSessions(plan.sessions, routes);
+
+    expect(fakeDb.transactions).toHaveLength(transactionsBefore + 1);
+    expect(fakeDb.transactions.at(-1).storeNames).toEqual([
+      "sessions",
+      "routes",
+    ]);
+    expect(session.attempts.map((attempt) => attempt.routeId)).toEqual([7, 8]);
+    expect(fakeDb.stores.routes.get(8)).toMatchObject({
+      id: 8,
+      name: "Slab",
+      gym: "BKB",
+    });
+  });
+
+  test("leaves the library alone when the sessions can't be written", async () => {
+    const fakeDb = createFakeDatabase(
+      { routes: library },
+      { failWrite: (store) => store === "sessions" }
+    );
+    const model = new ClimbModel(fakeDb);
+    await model.initializeDB();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const plan = buildCsvImport(
+      [["2024-03-01", "BKB", "Slab", "blue", "V2", "yes", ""]],
+      guessColumnMapping(HEADERS),
+      { routes: library }
+    );
+    const routes = plan.routes.map((entry) => ({
+      ...entry,
+      route: new RouteModel(fakeDb).createRouteRecord(entry.route),
+    }));
+
+    await expect(
+      model.importCsvSessions(plan.sessions, routes)
+    ).rejects.toThrow();
+    expect([...fakeDb.stores.routes.keys()]).toEqual([7]);
+    expect(fakeDb.stores.sessions.size).toBe(0);
+    jest.restoreAllMocks();
+  });
+});
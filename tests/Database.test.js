@@ -0,0 +1,85 @@
+/**
+ * Tests for the shared database layer
+ */
+import { Database, DB_VERSION, MIGRATIONS } from "../src/models/Database.js";
+
+describe("Database", () => {
+  let requests;
+
+  const fakeConnection = () => ({
+    close: jest.fn(),
+    onversionchange: null,
+  });
+
+  beforeEach(() => {
+    requests = [];
+    global.indexedDB.open = jest.fn((name, version) => {
+      const request = { name, version, result: fakeConnection() };
+      requests.push(request);
+      return request;
+    });
+  });
+
+  const succeed = async (request) => {
+    request.onsuccess();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  };
+
+  test("should open at the version of the last migration", () => {
+    expect(DB_VERSION).toBe(MIGRATIONS[MIGRATIONS.length - 1].version);
+
+    new Database().open();
+
+    expect(indexedDB.open).toHaveBeenCalledWith("climbCountDB", DB_VERSION);
+  });
+
+  test("should reuse one connection for every caller", async () => {
+    const database = new Database();
+
+    const first = database.open();
+    const second = database.open();
+    await succeed(requests[0]);
+
+    expect(indexedDB.open).toHaveBeenCalledTimes(1);
+    expect(await first).toBe(await second);
+  });
+
+  test("should run only the migrations newer than the stored version", async () => {
+    const migrations = [1, 2, 3].map((version) => ({
+      version,
+      description: `v${version}`,
+      migrate: jest.fn(),
+    }));
+    const database = new Database("testDB", migrations);
+
+    database.open();
+    const request = requests[0];
+    request.transaction = {};
+    request.onupgradeneeded({ oldVersion: 1 });
+
+    expect(migrations[0].migrate).not.toHaveBeenCalled();
+    expect(migrations[1].migrate).toHaveBeenCalledWith(
+      request.result,
+      request.transaction,
+      1
+    );
+    expect(migrations[2].migrate).toHaveBeenCalled();
+    expect(migrations[1].migrate.mock.invocationCallOrder[0]).toBeLessThan(
+      migrations[2].migrate.mock.invocationCallOrder[0]
+    );
+  });
+
+  test("should close and reconnect after a version change elsewhere", async () => {
+    const database = new Database();
+
+    database.open();
+    await succeed(requests[0]);
+    const connection = requests[0].result;
+    connection.onversionchange();
+
+    database.open();
+
+    expect(connection.close).toHaveBeenCalled();
+    expect(indexedDB.open).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Tests for grading systems and grade conversion
+ */
+import {
+  compareRoutesByGrade,
+  convertGrade,
+  findGrade,
+  formatGrade,
+  getReportingSystem,
+  isValidGrade,
+} from "../src/models/GradeSystems.js";
+
+describe("GradeSystems", () => {
+  describe("findGrade", () => {
+    test("should match labels case-insensitively", () => {
+      expect(findGrade("v4", "vscale").label).toBe("V4");
+      expect(findGrade("6b+", "font").label).toBe("6B+");
+    });
+
+    test("should reject grades from another system", () => {
+      expect(isValidGrade("V4", "font")).toBe(false);
+      expect(isValidGrade("6a", "yds")).toBe(false);
+      expect(isValidGrade("V4", "color")).toBe(false);
+    });
+  });
+
+  describe("convertGrade", () => {
+    test("should convert between boulder systems", () => {
+      expect(convertGrade("V4", "vscale", "font")).toBe("6B");
+      expect(convertGrade("7A", "font", "vscale")).toBe("V6");
+    });
+
+    test("should convert between sport systems", () => {
+      expect(convertGrade("5.10a", "yds", "french")).toBe("6a+");
+      expect(convertGrade("7a", "french", "yds")).toBe("5.11c");
+    });
+
+    test("should not convert across disciplines", () => {
+      expect(convertGrade("V4", "vscale", "yds")).toBeNull();
+      expect(convertGrade("V4", "vscale", "color")).toBeNull();
+    });
+
+    test("should return null for unknown grades", () => {
+      expect(convertGrade("V99", "vscale", "font")).toBeNull();
+    });
+  });
+
+  describe("getReportingSystem", () => {
+    test("should use the canonical system for the route's discipline", () => {
+      expect(getReportingSystem({ gradeSystem: "font" })).toBe("vscale");
+      expect(getReportingSystem({ gradeSystem: "french" })).toBe("yds");
+      expect(getReportingSystem({ gradeSystem: "color" })).toBeNull();
+    });
+
+    test("should ignore a target system from another discipline", () => {
+      expect(getReportingSystem({ gradeSystem: "vscale" }, "font")).toBe(
+        "font"
+      );
+      expect(getReportingSystem({ gradeSystem: "vscale" }, "yds")).toBeNull();
+    });
+  });
+
+  describe("compareRoutesByGrade", () => {
+    test("should sort by difficulty with ungraded routes last", () => {
+      const routes = [
+        { id: 1, grade: null, gradeSystem: "color" },
+        { id: 2, grade: "V5", gradeSystem: "vscale" },
+        { id: 3, grade: "6A", gradeSystem: "font" },
+        { id: 4, grade: "5.9", gradeSystem: "yds" },
+        { id: 5, grade: "V1", gradeSystem: "vscale" },
+      ];
+
+      const sorted = routes.slice().sort(compareRoutesByGrade);
+
+      expect(sorted.map((route) => route.id)).toEqual([5, 3, 2, 4, 1]);
+    });
+  });
+
+  describe("formatGrade", () => {
+    test("should return null for color-only routes", () => {
+      expect(formatGrade({ color: "red", gradeSystem: "color" })).toBeNull();
+      expect(formatGrade({ grade: "v3", gradeSystem: "vscale" })).toBe("V3");
+    });
+  });
+});
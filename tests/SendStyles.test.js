@@ -0,0 +1,58 @@
+/**
+ * Tests for send style detection
+ */
+import { countSendStyles, detectSendStyle } from "../src/models/SendStyles.js";
+
+describe("SendStyles", () => {
+  describe("detectSendStyle", () => {
+    test("should flash a route sent on the first attempt", () => {
+      expect(detectSendStyle([], 1)).toBe("flash");
+    });
+
+    test("should redpoint a route worked only in the current session", () => {
+      const history = [
+        { success: false, sessionId: 2 },
+        { success: false, sessionId: 2 },
+      ];
+
+      expect(detectSendStyle(history, 2)).toBe("redpoint");
+    });
+
+    test("should mark a send as a project when worked in earlier sessions", () => {
+      const history = [
+        { success: false, sessionId: 1 },
+        { success: false, sessionId: 2 },
+      ];
+
+      expect(detectSendStyle(history, 2)).toBe("project");
+    });
+
+    test("should mark any send after an earlier send as a repeat", () => {
+      const history = [
+        { success: true, sessionId: 1 },
+        { success: false, sessionId: 2 },
+      ];
+
+      expect(detectSendStyle(history, 2)).toBe("repeat");
+    });
+  });
+
+  describe("countSendStyles", () => {
+    test("should count successful attempts per style", () => {
+      const counts = countSendStyles([
+        { success: true, sendStyle: "flash" },
+        { success: true, sendStyle: "flash" },
+        { success: true, sendStyle: "repeat" },
+        { success: false, sendStyle: null },
+      ]);
+
+      expect(counts).toEqual({
+        onsight: 0,
+        flash: 2,
+        redpoint: 0,
+        project: 0,
+        repeat: 1,
+      });
+    });
+  });
+});
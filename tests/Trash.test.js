@@ -0,0 +1,165 @@
+/**
+ * Tests for the trash bin for deleted routes and sessions
+ */
+import {
+  createTrashRecord,
+  DEFAULT_RETENTION_DAYS,
+  TrashModel,
+} from "../src/models/TrashModel.js";
+import { RouteModel } from "../src/models/RouteModel.js";
+import { SettingsView } from "../src/views/SettingsView.js";
+import { createFakeDatabase } from "./fakeDatabase.js";
+
+const route = { id: 7, name: "The Prow", color: "red", gym: "BKB" };
+const session = {
+  id: 1700000000000,
+  date: new Date("2024-03-01"),
+  gym: "BKB",
+  attempts: [{ id: 1, routeId: 7, success: true }],
+};
+
+const daysAgo = (days, now = new Date("2024-04-01T12:00:00Z")) =>
+  new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+describe("TrashModel", () => {
+  let db;
+  let trash;
+
+  beforeEach(() => {
+    localStorage.clear();
+    db = createFakeDatabase({
+      trash: [
+        createTrashRecord("route", route, daysAgo(40)),
+        createTrashRecord("session", session, daysAgo(2)),
+      ],
+    });
+    trash = new TrashModel(db);
+  });
+
+  test("lists the most recently deleted items first", async () => {
+    const records = await trash.list();
+
+    expect(records.map((record) => record.id)).toEqual([
+      "session:1700000000000",
+      "route:7",
+    ]);
+  });
+
+  test("restores an item under its original id in one transaction", async () => {
+    const transactionsBefore = db.transactions.length;
+
+    const record = await trash.restore("route:7");
+
+    expect(record.type).toBe("route");
+    expect(db.stores.routes.get(7)).toEqual(route);
+    expect(db.stores.trash.has("route:7")).toBe(false);
+    // One read to find the record, one to write it back
+    expect(db.transactions).toHaveLength(transactionsBefore + 2);
+  });
+
+  test("won't restore over an item that now uses the same id", async () => {
+    db.stores.routes.set(7, { id: 7, name: "Restored from a backup" });
+
+    await expect(trash.restore("route:7")).rejects.toThrow(
+      "Another route already uses this id"
+    );
+    expect(db.stores.routes.get(7).name).toBe("Restored from a backup");
+    expect(db.stores.trash.has("route:7")).toBe(true);
+  });
+
+  test("empties the trash", async () => {
+    await trash.empty();
+
+    expect(db.stores.trash.size).toBe(0);
+  });
+
+  test("purges only items older than the retention period", async () => {
+    const purged = await trash.purgeExpired(30, daysAgo(0));
+
+    expect(purged).toBe(1);
+    expect([...db.stores.trash.keys()]).toEqual(["session:1700000000000"]);
+  });
+
+  test("remembers how many days to keep items", () => {
+    expect(trash.getRetentionDays()).toBe(DEFAULT_RETENTION_DAYS);
+
+    trash.setRetentionDays("7");
+
+    expect(trash.getRetentionDays()).toBe(7);
+    expect(() => trash.setRetentionDays(0)).toThrow("at least one day");
+  });
+});
+
+describe("RouteModel trash", () => {
+  test("moves a deleted route to the trash in the same transaction", async () => {
+    const db = createFakeDatabase({ routes: [route] });
+    const model = new RouteModel(db);
+    db.writes.length = 0;
+
+    const deleted = await model.deleteRoute(7);
+
+    expect(deleted).toEqual(route);
+    expect(db.writes).toEqual([
+      { store: "routes", type: "delete", key: 7 },
+      { store: "trash", type: "put", key: "route:7" },
+    ]);
+    expect(db.transactions.pop().storeNames).toEqual(["routes", "trash"]);
+    expect(db.stores.trash.get("route:7").item).toEqual(route);
+  });
+
+  test("takes a route out of the trash when undoing its delete", async () => {
+    const db = createFakeDatabase({ routes: [route] });
+    const model = new RouteModel(db);
+
+    const deleted = await model.deleteRoute(7);
+    await model.restoreRoute(deleted);
+
+    expect(db.stores.routes.get(7)).toEqual(route);
+    expect(db.stores.trash.size).toBe(0);
+  });
+});
+
+describe("SettingsView.renderTrash", () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="trash-list"></div>
+      <input id="trash-retention-days" />
+      <button id="empty-trash-btn"></button>
+    `;
+  });
+
+  test("lists items with the days left before they are purged", () => {
+    new SettingsView().renderTrash(
+      [
+        createTrashRecord("session", session, daysAgo(2)),
+        createTrashRecord(
+          "route",
+          { ...route, name: "<b>Prow</b>" },
+          daysAgo(29)
+        ),
+      ],
+      30,
+      daysAgo(0)
+    );
+
+    const items = [...document.querySelectorAll(".trash-item")];
+    expect(items).toHaveLength(2);
+    expect(items[0].textContent).toContain("Session: BKB");
+    expect(items[0].textContent).toContain("purged in 28 days");
+    expect(items[1].textContent).toContain("Route: <b>Prow</b>");
+    expect(items[1].textContent).toContain("purged in 1 day");
+    expect(items[1].querySelector(".restore-trash-btn").dataset.trashId).toBe(
+      "route:7"
+    );
+    expect(document.getElementById("trash-retention-days").value).toBe("30");
+  });
+
+  test("says when the trash is empty", () => {
+    new SettingsView().renderTrash([], 30);
+
+    expect(document.getElementById("trash-list").textContent).toContain(
+      "The trash is empty."
+    );
+    expect(document.getElementById("empty-trash-btn").disabled).toBe(true);
+  });
+});
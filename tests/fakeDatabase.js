@@ -0,0 +1,142 @@
+/**
+ * In-memory stand-in for the shared database, used by model tests. Records
+ * every write and transaction so tests can assert what was persisted.
+ *
+ * Writes are staged and applied when the transaction commits, like
+ * IndexedDB. Pass `failWrite(storeName, value)` returning true to make a
+ * write fail and abort its whole transaction.
+ *
+ * Indexes look records up by the field of the same name, matching a key or
+ * an `IDBKeyRange.bound` range, and array fields count as multiEntry.
+ */
+
+// jsdom has no IndexedDB, so key ranges are plain bounds here
+globalThis.IDBKeyRange ??= {
+  bound: (lower, upper) => ({ lower, upper }),
+};
+
+const matchesKey = (value, query) =>
+  query !== null && typeof query === "object" && "lower" in query
+    ? value >= query.lower && value <= query.upper
+    : value === query;
+
+export function createFakeDatabase(initial = {}, { failWrite = null } = {}) {
+  const stores = {
+    sessions: new Map(),
+    drafts: new Map(),
+    routes: new Map(),
+    trash: new Map(),
+    walls: new Map(),
+    gyms: new Map(),
+  };
+  Object.entries(initial).forEach(([name, records]) => {
+    records.forEach((record) => stores[name].set(record.id, record));
+  });
+
+  const writes = [];
+  const transactions = [];
+  const lastKeys = {};
+
+  const connection = {
+    transaction: (storeNames, mode) => {
+      const transaction = { storeNames, mode };
+      const staged = [];
+      let pending = 0;
+      let finished = false;
+
+      const finish = () => {
+        setTimeout(() => {
+          if (finished || pending > 0) return;
+          finished = true;
+          staged.forEach((apply) => apply());
+          transaction.oncomplete?.();
+        }, 0);
+      };
+
+      const abort = (error) => {
+        finished = true;
+        transaction.error = error;
+        transaction.onerror?.();
+        transaction.onabort?.();
+      };
+
+      const request = (run) => {
+        const req = {};
+        pending++;
+        setTimeout(() => {
+          if (finished) return;
+          req.result = run();
+          req.onsuccess?.();
+          pending--;
+          finish();
+        }, 0);
+        return req;
+      };
+
+      const write = (name, entry, value, apply) => {
+        writes.push({ store: name, ...entry });
+        if (failWrite && failWrite(name, value)) {
+          pending++;
+          setTimeout(() => abort(new Error("QuotaExceededError")), 0);
+          return {};
+        }
+        return request(() => {
+          staged.push(apply);
+          return entry.key;
+        });
+      };
+
+      transaction.objectStore = (name) => ({
+        getAll: () => request(() => [...stores[name].values()]),
+        getAllKeys: () => request(() => [...stores[name].keys()]),
+        get: (key) => request(() => stores[name].get(key)),
+        index: (indexName) => ({
+          getAll: (query) =>
+            request(() =>
+              [...stores[name].values()].flatMap((record) =>
+                [record[indexName]]
+                  .flat()
+                  .filter((value) => matchesKey(value, query))
+                  .map(() => record)
+              )
+            ),
+        }),
+        // Keys count up from the highest numeric key, like autoIncrement
+        add: (value) => {
+          const key =
+            value.id ??
+            Math.max(
+              lastKeys[name] || 0,
+              ...[...stores[name].keys()].filter((k) => typeof k === "number")
+            ) + 1;
+          lastKeys[name] = key;
+          return write(name, { type: "add", key }, value, () =>
+            stores[name].set(key, { ...value, id: key })
+          );
+        },
+        put: (value) =>
+          write(name, { type: "put", key: value.id }, value, () =>
+            stores[name].set(value.id, value)
+          ),
+        delete: (key) =>
+          write(name, { type: "delete", key }, null, () =>
+            stores[name].delete(key)
+          ),
+        clear: () =>
+          write(name, { type: "clear" }, null, () => stores[name].clear()),
+      });
+      transaction.abort = () => abort(new Error("AbortError"));
+
+      transactions.push(transaction);
+      finish();
+      return transaction;
+    },
+  };
+
+  return {
+    stores,
+    writes,
+    transactions,
+    open: () => Promise.resolve(connection),
+  };
+}
@@ -0,0 +1,283 @@
+/**
+ * Tests for canonical gym names, aliases and renaming or merging gyms
+ */
+import {
+  countGymReferences,
+  findGym,
+  GymModel,
+} from "../src/models/GymModel.js";
+import { RouteModel } from "../src/models/RouteModel.js";
+import { validateBackup } from "../src/models/BackupValidator.js";
+import { SettingsView } from "../src/views/SettingsView.js";
+import { createFakeDatabase } from "./fakeDatabase.js";
+
+const gyms = [
+  { id: 1, name: "Brooklyn Boulders", aliases: ["BKB"] },
+  { id: 2, name: "Bklyn Boulders", aliases: ["bk boulders"] },
+];
+
+const session = (id, gym, routeId) => ({
+  id,
+  date: new Date(2024, 0, id),
+  gym,
+  attempts: [
+    {
+      id: 1,
+      routeId,
+      success: true,
+      routeSnapshot: { name: "Warmup", color: "red", gym },
+    },
+  ],
+});
+
+describe("findGym", () => {
+  test("matches a gym by name or alias ignoring case and spacing", () => {
+    expect(findGym(gyms, " brooklyn   boulders ").id).toBe(1);
+    expect(findGym(gyms, "bkb").id).toBe(1);
+    expect(findGym(gyms, "Movement")).toBeNull();
+    expect(findGym(gyms, "")).toBeNull();
+  });
+});
+
+describe("GymModel", () => {
+  test("resolves typed names and aliases to the gym's name", async () => {
+    const db = createFakeDatabase({ gyms });
+    const model = new GymModel(db);
+
+    expect(await model.resolveGymName("bkb")).toBe("Brooklyn Boulders");
+    expect(db.stores.gyms.size).toBe(2);
+  });
+
+  test("adds a gym for a name it doesn't know", async () => {
+    const db = createFakeDatabase({ gyms });
+    const model = new GymModel(db);
+
+    expect(await model.resolveGymName("  Movement  Gowanus ")).toBe(
+      "Movement Gowanus"
+    );
+    expect(db.stores.gyms.get(3)).toEqual({
+      id: 3,
+      name: "Movement Gowanus",
+      aliases: [],
+    });
+  });
+
+  test("folds spellings that differ in case into the one used most", async () => {
+    const db = createFakeDatabase({
+      routes: [
+        { id: 1, name: "A", gym: "The Cliffs" },
+        { id: 2, name: "B", gym: "The Cliffs" },
+        { id: 3, name: "C", gym: "the cliffs " },
+      ],
+      sessions: [session(1, "THE CLIFFS", 3)],
+    });
+    const model = new GymModel(db);
+    const transactionsBefore = db.transactions.length;
+
+    const changes = await model.syncGyms();
+
+    expect(changes).toMatchObject({ added: 1, routes: 1, sessions: 1 });
+    expect([...db.stores.gyms.values()]).toEqual([
+      { id: 1, name: "The Cliffs", aliases: [] },
+    ]);
+    expect(db.stores.routes.get(3).gym).toBe("The Cliffs");
+    expect(db.stores.sessions.get(1).gym).toBe("The Cliffs");
+    expect(db.stores.sessions.get(1).attempts[0].routeSnapshot.gym).toBe(
+      "The Cliffs"
+    );
+    expect(db.transactions).toHaveLength(transactionsBefore + 1);
+  });
+
+  test("merges a gym into another, rewriting every reference in one transaction", async () => {
+    const db = createFakeDatabase({
+      gyms,
+      routes: [
+        { id: 10, name: "Jugs", gym: "Bklyn Boulders", wallId: 6 },
+        { id: 11, name: "Crimps", gym: "Brooklyn Boulders", wallId: 5 },
+        { id: 12, name: "Slab", gym: "bk boulders" },
+      ],
+      sessions: [session(1, "Bklyn Boulders", 10)],
+      drafts: [{ ...session(2, "Bklyn Boulders", 12), id: "current" }],
+      walls: [
+        { id: 5, gym: "Brooklyn Boulders", name: "Cave", angle: "roof" },
+        { id: 6, gym: "Bklyn Boulders", name: "cave", angle: null },
+        { id: 7, gym: "Bklyn Boulders", name: "Slab", angle: "slab" },
+      ],
+    });
+    const model = new GymModel(db);
+    const transactionsBefore = db.transactions.length;
+
+    const result = await model.renameGym(2, "bkb");
+
+    expect(result).toMatchObject({
+      merged: true,
+      routes: 2,
+      sessions: 1,
+      drafts: 1,
+    });
+    expect(db.transactions).toHaveLength(transactionsBefore + 1);
+    expect([...db.stores.gyms.values()]).toEqual([
+      {
+        id: 1,
+        name: "Brooklyn Boulders",
+        aliases: ["BKB", "Bklyn Boulders", "bk boulders"],
+      },
+    ]);
+    expect(db.stores.routes.get(10)).toMatchObject({
+      gym: "Brooklyn Boulders",
+      wallId: 5,
+    });
+    expect(db.stores.routes.get(12).gym).toBe("Brooklyn Boulders");
+    expect(db.stores.sessions.get(1).gym).toBe("Brooklyn Boulders");
+    expect(db.stores.drafts.get("current").gym).toBe("Brooklyn Boulders");
+    // The duplicate Cave wall is folded into the one already there
+    expect([...db.stores.walls.keys()]).toEqual([5, 7]);
+    expect(db.stores.walls.get(7).gym).toBe("Brooklyn Boulders");
+  });
+
+  test("rewrites routes and sessions in the trash when gyms merge", async () => {
+    const trashed = (type, item) => ({
+      id: `${type}:${item.id}`,
+      type,
+      itemId: item.id,
+      item,
+      deletedAt: new Date(2024, 1, 1),
+    });
+    const db = createFakeDatabase({
+      gyms,
+      walls: [
+        { id: 5, gym: "Brooklyn Boulders", name: "Cave", angle: "roof" },
+        { id: 6, gym: "Bklyn Boulders", name: "cave", angle: null },
+      ],
+      trash: [
+        trashed("route", {
+          id: 10,
+          name: "Jugs",
+          gym: "Bklyn Boulders",
+          wallId: 6,
+        }),
+        trashed("session", session(1, "bk boulders", 10)),
+        trashed("route", { id: 11, name: "Elsewhere", gym: "Movement" }),
+      ],
+    });
+    const model = new GymModel(db);
+    const transactionsBefore = db.transactions.length;
+
+    await model.renameGym(2, "bkb");
+
+    expect(db.transactions).toHaveLength(transactionsBefore + 1);
+    // Restoring them brings back the merged gym and a wall that still exists
+    expect(db.stores.trash.get("route:10").item).toMatchObject({
+      gym: "Brooklyn Boulders",
+      wallId: 5,
+    });
+    const trashedSession = db.stores.trash.get("session:1").item;
+    expect(trashedSession.gym).toBe("Brooklyn Boulders");
+    expect(trashedSession.attempts[0].routeSnapshot.gym).toBe(
+      "Brooklyn Boulders"
+    );
+    expect(db.stores.trash.get("route:11").item.gym).toBe("Movement");
+  });
+
+  test("keeps the old name as an alias when renaming", async () => {
+    const db = createFakeDatabase({
+      gyms,
+      routes: [{ id: 1, name: "A", gym: "Brooklyn Boulders" }],
+    });
+    const model = new GymModel(db);
+
+    const result = await model.renameGym(1, "BKB Gowanus");
+
+    expect(result.merged).toBe(false);
+    expect(db.stores.gyms.get(1)).toEqual({
+      id: 1,
+      name: "BKB Gowanus",
+      aliases: ["Brooklyn Boulders", "BKB"],
+    });
+    expect(db.stores.routes.get(1).gym).toBe("BKB Gowanus");
+  });
+
+  test("rejects unknown gyms and empty names without writing", async () => {
+    const db = createFakeDatabase({ gyms });
+    const model = new GymModel(db);
+
+    await expect(model.renameGym(9, "Anything")).rejects.toThrow(
+      "Gym not found"
+    );
+    await expect(model.renameGym(1, "  ")).rejects.toThrow(
+      "Gym name is required"
+    );
+    expect(db.writes).toEqual([]);
+  });
+});
+
+describe("countGymReferences", () => {
+  test("counts routes and sessions under any of a gym's names", () => {
+    const counts = countGymReferences(
+      gyms,
+      [{ gym: "BKB" }, { gym: "Brooklyn Boulders" }, { gym: "Elsewhere" }],
+      [session(1, "bk boulders", 1)]
+    );
+
+    expect(counts.get(1)).toEqual({ routes: 2, sessions: 0 });
+    expect(counts.get(2)).toEqual({ routes: 0, sessions: 1 });
+  });
+});
+
+describe("RouteModel.renameGymGradeSystem", () => {
+  beforeEach(() => localStorage.clear());
+
+  test("moves a gym's default grading system to its new name", () => {
+    const model = new RouteModel(createFakeDatabase());
+    model.setDefaultGradeSystem("Bklyn Boulders", "font");
+
+    model.renameGymGradeSystem(["Bklyn Boulders"], "Brooklyn Boulders");
+
+    expect(model.getDefaultGradeSystem("brooklyn boulders")).toBe("font");
+    expect(JSON.parse(localStorage.getItem("gymGradeSystems"))).toEqual({
+      "brooklyn boulders": "font",
+    });
+  });
+});
+
+describe("gyms in backups", () => {
+  test("reports gyms without a name or with bad aliases", () => {
+    const errors = validateBackup(
+      {
+        format: "climb-count-backup",
+        version: 1,
+        sessions: [],
+        gyms: [
+          { id: 1, name: "" },
+          { id: 2, name: "BKB", aliases: "x" },
+        ],
+      },
+      { name: "climb-count-backup", version: 1 }
+    );
+
+    expect(errors).toEqual([
+      "gyms[0].name is missing",
+      "gyms[1].aliases is not a list of names",
+    ]);
+  });
+});
+
+describe("SettingsView.renderGyms", () => {
+  beforeEach(() => {
+    document.body.innerHTML = "<div id=\"gym-list\"></div>";
+  });
+
+  test("lists gyms with their other names and counts", () => {
+    new SettingsView().renderGyms(
+      gyms,
+      new Map([[1, { routes: 3, sessions: 1 }]])
+    );
+
+    const items = [...document.querySelectorAll(".gym-item")];
+    expect(items).toHaveLength(2);
+    expect(items[0].textContent).toContain("Also: BKB");
+    expect(items[0].textContent).toMatch(/3 routes\s+•\s+1 session\b/);
+    expect(items[1].textContent).toMatch(/0 routes\s+•\s+0 sessions/);
+    expect(items[1].querySelector(".rename-gym-btn").dataset.gymId).toBe("2");
+  });
+});
@@ -0,0 +1,487 @@
+/**
+ * Tests for compressing route photos, their thumbnails and the metadata
+ * removed from them
+ */
+import {
+  fitWithin,
+  processRoutePhoto,
+  THUMBNAIL_SETTINGS,
+} from "../src/utils/ImageCompression.js";
+import {
+  detectImageType,
+  readOrientation,
+  stripMetadata,
+} from "../src/utils/ImageMetadata.js";
+import { RouteModel } from "../src/models/RouteModel.js";
+import { createFakeDatabase } from "./fakeDatabase.js";
+
+const annotations = {
+  width: 4000,
+  height: 3000,
+  shapes: [{ type: "hold", x: 2000, y: 1500, r: 100 }],
+};
+
+// A blob stand-in whose bytes say what it was made from
+const fakeBlob = (label, size) => ({
+  size,
+  arrayBuffer: async () => new TextEncoder().encode(label).buffer,
+});
+
+const text = (buffer) => new TextDecoder().decode(buffer);
+
+const ascii = (value) => [...value].map((c) => c.charCodeAt(0));
+
+// EXIF block with an orientation tag and a GPS pointer, big- or
+// little-endian
+const exif = (orientation, little = false) => {
+  const u16 = (n) => (little ? [n & 0xff, n >> 8] : [n >> 8, n & 0xff]);
+  const u32 = (n) => (little ? [n, 0, 0, 0] : [0, 0, 0, n]);
+  return [
+    ...ascii(little ? "II" : "MM"),
+    ...u16(42),
+    ...u32(8),
+    ...u16(2),
+    ...u16(0x0112),
+    ...u16(3),
+    ...u32(1),
+    ...u16(orientation),
+    0,
+    0,
+    ...u16(0x8825),
+    ...u16(4),
+    ...u32(1),
+    ...u32(0),
+    ...u32(0),
+  ];
+};
+
+const segment = (marker, payload) => [
+  0xff,
+  marker,
+  (payload.length + 2) >> 8,
+  (payload.length + 2) & 0xff,
+  ...payload,
+];
+
+const jpegParts = {
+  start: [0xff, 0xd8],
+  jfif: segment(0xe0, ascii("JFIF\0")),
+  exif: (orientation) =>
+    segment(0xe1, [...ascii("Exif\0\0"), ...exif(orientation)]),
+  comment: segment(0xfe, ascii("Shot at the crag")),
+  frame: segment(0xc0, [8, 0, 1, 0, 2, 3]),
+  scan: [...segment(0xda, [1, 2, 3]), 0x12, 0x34, 0xff, 0xd9],
+};
+
+const jpeg = (orientation = 1) =>
+  new Uint8Array([
+    ...jpegParts.start,
+    ...jpegParts.jfif,
+    ...jpegParts.exif(orientation),
+    ...jpegParts.comment,
+    ...jpegParts.frame,
+    ...jpegParts.scan,
+  ]).buffer;
+
+const pngChunk = (type, data) => [
+  0,
+  0,
+  data.length >> 8,
+  data.length & 0xff,
+  ...ascii(type),
+  ...data,
+  0,
+  0,
+  0,
+  0,
+];
+
+const pngParts = {
+  signature: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  header: pngChunk("IHDR", new Array(13).fill(0)),
+  text: pngChunk("tEXt", ascii("Location\0Home wall")),
+  data: pngChunk("IDAT", [1, 2, 3]),
+  end: pngChunk("IEND", []),
+};
+
+const png = (orientation = null) =>
+  new Uint8Array([
+    ...pngParts.signature,
+    ...pngParts.header,
+    ...(orientation ? pngChunk("eXIf", exif(orientation, true)) : []),
+    ...pngParts.text,
+    ...pngParts.data,
+    ...pngParts.end,
+  ]).buffer;
+
+const webpChunk = (type, data) => [
+  ...ascii(type),
+  data.length,
+  0,
+  0,
+  0,
+  ...data,
+  ...(data.length % 2 ? [0] : []),
+];
+
+const webp = () => {
+  const chunks = [
+    // Alpha, EXIF and XMP flags
+    ...webpChunk("VP8X", [0x1c, 0, 0, 0, 0, 0, 0, 0, 0, 0]),
+    ...webpChunk("VP8 ", [1, 2, 3]),
+    ...webpChunk("EXIF", exif(6, true)),
+    ...webpChunk("XMP ", ascii("<x:xmpmeta/>")),
+  ];
+  return new Uint8Array([
+    ...ascii("RIFF"),
+    chunks.length + 4,
+    0,
+    0,
+    0,
+    ...ascii("WEBP"),
+    ...chunks,
+  ]).buffer;
+};
+
+const bytes = (buffer) => [...new Uint8Array(buffer)];
+
+describe("image metadata", () => {
+  test("identifies formats from their first bytes", () => {
+    expect(detectImageType(jpeg())).toBe("image/jpeg");
+    expect(detectImageType(png())).toBe("image/png");
+    expect(detectImageType(webp())).toBe("image/webp");
+    expect(detectImageType(new Uint8Array(ascii("GIF89a")))).toBe("image/gif");
+    expect(detectImageType(new ArrayBuffer(4))).toBeNull();
+    expect(detectImageType(null)).toBeNull();
+  });
+
+  test("reads the EXIF orientation", () => {
+    expect(readOrientation(jpeg(6))).toBe(6);
+    expect(readOrientation(png(8))).toBe(8);
+    expect(readOrientation(webp())).toBe(6);
+    expect(readOrientation(png())).toBe(1);
+    expect(readOrientation(new ArrayBuffer(4))).toBe(1);
+  });
+
+  test("removes EXIF and comments from JPEGs, keeping the image", () => {
+    expect(bytes(stripMetadata(jpeg(6)))).toEqual([
+      ...jpegParts.start,
+      ...jpegParts.jfif,
+      ...jpegParts.frame,
+      ...jpegParts.scan,
+    ]);
+  });
+
+  test("removes EXIF and text chunks from PNGs", () => {
+    expect(bytes(stripMetadata(png(6)))).toEqual([
+      ...pngParts.signature,
+      ...pngParts.header,
+      ...pngParts.data,
+      ...pngParts.end,
+    ]);
+  });
+
+  test("removes EXIF and XMP from WebPs and clears their flags", () => {
+    const cleaned = new Uint8Array(stripMetadata(webp()));
+
+    expect(text(cleaned)).not.toContain("EXIF");
+    expect(text(cleaned)).not.toContain("xmpmeta");
+    expect(cleaned[20]).toBe(0x10);
+    expect(new DataView(cleaned.buffer).getUint32(4, true)).toBe(
+      cleaned.length - 8
+    );
+  });
+
+  test("can't clean formats it doesn't know", () => {
+    expect(stripMetadata(new Uint8Array(ascii("GIF89a")))).toBeNull();
+    expect(stripMetadata(new ArrayBuffer(4))).toBeNull();
+  });
+});
+
+describe("fitWithin", () => {
+  test("scales down to fit keeping the aspect ratio", () => {
+    expect(fitWithin(4000, 3000, 1600, 1600)).toEqual({
+      width: 1600,
+      height: 1200,
+    });
+    expect(fitWithin(3000, 4000, 1600, 1000)).toEqual({
+      width: 750,
+      height: 1000,
+    });
+  });
+
+  test("never scales a small photo up", () => {
+    expect(fitWithin(800, 600, 1600, 1600)).toEqual({
+      width: 800,
+      height: 600,
+    });
+  });
+});
+
+describe("processRoutePhoto", () => {
+  const context = {
+    fillRect: jest.fn(),
+    drawImage: jest.fn(),
+    setTransform: jest.fn(),
+  };
+  let encoded;
+
+  const mockPhoto = (width, height) => {
+    globalThis.createImageBitmap = jest.fn(async () => ({
+      width,
+      height,
+      close: jest.fn(),
+    }));
+  };
+
+  beforeEach(() => {
+    encoded = [];
+    context.drawImage.mockClear();
+    context.setTransform.mockClear();
+    jest
+      .spyOn(HTMLCanvasElement.prototype, "getContext")
+      .mockReturnValue(context);
+    jest
+      .spyOn(HTMLCanvasElement.prototype, "toBlob")
+      .mockImplementation(function (callback, type, quality) {
+        encoded.push({ width: this.width, height: this.height, type, quality });
+        callback(fakeBlob(`${this.width}x${this.height}`, 100));
+      });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete globalThis.createImageBitmap;
+  });
+
+  test("shrinks a large photo and makes a thumbnail from it", async () => {
+    mockPhoto(4000, 3000);
+
+    const photo = await processRoutePhoto(jpeg(), {
+      maxWidth: 1600,
+      maxHeight: 1600,
+      quality: 0.6,
+    });
+
+    expect(photo.width).toBe(1600);
+    expect(photo.height).toBe(1200);
+    expect(text(photo.image)).toBe("1600x1200");
+    expect(photo.type).toBe("image/jpeg");
+    expect(text(photo.thumbnail)).toBe("240x180");
+    expect(encoded).toEqual([
+      { width: 1600, height: 1200, type: "image/jpeg", quality: 0.6 },
+      {
+        width: 240,
+        height: 180,
+        type: "image/jpeg",
+        quality: THUMBNAIL_SETTINGS.quality,
+      },
+    ]);
+  });
+
+  test("turns a photo taken on its side upright", async () => {
+    // Stored sideways, shown after a quarter turn clockwise
+    mockPhoto(4000, 3000);
+
+    const photo = await processRoutePhoto(jpeg(6));
+
+    expect(photo.width).toBe(1200);
+    expect(photo.height).toBe(1600);
+    expect(text(photo.thumbnail)).toBe("180x240");
+    expect(context.setTransform).toHaveBeenCalledWith(0, 1, -1, 0, 1200, 0);
+    expect(context.drawImage.mock.calls[0].slice(1)).toEqual([
+      0, 0, 1600, 1200,
+    ]);
+
+    // The browser is given the photo without its orientation tag, so it
+    // can't turn it a second time
+    const [decoded] = createImageBitmap.mock.calls[0];
+    expect(decoded.size).toBe(stripMetadata(jpeg(6)).byteLength);
+  });
+
+  test("keeps a small photo's own format when re-encoding doesn't help", async () => {
+    mockPhoto(800, 600);
+    const original = new Blob();
+    original.arrayBuffer = async () => png();
+
+    const photo = await processRoutePhoto(original);
+
+    expect(bytes(photo.image)).toEqual(bytes(stripMetadata(png())));
+    expect(photo.type).toBe("image/png");
+    expect(photo.width).toBe(800);
+    expect(text(photo.thumbnail)).toBe("240x180");
+  });
+});
+
+describe("RouteModel photos", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test("remembers valid photo settings and rejects others", () => {
+    const model = new RouteModel(createFakeDatabase());
+    expect(model.getPhotoSettings()).toEqual({
+      maxWidth: 1600,
+      maxHeight: 1600,
+      quality: 0.8,
+    });
+
+    model.setPhotoSettings({ maxWidth: "1200", maxHeight: 900, quality: 0.5 });
+    expect(model.getPhotoSettings()).toEqual({
+      maxWidth: 1200,
+      maxHeight: 900,
+      quality: 0.5,
+    });
+
+    expect(() =>
+      model.setPhotoSettings({ maxWidth: 100, maxHeight: 900, quality: 0.5 })
+    ).toThrow("Photo size must be between 320 and 8000 pixels");
+    expect(() =>
+      model.setPhotoSettings({ maxWidth: 1200, maxHeight: 900, quality: 0 })
+    ).toThrow("Photo quality must be between 10% and 100%");
+    expect(model.getPhotoSettings().maxWidth).toBe(1200);
+  });
+
+  test("stores photos it can't decode uncompressed, without a thumbnail", async () => {
+    const model = new RouteModel(createFakeDatabase());
+    jest.spyOn(model, "fileToArrayBuffer").mockResolvedValue(jpeg(6));
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    globalThis.createImageBitmap = jest.fn(async () => {
+      throw new Error("The source image could not be decoded");
+    });
+
+    const photo = await model.preparePhoto(new Blob(["not a photo"]));
+    delete globalThis.createImageBitmap;
+
+    expect(photo).toEqual({
+      image: stripMetadata(jpeg(6)),
+      type: "image/jpeg",
+      thumbnail: null,
+      width: null,
+      height: null,
+    });
+    jest.restoreAllMocks();
+  });
+
+  test("shrinks stored photos once, rescaling their annotations", async () => {
+    const db = createFakeDatabase({
+      routes: [
+        {
+          id: 1,
+          color: "red",
+          photos: [
+            { id: 1, image: "big", annotations },
+            { id: 2, image: "done", thumbnail: "thumb" },
+          ],
+        },
+        { id: 2, color: "blue", photos: [{ id: 1, image: "broken" }] },
+        { id: 3, color: "black", photos: [] },
+      ],
+    });
+    const model = new RouteModel(db);
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    const processPhoto = jest.fn(async (image) => {
+      if (image === "broken") throw new Error("Could not read the photo");
+      return {
+        image: "small",
+        type: "image/jpeg",
+        thumbnail: "thumb",
+        width: 1600,
+        height: 1200,
+      };
+    });
+
+    expect(await model.shrinkStoredPhotos(processPhoto)).toBe(1);
+    expect(processPhoto.mock.calls.map(([image]) => image)).toEqual([
+      "big",
+      "broken",
+    ]);
+
+    const [shrunk, broken] = await model.getAllRoutes();
+    const [photo, done] = shrunk.photos;
+    expect(photo).toMatchObject({
+      image: "small",
+      type: "image/jpeg",
+      thumbnail: "thumb",
+    });
+    expect(photo.annotations.shapes[0]).toEqual({
+      type: "hold",
+      x: 800,
+      y: 600,
+      r: 40,
+    });
+    expect(done).toEqual({ id: 2, image: "done", thumbnail: "thumb" });
+    expect(shrunk.imageVersion).toBe(1);
+    expect(broken.photos[0]).toMatchObject({
+      image: "broken",
+      thumbnail: null,
+    });
+
+    // Nothing is left to try on the next start
+    expect(await model.shrinkStoredPhotos(processPhoto)).toBe(0);
+    expect(processPhoto).toHaveBeenCalledTimes(2);
+    jest.restoreAllMocks();
+  });
+
+  test("lists show the thumbnail, falling back to the full photo", () => {
+    const model = new RouteModel(createFakeDatabase());
+    const toBlob = jest.spyOn(model, "arrayBufferToBlob");
+
+    model.getThumbnailBlob({
+      photos: [
+        { id: 1, image: "full", thumbnail: "thumb" },
+        { id: 2, image: "second", thumbnail: "second thumb" },
+      ],
+    });
+    model.getThumbnailBlob({
+      photos: [{ id: 1, image: "full", thumbnail: null }],
+    });
+
+    expect(toBlob.mock.calls.map(([image]) => image)).toEqual([
+      "thumb",
+      "full",
+    ]);
+    expect(model.getThumbnailBlob({ photos: [] })).toBeNull();
+    jest.restoreAllMocks();
+  });
+});
+
+describe("image types", () => {
+  test("routes keep the type of their photos", async () => {
+    const model = new RouteModel(createFakeDatabase());
+
+    const saved = await model.saveRoute({
+      color: "red",
+      photos: [{ id: 1, image: png(), type: "image/png" }],
+    });
+    expect(saved.photos[0].type).toBe("image/png");
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    const renamed = await model.updateRoute(saved.id, { name: "Arete" });
+    expect(renamed.photos[0].type).toBe("image/png");
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    const replaced = await model.updateRoute(saved.id, {
+      photos: [{ id: 2, image: jpeg() }],
+    });
+    expect(replaced.photos[0].type).toBeNull();
+  });
+
+  test("photos are shown with their own type", () => {
+    const model = new RouteModel(createFakeDatabase());
+    const toBlob = jest.spyOn(model, "arrayBufferToBlob");
+    jest.spyOn(URL, "createObjectURL").mockReturnValue("blob:url");
+
+    model.createImageURL({ photos: [{ image: png(), type: "image/png" }] });
+    // Saved before types were stored
+    model.createImageURL({ photos: [{ image: webp() }] });
+    model.createImageURL({ photos: [{ image: new ArrayBuffer(4) }] });
+
+    expect(toBlob.mock.calls.map(([, type]) => type)).toEqual([
+      "image/png",
+      "image/webp",
+      "image/jpeg",
+    ]);
+    jest.restoreAllMocks();
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Tests for reusing and revoking object URLs of route images
+ */
+import { ImageUrlCache } from "../src/utils/ImageUrlCache.js";
+import { RouteModel } from "../src/models/RouteModel.js";
+import { DEFAULT_ROUTE_QUERY } from "../src/models/RouteQuery.js";
+import { RouteController } from "../src/controllers/RouteController.js";
+import { createFakeDatabase } from "./fakeDatabase.js";
+
+let made;
+let revoked;
+
+beforeEach(() => {
+  made = 0;
+  revoked = [];
+  jest.spyOn(URL, "createObjectURL").mockImplementation(() => `blob:${++made}`);
+  jest.spyOn(URL, "revokeObjectURL").mockImplementation((url) => {
+    revoked.push(url);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const blob = () => new Blob(["photo"]);
+
+describe("ImageUrlCache", () => {
+  test("reuses a route's URL until its image version changes", () => {
+    const cache = new ImageUrlCache();
+    const createBlob = jest.fn(blob);
+
+    expect(cache.get(1, 1, createBlob)).toBe("blob:1");
+    expect(cache.get(1, 1, createBlob)).toBe("blob:1");
+    expect(createBlob).toHaveBeenCalledTimes(1);
+
+    expect(cache.get(1, 2, createBlob)).toBe("blob:2");
+    expect(revoked).toEqual(["blob:1"]);
+    expect(cache.size).toBe(1);
+  });
+
+  test("revokes URLs of routes a re-render no longer shows", () => {
+    const cache = new ImageUrlCache();
+    [1, 2, 3].forEach((id) => cache.get(id, 1, blob));
+
+    cache.retain([2]);
+    expect(revoked).toEqual(["blob:1", "blob:3"]);
+
+    cache.delete(2);
+    cache.delete(9);
+    expect(revoked).toEqual(["blob:1", "blob:3", "blob:2"]);
+    expect(cache.size).toBe(0);
+  });
+
+  test("keys URLs by anything, e.g. one per photo of a route", () => {
+    const cache = new ImageUrlCache();
+    ["1/1", "1/2", "2/1"].forEach((key) => cache.get(key, 1, blob));
+
+    expect(cache.keys()).toEqual(["1/1", "1/2", "2/1"]);
+    cache.retain(["1/2"]);
+    expect(revoked).toEqual(["blob:1", "blob:3"]);
+  });
+
+  test("keeps nothing for routes without an image", () => {
+    const cache = new ImageUrlCache();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    expect(cache.get(1, 0, () => null)).toBeNull();
+    expect(
+      cache.get(2, 1, () => {
+        throw new Error("Unreadable image");
+      })
+    ).toBeNull();
+    expect(cache.size).toBe(0);
+  });
+
+  test("clears every URL", () => {
+    const cache = new ImageUrlCache();
+    cache.get(1, 1, blob);
+    cache.get(2, 1, blob);
+
+    cache.clear();
+
+    expect(revoked).toEqual(["blob:1", "blob:2"]);
+    expect(cache.size).toBe(0);
+  });
+});
+
+describe("RouteModel image versions", () => {
+  test("count up each time the photos change", async () => {
+    const model = new RouteModel(createFakeDatabase());
+
+    const saved = await model.saveRoute({
+      color: "red",
+      photos: [{ id: 1, image: new ArrayBuffer(8) }],
+    });
+    expect(saved.imageVersion).toBe(1);
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    const renamed = await model.updateRoute(saved.id, { name: "Arete" });
+    expect(renamed.imageVersion).toBe(1);
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    const replaced = await model.updateRoute(saved.id, {
+      photos: [{ id: 2, image: new ArrayBuffer(4) }],
+    });
+    expect(replaced.imageVersion).toBe(2);
+
+    expect(model.getImageVersion({ photos: [] })).toBe(0);
+    expect((await model.saveRoute({ color: "blue" })).imageVersion).toBe(0);
+  });
+});
+
+describe("RouteController image URLs", () => {
+  const photo = (id) => ({ id, image: new ArrayBuffer(8), thumbnail: null });
+  const routes = [
+    { id: 1, color: "red", photos: [photo(1)], imageVersion: 1 },
+    { id: 2, color: "blue", photos: [photo(1), photo(2)], imageVersion: 1 },
+    { id: 3, color: "green", photos: [] },
+  ].map((route) => ({ ...route, createdAt: new Date(2024, 0, route.id) }));
+  let db;
+  let controller;
+  let view;
+
+  beforeEach(() => {
+    document.body.innerHTML = "";
+    jest
+      .spyOn(RouteController.prototype, "initializeController")
+      .mockImplementation(() => {});
+
+    db = createFakeDatabase({ routes: routes.map((route) => ({ ...route })) });
+    view = {
+      getRouteQuery: () => ({ ...DEFAULT_ROUTE_QUERY }),
+      renderRoutes: jest.fn(),
+      removeRouteCard: jest.fn(),
+      showConfirm: jest.fn(async () => true),
+      showRouteDetail: jest.fn(),
+    };
+    controller = new RouteController(new RouteModel(db), view, {
+      getAllWalls: async () => [],
+    });
+    controller.climbController = {
+      model: {
+        getRouteAttemptSummary: () => new Map(),
+        getRouteAnalytics: () => ({}),
+      },
+      thumbnailUrls: new ImageUrlCache(),
+      refreshViews: async () => {},
+    };
+  });
+
+  const shownUrls = () =>
+    view.renderRoutes.mock.lastCall[0].map((route) => route.imageUrl);
+
+  test("re-renders reuse URLs and revoke ones no longer shown", async () => {
+    await controller.renderRouteLibrary();
+    await controller.renderRouteLibrary();
+
+    // Newest first
+    expect(shownUrls()).toEqual([null, "blob:1", "blob:2"]);
+    expect(made).toBe(2);
+
+    jest.spyOn(view, "getRouteQuery").mockReturnValue({
+      ...DEFAULT_ROUTE_QUERY,
+      color: "blue",
+    });
+    await controller.renderRouteLibrary();
+
+    expect(shownUrls()).toEqual(["blob:1"]);
+    expect(revoked).toEqual(["blob:2"]);
+  });
+
+  test("a replaced image gets a new URL and the old one is revoked", async () => {
+    await controller.renderRouteLibrary();
+    await controller.model.updateRoute(1, {
+      photos: [{ id: 2, image: new ArrayBuffer(4) }],
+    });
+
+    await controller.renderRouteLibrary();
+
+    expect(shownUrls()).toEqual([null, "blob:1", "blob:3"]);
+    expect(revoked).toEqual(["blob:2"]);
+  });
+
+  test("deleting a route revokes its URLs", async () => {
+    await controller.renderRouteLibrary();
+    await controller.showRouteHistory(2);
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    await controller.deleteRoute(2);
+
+    // Its library thumbnail and the full photos opened in the detail view
+    expect(revoked).toEqual(["blob:1", "blob:3", "blob:4"]);
+    expect(controller.thumbnailUrls.size).toBe(1);
+    expect(controller.photoUrls.size).toBe(0);
+  });
+
+  test("the detail view gets a URL for every photo, in gallery order", async () => {
+    await controller.showRouteHistory(2);
+    await controller.showRouteHistory(2);
+
+    const [shown] = view.showRouteDetail.mock.lastCall;
+    expect(shown.gallery.map(({ id, url }) => [id, url])).toEqual([
+      [1, "blob:1"],
+      [2, "blob:2"],
+    ]);
+    expect(controller.photoUrls.keys()).toEqual(["2/1", "2/2"]);
+
+    // Opening another route revokes the photos of the last one
+    await controller.showRouteHistory(1);
+    expect(revoked).toEqual(["blob:1", "blob:2"]);
+    expect(controller.photoUrls.keys()).toEqual(["1/1"]);
+  });
+});
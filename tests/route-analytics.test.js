@@ -0,0 +1,155 @@
+/**
+ * Tests for per-route history and "attempts to send" analytics
+ */
+import { ClimbModel } from "../src/models/ClimbModel.js";
+import { RouteView } from "../src/views/RouteView.js";
+import { ClimbView } from "../src/views/ClimbView.js";
+import { dialogUtils } from "../src/utils/DialogUtils.js";
+
+describe("Route analytics", () => {
+  let model;
+
+  const attempt = (id, routeId, success, day) => ({
+    id,
+    routeId,
+    route: { id: routeId, color: "purple" },
+    success,
+    timestamp: new Date(`2024-03-${day}T18:00:00`),
+  });
+
+  beforeEach(() => {
+    // Keep the database request pending; these tests only use in-memory data
+    global.indexedDB.open = jest.fn(() => ({}));
+    model = new ClimbModel();
+    model.sessions = [
+      {
+        id: 1,
+        date: new Date("2024-03-01"),
+        attempts: [attempt(11, 7, false, "01"), attempt(12, 7, false, "01")],
+      },
+      {
+        id: 2,
+        date: new Date("2024-03-05"),
+        attempts: [
+          attempt(21, 7, false, "05"),
+          attempt(22, 8, true, "05"),
+          attempt(23, 7, true, "05"),
+        ],
+      },
+      {
+        id: 3,
+        date: new Date("2024-03-09"),
+        attempts: [attempt(31, 7, true, "09"), attempt(32, 7, false, "09")],
+      },
+    ];
+  });
+
+  test("should collect every attempt on a route across sessions", () => {
+    const history = model.getRouteHistory(7);
+
+    expect(history.map((a) => a.id)).toEqual([11, 12, 21, 23, 31, 32]);
+    expect(history.map((a) => a.sessionId)).toEqual([1, 1, 2, 2, 3, 3]);
+  });
+
+  test("should count attempts and sessions until the first send", () => {
+    const analytics = model.getRouteAnalytics(7);
+
+    expect(analytics.firstAttemptDate).toEqual(new Date("2024-03-01T18:00:00"));
+    expect(analytics.firstSendDate).toEqual(new Date("2024-03-05T18:00:00"));
+    expect(analytics.attemptsToSend).toBe(4);
+    expect(analytics.sessionsToSend).toBe(2);
+    expect(analytics.attemptsAfterSend).toBe(2);
+    expect(analytics.successRateAfterSend).toBe("50.0");
+  });
+
+  test("should leave send stats empty for an unsent route", () => {
+    model.sessions[1].attempts.pop();
+    model.sessions.pop();
+
+    const analytics = model.getRouteAnalytics(7);
+
+    expect(analytics.totalAttempts).toBe(3);
+    expect(analytics.firstSendDate).toBeNull();
+    expect(analytics.attemptsToSend).toBeNull();
+    expect(analytics.successRateAfterSend).toBeNull();
+  });
+});
+
+describe("Route history view", () => {
+  beforeEach(() => {
+    document.body.innerHTML = "";
+  });
+
+  test("should show names and notes as text", () => {
+    const view = new RouteView();
+
+    view.showRouteDetail(
+      { id: 7, color: "purple", name: "<b>Crimp</b> & co" },
+      {
+        totalAttempts: 1,
+        attempts: [
+          {
+            success: false,
+            timestamp: new Date("2024-03-01T18:00:00"),
+            notes: "<img src=x onerror=alert(1)>",
+          },
+        ],
+      }
+    );
+
+    const dialog = document.querySelector(".route-detail-dialog");
+    expect(dialog.querySelector("h3").textContent).toContain(
+      "<b>Crimp</b> & co"
+    );
+    expect(dialog.querySelector("td img")).toBeNull();
+    expect(dialog.querySelector("tbody").textContent).toContain(
+      "<img src=x onerror=alert(1)>"
+    );
+  });
+});
+
+describe("Text from imported files", () => {
+  const markup = "<img src=x onerror=alert(1)>";
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="routes-container"></div>
+      <div id="route-selector">
+        <div class="route-selector-item add-route-option"></div>
+      </div>
+    `;
+  });
+
+  test("should show route cards as text", () => {
+    new RouteView().renderRoutes([
+      { id: 7, color: "purple", name: markup, gym: markup, notes: markup },
+    ]);
+
+    const card = document.querySelector(".route-card");
+    expect(card.querySelector(".route-info img")).toBeNull();
+    expect(card.textContent).toContain(markup);
+  });
+
+  test("should show routes in the route selector as text", () => {
+    new ClimbView().renderRouteSelector([
+      { id: 7, color: "purple", name: markup, gym: markup },
+    ]);
+
+    const item = document.querySelector(".route-selector-item[data-route-id]");
+    expect(item.querySelector(".route-mini-info img")).toBeNull();
+    expect(item.textContent).toContain(markup);
+  });
+
+  test("should show dialog titles and messages as text", async () => {
+    const confirmed = dialogUtils.showConfirm(
+      `Archive 1 route at ${markup}?`,
+      markup
+    );
+
+    const dialog = document.querySelector(".dialog");
+    expect(dialog.querySelector("img")).toBeNull();
+    expect(dialog.querySelector("h3").textContent).toBe(markup);
+    dialog.querySelector("[data-action=cancel]").click();
+    expect(await confirmed).toBe(false);
+  });
+});
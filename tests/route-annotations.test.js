@@ -0,0 +1,315 @@
+/**
+ * Tests for annotating route photos with holds, markers and the beta line
+ */
+import {
+  normalizeAnnotations,
+  scaleAnnotations,
+} from "../src/models/RouteAnnotations.js";
+import { RouteModel } from "../src/models/RouteModel.js";
+import { validateBackup } from "../src/models/BackupValidator.js";
+import {
+  AnnotationEditor,
+  renderAnnotationOverlay,
+} from "../src/views/AnnotationEditor.js";
+import { RouteView } from "../src/views/RouteView.js";
+import { ClimbView } from "../src/views/ClimbView.js";
+import { createFakeDatabase } from "./fakeDatabase.js";
+
+const annotations = {
+  width: 400,
+  height: 300,
+  shapes: [
+    { type: "start", x: 50, y: 250, r: 12 },
+    { type: "hold", x: 200, y: 150, r: 10 },
+    { type: "top", x: 350, y: 40, r: 12 },
+    {
+      type: "line",
+      points: [
+        [50, 250],
+        [200, 150],
+        [350, 40],
+      ],
+    },
+  ],
+};
+
+describe("normalizeAnnotations", () => {
+  test("keeps drawable shapes inside the photo and drops the rest", () => {
+    expect(
+      normalizeAnnotations({
+        width: 400,
+        height: 300,
+        shapes: [
+          { type: "hold", x: 420.04, y: -5, r: 10 },
+          { type: "hold", x: 10, y: 10, r: 0 },
+          { type: "arrow", x: 10, y: 10, r: 5 },
+          { type: "line", points: [[1, 2]] },
+          {
+            type: "line",
+            points: [
+              [1, 2],
+              [3, "x"],
+              [5, 6],
+            ],
+          },
+        ],
+      })
+    ).toEqual({
+      width: 400,
+      height: 300,
+      shapes: [
+        { type: "hold", x: 400, y: 0, r: 10 },
+        {
+          type: "line",
+          points: [
+            [1, 2],
+            [5, 6],
+          ],
+        },
+      ],
+    });
+  });
+
+  test("is null when there is nothing to draw", () => {
+    expect(normalizeAnnotations(null)).toBeNull();
+    expect(normalizeAnnotations({ width: 0, height: 10, shapes: [] })).toBe(
+      null
+    );
+    expect(normalizeAnnotations({ width: 400, height: 300, shapes: [] })).toBe(
+      null
+    );
+  });
+
+  test("rescales to a photo of another size", () => {
+    const scaled = scaleAnnotations(annotations, 200, 150);
+
+    expect(scaled.width).toBe(200);
+    expect(scaled.shapes[0]).toEqual({ type: "start", x: 25, y: 125, r: 6 });
+    expect(scaled.shapes[3].points[2]).toEqual([175, 20]);
+  });
+});
+
+describe("RouteModel annotations", () => {
+  test("stores annotations with each photo and keeps them through edits", async () => {
+    const model = new RouteModel(createFakeDatabase());
+    const image = new ArrayBuffer(8);
+
+    const saved = await model.saveRoute({
+      color: "red",
+      photos: [{ id: 1, image, annotations }],
+    });
+    expect(saved.photos[0].annotations).toEqual(annotations);
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    const renamed = await model.updateRoute(saved.id, { name: "Arete" });
+    expect(renamed.photos[0].annotations).toEqual(annotations);
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    const cleared = await model.updateRoute(saved.id, {
+      photos: [
+        {
+          id: 1,
+          image,
+          annotations: { width: 400, height: 300, shapes: [] },
+        },
+      ],
+    });
+    expect(cleared.photos[0].annotations).toBeNull();
+  });
+
+  test("reports malformed annotations in backups", () => {
+    const errors = validateBackup(
+      {
+        format: "climb-count-backup",
+        version: 1,
+        sessions: [],
+        routes: [
+          { id: 1, color: "red", annotations: null },
+          { id: 2, color: "red", annotations: { width: 10, shapes: {} } },
+        ],
+      },
+      { name: "climb-count-backup", version: 1 }
+    );
+
+    expect(errors).toEqual([
+      "routes[1].annotations is not valid annotation data",
+    ]);
+    expect(
+      validateBackup(
+        {
+          format: "climb-count-backup",
+          version: 3,
+          sessions: [],
+          routes: [
+            { id: 1, color: "red", photos: [{ id: 1, annotations: [] }] },
+          ],
+        },
+        { name: "climb-count-backup", version: 3 }
+      )
+    ).toEqual(["routes[0].photos[0].annotations is not valid annotation data"]);
+  });
+});
+
+describe("renderAnnotationOverlay", () => {
+  test("draws holds, markers and the beta line in photo pixels", () => {
+    document.body.innerHTML = renderAnnotationOverlay(annotations);
+    const svg = document.querySelector("svg.annotation-overlay");
+
+    expect(svg.getAttribute("viewBox")).toBe("0 0 400 300");
+    expect(svg.getAttribute("preserveAspectRatio")).toBe("xMidYMid slice");
+    expect(svg.querySelectorAll("circle")).toHaveLength(3);
+    expect([...svg.querySelectorAll("text")].map((t) => t.textContent)).toEqual(
+      ["S", "T"]
+    );
+    expect(svg.querySelector("polyline").getAttribute("points")).toBe(
+      "50,250 200,150 350,40"
+    );
+  });
+
+  test("fits a whole photo and draws nothing without shapes", () => {
+    expect(renderAnnotationOverlay(annotations, "contain")).toContain(
+      "xMidYMid meet"
+    );
+    expect(renderAnnotationOverlay(null)).toBe("");
+  });
+
+  test("shows the primary photo's on route cards and selector mini-cards", () => {
+    const route = {
+      id: 1,
+      color: "red",
+      imageUrl: "blob:photo",
+      photos: [{ id: 1, image: new ArrayBuffer(8), annotations }],
+      createdAt: new Date(),
+    };
+
+    const card = new RouteView().createRouteCard(route);
+    expect(
+      card.querySelector(".route-image .annotation-overlay")
+    ).not.toBeNull();
+    expect(
+      new RouteView()
+        .createRouteCard({ ...route, imageUrl: null })
+        .querySelector(".annotation-overlay")
+    ).toBeNull();
+
+    document.body.innerHTML = `
+      <div id="route-selector">
+        <div class="route-selector-item add-route-option"></div>
+      </div>
+    `;
+    new ClimbView().renderRouteSelector([route]);
+    expect(
+      document.querySelector(".route-mini-image .annotation-overlay")
+    ).not.toBeNull();
+  });
+});
+
+describe("AnnotationEditor", () => {
+  const context = {
+    clearRect: jest.fn(),
+    drawImage: jest.fn(),
+    beginPath: jest.fn(),
+    arc: jest.fn(),
+    moveTo: jest.fn(),
+    lineTo: jest.fn(),
+    stroke: jest.fn(),
+    fillText: jest.fn(),
+    setLineDash: jest.fn(),
+  };
+  let editor;
+
+  beforeEach(() => {
+    document.body.innerHTML = "";
+    jest
+      .spyOn(HTMLCanvasElement.prototype, "getContext")
+      .mockReturnValue(context);
+    // Shown at half the photo's size
+    jest
+      .spyOn(HTMLCanvasElement.prototype, "getBoundingClientRect")
+      .mockReturnValue({ left: 10, top: 20, width: 200, height: 150 });
+
+    editor = new AnnotationEditor();
+    jest
+      .spyOn(editor, "loadImage")
+      .mockResolvedValue({ naturalWidth: 400, naturalHeight: 300 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const pointer = (type, clientX, clientY) =>
+    document
+      .querySelector(".annotation-canvas")
+      .dispatchEvent(new MouseEvent(type, { clientX, clientY }));
+
+  const click = (selector) => document.querySelector(selector).click();
+
+  // Wait for the dialog to show, handing back the promise of its result
+  const opened = async (existing = null) => {
+    const result = editor.open("blob:photo", existing);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    return { result };
+  };
+
+  test("marks holds and draws the beta line in photo pixels", async () => {
+    const { result } = await opened();
+
+    click("[data-tool='start']");
+    pointer("pointerdown", 35, 145);
+    pointer("pointerup", 35, 145);
+
+    // Dragging sizes the hold
+    click("[data-tool='hold']");
+    pointer("pointerdown", 110, 95);
+    pointer("pointermove", 120, 95);
+    pointer("pointerup", 120, 95);
+
+    click("[data-tool='line']");
+    pointer("pointerdown", 35, 145);
+    pointer("pointermove", 36, 145);
+    pointer("pointermove", 110, 95);
+    pointer("pointerup", 110, 95);
+    click("[data-action='save']");
+
+    expect(await result).toEqual({
+      width: 400,
+      height: 300,
+      shapes: [
+        { type: "start", x: 50, y: 250, r: 12 },
+        { type: "hold", x: 200, y: 150, r: 20 },
+        {
+          type: "line",
+          points: [
+            [50, 250],
+            [200, 150],
+          ],
+        },
+      ],
+    });
+    expect(context.arc).toHaveBeenCalled();
+    expect(document.querySelector(".annotation-editor-dialog")).toBeNull();
+  });
+
+  test("starts from existing annotations and can undo", async () => {
+    const { result } = await opened(annotations);
+
+    click("[data-action='undo']");
+    click("[data-action='save']");
+
+    expect((await result).shapes.map((shape) => shape.type)).toEqual([
+      "start",
+      "hold",
+      "top",
+    ]);
+  });
+
+  test("leaves annotations alone when cancelled", async () => {
+    const { result } = await opened(annotations);
+
+    click("[data-action='clear']");
+    click("[data-action='cancel']");
+
+    expect(await result).toBeNull();
+  });
+});
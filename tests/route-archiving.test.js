@@ -0,0 +1,215 @@
+/**
+ * Tests for archiving routes when gyms reset their walls
+ */
+import {
+  getActiveRoutes,
+  getRouteSetDate,
+  selectRoutesToArchive,
+} from "../src/models/RouteLifecycle.js";
+import { RouteModel } from "../src/models/RouteModel.js";
+import { RouteView } from "../src/views/RouteView.js";
+import { createFakeDatabase } from "./fakeDatabase.js";
+
+const routes = [
+  {
+    id: 1,
+    name: "Old crimps",
+    color: "red",
+    gym: "BKB",
+    createdAt: new Date(2024, 0, 5),
+  },
+  {
+    id: 2,
+    name: "Fresh slab",
+    color: "blue",
+    gym: "bkb ",
+    createdAt: new Date(2024, 0, 5),
+    setAt: new Date(2024, 2, 10),
+  },
+  {
+    id: 3,
+    name: "Elsewhere",
+    color: "red",
+    gym: "Movement",
+    createdAt: new Date(2024, 0, 5),
+  },
+  {
+    id: 4,
+    name: "Already down",
+    color: "green",
+    gym: "BKB",
+    createdAt: new Date(2023, 11, 1),
+    archived: true,
+    removedAt: new Date(2024, 0, 1),
+  },
+];
+
+describe("route lifecycle", () => {
+  test("falls back to the date a route was added when it has no set date", () => {
+    expect(getRouteSetDate(routes[0])).toEqual(new Date(2024, 0, 5));
+    expect(getRouteSetDate(routes[1])).toEqual(new Date(2024, 2, 10));
+  });
+
+  test("leaves archived routes out of the active list", () => {
+    expect(getActiveRoutes(routes).map((route) => route.id)).toEqual([1, 2, 3]);
+  });
+
+  test("selects active routes at a gym set before a date", () => {
+    const selected = selectRoutesToArchive(routes, {
+      gym: "BKB",
+      setBefore: new Date(2024, 2, 1),
+    });
+
+    expect(selected.map((route) => route.id)).toEqual([1]);
+  });
+
+  test("selects only the routes on a wall when one is given", () => {
+    const onWalls = [
+      { ...routes[0], wallId: 5 },
+      { ...routes[0], id: 5, wallId: 6 },
+      { ...routes[0], id: 6 },
+    ];
+
+    const selected = selectRoutesToArchive(onWalls, {
+      gym: "BKB",
+      wallId: 5,
+      setBefore: new Date(2024, 2, 1),
+    });
+
+    expect(selected.map((route) => route.id)).toEqual([1]);
+    expect(
+      selectRoutesToArchive(onWalls, {
+        gym: "BKB",
+        wallId: null,
+        setBefore: new Date(2024, 2, 1),
+      })
+    ).toHaveLength(3);
+  });
+});
+
+describe("RouteModel archiving", () => {
+  let db;
+  let model;
+
+  beforeEach(() => {
+    db = createFakeDatabase({ routes });
+    model = new RouteModel(db);
+  });
+
+  test("archives routes in one transaction with a removed date", async () => {
+    const removedAt = new Date(2024, 3, 1);
+    const transactionsBefore = db.transactions.length;
+
+    const archived = await model.archiveRoutes([1, 2], removedAt);
+
+    expect(archived.map((route) => route.id)).toEqual([1, 2]);
+    // One read to load the routes, one write
+    expect(db.transactions).toHaveLength(transactionsBefore + 2);
+    expect(db.stores.routes.get(1)).toMatchObject({
+      archived: true,
+      removedAt,
+    });
+  });
+
+  test("keeps the removed date a route already has", async () => {
+    await model.archiveRoutes([4], new Date(2024, 3, 1));
+
+    expect(db.stores.routes.get(4).removedAt).toEqual(new Date(2024, 0, 1));
+  });
+
+  test("unarchives routes and clears their removed date", async () => {
+    await model.unarchiveRoutes([4]);
+
+    expect(db.stores.routes.get(4)).toMatchObject({
+      archived: false,
+      removedAt: null,
+    });
+  });
+
+  test("rejects unknown routes without writing anything", async () => {
+    await expect(model.archiveRoutes([1, 99])).rejects.toThrow(
+      "Route not found"
+    );
+    expect(db.stores.routes.get(1).archived).toBeUndefined();
+  });
+});
+
+describe("RouteView archive dialog", () => {
+  beforeEach(() => {
+    document.body.innerHTML = "";
+  });
+
+  test("lists the walls of the picked gym and returns the chosen one", async () => {
+    const walls = {
+      BKB: [{ id: 5, gym: "BKB", name: "Cave" }],
+      Movement: [{ id: 7, gym: "Movement", name: "Slab" }],
+    };
+    const view = new RouteView();
+    const result = view.showArchiveDialog(
+      ["BKB", "Movement"],
+      async (gym) => walls[gym]
+    );
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    const wallNames = () =>
+      [...document.querySelectorAll("#archive-wall option")].map(
+        (option) => option.textContent
+      );
+    expect(wallNames()).toEqual(["All walls", "Cave"]);
+
+    const gymSelect = document.getElementById("archive-gym");
+    gymSelect.value = "Movement";
+    gymSelect.dispatchEvent(new Event("change"));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(wallNames()).toEqual(["All walls", "Slab"]);
+
+    document.getElementById("archive-wall").value = "7";
+    document.getElementById("archive-set-before").value = "2024-03-01";
+    document.querySelector("[data-action=confirm]").click();
+
+    expect(await result).toEqual({
+      gym: "Movement",
+      wallId: 7,
+      setBefore: new Date(2024, 2, 1),
+    });
+  });
+
+  test("still archives across the gym when its walls can't be loaded", async () => {
+    const error = new Error("The database connection is closing");
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const view = new RouteView();
+    const result = view.showArchiveDialog(["BKB"], () => Promise.reject(error));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(console.error).toHaveBeenCalledWith("Error loading walls:", error);
+    document.getElementById("archive-set-before").value = "2024-03-01";
+    document.querySelector("[data-action=confirm]").click();
+
+    expect(await result).toEqual({
+      gym: "BKB",
+      wallId: null,
+      setBefore: new Date(2024, 2, 1),
+    });
+    jest.restoreAllMocks();
+  });
+});
+
+describe("RouteView archived routes", () => {
+  beforeEach(() => {
+    document.body.innerHTML = "<div id=\"routes-container\"></div>";
+  });
+
+  test("marks archived routes and offers to unarchive them", () => {
+    const view = new RouteView();
+
+    view.renderRoutes([...routes]);
+
+    const archivedCard = document.querySelector(
+      ".route-card[data-route-id=\"4\"]"
+    );
+    expect(archivedCard.classList.contains("archived")).toBe(true);
+    expect(
+      archivedCard.querySelector("[data-action=unarchive]")
+    ).not.toBeNull();
+  });
+});
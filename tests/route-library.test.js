@@ -0,0 +1,265 @@
+/**
+ * Tests for searching, filtering and sorting the route library
+ */
+import {
+  ARCHIVED_FILTERS,
+  DEFAULT_ROUTE_QUERY,
+  getSearchTerms,
+  sortRoutes,
+} from "../src/models/RouteQuery.js";
+import { RouteModel } from "../src/models/RouteModel.js";
+import { ClimbModel } from "../src/models/ClimbModel.js";
+import { RouteView } from "../src/views/RouteView.js";
+import { createFakeDatabase } from "./fakeDatabase.js";
+
+const withTerms = (route) => ({ ...route, searchTerms: getSearchTerms(route) });
+
+const routes = [
+  {
+    id: 1,
+    name: "Crimp Ladder",
+    notes: "Tiny crimps, big move to the lip",
+    color: "red",
+    gym: "BKB",
+    createdAt: new Date(2024, 0, 1),
+  },
+  {
+    id: 2,
+    name: "Slopey Traverse",
+    notes: null,
+    color: "blue",
+    gym: "BKB",
+    createdAt: new Date(2024, 0, 2),
+  },
+  {
+    id: 3,
+    name: "Roof Crimper",
+    notes: "Heel hook",
+    color: "red",
+    gym: "Movement",
+    createdAt: new Date(2024, 0, 3),
+  },
+  {
+    id: 4,
+    name: "Old Crimp",
+    notes: null,
+    color: "red",
+    gym: "BKB",
+    createdAt: new Date(2023, 5, 1),
+    archived: true,
+  },
+].map(withTerms);
+
+const summary = new Map([
+  [1, { attempts: 5, sends: 1, lastAttemptAt: new Date(2024, 1, 1) }],
+  [2, { attempts: 2, sends: 2, lastAttemptAt: new Date(2024, 2, 1) }],
+  [3, { attempts: 4, sends: 0, lastAttemptAt: new Date(2024, 0, 20) }],
+]);
+
+const query = (overrides) => ({ ...DEFAULT_ROUTE_QUERY, ...overrides });
+const ids = (list) => list.map((route) => route.id);
+
+describe("route search terms", () => {
+  test("are the distinct lowercased words of the name and notes", () => {
+    expect(getSearchTerms(routes[0])).toEqual([
+      "crimp",
+      "ladder",
+      "tiny",
+      "crimps",
+      "big",
+      "move",
+      "to",
+      "the",
+      "lip",
+    ]);
+    expect(getSearchTerms({ name: null, notes: null })).toEqual([]);
+  });
+});
+
+describe("sortRoutes", () => {
+  test("sorts by lowest success rate with untried routes last", () => {
+    const sorted = sortRoutes(
+      [...routes, withTerms({ id: 5, name: "New", createdAt: new Date() })],
+      "lowestSuccess",
+      summary
+    );
+
+    expect(ids(sorted)).toEqual([3, 1, 2, 5, 4]);
+  });
+
+  test("sorts by most attempted and by last attempted", () => {
+    expect(ids(sortRoutes(routes, "mostAttempted", summary))).toEqual([
+      1, 3, 2, 4,
+    ]);
+    expect(ids(sortRoutes(routes, "lastAttempted", summary))).toEqual([
+      2, 1, 3, 4,
+    ]);
+  });
+});
+
+describe("RouteModel.queryRoutes", () => {
+  let model;
+
+  beforeEach(() => {
+    model = new RouteModel(createFakeDatabase({ routes }));
+  });
+
+  test("lists active routes newest first by default", async () => {
+    expect(ids(await model.queryRoutes(query()))).toEqual([3, 2, 1]);
+  });
+
+  test("matches every search word against the start of a word", async () => {
+    expect(ids(await model.queryRoutes(query({ text: "crimp" })))).toEqual([
+      3, 1,
+    ]);
+    expect(ids(await model.queryRoutes(query({ text: "CRIMP heel" })))).toEqual(
+      [3]
+    );
+    expect(await model.queryRoutes(query({ text: "dyno" }))).toEqual([]);
+  });
+
+  test("combines color, gym and archived filters", async () => {
+    expect(
+      ids(await model.queryRoutes(query({ color: "red", gym: "BKB" })))
+    ).toEqual([1]);
+    expect(
+      ids(
+        await model.queryRoutes(
+          query({ color: "red", archived: ARCHIVED_FILTERS.archived })
+        )
+      )
+    ).toEqual([4]);
+    expect(
+      ids(await model.queryRoutes(query({ archived: ARCHIVED_FILTERS.all })))
+    ).toEqual([3, 2, 1, 4]);
+  });
+
+  test("filters on whether a route has been sent", async () => {
+    expect(
+      ids(await model.queryRoutes(query({ sent: "sent" }), summary))
+    ).toEqual([2, 1]);
+    expect(
+      ids(await model.queryRoutes(query({ sent: "unsent" }), summary))
+    ).toEqual([3]);
+  });
+
+  test("keeps search terms current when a route is saved or renamed", async () => {
+    const db = createFakeDatabase();
+    const routeModel = new RouteModel(db);
+
+    const saved = await routeModel.saveRoute({
+      name: "Pinch Prow",
+      color: "green",
+      gym: "BKB",
+    });
+    expect(saved.searchTerms).toEqual(["pinch", "prow"]);
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    const updated = await routeModel.updateRoute(saved.id, {
+      notes: "Dyno finish",
+    });
+    expect(updated.searchTerms).toEqual(["pinch", "prow", "dyno", "finish"]);
+  });
+});
+
+describe("ClimbModel.getRouteAttemptSummary", () => {
+  test("counts attempts and sends per route including the current session", () => {
+    const model = new ClimbModel(createFakeDatabase());
+    model.sessions = [
+      {
+        id: 1,
+        attempts: [
+          { routeId: 1, success: false, timestamp: new Date(2024, 0, 1) },
+          { routeId: 1, success: true, timestamp: new Date(2024, 0, 2) },
+        ],
+      },
+    ];
+    model.currentSession = {
+      id: 2,
+      attempts: [
+        { routeId: 2, success: false, timestamp: new Date(2024, 0, 5) },
+      ],
+    };
+
+    expect(model.getRouteAttemptSummary()).toEqual(
+      new Map([
+        [1, { attempts: 2, sends: 1, lastAttemptAt: new Date(2024, 0, 2) }],
+        [2, { attempts: 1, sends: 0, lastAttemptAt: new Date(2024, 0, 5) }],
+      ])
+    );
+  });
+});
+
+describe("RouteView library filters", () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input id="route-search" />
+      <select id="route-filter-color"><option value="">All colors</option></select>
+      <select id="route-filter-gym"><option value="">All gyms</option></select>
+      <select id="route-filter-sent">
+        <option value="">Sent or not</option>
+        <option value="unsent">Not sent yet</option>
+      </select>
+      <select id="route-filter-archived">
+        <option value="active">On the wall</option>
+      </select>
+      <select id="route-library-sort"></select>
+      <span id="route-results-count"></span>
+      <div id="routes-container"></div>
+    `;
+  });
+
+  test("reads the query from the filter bar", () => {
+    const view = new RouteView();
+    view.populateRouteSortOptions();
+    view.setRouteFilterOptions(routes);
+
+    document.getElementById("route-search").value = "  crimp ";
+    document.getElementById("route-filter-color").value = "red";
+    document.getElementById("route-filter-sent").value = "unsent";
+    document.getElementById("route-library-sort").value = "lastAttempted";
+
+    expect(view.getRouteQuery()).toEqual({
+      text: "crimp",
+      color: "red",
+      gym: "",
+      sent: "unsent",
+      archived: "active",
+      sort: "lastAttempted",
+    });
+  });
+
+  test("keeps the chosen filter when the options are refreshed", () => {
+    const view = new RouteView();
+    view.setRouteFilterOptions(routes);
+    const gymSelect = document.getElementById("route-filter-gym");
+    gymSelect.value = "Movement";
+
+    view.setRouteFilterOptions(routes.slice(1));
+
+    expect([...gymSelect.options].map((option) => option.value)).toEqual([
+      "",
+      "BKB",
+      "Movement",
+    ]);
+    expect(gymSelect.value).toBe("Movement");
+  });
+
+  test("renders routes in the order given with a count of the library", () => {
+    new RouteView().renderRoutes([routes[2], routes[0]], 4);
+
+    const cards = [...document.querySelectorAll(".route-card")];
+    expect(cards.map((card) => Number(card.dataset.routeId))).toEqual([3, 1]);
+    expect(document.getElementById("route-results-count").textContent).toBe(
+      "Showing 2 of 4 routes"
+    );
+  });
+
+  test("says when nothing matches", () => {
+    new RouteView().renderRoutes([], 4);
+
+    expect(document.getElementById("routes-container").textContent).toContain(
+      "No routes match your search and filters."
+    );
+  });
+});
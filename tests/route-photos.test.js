@@ -0,0 +1,360 @@
+/**
+ * Tests for galleries of route photos
+ */
+import {
+  getPrimaryPhoto,
+  movePhoto,
+  nextPhotoId,
+  normalizePhotos,
+  toPhotoGallery,
+} from "../src/models/RoutePhotos.js";
+import { MIGRATIONS } from "../src/models/Database.js";
+import { RouteModel } from "../src/models/RouteModel.js";
+import { RouteController } from "../src/controllers/RouteController.js";
+import { RouteView } from "../src/views/RouteView.js";
+import { DEFAULT_ROUTE_QUERY } from "../src/models/RouteQuery.js";
+import { ImageUrlCache } from "../src/utils/ImageUrlCache.js";
+import { createFakeDatabase } from "./fakeDatabase.js";
+
+const annotations = {
+  width: 400,
+  height: 300,
+  shapes: [{ type: "hold", x: 200, y: 150, r: 10 }],
+};
+
+describe("RoutePhotos", () => {
+  test("the first photo is the primary one", () => {
+    const photos = [
+      { id: 2, image: "b" },
+      { id: 1, image: "a" },
+    ];
+
+    expect(getPrimaryPhoto({ photos })).toBe(photos[0]);
+    expect(getPrimaryPhoto({ photos: [] })).toBeNull();
+    expect(getPrimaryPhoto({})).toBeNull();
+    expect(nextPhotoId(photos)).toBe(3);
+    expect(nextPhotoId([])).toBe(1);
+  });
+
+  test("moves photos without changing the original order", () => {
+    const photos = ["a", "b", "c"];
+
+    expect(movePhoto(photos, 2, 0)).toEqual(["c", "a", "b"]);
+    expect(movePhoto(photos, 0, 1)).toEqual(["b", "a", "c"]);
+    expect(movePhoto(photos, 0, -1)).toEqual(photos);
+    expect(photos).toEqual(["a", "b", "c"]);
+  });
+
+  test("normalizes galleries for storage", () => {
+    expect(
+      normalizePhotos([
+        { id: 4, image: "a", type: "image/png", thumbnail: "t", annotations },
+        { id: 4, image: "b", annotations: { width: 10 } },
+        { image: "c" },
+        { id: 9 },
+      ])
+    ).toEqual([
+      { id: 4, image: "a", type: "image/png", thumbnail: "t", annotations },
+      { id: 5, image: "b", type: null, annotations: null },
+      { id: 6, image: "c", type: null, annotations: null },
+    ]);
+    expect(normalizePhotos(undefined)).toEqual([]);
+  });
+
+  test("moves a single photo into a gallery", () => {
+    const route = {
+      id: 1,
+      color: "red",
+      image: "photo",
+      imageType: "image/jpeg",
+      thumbnail: "thumb",
+      annotations,
+    };
+
+    expect(toPhotoGallery(route)).toEqual({
+      id: 1,
+      color: "red",
+      photos: [
+        {
+          id: 1,
+          image: "photo",
+          type: "image/jpeg",
+          thumbnail: "thumb",
+          annotations,
+        },
+      ],
+    });
+    // Photos stored before they were shrunk still have no thumbnail
+    expect(
+      "thumbnail" in toPhotoGallery({ id: 2, image: "photo" }).photos[0]
+    ).toBe(false);
+    expect(toPhotoGallery({ id: 3, image: null }).photos).toEqual([]);
+
+    const gallery = toPhotoGallery(route);
+    expect(toPhotoGallery(gallery)).toBe(gallery);
+  });
+});
+
+describe("photo gallery migration", () => {
+  test("moves the photos of stored and trashed routes into galleries", async () => {
+    const stored = {
+      routes: [
+        { id: 1, name: "Arete", color: "red", image: "photo", annotations },
+        { id: 2, color: "blue", image: null },
+      ],
+      trash: [
+        { id: "route:3", type: "route", item: { id: 3, image: "old" } },
+        { id: "session:4", type: "session", item: { id: 4, attempts: [] } },
+      ],
+    };
+    const updated = { routes: [], trash: [] };
+    let openCursors = 0;
+    let finish;
+    const finished = new Promise((resolve) => {
+      finish = resolve;
+    });
+    const transaction = {
+      objectStore: (name) => ({
+        openCursor: () => {
+          const request = {};
+          let index = 0;
+          openCursors++;
+          const advance = () => {
+            const value = stored[name][index];
+            if (!value && --openCursors === 0) setTimeout(finish, 0);
+            request.result = value
+              ? {
+                  value,
+                  update: (next) => updated[name].push(next),
+                  continue: () => {
+                    index++;
+                    setTimeout(advance, 0);
+                  },
+                }
+              : null;
+            request.onsuccess();
+          };
+          setTimeout(advance, 0);
+          return request;
+        },
+      }),
+    };
+
+    MIGRATIONS.find((m) => m.version === 9).migrate({}, transaction, 8);
+    await finished;
+
+    expect(updated.routes.map((route) => route.photos)).toEqual([
+      [{ id: 1, image: "photo", type: null, annotations }],
+      [],
+    ]);
+    expect(updated.routes[0]).not.toHaveProperty("image");
+    expect(updated.routes[0].searchTerms).toEqual(["arete"]);
+    expect(updated.trash).toEqual([
+      {
+        id: "route:3",
+        type: "route",
+        item: {
+          id: 3,
+          photos: [{ id: 1, image: "old", type: null, annotations: null }],
+        },
+      },
+    ]);
+  });
+});
+
+describe("RouteController photos", () => {
+  let model;
+  let controller;
+
+  beforeEach(() => {
+    jest
+      .spyOn(RouteController.prototype, "initializeController")
+      .mockImplementation(() => {});
+    model = new RouteModel(createFakeDatabase());
+    jest.spyOn(model, "preparePhoto").mockImplementation(async (file) => ({
+      image: `${file.name} small`,
+      type: "image/jpeg",
+      thumbnail: `${file.name} thumb`,
+      width: 200,
+      height: 150,
+    }));
+    controller = new RouteController(model, {}, {}, {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("keeps photos by id and adds picked files after the route's ids", async () => {
+    const route = {
+      id: 1,
+      photos: [
+        { id: 1, image: "a", thumbnail: "ta", annotations },
+        { id: 3, image: "c", thumbnail: "tc", annotations: null },
+      ],
+    };
+
+    const photos = await controller.preparePhotos(route, [
+      { file: { name: "new" }, annotations },
+      { id: 3, annotations },
+      { id: 7, annotations: null },
+    ]);
+
+    expect(photos).toEqual([
+      {
+        id: 4,
+        image: "new small",
+        type: "image/jpeg",
+        thumbnail: "new thumb",
+        // Drawn on the picked photo, scaled to the shrunk one
+        annotations: {
+          width: 200,
+          height: 150,
+          shapes: [{ type: "hold", x: 100, y: 75, r: 5 }],
+        },
+      },
+      { id: 3, image: "c", thumbnail: "tc", annotations },
+    ]);
+  });
+
+  test("saving an edit stores the gallery and refreshes the session views once", async () => {
+    const saved = await model.saveRoute({
+      color: "red",
+      gym: "BKB",
+      photos: [{ id: 1, image: "a", thumbnail: "ta" }],
+    });
+    controller.view = {
+      showEditDialog: async () => ({
+        color: "red",
+        gym: "BKB",
+        photos: [
+          { file: { name: "new" }, annotations: null },
+          { id: 1, annotations: null },
+        ],
+      }),
+      getRouteQuery: () => ({ ...DEFAULT_ROUTE_QUERY }),
+      renderRoutes: jest.fn(),
+      setRouteFilterOptions: () => {},
+      setGymOptions: () => {},
+      showAlert: jest.fn(),
+    };
+    controller.wallModel = { getAllWalls: async () => [] };
+    controller.gymModel = {
+      resolveGymName: async (name) => name,
+      getAllGyms: async () => [],
+    };
+    controller.climbController = {
+      model: { getRouteAttemptSummary: () => new Map() },
+      thumbnailUrls: new ImageUrlCache({ create: () => "blob:url" }),
+      refreshViews: jest.fn(async () => {}),
+    };
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    await controller.editRoute(saved.id);
+
+    const edited = await model.getRouteById(saved.id);
+    expect(edited.photos.map(({ id, image }) => [id, image])).toEqual([
+      [2, "new small"],
+      [1, "a"],
+    ]);
+    expect(controller.climbController.refreshViews).toHaveBeenCalledTimes(1);
+    expect(controller.view.showAlert).not.toHaveBeenCalled();
+  });
+
+  test("needs at least one photo for a new route", async () => {
+    const view = {
+      getRouteFormData: () => ({ images: [], gym: "BKB" }),
+      showAlert: jest.fn(),
+    };
+    controller.view = view;
+    controller.selectedColor = "red";
+
+    await controller.saveRoute();
+
+    expect(view.showAlert).toHaveBeenCalledWith(
+      "Please select at least one photo of the route"
+    );
+  });
+});
+
+describe("Edit dialog gallery", () => {
+  const route = {
+    id: 1,
+    color: "red",
+    gym: "BKB",
+    gallery: [
+      { id: 1, url: "blob:1", annotations: null },
+      { id: 2, url: "blob:2", annotations },
+    ],
+  };
+
+  const tiles = () =>
+    [...document.querySelectorAll(".photo-tile img")].map((img) =>
+      img.getAttribute("src")
+    );
+  const click = (index, action) =>
+    document
+      .querySelectorAll(".photo-tile")
+      [index].querySelector(`[data-photo-action="${action}"]`)
+      .click();
+  const save = () => document.querySelector("#edit-save-btn").click();
+
+  beforeEach(() => {
+    document.body.innerHTML = "";
+  });
+
+  test("reorders, removes and adds photos, marking the first as primary", async () => {
+    const view = new RouteView();
+    const result = view.showEditDialog(route);
+
+    expect(tiles()).toEqual(["blob:1", "blob:2"]);
+    expect(document.querySelectorAll(".photo-tile")[0].textContent).toContain(
+      "Primary"
+    );
+
+    click(1, "primary");
+    expect(tiles()).toEqual(["blob:2", "blob:1"]);
+    click(1, "earlier");
+    expect(tiles()).toEqual(["blob:1", "blob:2"]);
+    click(0, "remove");
+    expect(tiles()).toEqual(["blob:2"]);
+
+    const input = document.querySelector("#edit-route-images");
+    const file = new File(["photo"], "new.jpg", { type: "image/jpeg" });
+    Object.defineProperty(input, "files", { value: [file] });
+    input.dispatchEvent(new Event("change"));
+    // The picked file is read before its tile is shown
+    while (tiles().length < 2) {
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+
+    expect(tiles()).toEqual(["blob:2", "data:image/png;base64,mock"]);
+    save();
+
+    expect((await result).photos).toEqual([
+      { id: 2, annotations },
+      { file, annotations: null },
+    ]);
+  });
+
+  test("annotates each photo on its own", async () => {
+    const view = new RouteView();
+    jest.spyOn(view.annotationEditor, "open").mockResolvedValue(annotations);
+    const result = view.showEditDialog(route);
+
+    click(0, "annotate");
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(view.annotationEditor.open).toHaveBeenCalledWith("blob:1", null);
+    expect(
+      document.querySelectorAll(".photo-tile .annotation-overlay")
+    ).toHaveLength(2);
+    save();
+
+    expect((await result).photos).toEqual([
+      { id: 1, annotations },
+      { id: 2, annotations },
+    ]);
+    jest.restoreAllMocks();
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Tests for attempts referencing routes by id instead of embedding them
+ */
+import { ClimbModel } from "../src/models/ClimbModel.js";
+import { MIGRATIONS } from "../src/models/Database.js";
+import { normalizeAttempt } from "../src/models/RouteSnapshot.js";
+
+describe("Route references on attempts", () => {
+  let model;
+
+  const fullRoute = {
+    id: 5,
+    name: "Purple crimps",
+    color: "purple",
+    grade: "V4",
+    gradeSystem: "vscale",
+    gym: "BKB",
+    notes: "Left hand first",
+    image: new ArrayBuffer(1024),
+    createdAt: new Date("2024-01-01"),
+  };
+
+  beforeEach(() => {
+    // Keep the database request pending; these tests only use in-memory data
+    global.indexedDB.open = jest.fn(() => ({}));
+    model = new ClimbModel();
+  });
+
+  test("should strip embedded routes down to a routeId and snapshot", () => {
+    const attempt = normalizeAttempt({
+      id: 1,
+      route: fullRoute,
+      success: true,
+    });
+
+    expect(attempt.route).toBeUndefined();
+    expect(attempt.routeId).toBe(5);
+    expect(attempt.routeSnapshot).toEqual({
+      name: "Purple crimps",
+      color: "purple",
+      grade: "V4",
+      gradeSystem: "vscale",
+      gym: "BKB",
+    });
+  });
+
+  test("should migrate stored sessions and drafts in the upgrade transaction", () => {
+    const stored = {
+      sessions: [{ id: 1, attempts: [{ id: 1, route: fullRoute }] }],
+      drafts: [{ id: "current", attempts: [{ id: 2, route: fullRoute }] }],
+    };
+    const updated = {};
+    const transaction = {
+      objectStore: (name) => ({
+        openCursor: () => {
+          const request = {};
+          let index = 0;
+          const advance = () => {
+            const value = stored[name][index];
+            request.result = value
+              ? {
+                  value,
+                  update: (next) => (updated[name] = next),
+                  continue: () => {
+                    index++;
+                    advance();
+                  },
+                }
+              : null;
+            request.onsuccess();
+          };
+          setTimeout(advance, 0);
+          return request;
+        },
+      }),
+    };
+
+    const migration = MIGRATIONS.find((m) => m.version === 3);
+    migration.migrate({}, transaction, 2);
+
+    return new Promise((resolve) => setTimeout(resolve, 10)).then(() => {
+      expect(updated.sessions.attempts[0].routeId).toBe(5);
+      expect(updated.sessions.attempts[0].route).toBeUndefined();
+      expect(updated.drafts.attempts[0].routeSnapshot.name).toBe(
+        "Purple crimps"
+      );
+    });
+  });
+
+  test("should resolve attempts against the current route library", () => {
+    const attempt = normalizeAttempt({ id: 1, route: fullRoute });
+    const { image, ...stored } = fullRoute;
+    model.setRouteCatalog([
+      {
+        ...stored,
+        name: "Renamed",
+        color: "red",
+        photos: [{ id: 1, image }],
+      },
+    ]);
+
+    const route = model.resolveRoute(attempt);
+
+    expect(route.name).toBe("Renamed");
+    expect(route.photos).toBeUndefined();
+    expect(model.getColorStats([{ ...attempt, success: true }])).toEqual({
+      red: { success: 1, total: 1 },
+    });
+  });
+
+  test("should fall back to the snapshot when the route was deleted", () => {
+    const attempt = normalizeAttempt({ id: 1, route: fullRoute });
+    model.setRouteCatalog([]);
+
+    const route = model.resolveRoute(attempt);
+
+    expect(route).toMatchObject({
+      id: 5,
+      name: "Purple crimps",
+      color: "purple",
+      deleted: true,
+    });
+  });
+});
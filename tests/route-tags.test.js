@@ -0,0 +1,189 @@
+/**
+ * Tests for style tags on routes
+ */
+import {
+  collectRouteTags,
+  normalizeTags,
+  parseTagText,
+} from "../src/models/RouteTags.js";
+import { RouteModel } from "../src/models/RouteModel.js";
+import { ClimbModel } from "../src/models/ClimbModel.js";
+import { createRouteSnapshot } from "../src/models/RouteSnapshot.js";
+import { validateBackup } from "../src/models/BackupValidator.js";
+import { RouteView } from "../src/views/RouteView.js";
+import { ClimbView } from "../src/views/ClimbView.js";
+import { createFakeDatabase } from "./fakeDatabase.js";
+
+const routes = [
+  { id: 1, name: "Edges", color: "red", tags: ["crimp", "overhang"] },
+  { id: 2, name: "Fat Pinch", color: "green", tags: ["pinch", "heel hook"] },
+  { id: 3, name: "Jugs", color: "yellow", tags: [] },
+  { id: 4, name: "Old", color: "red" },
+];
+
+describe("tag helpers", () => {
+  test("normalize tags to distinct lowercased names", () => {
+    expect(normalizeTags([" Crimp", "crimp", "Heel   Hook", ""])).toEqual([
+      "crimp",
+      "heel hook",
+    ]);
+    expect(normalizeTags(undefined)).toEqual([]);
+    expect(parseTagText("toe hook, , Sloper ")).toEqual(["toe hook", "sloper"]);
+  });
+
+  test("list tags in use with predefined ones first", () => {
+    expect(collectRouteTags(routes)).toEqual([
+      "crimp",
+      "pinch",
+      "overhang",
+      "heel hook",
+    ]);
+  });
+});
+
+describe("RouteModel tags", () => {
+  test("saves and updates normalized tags", async () => {
+    const model = new RouteModel(createFakeDatabase());
+
+    const saved = await model.saveRoute({
+      name: "Prow",
+      color: "green",
+      tags: ["Dyno", "dyno", " Toe Hook "],
+    });
+    expect(saved.tags).toEqual(["dyno", "toe hook"]);
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    const renamed = await model.updateRoute(saved.id, { name: "Big Prow" });
+    expect(renamed.tags).toEqual(["dyno", "toe hook"]);
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    const updated = await model.updateRoute(saved.id, { tags: ["Slab"] });
+    expect(updated.tags).toEqual(["slab"]);
+  });
+
+  test("loads routes with a tag through the tags index", async () => {
+    const db = createFakeDatabase({ routes });
+    const model = new RouteModel(db);
+
+    const tagged = await model.getRoutesByTag(" Heel Hook");
+
+    expect(tagged.map((route) => route.id)).toEqual([2]);
+    expect(db.transactions.pop().storeNames).toEqual(["routes"]);
+  });
+});
+
+describe("ClimbModel.getTagStats", () => {
+  test("counts each attempt toward every tag on its route", () => {
+    const model = new ClimbModel(createFakeDatabase());
+    model.setRouteCatalog(routes.slice(0, 3));
+
+    const stats = model.getTagStats([
+      { routeId: 1, success: true },
+      { routeId: 1, success: false },
+      { routeId: 2, success: false },
+      { routeId: 3, success: true },
+      // Deleted since, so only its snapshot knows the tags
+      {
+        routeId: 9,
+        success: true,
+        routeSnapshot: createRouteSnapshot({ color: "red", tags: ["crimp"] }),
+      },
+    ]);
+
+    expect(stats).toEqual({
+      crimp: { success: 2, total: 3 },
+      overhang: { success: 1, total: 2 },
+      pinch: { success: 0, total: 1 },
+      "heel hook": { success: 0, total: 1 },
+    });
+  });
+});
+
+describe("tags in backups", () => {
+  test("reports tags that aren't a list of names", () => {
+    const errors = validateBackup(
+      {
+        format: "climb-count-backup",
+        version: 1,
+        sessions: [],
+        routes: [
+          { id: 1, color: "red", tags: "crimp" },
+          { id: 2, color: "red", tags: ["crimp", 3] },
+        ],
+      },
+      { name: "climb-count-backup", version: 1 }
+    );
+
+    expect(errors).toEqual([
+      "routes[0].tags is not a list of tags",
+      "routes[1].tags is not a list of tags",
+    ]);
+  });
+});
+
+describe("RouteView tag picker", () => {
+  beforeEach(() => {
+    document.body.innerHTML = "<div id=\"route-tags\"></div>";
+  });
+
+  test("ticks predefined tags and lists custom ones in the text field", () => {
+    const view = new RouteView();
+    const picker = document.getElementById("route-tags");
+
+    view.renderTagPicker(picker, ["sloper", "heel hook", "toe hook"]);
+
+    const checked = [...picker.querySelectorAll("input:checked")].map(
+      (input) => input.value
+    );
+    expect(checked).toEqual(["sloper"]);
+    expect(picker.querySelector(".custom-tags-input").value).toBe(
+      "heel hook, toe hook"
+    );
+  });
+
+  test("reads ticked and typed tags back", () => {
+    const view = new RouteView();
+    const picker = document.getElementById("route-tags");
+    view.setRouteTags();
+
+    picker.querySelector("input[value='mantle']").checked = true;
+    picker.querySelector(".custom-tags-input").value = "Drop Knee, mantle";
+
+    expect(view.getPickedTags(picker)).toEqual(["mantle", "drop knee"]);
+  });
+
+  test("keeps custom tags with quotes and markup through a round trip", () => {
+    const view = new RouteView();
+    const picker = document.getElementById("route-tags");
+    const tags = ["sloper", "6\" crack", "<b>roof</b>"];
+
+    view.renderTagPicker(picker, tags);
+
+    expect(view.getPickedTags(picker)).toEqual(tags);
+    expect(view.formatTags(tags)).not.toContain("<b>");
+  });
+});
+
+describe("ClimbView tag filter", () => {
+  test("offers the tags in use and keeps the current choice", () => {
+    document.body.innerHTML = `
+      <select id="tag-filter"><option value="">All tags</option></select>
+    `;
+    const view = new ClimbView();
+    const select = document.getElementById("tag-filter");
+
+    view.populateTagFilter(routes);
+    select.value = "pinch";
+    view.populateTagFilter(routes.slice(1));
+
+    expect([...select.options].map((option) => option.textContent)).toEqual([
+      "All tags",
+      "Pinch",
+      "heel hook",
+    ]);
+    expect(select.value).toBe("pinch");
+
+    view.populateTagFilter(routes.slice(2));
+    expect(select.value).toBe("");
+  });
+});
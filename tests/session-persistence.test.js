@@ -0,0 +1,262 @@
+/**
+ * Tests for writing sessions to IndexedDB one session at a time
+ */
+import { ClimbModel } from "../src/models/ClimbModel.js";
+import { createFakeDatabase } from "./fakeDatabase.js";
+
+const storedSession = (id) => ({
+  id,
+  date: new Date("2024-03-01"),
+  gym: "BKB",
+  attempts: [
+    {
+      id: id * 10,
+      timestamp: new Date("2024-03-01T18:00:00Z"),
+      routeId: 1,
+      routeSnapshot: { name: "Crimpy", color: "purple" },
+      success: false,
+      notes: "",
+    },
+  ],
+});
+
+describe("Session persistence", () => {
+  let db;
+  let model;
+
+  beforeEach(async () => {
+    db = createFakeDatabase({
+      sessions: [storedSession(1), storedSession(2), storedSession(3)],
+    });
+    model = new ClimbModel(db);
+    await model.initializeDB();
+    db.writes.length = 0;
+    db.transactions.length = 0;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should write only the session whose attempt was updated", async () => {
+    await model.updateAttempt(2, 20, { notes: "Heel hook" });
+
+    expect(db.writes).toEqual([{ store: "sessions", type: "put", key: 2 }]);
+    expect(db.transactions).toHaveLength(1);
+    expect(db.stores.sessions.get(2).attempts[0].notes).toBe("Heel hook");
+  });
+
+  test("should write only the session whose attempt was deleted", async () => {
+    await model.deleteAttempt(3, 30);
+
+    expect(db.writes).toEqual([{ store: "sessions", type: "put", key: 3 }]);
+    expect(db.stores.sessions.get(3).attempts).toHaveLength(0);
+    expect(db.stores.sessions.get(1).attempts).toHaveLength(1);
+  });
+
+  test("should store a finished session and drop its draft in one transaction", async () => {
+    model.startNewSession({ date: "2024-03-08", gym: "BKB" });
+    model.currentSession.attempts.push(storedSession(4).attempts[0]);
+    const sessionId = model.currentSession.id;
+
+    await model.finishCurrentSession();
+
+    expect(db.transactions).toHaveLength(1);
+    expect(db.transactions[0].storeNames).toEqual(["sessions", "drafts"]);
+    expect(db.writes).toEqual([
+      { store: "sessions", type: "put", key: sessionId },
+      { store: "drafts", type: "delete", key: "current" },
+    ]);
+    expect(db.writes.some((write) => write.type === "clear")).toBe(false);
+  });
+
+  test("should replace sessions on import without clearing the store", async () => {
+    const backup = JSON.stringify({
+      sessions: [storedSession(2), storedSession(5)],
+    });
+
+    await model.importData(backup);
+
+    expect(db.transactions).toHaveLength(1);
+    expect(db.writes).toEqual([
+      { store: "sessions", type: "delete", key: 1 },
+      { store: "sessions", type: "delete", key: 3 },
+      { store: "sessions", type: "put", key: 2 },
+      { store: "sessions", type: "put", key: 5 },
+      { store: "trash", type: "delete", key: "session:2" },
+      { store: "trash", type: "delete", key: "session:5" },
+    ]);
+    expect([...db.stores.sessions.keys()].sort()).toEqual([2, 5]);
+  });
+
+  test("should restore the session in progress from a snapshot for undo", async () => {
+    model.startNewSession({ date: "2024-03-08", gym: "BKB" });
+    const before = model.snapshotSession(model.currentSession);
+    model.currentSession.attempts.push(storedSession(4).attempts[0]);
+    await model.saveDraft();
+
+    await model.restoreCurrentSession(before, before.id);
+    // Draft writes resolve on success; wait for the transaction to commit
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(model.currentSession.attempts).toHaveLength(0);
+    expect(db.stores.drafts.get("current").attempts).toHaveLength(0);
+
+    await model.restoreCurrentSession(null, before.id);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(model.currentSession).toBeNull();
+    expect(db.stores.drafts.has("current")).toBe(false);
+  });
+
+  test("should refuse to restore over a different session in progress", async () => {
+    model.startNewSession({ date: "2024-03-08", gym: "BKB" });
+
+    await expect(model.restoreCurrentSession(null, null)).rejects.toThrow(
+      "The session in progress has changed since"
+    );
+    expect(model.currentSession).not.toBeNull();
+  });
+
+  test("should keep in-memory sessions unchanged when a write aborts", async () => {
+    db.open = () =>
+      Promise.resolve({
+        transaction: () => {
+          const transaction = {
+            error: new Error("QuotaExceededError"),
+            objectStore: () => ({ put: () => ({}), delete: () => ({}) }),
+          };
+          setTimeout(() => transaction.onabort(), 0);
+          return transaction;
+        },
+      });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    model.startNewSession({ date: "2024-03-08", gym: "BKB" });
+    model.currentSession.attempts.push(storedSession(4).attempts[0]);
+
+    await expect(model.finishCurrentSession()).rejects.toThrow(
+      "QuotaExceededError"
+    );
+    expect(model.sessions).toHaveLength(3);
+    expect(model.currentSession).not.toBeNull();
+  });
+});
+
+describe("Session editing", () => {
+  let db;
+  let model;
+
+  const attemptAt = (id, time) => ({
+    ...storedSession(1).attempts[0],
+    id,
+    timestamp: new Date(`2024-03-01T${time}:00Z`),
+  });
+
+  beforeEach(async () => {
+    db = createFakeDatabase({
+      sessions: [
+        {
+          ...storedSession(1),
+          attempts: [attemptAt(10, "18:00"), attemptAt(11, "18:30")],
+        },
+        {
+          ...storedSession(2),
+          date: new Date("2024-03-02"),
+          notes: "Second half",
+          attempts: [attemptAt(20, "18:15")],
+        },
+      ],
+    });
+    model = new ClimbModel(db);
+    await model.initializeDB();
+    db.writes.length = 0;
+    db.transactions.length = 0;
+  });
+
+  test("should update date, gym and notes and keep sessions in date order", async () => {
+    await model.updateSession(1, {
+      date: new Date("2024-03-05"),
+      gym: " Movement ",
+      notes: "Wrong day",
+    });
+
+    expect(db.writes).toEqual([{ store: "sessions", type: "put", key: 1 }]);
+    expect(db.stores.sessions.get(1)).toMatchObject({
+      gym: "Movement",
+      notes: "Wrong day",
+      date: new Date("2024-03-05"),
+    });
+    expect(model.getSessions().map((s) => s.id)).toEqual([2, 1]);
+  });
+
+  test("should reject a session without a gym", async () => {
+    await expect(model.updateSession(1, { gym: "  " })).rejects.toThrow(
+      "Session date and gym/location are required"
+    );
+    expect(db.writes).toEqual([]);
+  });
+
+  test("should move a whole session to the trash", async () => {
+    const deleted = await model.deleteSession(2);
+
+    expect(deleted.id).toBe(2);
+    expect(db.transactions).toHaveLength(1);
+    expect(db.writes).toEqual([
+      { store: "sessions", type: "delete", key: 2 },
+      { store: "trash", type: "put", key: "session:2" },
+    ]);
+    expect(db.stores.trash.get("session:2")).toMatchObject({
+      type: "session",
+      itemId: 2,
+      item: deleted,
+    });
+    expect(model.getSessions().map((s) => s.id)).toEqual([1]);
+  });
+
+  test("should merge sessions by interleaving attempts in one transaction", async () => {
+    const merged = await model.mergeSessions(2, 1);
+
+    expect(db.transactions).toHaveLength(1);
+    expect(db.writes).toEqual([
+      { store: "sessions", type: "delete", key: 1 },
+      { store: "sessions", type: "put", key: 2 },
+    ]);
+    expect(merged.attempts.map((a) => a.id)).toEqual([10, 20, 11]);
+    expect(merged.date).toEqual(new Date("2024-03-01"));
+    expect(merged.notes).toBe("Second half");
+    expect(model.getSessions()).toEqual([merged]);
+  });
+
+  test("should undo a merge by writing both original sessions back", async () => {
+    const originals = [...model.getSessions()];
+    await model.mergeSessions(2, 1);
+    db.writes.length = 0;
+
+    await model.restoreSessions(originals);
+
+    expect(db.writes).toEqual([
+      { store: "sessions", type: "put", key: 1 },
+      { store: "sessions", type: "put", key: 2 },
+      { store: "trash", type: "delete", key: "session:1" },
+      { store: "trash", type: "delete", key: "session:2" },
+    ]);
+    expect(db.stores.sessions.get(2).attempts.map((a) => a.id)).toEqual([20]);
+    expect(model.getSessions()).toEqual(originals);
+  });
+
+  test("should undo a delete by writing the session back", async () => {
+    const deleted = await model.deleteSession(1);
+
+    await model.restoreSessions([deleted]);
+
+    expect(db.stores.sessions.get(1)).toEqual(deleted);
+    expect(db.stores.trash.size).toBe(0);
+    expect(model.getSessions().map((s) => s.id)).toEqual([1, 2]);
+  });
+
+  test("should not merge a session into itself", async () => {
+    await expect(model.mergeSessions(1, 1)).rejects.toThrow(
+      "Cannot merge a session into itself"
+    );
+  });
+});
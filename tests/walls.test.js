@@ -0,0 +1,202 @@
+/**
+ * Tests for walls and sectors within gyms
+ */
+import { WallModel } from "../src/models/WallModel.js";
+import { ClimbModel } from "../src/models/ClimbModel.js";
+import { ClimbView } from "../src/views/ClimbView.js";
+import { createFakeDatabase } from "./fakeDatabase.js";
+
+const walls = [
+  { id: 1, gym: "BKB", name: "The Cave", angle: "roof" },
+  { id: 2, gym: "BKB", name: "Slab Wall", angle: "slab" },
+  { id: 3, gym: "Movement", name: "Barrel", angle: "overhang" },
+];
+
+const routes = [
+  {
+    id: 10,
+    name: "Jugs",
+    color: "red",
+    gym: "BKB",
+    wallId: 1,
+    createdAt: new Date(2024, 0, 3),
+  },
+  {
+    id: 11,
+    name: "Smears",
+    color: "blue",
+    gym: "BKB",
+    wallId: 2,
+    createdAt: new Date(2024, 0, 2),
+  },
+  {
+    id: 12,
+    name: "Loose",
+    color: "green",
+    gym: "BKB",
+    createdAt: new Date(2024, 0, 1),
+  },
+  {
+    id: 13,
+    name: "Pinches",
+    color: "red",
+    gym: "BKB",
+    wallId: 1,
+    createdAt: new Date(2024, 0, 4),
+  },
+];
+
+describe("WallModel", () => {
+  let db;
+  let model;
+
+  beforeEach(() => {
+    db = createFakeDatabase({ walls, routes });
+    model = new WallModel(db);
+  });
+
+  test("lists a gym's walls by name, matching the gym loosely", async () => {
+    const gymWalls = await model.getWallsForGym(" bkb");
+
+    expect(gymWalls.map((wall) => wall.name)).toEqual([
+      "Slab Wall",
+      "The Cave",
+    ]);
+  });
+
+  test("saves a wall with a new id", async () => {
+    const wall = await model.saveWall({
+      gym: "Movement",
+      name: " Comp Wall ",
+      angle: "vertical",
+    });
+
+    expect(wall).toEqual({
+      id: 4,
+      gym: "Movement",
+      name: "Comp Wall",
+      angle: "vertical",
+    });
+    expect(db.stores.walls.get(4)).toEqual(wall);
+  });
+
+  test("rejects duplicate names within a gym and unknown angles", async () => {
+    await expect(
+      model.saveWall({ gym: "bkb", name: "the cave" })
+    ).rejects.toThrow("already has a wall called The Cave");
+    await expect(
+      model.saveWall({ gym: "BKB", name: "Arete", angle: "sideways" })
+    ).rejects.toThrow("Unknown wall angle");
+    await expect(model.saveWall({ gym: "BKB", name: " " })).rejects.toThrow(
+      "Wall name and gym are required"
+    );
+  });
+
+  test("lets a wall keep its own name when it is edited", async () => {
+    const wall = await model.updateWall(1, {
+      name: "The Cave",
+      angle: "steep",
+    });
+
+    expect(wall.angle).toBe("steep");
+    expect(db.stores.walls.get(1).angle).toBe("steep");
+  });
+
+  test("unassigns a deleted wall's routes in the same transaction", async () => {
+    const transactionsBefore = db.transactions.length;
+
+    await model.deleteWall(1);
+
+    expect(db.stores.walls.has(1)).toBe(false);
+    expect(db.stores.routes.get(10).wallId).toBeNull();
+    expect(db.stores.routes.get(13).wallId).toBeNull();
+    expect(db.stores.routes.get(11).wallId).toBe(2);
+    expect(db.transactions).toHaveLength(transactionsBefore + 1);
+    expect(db.transactions.pop().storeNames).toEqual(["walls", "routes"]);
+  });
+});
+
+describe("ClimbModel wall stats", () => {
+  const attempts = [
+    { routeId: 10, success: true },
+    { routeId: 13, success: false },
+    { routeId: 11, success: true },
+    { routeId: 12, success: true },
+  ];
+
+  let model;
+
+  beforeEach(() => {
+    model = new ClimbModel(createFakeDatabase());
+    model.setRouteCatalog(routes);
+    model.setWallCatalog(walls);
+  });
+
+  test("breaks success down by wall, skipping routes without one", () => {
+    expect(model.getWallStats(attempts)).toEqual({
+      1: { name: "The Cave", gym: "BKB", angle: "roof", success: 1, total: 2 },
+      2: { name: "Slab Wall", gym: "BKB", angle: "slab", success: 1, total: 1 },
+    });
+  });
+
+  test("breaks success down by wall angle", () => {
+    expect(model.getAngleStats(attempts)).toEqual({
+      roof: { success: 1, total: 2 },
+      slab: { success: 1, total: 1 },
+    });
+  });
+});
+
+describe("ClimbView route selector walls", () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="route-selector">
+        <div class="route-selector-item add-route-option"></div>
+      </div>
+    `;
+  });
+
+  test("groups routes under wall headings with unassigned routes last", () => {
+    const wallsById = new Map(walls.map((wall) => [wall.id, wall]));
+    const view = new ClimbView();
+
+    view.renderRouteSelector(
+      routes.map((route) => ({
+        ...route,
+        wall: wallsById.get(route.wallId) || null,
+      }))
+    );
+
+    const order = [
+      ...document.querySelectorAll(
+        "#route-selector > .route-selector-group, #route-selector > .route-selector-item:not(.add-route-option)"
+      ),
+    ].map((element) =>
+      element.classList.contains("route-selector-group")
+        ? element.textContent.trim()
+        : Number(element.dataset.routeId)
+    );
+
+    expect(order).toEqual([
+      expect.stringContaining("Slab Wall"),
+      11,
+      expect.stringContaining("The Cave"),
+      13,
+      10,
+      expect.stringContaining("No wall"),
+      12,
+    ]);
+  });
+
+  test("shows wall and gym names in headings as text", () => {
+    const view = new ClimbView();
+
+    const heading = view.createRouteGroupHeading(
+      { id: 1, gym: "<i>BKB</i>", name: "<b>Cave</b>", angle: null },
+      true
+    );
+
+    expect(heading.querySelector("b, i")).toBeNull();
+    expect(heading.textContent).toBe("<b>Cave</b><i>BKB</i>");
+  });
+});